@@ -0,0 +1,72 @@
+/**
+ * Age Armor - PEM-style ASCII armor for age files
+ *
+ * -----BEGIN AGE ENCRYPTED FILE-----
+ * <padded standard base64, 64 columns; only the last line may be shorter>
+ * -----END AGE ENCRYPTED FILE-----
+ */
+
+import { Encoding } from '../../utils/encoding.js';
+
+export const AGE_ARMOR_BEGIN = '-----BEGIN AGE ENCRYPTED FILE-----';
+export const AGE_ARMOR_END = '-----END AGE ENCRYPTED FILE-----';
+
+const COLUMNS = 64;
+// 48 bytes encode to exactly one 64-column line
+const READ_SIZE = 48 * 1024;
+
+export class AgeArmor {
+  /**
+   * Whether a file is armored (leading whitespace is allowed)
+   * @param {Blob} file - Any file
+   * @returns {Promise<boolean>}
+   */
+  static async isArmored(file) {
+    const start = await file.slice(0, 1024).text();
+    return start.trimStart().startsWith(AGE_ARMOR_BEGIN);
+  }
+
+  /**
+   * Armor a binary age file
+   * @param {Blob} binary - Binary age file
+   * @returns {Promise<Blob>} Armored text
+   */
+  static async encode(binary) {
+    const parts = [`${AGE_ARMOR_BEGIN}\n`];
+
+    for (let offset = 0; offset < binary.size; offset += READ_SIZE) {
+      const base64 = Encoding.toBase64(new Uint8Array(await binary.slice(offset, offset + READ_SIZE).arrayBuffer()));
+      parts.push(base64.replace(new RegExp(`.{1,${COLUMNS}}`, 'g'), '$&\n'));
+    }
+
+    parts.push(`${AGE_ARMOR_END}\n`);
+    return new Blob(parts, { type: 'text/plain' });
+  }
+
+  /**
+   * Remove the armor from an age file
+   * @param {Blob} file - Armored age file
+   * @returns {Promise<Blob>} Binary age file
+   */
+  static async decode(file) {
+    const lines = (await file.text()).trim().split(/\r?\n/);
+
+    if (lines[0] !== AGE_ARMOR_BEGIN || lines[lines.length - 1] !== AGE_ARMOR_END) {
+      throw new Error('Invalid age armor: missing BEGIN or END line');
+    }
+
+    const body = lines.slice(1, -1);
+    body.forEach((line, i) => {
+      const isLast = i === body.length - 1;
+      if (line.length > COLUMNS || (!isLast && line.length < COLUMNS) || (isLast && line.length === 0)) {
+        throw new Error('Invalid age armor: bad line length');
+      }
+    });
+
+    const base64 = body.join('');
+    if (!/^[A-Za-z0-9+/]*={0,2}$/.test(base64) || base64.length % 4 !== 0) {
+      throw new Error('Invalid age armor: malformed base64');
+    }
+    return new Blob([Encoding.fromBase64(base64)]);
+  }
+}
@@ -0,0 +1,169 @@
+/**
+ * Age Header - Text header of age-encryption.org/v1 files
+ *
+ *   age-encryption.org/v1
+ *   -> <type> <args...>
+ *   <body, unpadded base64 wrapped at 64 columns; the last line is always shorter>
+ *   --- <HMAC-SHA256 of everything up to and including "---">
+ */
+
+import { Encoding } from '../../utils/encoding.js';
+
+export const AGE_VERSION_LINE = 'age-encryption.org/v1';
+
+const COLUMNS = 64;
+const MAC_LENGTH = 32;
+
+// Headers are a few hundred bytes per recipient; anything larger is not an age file
+const MAX_HEADER_LENGTH = 1024 * 1024;
+
+export class AgeHeader {
+  /**
+   * Read and parse the header at the start of a binary age file
+   * @param {Blob} file - age file (not armored)
+   * @returns {Promise<{stanzas: {type: string, args: string[], body: Uint8Array}[], macInput: Uint8Array, mac: Uint8Array, length: number}>}
+   *   `length` is the size of the header including the MAC line
+   */
+  static async read(file) {
+    let readLength = 4096;
+
+    while (true) {
+      const bytes = new Uint8Array(await file.slice(0, readLength).arrayBuffer());
+      const end = findHeaderEnd(bytes);
+      if (end !== -1) {
+        return this.parse(bytes.subarray(0, end));
+      }
+      if (readLength >= file.size) {
+        throw new Error('Invalid age file: truncated header');
+      }
+      if (readLength >= MAX_HEADER_LENGTH) {
+        throw new Error('Invalid age file: header too large');
+      }
+      readLength *= 4;
+    }
+  }
+
+  /**
+   * Parse a complete header
+   * @param {Uint8Array} bytes - Header bytes including the final newline
+   * @returns {{stanzas: object[], macInput: Uint8Array, mac: Uint8Array, length: number}}
+   */
+  static parse(bytes) {
+    if (!bytes.every(byte => byte === 0x0a || (byte >= 0x20 && byte <= 0x7e))) {
+      throw new Error('Invalid age header: non-ASCII bytes');
+    }
+    const lines = new TextDecoder().decode(bytes).split('\n');
+    // The header ends with a newline, so the last element is empty
+    lines.pop();
+
+    if (lines[0] !== AGE_VERSION_LINE) {
+      throw new Error('Unsupported age version');
+    }
+
+    const stanzas = [];
+    let i = 1;
+    while (i < lines.length && lines[i].startsWith('-> ')) {
+      const args = lines[i].slice(3).split(' ');
+      if (!args.every(arg => /^[\x21-\x7e]+$/.test(arg))) {
+        throw new Error('Invalid age header: malformed stanza');
+      }
+      i++;
+
+      // Body lines are full width until a shorter (possibly empty) final line
+      let body = '';
+      while (true) {
+        if (i >= lines.length) {
+          throw new Error('Invalid age header: unterminated stanza');
+        }
+        const line = lines[i++];
+        if (line.length > COLUMNS) {
+          throw new Error('Invalid age header: stanza line too long');
+        }
+        body += line;
+        if (line.length < COLUMNS) break;
+      }
+
+      stanzas.push({ type: args[0], args: args.slice(1), body: decodeBase64(body) });
+    }
+
+    if (i !== lines.length - 1 || !lines[i].startsWith('--- ')) {
+      throw new Error('Invalid age header: missing MAC');
+    }
+    if (stanzas.length === 0) {
+      throw new Error('Invalid age header: no recipients');
+    }
+
+    const mac = decodeBase64(lines[i].slice(4));
+    if (mac.length !== MAC_LENGTH) {
+      throw new Error('Invalid age header: malformed MAC');
+    }
+
+    return {
+      stanzas,
+      macInput: bytes.subarray(0, bytes.length - lines[i].length - 1 + 3),
+      mac,
+      length: bytes.length
+    };
+  }
+
+  /**
+   * Serialize the stanzas, up to and including "---" (the input of the header MAC)
+   * @param {{type: string, args: string[], body: Uint8Array}[]} stanzas - Recipient stanzas
+   * @returns {Uint8Array}
+   */
+  static encodeWithoutMac(stanzas) {
+    let text = `${AGE_VERSION_LINE}\n`;
+
+    for (const stanza of stanzas) {
+      text += `-> ${[stanza.type, ...stanza.args].join(' ')}\n`;
+      const body = Encoding.toBase64Unpadded(stanza.body);
+      for (let offset = 0; offset < body.length; offset += COLUMNS) {
+        text += `${body.slice(offset, offset + COLUMNS)}\n`;
+      }
+      // A full final line must be followed by an empty one
+      if (body.length % COLUMNS === 0) {
+        text += '\n';
+      }
+    }
+
+    return new TextEncoder().encode(`${text}---`);
+  }
+
+  /**
+   * Append the MAC line to a header
+   * @param {Uint8Array} macInput - Result of encodeWithoutMac
+   * @param {Uint8Array} mac - Header MAC
+   * @returns {Uint8Array} Complete header
+   */
+  static appendMac(macInput, mac) {
+    const line = new TextEncoder().encode(` ${Encoding.toBase64Unpadded(mac)}\n`);
+    const header = new Uint8Array(macInput.length + line.length);
+    header.set(macInput, 0);
+    header.set(line, macInput.length);
+    return header;
+  }
+}
+
+/**
+ * Find the end of the header: the newline after the "---" line
+ * @param {Uint8Array} bytes - Start of the file
+ * @returns {number} Header length, or -1 if the MAC line is not complete yet
+ */
+function findHeaderEnd(bytes) {
+  for (let i = 0; i + 4 < bytes.length; i++) {
+    // Base64 bodies never contain '-', so "\n---" can only start the MAC line
+    if (bytes[i] === 0x0a && bytes[i + 1] === 0x2d && bytes[i + 2] === 0x2d && bytes[i + 3] === 0x2d) {
+      const newline = bytes.indexOf(0x0a, i + 4);
+      return newline === -1 ? -1 : newline + 1;
+    }
+  }
+  return -1;
+}
+
+function decodeBase64(text) {
+  try {
+    return Encoding.fromBase64Unpadded(text);
+  } catch (e) {
+    throw new Error('Invalid age header: malformed base64');
+  }
+}
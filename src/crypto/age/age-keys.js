@@ -0,0 +1,89 @@
+/**
+ * Age Keys - X25519 recipients (age1...) and identities (AGE-SECRET-KEY-1...)
+ */
+
+import { x25519 } from '@noble/curves/ed25519.js';
+import { Bech32 } from '../../utils/bech32.js';
+
+const RECIPIENT_PREFIX = 'age';
+const IDENTITY_PREFIX = 'age-secret-key-';
+// Bech32 data characters exclude 1, B, I and O
+const IDENTITY_PATTERN = /AGE-SECRET-KEY-1[02-9AC-HJ-NP-Z]+/g;
+
+export class AgeKeys {
+  /**
+   * Generate a new identity
+   * @returns {{identity: string, recipient: string}} Secret identity and its public recipient
+   */
+  static generateIdentity() {
+    const secretKey = x25519.utils.randomSecretKey();
+    const identity = Bech32.encode(IDENTITY_PREFIX, secretKey).toUpperCase();
+    return { identity, recipient: this.toRecipient(identity) };
+  }
+
+  /**
+   * Derive the recipient of an identity
+   * @param {string} identity - AGE-SECRET-KEY-1...
+   * @returns {string} age1...
+   */
+  static toRecipient(identity) {
+    const { publicKey } = this.parseIdentity(identity);
+    return Bech32.encode(RECIPIENT_PREFIX, publicKey);
+  }
+
+  /**
+   * Parse a recipient string
+   * @param {string} text - age1...
+   * @returns {Uint8Array} X25519 public key
+   */
+  static parseRecipient(text) {
+    let decoded;
+    try {
+      decoded = Bech32.decode(text.trim());
+    } catch (e) {
+      throw new Error('Invalid age recipient');
+    }
+    if (decoded.prefix !== RECIPIENT_PREFIX || decoded.bytes.length !== 32) {
+      throw new Error('Invalid age recipient');
+    }
+    return decoded.bytes;
+  }
+
+  /**
+   * Parse an identity string
+   * @param {string} text - AGE-SECRET-KEY-1...
+   * @returns {{secretKey: Uint8Array, publicKey: Uint8Array}}
+   */
+  static parseIdentity(text) {
+    let decoded;
+    try {
+      decoded = Bech32.decode(text.trim());
+    } catch (e) {
+      throw new Error('Invalid age identity');
+    }
+    if (decoded.prefix !== IDENTITY_PREFIX || decoded.bytes.length !== 32) {
+      throw new Error('Invalid age identity');
+    }
+    return { secretKey: decoded.bytes, publicKey: x25519.getPublicKey(decoded.bytes) };
+  }
+
+  /**
+   * Whether a line looks like an age recipient or identity rather than an Endecrypt key
+   * @param {string} text - Key text
+   * @returns {boolean}
+   */
+  static isAgeKey(text) {
+    return /^(age1|AGE-SECRET-KEY-1)/i.test(text.trim());
+  }
+
+  /**
+   * Pick the identities out of a text such as an age key file, whose comments
+   * also name the public key. Line breaks may have been lost when the text was
+   * pasted into a single-line input, so identities are matched anywhere.
+   * @param {string} text - Key file contents
+   * @returns {string[]}
+   */
+  static extractIdentities(text) {
+    return text.match(IDENTITY_PATTERN) || [];
+  }
+}
@@ -0,0 +1,103 @@
+/**
+ * Age Stream - ChaCha20-Poly1305 STREAM payload of age files
+ *
+ * The plaintext is split into 64 KiB chunks. Chunk i is sealed with the nonce
+ * [11 bytes: i (big-endian)][1 byte: 0x01 for the last chunk, else 0x00].
+ */
+
+import { chacha20poly1305 } from '@noble/ciphers/chacha.js';
+
+export const AGE_CHUNK_SIZE = 64 * 1024;
+const TAG_LENGTH = 16;
+const ENCRYPTED_CHUNK_SIZE = AGE_CHUNK_SIZE + TAG_LENGTH;
+
+// Chunks are read from the Blob in batches to limit the number of reads
+const CHUNKS_PER_READ = 16;
+
+export class AgeStream {
+  /**
+   * Build the nonce of a chunk
+   * @param {number} index - Chunk index
+   * @param {boolean} isLast - Whether this is the last chunk
+   * @returns {Uint8Array} 12-byte nonce
+   */
+  static chunkNonce(index, isLast) {
+    const nonce = new Uint8Array(12);
+    const view = new DataView(nonce.buffer);
+    // The counter is 88 bits; indexes stay far below 2^53
+    view.setUint32(3, Math.floor(index / 0x100000000), false);
+    view.setUint32(7, index >>> 0, false);
+    nonce[11] = isLast ? 1 : 0;
+    return nonce;
+  }
+
+  /**
+   * Encrypt a plaintext Blob
+   * @param {Blob} source - Plaintext
+   * @param {Uint8Array} payloadKey - 32-byte payload key
+   * @param {function(number): void} [onProgress] - Called with progress (0-100)
+   * @yields {Uint8Array} Encrypted chunks
+   */
+  static async *encrypt(source, payloadKey, onProgress) {
+    // An empty plaintext is still sealed as one empty last chunk
+    const chunkCount = Math.max(1, Math.ceil(source.size / AGE_CHUNK_SIZE));
+
+    for (let first = 0; first < chunkCount; first += CHUNKS_PER_READ) {
+      const offset = first * AGE_CHUNK_SIZE;
+      const batch = new Uint8Array(await source.slice(offset, offset + AGE_CHUNK_SIZE * CHUNKS_PER_READ).arrayBuffer());
+
+      for (let index = first; index < Math.min(chunkCount, first + CHUNKS_PER_READ); index++) {
+        const start = (index - first) * AGE_CHUNK_SIZE;
+        const chunk = batch.subarray(start, start + AGE_CHUNK_SIZE);
+        yield chacha20poly1305(payloadKey, this.chunkNonce(index, index === chunkCount - 1)).encrypt(chunk);
+      }
+
+      if (onProgress) onProgress(Math.round((Math.min(first + CHUNKS_PER_READ, chunkCount) / chunkCount) * 100));
+    }
+  }
+
+  /**
+   * Decrypt an encrypted payload
+   * @param {Blob} payload - Encrypted chunks (after the payload nonce)
+   * @param {Uint8Array} payloadKey - 32-byte payload key
+   * @param {function(number): void} [onProgress] - Called with progress (0-100)
+   * @yields {Uint8Array} Plaintext chunks
+   */
+  static async *decrypt(payload, payloadKey, onProgress) {
+    const chunkCount = Math.ceil(payload.size / ENCRYPTED_CHUNK_SIZE);
+    if (chunkCount === 0) {
+      throw new Error('Invalid age file: truncated payload');
+    }
+
+    for (let first = 0; first < chunkCount; first += CHUNKS_PER_READ) {
+      const offset = first * ENCRYPTED_CHUNK_SIZE;
+      const batch = new Uint8Array(await payload.slice(offset, offset + ENCRYPTED_CHUNK_SIZE * CHUNKS_PER_READ).arrayBuffer());
+
+      for (let index = first; index < Math.min(chunkCount, first + CHUNKS_PER_READ); index++) {
+        const start = (index - first) * ENCRYPTED_CHUNK_SIZE;
+        const chunk = batch.subarray(start, start + ENCRYPTED_CHUNK_SIZE);
+        const isLast = index === chunkCount - 1;
+
+        if (chunk.length < TAG_LENGTH) {
+          throw new Error('Invalid age file: truncated chunk');
+        }
+        // Only an empty file may end with an empty chunk
+        if (isLast && index > 0 && chunk.length === TAG_LENGTH) {
+          throw new Error('Invalid age file: empty last chunk');
+        }
+
+        let plaintext;
+        try {
+          plaintext = chacha20poly1305(payloadKey, this.chunkNonce(index, isLast)).decrypt(chunk);
+        } catch (e) {
+          throw new Error(isLast
+            ? 'Decryption failed: the age file is truncated or corrupted'
+            : 'Decryption failed: the age file is corrupted');
+        }
+        yield plaintext;
+      }
+
+      if (onProgress) onProgress(Math.round((Math.min(first + CHUNKS_PER_READ, chunkCount) / chunkCount) * 100));
+    }
+  }
+}
@@ -0,0 +1,317 @@
+/**
+ * Age - Read and write age-encryption.org/v1 files
+ *
+ * A random 16-byte file key is wrapped once per recipient stanza (scrypt passphrase
+ * or X25519 public key), the header is authenticated with an HMAC keyed from the
+ * file key, and the payload is a ChaCha20-Poly1305 STREAM keyed from the file key
+ * and a random nonce. WebCrypto has none of these primitives, so they come from
+ * the pure-JS @noble libraries.
+ */
+
+import { x25519 } from '@noble/curves/ed25519.js';
+import { chacha20poly1305 } from '@noble/ciphers/chacha.js';
+import { hkdf } from '@noble/hashes/hkdf.js';
+import { hmac } from '@noble/hashes/hmac.js';
+import { scryptAsync } from '@noble/hashes/scrypt.js';
+import { sha256 } from '@noble/hashes/sha2.js';
+import { AgeHeader } from './age-header.js';
+import { AgeStream } from './age-stream.js';
+import { AgeArmor } from './age-armor.js';
+import { AgeKeys } from './age-keys.js';
+import { Encoding } from '../../utils/encoding.js';
+
+export const AGE_EXTENSION = '.age';
+
+// age's own default: about a second of work and 256 MiB of memory
+export const DEFAULT_SCRYPT_WORK_FACTOR = 18;
+// 2^20 needs 1 GiB of memory, about the most a browser tab can be expected to allocate
+const MAX_SCRYPT_WORK_FACTOR = 20;
+
+const FILE_KEY_LENGTH = 16;
+const PAYLOAD_NONCE_LENGTH = 16;
+const SCRYPT_LABEL = 'age-encryption.org/v1/scrypt';
+const X25519_LABEL = 'age-encryption.org/v1/X25519';
+const ZERO_NONCE = new Uint8Array(12);
+
+export class Age {
+  /**
+   * Encrypt a file
+   * @param {Blob} source - Plaintext
+   * @param {{passphrase?: string|null, recipients?: string[], armor?: boolean, workFactor?: number}} options
+   *   A passphrase or age1... recipients (not both); armor writes ASCII armor
+   * @param {function(number): void} [onProgress] - Called with progress (0-100)
+   * @returns {Promise<Blob>} age file
+   */
+  static async encrypt(source, options, onProgress) {
+    const { passphrase = null, recipients = [], armor = false, workFactor = DEFAULT_SCRYPT_WORK_FACTOR } = options;
+
+    if (passphrase && recipients.length > 0) {
+      throw new Error('Use either a password or recipients, not both');
+    }
+    if (!passphrase && recipients.length === 0) {
+      throw new Error('age files need a password or at least one age1... recipient');
+    }
+
+    const fileKey = crypto.getRandomValues(new Uint8Array(FILE_KEY_LENGTH));
+    const stanzas = passphrase
+      ? [await this.wrapWithPassphrase(fileKey, passphrase, workFactor)]
+      : recipients.map((recipient, i) => {
+        try {
+          return this.wrapForRecipient(fileKey, AgeKeys.parseRecipient(recipient));
+        } catch (error) {
+          throw new Error(`Recipient ${i + 1}: ${error.message}`);
+        }
+      });
+
+    const macInput = AgeHeader.encodeWithoutMac(stanzas);
+    const header = AgeHeader.appendMac(macInput, this.headerMac(fileKey, macInput));
+
+    const nonce = crypto.getRandomValues(new Uint8Array(PAYLOAD_NONCE_LENGTH));
+    const parts = [header, nonce];
+    for await (const chunk of AgeStream.encrypt(source, this.payloadKey(fileKey, nonce), onProgress)) {
+      parts.push(chunk);
+    }
+
+    const binary = new Blob(parts, { type: 'application/octet-stream' });
+    return armor ? await AgeArmor.encode(binary) : binary;
+  }
+
+  /**
+   * Describe what an age file needs to be decrypted, without any credentials
+   * @param {Blob} file - age file, binary or armored
+   * @returns {Promise<{armored: boolean, required: 'password'|'privateKey', recipientCount: number}>}
+   */
+  static async inspect(file) {
+    const armored = await AgeArmor.isArmored(file);
+    const { stanzas } = await AgeHeader.read(armored ? await AgeArmor.decode(file) : file);
+
+    if (stanzas.some(stanza => stanza.type === 'scrypt')) {
+      return { armored, required: 'password', recipientCount: 1 };
+    }
+    const recipientCount = stanzas.filter(stanza => stanza.type === 'X25519').length;
+    if (recipientCount === 0) {
+      const types = [...new Set(stanzas.map(stanza => stanza.type))].join(', ');
+      throw new Error(`This age file uses recipient types Endecrypt does not support (${types})`);
+    }
+    return { armored, required: 'privateKey', recipientCount };
+  }
+
+  /**
+   * Decrypt a file
+   * @param {Blob} file - age file, binary or armored
+   * @param {{password?: string|null, privateKey?: string|null}} credentials - Passphrase, or
+   *   AGE-SECRET-KEY-1... identities, e.g. the contents of an age key file
+   * @param {function(number): void} [onProgress] - Called with progress (0-100)
+   * @returns {Promise<Blob>} Plaintext
+   */
+  static async decrypt(file, credentials, onProgress) {
+    const binary = await AgeArmor.isArmored(file) ? await AgeArmor.decode(file) : file;
+    const header = await AgeHeader.read(binary);
+
+    const fileKey = await this.unwrapFileKey(header.stanzas, credentials);
+    if (!constantTimeEqual(this.headerMac(fileKey, header.macInput), header.mac)) {
+      throw new Error('Invalid age file: header MAC mismatch (the header was modified)');
+    }
+
+    const nonce = new Uint8Array(await binary.slice(header.length, header.length + PAYLOAD_NONCE_LENGTH).arrayBuffer());
+    if (nonce.length !== PAYLOAD_NONCE_LENGTH) {
+      throw new Error('Invalid age file: truncated payload');
+    }
+
+    const parts = [];
+    const payload = binary.slice(header.length + PAYLOAD_NONCE_LENGTH);
+    for await (const chunk of AgeStream.decrypt(payload, this.payloadKey(fileKey, nonce), onProgress)) {
+      parts.push(chunk);
+    }
+    return new Blob(parts, { type: 'application/octet-stream' });
+  }
+
+  /**
+   * Find a stanza the credentials open and unwrap the file key
+   * @param {object[]} stanzas - Parsed header stanzas
+   * @param {{password?: string|null, privateKey?: string|null}} credentials - See decrypt
+   * @returns {Promise<Uint8Array>} File key
+   */
+  static async unwrapFileKey(stanzas, credentials) {
+    const scryptStanza = stanzas.find(stanza => stanza.type === 'scrypt');
+
+    if (scryptStanza) {
+      // A passphrase stanza must stand alone, or anyone with a recipient key could rewrap it
+      if (stanzas.length !== 1) {
+        throw new Error('Invalid age file: scrypt stanza must be the only recipient');
+      }
+      if (!credentials.password) {
+        throw new Error('Password required for this file');
+      }
+      const fileKey = await this.unwrapWithPassphrase(scryptStanza, credentials.password);
+      if (!fileKey) {
+        throw new Error('Decryption failed. Invalid password or corrupted file.');
+      }
+      return fileKey;
+    }
+
+    if (!credentials.privateKey) {
+      throw new Error('Private key required for this file');
+    }
+    const identities = AgeKeys.extractIdentities(credentials.privateKey).map(identity => AgeKeys.parseIdentity(identity));
+    if (identities.length === 0) {
+      throw new Error('Invalid age identity: expected AGE-SECRET-KEY-1...');
+    }
+
+    for (const stanza of stanzas.filter(entry => entry.type === 'X25519')) {
+      for (const identity of identities) {
+        const fileKey = this.unwrapForIdentity(stanza, identity);
+        if (fileKey) return fileKey;
+      }
+    }
+    throw new Error('This file was not encrypted for your key');
+  }
+
+  /**
+   * Wrap the file key with a passphrase
+   * @param {Uint8Array} fileKey - File key
+   * @param {string} passphrase - Passphrase
+   * @param {number} workFactor - log2 of the scrypt cost N
+   * @returns {Promise<{type: string, args: string[], body: Uint8Array}>} scrypt stanza
+   */
+  static async wrapWithPassphrase(fileKey, passphrase, workFactor) {
+    const salt = crypto.getRandomValues(new Uint8Array(16));
+    const key = await deriveScryptKey(passphrase, salt, workFactor);
+    return {
+      type: 'scrypt',
+      args: [Encoding.toBase64Unpadded(salt), String(workFactor)],
+      body: chacha20poly1305(key, ZERO_NONCE).encrypt(fileKey)
+    };
+  }
+
+  /**
+   * Unwrap the file key from a scrypt stanza
+   * @param {object} stanza - scrypt stanza
+   * @param {string} passphrase - Passphrase
+   * @returns {Promise<Uint8Array|null>} File key, or null if the passphrase is wrong
+   */
+  static async unwrapWithPassphrase(stanza, passphrase) {
+    const [saltText, workFactorText] = stanza.args;
+    if (stanza.args.length !== 2 || !/^[1-9][0-9]?$/.test(workFactorText || '')) {
+      throw new Error('Invalid age file: malformed scrypt stanza');
+    }
+    const salt = Encoding.fromBase64Unpadded(saltText);
+    const workFactor = parseInt(workFactorText, 10);
+    if (salt.length !== 16 || stanza.body.length !== FILE_KEY_LENGTH + 16) {
+      throw new Error('Invalid age file: malformed scrypt stanza');
+    }
+    if (workFactor > MAX_SCRYPT_WORK_FACTOR) {
+      throw new Error(`This file's scrypt work factor (${workFactor}) needs more memory than a browser can provide`);
+    }
+
+    const key = await deriveScryptKey(passphrase, salt, workFactor);
+    try {
+      return chacha20poly1305(key, ZERO_NONCE).decrypt(stanza.body);
+    } catch (e) {
+      return null;
+    }
+  }
+
+  /**
+   * Wrap the file key for an X25519 recipient
+   * @param {Uint8Array} fileKey - File key
+   * @param {Uint8Array} recipient - Recipient public key
+   * @returns {{type: string, args: string[], body: Uint8Array}} X25519 stanza
+   */
+  static wrapForRecipient(fileKey, recipient) {
+    const ephemeral = x25519.utils.randomSecretKey();
+    const share = x25519.getPublicKey(ephemeral);
+    const wrapKey = deriveX25519WrapKey(x25519.getSharedSecret(ephemeral, recipient), share, recipient);
+    return {
+      type: 'X25519',
+      args: [Encoding.toBase64Unpadded(share)],
+      body: chacha20poly1305(wrapKey, ZERO_NONCE).encrypt(fileKey)
+    };
+  }
+
+  /**
+   * Unwrap the file key from an X25519 stanza
+   * @param {object} stanza - X25519 stanza
+   * @param {{secretKey: Uint8Array, publicKey: Uint8Array}} identity - Parsed identity
+   * @returns {Uint8Array|null} File key, or null if the stanza is for another identity
+   */
+  static unwrapForIdentity(stanza, identity) {
+    if (stanza.args.length !== 1 || stanza.body.length !== FILE_KEY_LENGTH + 16) {
+      throw new Error('Invalid age file: malformed X25519 stanza');
+    }
+    const share = Encoding.fromBase64Unpadded(stanza.args[0]);
+    if (share.length !== 32) {
+      throw new Error('Invalid age file: malformed X25519 stanza');
+    }
+
+    let sharedSecret;
+    try {
+      sharedSecret = x25519.getSharedSecret(identity.secretKey, share);
+    } catch (e) {
+      // Low-order points give an all-zero secret, which noble rejects
+      throw new Error('Invalid age file: malformed X25519 stanza');
+    }
+
+    const wrapKey = deriveX25519WrapKey(sharedSecret, share, identity.publicKey);
+    try {
+      return chacha20poly1305(wrapKey, ZERO_NONCE).decrypt(stanza.body);
+    } catch (e) {
+      return null;
+    }
+  }
+
+  /**
+   * HMAC over the header, keyed from the file key
+   * @param {Uint8Array} fileKey - File key
+   * @param {Uint8Array} macInput - Header up to and including "---"
+   * @returns {Uint8Array}
+   */
+  static headerMac(fileKey, macInput) {
+    const macKey = hkdf(sha256, fileKey, new Uint8Array(0), utf8('header'), 32);
+    return hmac(sha256, macKey, macInput);
+  }
+
+  /**
+   * Derive the payload key from the file key and payload nonce
+   * @param {Uint8Array} fileKey - File key
+   * @param {Uint8Array} nonce - 16-byte payload nonce
+   * @returns {Uint8Array}
+   */
+  static payloadKey(fileKey, nonce) {
+    return hkdf(sha256, fileKey, nonce, utf8('payload'), 32);
+  }
+}
+
+async function deriveScryptKey(passphrase, salt, workFactor) {
+  const label = utf8(SCRYPT_LABEL);
+  const fullSalt = new Uint8Array(label.length + salt.length);
+  fullSalt.set(label, 0);
+  fullSalt.set(salt, label.length);
+  return await scryptAsync(utf8(passphrase), fullSalt, {
+    N: 2 ** workFactor,
+    r: 8,
+    p: 1,
+    dkLen: 32,
+    maxmem: 2 ** (MAX_SCRYPT_WORK_FACTOR + 10) + 1024
+  });
+}
+
+function deriveX25519WrapKey(sharedSecret, share, recipient) {
+  const salt = new Uint8Array(64);
+  salt.set(share, 0);
+  salt.set(recipient, 32);
+  return hkdf(sha256, sharedSecret, salt, utf8(X25519_LABEL), 32);
+}
+
+function utf8(text) {
+  return new TextEncoder().encode(text);
+}
+
+function constantTimeEqual(a, b) {
+  if (a.length !== b.length) return false;
+  let diff = 0;
+  for (let i = 0; i < a.length; i++) {
+    diff |= a[i] ^ b[i];
+  }
+  return diff === 0;
+}
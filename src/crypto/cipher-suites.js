@@ -0,0 +1,169 @@
+/**
+ * Cipher Suites - Authenticated encryption algorithms for the v2 container
+ *
+ * A suite is an object with:
+ *   id, name                            -> header value and display name
+ *   ivLength, tagLength                 -> nonce size, and bytes added to every encrypted block
+ *   importKey(keyData)                  -> key object (structured-cloneable, so it can reach a worker)
+ *   encrypt(key, iv, aad, plaintext)    -> ArrayBuffer [ciphertext][tag]
+ *   decrypt(key, iv, aad, ciphertext)   -> ArrayBuffer; throws if authentication fails
+ * Every suite takes the same 32-byte data key, so key slots, shares and key strings
+ * work the same for all of them. The suite ID is stored in the header; files from
+ * before suites were selectable have none and use AES-256-GCM.
+ */
+
+import { xchacha20poly1305 } from '@noble/ciphers/chacha.js';
+
+export const DEFAULT_CIPHER_SUITE = 'aes-256-gcm';
+
+// AES-CTR counter blocks are the 12-byte nonce followed by a 32-bit block counter
+const CTR_COUNTER_BITS = 32;
+const HMAC_TAG_LENGTH = 32;
+
+const AesGcm = {
+  id: 'aes-256-gcm',
+  name: 'AES-256-GCM',
+  ivLength: 12,
+  tagLength: 16,
+
+  async importKey(keyData) {
+    return await crypto.subtle.importKey('raw', keyData, { name: 'AES-GCM', length: 256 }, false, ['encrypt', 'decrypt']);
+  },
+
+  async encrypt(key, iv, aad, plaintext) {
+    return await crypto.subtle.encrypt({ name: 'AES-GCM', iv, additionalData: aad }, key, plaintext);
+  },
+
+  async decrypt(key, iv, aad, ciphertext) {
+    return await crypto.subtle.decrypt({ name: 'AES-GCM', iv, additionalData: aad }, key, ciphertext);
+  }
+};
+
+// Pure JS: WebCrypto has no ChaCha20. The 24-byte nonce leaves no practical limit on
+// how many files or chunks one key may encrypt.
+const XChaCha20Poly1305 = {
+  id: 'xchacha20-poly1305',
+  name: 'XChaCha20-Poly1305',
+  ivLength: 24,
+  tagLength: 16,
+
+  async importKey(keyData) {
+    return new Uint8Array(keyData);
+  },
+
+  async encrypt(key, iv, aad, plaintext) {
+    return toArrayBuffer(xchacha20poly1305(key, iv, aad).encrypt(new Uint8Array(plaintext)));
+  },
+
+  async decrypt(key, iv, aad, ciphertext) {
+    return toArrayBuffer(xchacha20poly1305(key, iv, aad).decrypt(new Uint8Array(ciphertext)));
+  }
+};
+
+// Encrypt-then-MAC from FIPS-approved parts, with separate keys derived by HKDF
+const AesCtrHmac = {
+  id: 'aes-256-ctr-hmac-sha256',
+  name: 'AES-256-CTR + HMAC-SHA-256',
+  ivLength: 12,
+  tagLength: HMAC_TAG_LENGTH,
+
+  async importKey(keyData) {
+    const ikm = await crypto.subtle.importKey('raw', keyData, 'HKDF', false, ['deriveKey']);
+    const hkdf = (info) => ({ name: 'HKDF', hash: 'SHA-256', salt: new Uint8Array(0), info: new TextEncoder().encode(info) });
+    return {
+      encryptionKey: await crypto.subtle.deriveKey(
+        hkdf('endecrypt aes-256-ctr'), ikm, { name: 'AES-CTR', length: 256 }, false, ['encrypt', 'decrypt']
+      ),
+      macKey: await crypto.subtle.deriveKey(
+        hkdf('endecrypt hmac-sha256'), ikm, { name: 'HMAC', hash: 'SHA-256', length: 256 }, false, ['sign', 'verify']
+      )
+    };
+  },
+
+  async encrypt(key, iv, aad, plaintext) {
+    const ciphertext = new Uint8Array(await crypto.subtle.encrypt(ctrParams(iv), key.encryptionKey, plaintext));
+    const tag = new Uint8Array(await crypto.subtle.sign('HMAC', key.macKey, macInput(iv, aad, ciphertext)));
+
+    const result = new Uint8Array(ciphertext.length + tag.length);
+    result.set(ciphertext, 0);
+    result.set(tag, ciphertext.length);
+    return result.buffer;
+  },
+
+  async decrypt(key, iv, aad, data) {
+    const bytes = new Uint8Array(data);
+    if (bytes.length < HMAC_TAG_LENGTH) {
+      throw new Error('Ciphertext too short');
+    }
+    const ciphertext = bytes.subarray(0, bytes.length - HMAC_TAG_LENGTH);
+    const tag = bytes.subarray(bytes.length - HMAC_TAG_LENGTH);
+
+    // The MAC is checked before anything is decrypted
+    if (!(await crypto.subtle.verify('HMAC', key.macKey, tag, macInput(iv, aad, ciphertext)))) {
+      throw new Error('Authentication failed');
+    }
+    return await crypto.subtle.decrypt(ctrParams(iv), key.encryptionKey, ciphertext);
+  }
+};
+
+const SUITES = new Map([AesGcm, XChaCha20Poly1305, AesCtrHmac].map(suite => [suite.id, suite]));
+
+export class CipherSuites {
+  /**
+   * Get a suite by ID
+   * @param {string} id - Suite ID
+   * @returns {object} Suite
+   */
+  static get(id) {
+    const suite = SUITES.get(id);
+    if (!suite) {
+      throw new Error(`Unsupported cipher suite: ${id}`);
+    }
+    return suite;
+  }
+
+  /**
+   * Get the suite a file header names
+   * @param {object} header - Parsed v2 header
+   * @returns {object} Suite
+   */
+  static forHeader(header) {
+    return this.get(header.cipher || DEFAULT_CIPHER_SUITE);
+  }
+
+  /**
+   * All suites, default first
+   * @returns {object[]}
+   */
+  static list() {
+    return [...SUITES.values()];
+  }
+}
+
+function ctrParams(iv) {
+  const counter = new Uint8Array(16);
+  counter.set(iv, 0);
+  return { name: 'AES-CTR', counter, length: CTR_COUNTER_BITS };
+}
+
+/**
+ * [8 bytes: AAD length (big-endian)][AAD][nonce][ciphertext], so the AAD/ciphertext boundary is unambiguous
+ * @param {Uint8Array} iv - Nonce
+ * @param {Uint8Array} aad - Additional authenticated data
+ * @param {Uint8Array} ciphertext - Ciphertext
+ * @returns {Uint8Array}
+ */
+function macInput(iv, aad, ciphertext) {
+  const input = new Uint8Array(8 + aad.length + iv.length + ciphertext.length);
+  new DataView(input.buffer).setBigUint64(0, BigInt(aad.length), false);
+  input.set(aad, 8);
+  input.set(iv, 8 + aad.length);
+  input.set(ciphertext, 8 + aad.length + iv.length);
+  return input;
+}
+
+function toArrayBuffer(bytes) {
+  return bytes.byteOffset === 0 && bytes.byteLength === bytes.buffer.byteLength
+    ? bytes.buffer
+    : bytes.slice().buffer;
+}
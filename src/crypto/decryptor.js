@@ -1,106 +1,191 @@
 /**
- * Decryptor - Handles file decryption with AES-GCM
+ * Decryptor - Handles file decryption with the file's cipher suite
+ *
+ * Container parsing and decryption are dispatched on the format version to the
+ * readers registered in FormatReaders.
  */
 
-import { KeyManager } from './key-manager.js';
+import { FormatReaders } from './format-readers.js';
+import { FileFormat } from './file-format.js';
+import { BlobBuilder } from '../file-handling/blob-builder.js';
+import { Compression } from '../file-handling/compression.js';
 
 export class Decryptor {
   /**
    * Parse encrypted file structure
-   * @param {ArrayBuffer} fileData - Encrypted file data
-   * @returns {Promise<{salt: Uint8Array, iv: Uint8Array, encryptedData: ArrayBuffer, metadata: object}>}
+   * Only the header, key slots and metadata are read; chunks stay on disk until decrypted.
+   * For version 1.0 files `header` is the legacy plaintext metadata and `keySlots` is null.
+   * @param {Blob} file - Encrypted file
+   * @returns {Promise<{version: number, header: object, headerBytes: Uint8Array|null, keySlots: object|null, keySlotsStart: number, keySlotsEnd: number, signature: object|null, salt: Uint8Array|null, iv: Uint8Array, encryptedMetadata: Uint8Array|null, payloadStart: number, payloadEnd: number}>}
    */
-  static async parseEncryptedFile(fileData) {
-    const data = new Uint8Array(fileData);
-    
-    // Validate minimum file size (salt + iv + at least some data + metadata + length)
-    if (data.length < 28 + 4) {
-      throw new Error('File is too small to be a valid encrypted file');
+  static async parseEncryptedFile(file) {
+    const format = await FormatReaders.identify(file);
+    if (!format.supported) {
+      throw new Error(FileFormat.describe(format));
     }
-    
-    // Extract salt (first 16 bytes)
-    const salt = data.slice(0, 16);
-    
-    // Extract IV (next 12 bytes)
-    const iv = data.slice(16, 28);
-    
-    // Read metadata length from the end (last 4 bytes)
-    const metadataLengthView = new DataView(fileData, data.length - 4, 4);
-    const metadataLength = metadataLengthView.getUint32(0, true);
-    
-    // Validate metadata length
-    if (metadataLength <= 0 || metadataLength > data.length - 32) {
-      throw new Error('Invalid metadata length in encrypted file');
-    }
-    
-    // Extract metadata (before the length bytes)
-    const metadataStart = data.length - 4 - metadataLength;
-    
-    // Ensure metadata start is after header
-    if (metadataStart < 28) {
-      throw new Error('Invalid file structure: metadata overlaps with header');
+    return await FormatReaders.get(format.version).parse(file, format);
+  }
+
+  /**
+   * Decrypt and parse the metadata block
+   * Version 1.0 files carry plaintext metadata, which is returned as-is.
+   * @param {object} parsed - Result of parseEncryptedFile
+   * @param {object} key - Result of prepareKey
+   * @returns {Promise<object>} Metadata object
+   */
+  static async decryptMetadata(parsed, key) {
+    return await FormatReaders.get(parsed.version).decryptMetadata(parsed, key);
+  }
+
+  /**
+   * Decrypt the payload of a parsed file chunk by chunk
+   * @param {Blob} file - Encrypted file
+   * @param {object} parsed - Result of parseEncryptedFile
+   * @param {object} key - Result of prepareKey
+   * @param {object} metadata - Result of decryptMetadata
+   * @param {CryptoPool} [pool] - Workers to decrypt on, for formats that support it
+   * @yields {{data: ArrayBuffer, index: number, progress: number}}
+   */
+  static async *decryptChunks(file, parsed, key, metadata, pool = null) {
+    yield* FormatReaders.get(parsed.version).decryptChunks(file, parsed, key, metadata, pool);
+  }
+
+  /**
+   * Decrypt a byte range of the plaintext of a parsed file
+   * Only the chunks overlapping the range are read, so repeated reads (seeking in a video)
+   * can reuse one key and metadata.
+   * @param {Blob} file - Encrypted file
+   * @param {object} parsed - Result of parseEncryptedFile
+   * @param {object} key - Result of prepareKey
+   * @param {object} metadata - Result of decryptMetadata
+   * @param {number} start - First plaintext byte
+   * @param {number} end - End (exclusive); clamped to the plaintext size
+   * @returns {Promise<{data: ArrayBuffer, size: number}>} size is the total plaintext size
+   */
+  static async decryptParsedRange(file, parsed, key, metadata, start, end) {
+    const reader = FormatReaders.get(parsed.version);
+    if (!reader.decryptRange) {
+      throw new Error(`Version ${parsed.version} files can only be decrypted as a whole`);
     }
-    
-    const metadataBytes = data.slice(metadataStart, data.length - 4);
-    const decoder = new TextDecoder();
-    const metadataJson = decoder.decode(metadataBytes);
-    
-    let metadata;
-    try {
-      metadata = JSON.parse(metadataJson);
-    } catch (e) {
-      throw new Error(`Invalid metadata JSON: ${e.message}`);
+    return await reader.decryptRange(file, parsed, key, metadata, start, end);
+  }
+
+  /**
+   * Prepare decryption key based on the parsed file and the user's credentials
+   * @param {object} parsed - Result of parseEncryptedFile
+   * @param {{password?: string|null, keyfile?: Blob|null, key?: string|null, privateKey?: string|object|null, shares?: string[]}} credentials
+   *   Password and/or keyfile, key string for password-less files, the recipient's private key (text or JWK),
+   *   or K key share tokens (any version 2 file)
+   * @returns {Promise<object>} Decryption key for the file's cipher suite
+   */
+  static async prepareKey(parsed, credentials) {
+    return await FormatReaders.get(parsed.version).prepareKey(parsed, credentials);
+  }
+
+  /**
+   * Import a raw data key (from unlockKeyData) for the file's cipher suite
+   * @param {object} parsed - Result of parseEncryptedFile
+   * @param {Uint8Array} keyData - Raw data key
+   * @returns {Promise<object>} Decryption key
+   */
+  static async importKeyData(parsed, keyData) {
+    const reader = FormatReaders.get(parsed.version);
+    if (!reader.importKeyData) {
+      throw new Error(`Version ${parsed.version} files have no separate data key`);
     }
-    
-    // Extract encrypted data (between IV and metadata)
-    const encryptedData = data.slice(28, metadataStart).buffer;
-    
-    return { salt, iv, encryptedData, metadata };
+    return await reader.importKeyData(parsed, keyData);
   }
 
   /**
-   * Decrypt a data chunk using AES-GCM
-   * @param {ArrayBuffer} encryptedData - Encrypted chunk data
-   * @param {CryptoKey} key - AES-GCM key
-   * @param {Uint8Array} iv - Initialization vector
-   * @returns {Promise<ArrayBuffer>} Decrypted data
+   * Recover the raw data key of a file that has one (version 2 and later)
+   * @param {object} parsed - Result of parseEncryptedFile
+   * @param {object} credentials - See prepareKey
+   * @returns {Promise<{keyData: Uint8Array, slotIndex: number}>} slotIndex is the password slot
+   *   that was opened, or -1 when another credential was used
    */
-  static async decryptChunk(encryptedData, key, iv) {
-    try {
-      return await crypto.subtle.decrypt(
-        {
-          name: 'AES-GCM',
-          iv: iv
-        },
-        key,
-        encryptedData
-      );
-    } catch (error) {
-      throw new Error('Decryption failed. Invalid password or corrupted file.');
+  static async unlockKeyData(parsed, credentials) {
+    const reader = FormatReaders.get(parsed.version);
+    if (!reader.unlockKeyData) {
+      throw new Error(`Version ${parsed.version} files have no separate data key`);
     }
+    return await reader.unlockKeyData(parsed, credentials);
+  }
+
+  /**
+   * Determine which credential a file needs to be decrypted
+   * @param {object} parsed - Result of parseEncryptedFile
+   * @returns {'password'|'key'|'privateKey'|'none'}
+   */
+  static getRequiredCredential(parsed) {
+    return FormatReaders.get(parsed.version).getRequiredCredential(parsed);
+  }
+
+  /**
+   * Whether the password slots of a file use a keyfile
+   * @param {object} parsed - Result of parseEncryptedFile
+   * @returns {'required'|'optional'|'none'} 'optional' when only some slots need one
+   */
+  static getKeyfileRequirement(parsed) {
+    const slots = parsed.keySlots ? parsed.keySlots.passwords : [];
+    const withKeyfile = slots.filter(slot => slot.keyfile).length;
+
+    if (withKeyfile === 0) return 'none';
+    return withKeyfile === slots.length ? 'required' : 'optional';
   }
 
   /**
-   * Prepare decryption key based on metadata and password
-   * @param {object} metadata - File metadata
-   * @param {string|null} password - Optional password
-   * @param {Uint8Array} salt - Salt from encrypted file
-   * @returns {Promise<CryptoKey>} Decryption key
+   * Decrypt a complete encrypted file
+   * @param {Blob} file - Encrypted file
+   * @param {object} credentials - See prepareKey
+   * @param {function(number, number, number): void} [onProgress] - Called with (progress, chunkIndex, totalChunks)
+   * @param {CryptoPool} [pool] - Workers to decrypt chunks on in parallel
+   * @returns {Promise<{blob: Blob, metadata: object}>}
    */
-  static async prepareKey(metadata, password, salt) {
-    if (metadata.hasPassword) {
-      if (!password) {
-        throw new Error('Password required for this file');
+  static async decryptFile(file, credentials, onProgress, pool = null) {
+    const parsed = await this.parseEncryptedFile(file);
+    const key = await this.prepareKey(parsed, credentials);
+    const metadata = await this.decryptMetadata(parsed, key);
+
+    const blobBuilder = new BlobBuilder();
+    const chunks = this.decryptChunks(file, parsed, key, metadata, pool);
+
+    if (!metadata.compression) {
+      for await (const chunk of chunks) {
+        if (onProgress) onProgress(chunk.progress, chunk.index, metadata.chunksCount || 1);
+        blobBuilder.addChunk(chunk.data, chunk.index);
       }
-      return await KeyManager.deriveKey(password, salt);
-    } else {
-      // Use embedded key for password-less files
-      if (!metadata.key) {
-        throw new Error('Invalid file format: missing key data');
+      return { blob: blobBuilder.build(metadata.mimeType), metadata };
+    }
+
+    // Compressed files are inflated as the decrypted chunks stream in
+    const compressed = (async function* () {
+      for await (const chunk of chunks) {
+        if (onProgress) onProgress(chunk.progress, chunk.index, metadata.chunksCount);
+        yield chunk.data;
       }
-      const keyData = new Uint8Array(metadata.key);
-      return await KeyManager.importKey(keyData);
+    })();
+
+    let index = 0;
+    for await (const data of Compression.decompress(compressed, metadata.compression)) {
+      blobBuilder.addChunk(data, index++);
     }
+    return { blob: blobBuilder.build(metadata.mimeType), metadata };
+  }
+
+  /**
+   * Decrypt a byte range of an encrypted file without processing the rest of it
+   * @param {Blob} file - Encrypted file
+   * @param {object} credentials - See prepareKey
+   * @param {number} start - First plaintext byte
+   * @param {number} end - End (exclusive); clamped to the plaintext size
+   * @returns {Promise<{data: ArrayBuffer, size: number, metadata: object}>} size is the total plaintext size
+   */
+  static async decryptRange(file, credentials, start, end) {
+    const parsed = await this.parseEncryptedFile(file);
+    const key = await this.prepareKey(parsed, credentials);
+    const metadata = await this.decryptMetadata(parsed, key);
+    const { data, size } = await this.decryptParsedRange(file, parsed, key, metadata, start, end);
+    return { data, size, metadata };
   }
 
   /**
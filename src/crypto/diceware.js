@@ -0,0 +1,71 @@
+/**
+ * Diceware - Random passphrases from the EFF large wordlist
+ *
+ * Words are drawn with crypto.getRandomValues, so every word adds log2(7776) ≈ 12.9 bits
+ * even against an attacker who knows the wordlist and the settings. Random capitalization
+ * adds one bit per word; capitalizing every word adds nothing.
+ */
+
+import { EFF_LARGE_WORDLIST } from './wordlists/eff-large.js';
+
+export const MIN_PASSPHRASE_WORDS = 4;
+export const MAX_PASSPHRASE_WORDS = 12;
+// No empty separator: without one, different word sequences can spell the same passphrase
+export const PASSPHRASE_SEPARATORS = Object.freeze(['-', ' ', '.', '_']);
+export const CAPITALIZATION_MODES = Object.freeze(['none', 'words', 'random']);
+
+export class Diceware {
+  /**
+   * Generate a passphrase
+   * @param {{words?: number, separator?: string, capitalization?: string}} [options]
+   *   capitalization: 'none' (all lowercase), 'words' (Every Word) or 'random' (each word at random)
+   * @returns {{passphrase: string, bits: number}} bits is the exact entropy of the passphrase
+   */
+  static generate(options = {}) {
+    const { words = 6, separator = '-', capitalization = 'none' } = options;
+
+    if (!Number.isInteger(words) || words < MIN_PASSPHRASE_WORDS || words > MAX_PASSPHRASE_WORDS) {
+      throw new Error(`Word count must be between ${MIN_PASSPHRASE_WORDS} and ${MAX_PASSPHRASE_WORDS}`);
+    }
+    if (!PASSPHRASE_SEPARATORS.includes(separator)) {
+      throw new Error(`Unsupported separator: "${separator}"`);
+    }
+    if (!CAPITALIZATION_MODES.includes(capitalization)) {
+      throw new Error(`Unsupported capitalization: ${capitalization}`);
+    }
+
+    const chosen = [];
+    for (let i = 0; i < words; i++) {
+      const word = EFF_LARGE_WORDLIST[randomIndex(EFF_LARGE_WORDLIST.length)];
+      const capitalize = capitalization === 'words' || (capitalization === 'random' && randomIndex(2) === 1);
+      chosen.push(capitalize ? word[0].toUpperCase() + word.slice(1) : word);
+    }
+
+    return { passphrase: chosen.join(separator), bits: this.entropyBits(words, capitalization) };
+  }
+
+  /**
+   * Entropy of a passphrase generated with some settings
+   * @param {number} words - Word count
+   * @param {string} capitalization - Capitalization mode
+   * @returns {number} Bits
+   */
+  static entropyBits(words, capitalization) {
+    const perWord = Math.log2(EFF_LARGE_WORDLIST.length) + (capitalization === 'random' ? 1 : 0);
+    return words * perWord;
+  }
+}
+
+/**
+ * Uniform random integer in [0, n), by rejection sampling so no value is favoured
+ * @param {number} n - Upper bound (at most 2^32)
+ * @returns {number}
+ */
+function randomIndex(n) {
+  const limit = Math.floor(0x100000000 / n) * n;
+  const value = new Uint32Array(1);
+  do {
+    crypto.getRandomValues(value);
+  } while (value[0] >= limit);
+  return value[0] % n;
+}
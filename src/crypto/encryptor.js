@@ -1,110 +1,268 @@
 /**
- * Encryptor - Handles file encryption with AES-GCM
+ * Encryptor - Handles file encryption with a selectable cipher suite (AES-256-GCM by default)
  */
 
-import { KeyManager } from './key-manager.js';
+import { KeyManager, DEFAULT_KDF } from './key-manager.js';
+import { CipherSuites, DEFAULT_CIPHER_SUITE } from './cipher-suites.js';
+import { StreamFormat, FORMAT_VERSION } from './stream-format.js';
+import { FileFormat, CURRENT_VERSION, PREAMBLE_LENGTH } from './file-format.js';
+import { Signer } from './signer.js';
+import { ChunkedFileReader, CHUNK_SIZE } from '../file-handling/chunked-reader.js';
+import { CompressingReader } from '../file-handling/compression.js';
+import { PaddingReader } from '../file-handling/padding.js';
+import { BlobBuilder } from '../file-handling/blob-builder.js';
+import { Encoding } from '../utils/encoding.js';
+import { Concurrency } from '../utils/concurrency.js';
 
 export class Encryptor {
   /**
-   * Encrypt a data chunk using AES-GCM
+   * Encrypt a data chunk with the stream's cipher suite
    * @param {ArrayBuffer} data - Chunk data to encrypt
-   * @param {CryptoKey} key - AES-GCM key
-   * @param {Uint8Array} iv - Initialization vector
+   * @param {{cipher: string, key: object, iv: Uint8Array, aad: Uint8Array}} stream - Stream parameters
+   * @param {number} index - Chunk index
+   * @param {boolean} isFinal - Whether this is the last chunk
    * @returns {Promise<ArrayBuffer>} Encrypted data
    */
-  static async encryptChunk(data, key, iv) {
-    return await crypto.subtle.encrypt(
-      {
-        name: 'AES-GCM',
-        iv: iv
-      },
-      key,
+  static async encryptChunk(data, stream, index, isFinal) {
+    return await CipherSuites.get(stream.cipher).encrypt(
+      stream.key,
+      StreamFormat.chunkIV(stream.iv, index),
+      StreamFormat.chunkAAD(stream.aad, index, isFinal),
       data
     );
   }
 
   /**
-   * Prepare encryption key based on password
-   * @param {string|null} password - Optional password
-   * @param {Uint8Array} salt - Salt for key derivation
-   * @returns {Promise<{key: CryptoKey, keyData: Uint8Array|null}>}
+   * Encrypt every chunk produced by a chunked reader
+   * With a worker pool, several chunks are encrypted at once; they are still reported and
+   * assembled in order.
+   * @param {ChunkedFileReader|CompressingReader} reader - Reader over the plaintext
+   * @param {{cipher: string, key: object, iv: Uint8Array, aad: Uint8Array}} stream - Stream parameters
+   * @param {function(number, number): void} [onProgress] - Called with (progress, chunkIndex)
+   * @param {CryptoPool} [pool] - Workers to encrypt on; without one, chunks are encrypted here
+   * @returns {Promise<Blob[]>} Encrypted chunks in order
    */
-  static async prepareKey(password, salt) {
-    if (password) {
-      // Derive key from password
-      const key = await KeyManager.deriveKey(password, salt);
-      return { key, keyData: null };
-    } else {
-      // Generate random key for password-less encryption
-      const key = await KeyManager.generateRandomKey();
-      const keyData = await KeyManager.exportKey(key);
-      return { key, keyData };
+  static async encryptChunks(reader, stream, onProgress, pool = null) {
+    const blobBuilder = new BlobBuilder();
+    const encrypt = pool
+      ? chunk => pool.encryptChunk(chunk.data, stream, chunk.index, chunk.isLast)
+      : chunk => this.encryptChunk(chunk.data, stream, chunk.index, chunk.isLast);
+    const results = Concurrency.mapOrdered(reader.readChunks(), encrypt, pool ? pool.concurrency : 1);
+
+    for await (const { item: chunk, result: encrypted } of results) {
+      if (onProgress) onProgress(chunk.progress, chunk.index);
+      blobBuilder.addChunk(encrypted, chunk.index);
     }
+
+    return blobBuilder.getChunks();
+  }
+
+  /**
+   * Create the public file header
+   * Everything here is authenticated (as AAD) but not encrypted, and it never changes
+   * after encryption. Key slots live in a separate block so they can be rewritten.
+   * @param {Uint8Array} iv - Base initialization vector
+   * @param {string} [cipher] - Cipher suite ID
+   * @returns {object} Header object
+   */
+  static createHeader(iv, cipher = DEFAULT_CIPHER_SUITE) {
+    return {
+      version: FORMAT_VERSION,
+      cipher,
+      chunkSize: CHUNK_SIZE,
+      iv: Encoding.toBase64(iv)
+    };
+  }
+
+  /**
+   * Serialize the header to bytes
+   * @param {object} header - Header object
+   * @returns {Uint8Array} [preamble (magic, version, header length)][header JSON]
+   */
+  static serializeHeader(header) {
+    const json = new TextEncoder().encode(JSON.stringify(header));
+    const result = new Uint8Array(PREAMBLE_LENGTH + json.length);
+    result.set(FileFormat.createPreamble(CURRENT_VERSION, json.length), 0);
+    result.set(json, PREAMBLE_LENGTH);
+    return result;
+  }
+
+  /**
+   * Wrap the data key into key slots, one per password and one per recipient
+   * A password-less file has no slots; its key is exported separately and never stored.
+   * @param {Uint8Array} keyData - Raw data key
+   * @param {{passwords: string[], kdf: object, keyfileHash: Uint8Array|null, recipients: CryptoKey[]}} protection
+   *   Slot credentials; the keyfile, if any, is required by every password slot
+   * @param {Uint8Array} headerBytes - Serialized header every slot is bound to
+   * @returns {Promise<{passwords: object[], recipients: object[]}>} Key slots block
+   */
+  static async createKeySlots(keyData, protection, headerBytes) {
+    const keySlots = { passwords: [], recipients: [] };
+
+    for (const password of protection.passwords) {
+      keySlots.passwords.push(
+        await KeyManager.wrapKeyWithPassword(keyData, password, protection.kdf, headerBytes, protection.keyfileHash)
+      );
+    }
+    for (const recipientKey of protection.recipients) {
+      keySlots.recipients.push(await KeyManager.wrapKeyForRecipient(keyData, recipientKey, headerBytes));
+    }
+
+    return keySlots;
   }
 
   /**
    * Create encrypted file metadata
    * @param {string} filename - Original filename
    * @param {string} mimeType - File MIME type
-   * @param {boolean} hasPassword - Whether file is password-protected
    * @param {number} chunksCount - Number of encrypted chunks
-   * @param {Uint8Array|null} keyData - Raw key data (only for password-less)
+   * @param {string|null} [compression] - Compression applied before encryption ('gzip' or 'deflate')
+   * @param {{scheme: string, length: number}|null} [padding] - Padding appended before encryption
    * @returns {object} Metadata object
    */
-  static createMetadata(filename, mimeType, hasPassword, chunksCount, keyData) {
+  static createMetadata(filename, mimeType, chunksCount, compression = null, padding = null) {
     return {
-      version: '1.0',
       filename: filename,
       mimeType: mimeType,
-      hasPassword: hasPassword,
       chunksCount: chunksCount,
-      timestamp: Date.now(),
-      // Include key only if no password (will be stored in encrypted format)
-      key: keyData ? Array.from(keyData) : null
+      compression: compression,
+      padding: padding,
+      timestamp: Date.now()
     };
   }
 
   /**
    * Serialize metadata to bytes
    * @param {object} metadata - Metadata object
-   * @returns {Uint8Array} Serialized metadata with length appended
+   * @returns {Uint8Array} Serialized metadata with its length prepended
    */
   static serializeMetadata(metadata) {
     const json = JSON.stringify(metadata);
     const encoder = new TextEncoder();
     const metadataBytes = encoder.encode(json);
-    
-    // Append length as 4-byte integer at the end
+
+    // Prepend length as 4-byte integer
     const buffer = new ArrayBuffer(metadataBytes.length + 4);
     const result = new Uint8Array(buffer);
     const view = new DataView(buffer);
-    
-    // Copy metadata first
-    result.set(metadataBytes, 0);
-    
-    // Append length at the end
-    view.setUint32(metadataBytes.length, metadataBytes.length, true);
-    
+
+    view.setUint32(0, metadataBytes.length, true);
+    result.set(metadataBytes, 4);
+
+    return result;
+  }
+
+  /**
+   * Encrypt the metadata block, bound to the header like every chunk
+   * @param {object} metadata - Metadata object
+   * @param {{cipher: string, key: object, aad: Uint8Array}} stream - Stream parameters
+   * @returns {Promise<Uint8Array>} [metadata length (4 bytes)][IV][ciphertext]; the IV length depends on the suite
+   */
+  static async encryptMetadata(metadata, stream) {
+    const suite = CipherSuites.get(stream.cipher);
+    const plaintext = new TextEncoder().encode(JSON.stringify(metadata));
+    const iv = crypto.getRandomValues(new Uint8Array(suite.ivLength));
+    const ciphertext = new Uint8Array(await suite.encrypt(stream.key, iv, stream.aad, plaintext));
+
+    const result = new Uint8Array(4 + iv.length + ciphertext.length);
+    new DataView(result.buffer).setUint32(0, iv.length + ciphertext.length, true);
+    result.set(iv, 4);
+    result.set(ciphertext, 4 + iv.length);
     return result;
   }
 
   /**
    * Build final encrypted file structure
-   * [16 bytes: salt][12 bytes: IV][encrypted chunks...][metadata length (4 bytes)][metadata]
-   * @param {Uint8Array} salt - Salt used for key derivation
-   * @param {Uint8Array} iv - Initialization vector
-   * @param {Uint8Array[]} encryptedChunks - Array of encrypted chunk data
-   * @param {Uint8Array} metadata - Serialized metadata
+   * [header length (4 bytes)][header][key slots length (4 bytes)][key slots]
+   * [signature length (4 bytes)][signature][metadata length (4 bytes)][encrypted metadata][encrypted chunks...]
+   * Each chunk is CHUNK_SIZE bytes of plaintext plus the suite's tag, except the last.
+   * @param {Uint8Array} header - Serialized header
+   * @param {Uint8Array} keySlots - Serialized key slots block
+   * @param {Uint8Array} signature - Serialized signature block (`{}` when unsigned)
+   * @param {Uint8Array} metadata - Encrypted metadata block
+   * @param {BlobPart[]} encryptedChunks - Array of encrypted chunk data
    * @returns {Blob} Final encrypted file blob
    */
-  static buildEncryptedFile(salt, iv, encryptedChunks, metadata) {
+  static buildEncryptedFile(header, keySlots, signature, metadata, encryptedChunks) {
     const parts = [
-      salt,
-      iv,
-      ...encryptedChunks,
-      metadata
+      header,
+      keySlots,
+      signature,
+      metadata,
+      ...encryptedChunks
     ];
-    
+
     return new Blob(parts, { type: 'application/octet-stream' });
   }
+
+  /**
+   * Encrypt a file or blob into a complete container
+   * The content is encrypted under a random data key, which is then wrapped for every
+   * password (key slot) and recipient. Without either, the data key itself is returned.
+   * @param {Blob} source - Plaintext data
+   * @param {{filename: string, mimeType: string, password?: string|null, passwords?: string[], keyfile?: Blob|null, kdf?: object, recipients?: CryptoKey[], signer?: CryptoKeyPair, compression?: string|null, cipher?: string, padding?: string|null, pool?: CryptoPool}} options
+   *   Encryption options; kdf defaults to DEFAULT_KDF and applies to every password slot.
+   *   cipher is a cipher suite ID and defaults to AES-256-GCM.
+   *   With padding ('padme' or 'power-of-two'), the (compressed) plaintext is padded to hide its exact size.
+   *   With compression ('gzip' or 'deflate'), the plaintext is compressed as it streams into the cipher.
+   *   A keyfile is a second factor next to the password, or replaces it.
+   *   With a signer (ECDSA key pair), the header and ciphertext are signed.
+   *   With a pool (CryptoPool), chunks are encrypted in parallel on its workers.
+   * @param {function(number, number, number|null): void} [onProgress] - Called with (progress, chunkIndex, totalChunks);
+   *   totalChunks is null when compressing, since the output size is not known in advance
+   * @returns {Promise<{blob: Blob, keyData: Uint8Array|null}>} keyData is set for password-less files
+   *   and must be handed to the user, since the container does not hold it
+   */
+  static async encryptFile(source, options, onProgress) {
+    const {
+      filename, mimeType, password, keyfile = null, kdf = DEFAULT_KDF, recipients = [], signer = null, compression = null,
+      cipher = DEFAULT_CIPHER_SUITE, padding = null, pool = null
+    } = options;
+    const suite = CipherSuites.get(cipher);
+    const passwords = options.passwords || (password || keyfile ? [password || ''] : []);
+
+    if (passwords.length > 0 && recipients.length > 0) {
+      throw new Error('Use either a password or recipients, not both');
+    }
+
+    // Base IV for the stream (each chunk derives its own nonce from it)
+    const iv = crypto.getRandomValues(new Uint8Array(suite.ivLength));
+    const keyData = await KeyManager.exportKey(await KeyManager.generateRandomKey());
+    const key = await suite.importKey(keyData);
+
+    const header = this.serializeHeader(this.createHeader(iv, cipher));
+    const keyfileHash = keyfile ? await KeyManager.hashKeyfile(keyfile) : null;
+    const keySlots = await this.createKeySlots(keyData, { passwords, kdf, keyfileHash, recipients }, header);
+    const stream = { cipher, key, iv, aad: header };
+
+    const plaintextReader = new ChunkedFileReader(source);
+    const compressedReader = compression ? new CompressingReader(plaintextReader, compression) : plaintextReader;
+    const reader = padding
+      ? new PaddingReader(compressedReader, padding, compression ? null : source.size)
+      : compressedReader;
+    const encryptedChunks = await this.encryptChunks(reader, stream, (progress, chunkIndex) => {
+      if (onProgress) onProgress(progress, chunkIndex, reader.getTotalChunks());
+    }, pool);
+
+    const metadata = this.createMetadata(
+      filename, mimeType, encryptedChunks.length, compression,
+      padding ? { scheme: padding, length: reader.paddingLength } : null
+    );
+    const encryptedMetadata = await this.encryptMetadata(metadata, stream);
+    const signature = signer
+      ? await Signer.sign(signer, header, encryptedMetadata.subarray(4), encryptedChunks)
+      : {};
+    const isProtected = keySlots.passwords.length > 0 || keySlots.recipients.length > 0;
+
+    return {
+      blob: this.buildEncryptedFile(
+        header,
+        this.serializeMetadata(keySlots),
+        this.serializeMetadata(signature),
+        encryptedMetadata,
+        encryptedChunks
+      ),
+      keyData: isProtected ? null : keyData
+    };
+  }
 }
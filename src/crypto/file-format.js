@@ -0,0 +1,185 @@
+/**
+ * File Format - Identify Endecrypt files by their content
+ *
+ * Version 2 files start with a fixed preamble:
+ * [8 bytes: magic \x89EDC\r\n\x1a\n][1 byte: format version][4 bytes: header length (LE)][header JSON]
+ * The preamble is part of the serialized header, so it is authenticated with every chunk.
+ * Version 1 files have no magic and are recognised by their trailing plaintext metadata.
+ * Volumes of a split file are recognised by their own header, so the user can be asked for the
+ * other parts.
+ */
+
+import { LEGACY_FORMAT_VERSION } from './stream-format.js';
+import { Volumes } from '../file-handling/volumes.js';
+
+// Non-ASCII first byte and CR/LF/EOF bytes catch text-mode transfers, as in PNG
+export const FILE_MAGIC = new Uint8Array([0x89, 0x45, 0x44, 0x43, 0x0d, 0x0a, 0x1a, 0x0a]);
+export const PREAMBLE_LENGTH = FILE_MAGIC.length + 1 + 4;
+export const CURRENT_VERSION = 2;
+
+// Upper bound for the JSON header, to reject garbage lengths early
+const MAX_HEADER_LENGTH = 1024 * 1024;
+
+// How much of the start of a file is read for sniffing
+const SNIFF_LENGTH = 64;
+
+// Other formats worth naming when a file is not ours
+const FOREIGN_FORMATS = [
+  { id: 'age', name: 'an age encrypted file', text: 'age-encryption.org/v1' },
+  { id: 'age', name: 'an ASCII-armored age file', text: '-----BEGIN AGE ENCRYPTED FILE-----' },
+  { id: 'openpgp', name: 'an ASCII-armored OpenPGP message', text: '-----BEGIN PGP MESSAGE-----' },
+  { id: 'png', name: 'a PNG image', bytes: [0x89, 0x50, 0x4e, 0x47] },
+  { id: 'jpeg', name: 'a JPEG image', bytes: [0xff, 0xd8, 0xff] },
+  { id: 'gif', name: 'a GIF image', text: 'GIF8' },
+  { id: 'pdf', name: 'a PDF document', text: '%PDF' },
+  { id: 'zip', name: 'a ZIP archive', bytes: [0x50, 0x4b, 0x03, 0x04] },
+  { id: 'gzip', name: 'a gzip archive', bytes: [0x1f, 0x8b] },
+  { id: '7z', name: 'a 7-Zip archive', bytes: [0x37, 0x7a, 0xbc, 0xaf, 0x27, 0x1c] },
+  { id: 'rar', name: 'a RAR archive', text: 'Rar!' }
+];
+
+export class FileFormat {
+  /**
+   * Build the preamble for a serialized header
+   * @param {number} version - Format version
+   * @param {number} headerLength - Length of the header JSON
+   * @returns {Uint8Array} Preamble bytes
+   */
+  static createPreamble(version, headerLength) {
+    const preamble = new Uint8Array(PREAMBLE_LENGTH);
+    preamble.set(FILE_MAGIC, 0);
+    preamble[FILE_MAGIC.length] = version;
+    new DataView(preamble.buffer).setUint32(FILE_MAGIC.length + 1, headerLength, true);
+    return preamble;
+  }
+
+  /**
+   * Identify a file from its content; the file name is never consulted
+   * @param {Blob} file - Any file
+   * @returns {Promise<{isEndecrypt: boolean, version: number|null, headerEnd: number|null, looksLike: string|null, foreignFormat: string|null, volume: {index: number, count: number}|null}>}
+   *   `headerEnd` is the offset just past the header JSON (version 2 only);
+   *   `looksLike` names another known format when the file is not ours, and
+   *   `foreignFormat` identifies it (e.g. 'age');
+   *   `volume` is set for a single volume of a split file, with null numbers if its header is damaged
+   */
+  static async identify(file) {
+    const start = new Uint8Array(await file.slice(0, SNIFF_LENGTH).arrayBuffer());
+
+    if (startsWith(start, FILE_MAGIC)) {
+      if (start.length < PREAMBLE_LENGTH) {
+        return endecrypt(null, null);
+      }
+      const version = start[FILE_MAGIC.length];
+      const headerLength = new DataView(start.buffer).getUint32(FILE_MAGIC.length + 1, true);
+      const headerEnd = PREAMBLE_LENGTH + headerLength;
+      return endecrypt(version, headerLength <= MAX_HEADER_LENGTH && headerEnd <= file.size ? headerEnd : null);
+    }
+
+    if (await Volumes.isVolume(file)) {
+      return volume(file);
+    }
+
+    const foreign = FOREIGN_FORMATS.find(format => startsWith(start, format.bytes || new TextEncoder().encode(format.text)));
+    if (foreign) {
+      return notEndecrypt(foreign.name, foreign.id);
+    }
+
+    if (await isLegacyFile(file)) {
+      return endecrypt(1, null);
+    }
+
+    return looksLikeOpenPgp(start)
+      ? notEndecrypt('an OpenPGP message', 'openpgp')
+      : notEndecrypt(null, null);
+  }
+
+  /**
+   * Describe an identification result for the user
+   * @param {object} format - Result of FormatReaders.identify, which adds `supported`
+   * @returns {string}
+   */
+  static describe(format) {
+    if (format.volume) {
+      return format.volume.count
+        ? `This is Endecrypt volume ${format.volume.index} of ${format.volume.count}; select all parts together`
+        : 'This is a damaged volume of a split Endecrypt file; select all parts together';
+    }
+    if (!format.isEndecrypt) {
+      return format.looksLike
+        ? `This isn't an Endecrypt file (it looks like ${format.looksLike})`
+        : "This isn't an Endecrypt file";
+    }
+    if (format.version === null) {
+      return 'This is a truncated Endecrypt file';
+    }
+    if (format.supported === false) {
+      return `This is an Endecrypt file (version ${format.version}), which this app cannot read`;
+    }
+    return `This is an Endecrypt file (version ${format.version})`;
+  }
+}
+
+function endecrypt(version, headerEnd) {
+  return { isEndecrypt: true, version, headerEnd, looksLike: null, foreignFormat: null, volume: null };
+}
+
+function notEndecrypt(looksLike, foreignFormat) {
+  return { isEndecrypt: false, version: null, headerEnd: null, looksLike, foreignFormat, volume: null };
+}
+
+/**
+ * A volume is not decryptable on its own; it only becomes an Endecrypt file once joined
+ * @param {Blob} file - File starting with the volume magic
+ * @returns {Promise<object>} Identification result with `volume` set
+ */
+async function volume(file) {
+  let header = null;
+  try {
+    ({ header } = await Volumes.readHeader(file));
+  } catch (e) {
+    // Still a volume, just one whose numbers cannot be trusted
+  }
+  return {
+    ...notEndecrypt(null, null),
+    volume: { index: header ? header.index : null, count: header ? header.count : null }
+  };
+}
+
+function startsWith(bytes, prefix) {
+  return bytes.length >= prefix.length && prefix.every((byte, i) => bytes[i] === byte);
+}
+
+/**
+ * Check for a version 1.0 file: its plaintext metadata JSON sits at the end,
+ * followed by the metadata length
+ * @param {Blob} file - Any file
+ * @returns {Promise<boolean>}
+ */
+async function isLegacyFile(file) {
+  if (file.size < 28 + 4) return false;
+
+  const lengthBytes = await file.slice(file.size - 4).arrayBuffer();
+  const metadataLength = new DataView(lengthBytes).getUint32(0, true);
+  if (metadataLength === 0 || metadataLength > MAX_HEADER_LENGTH || metadataLength > file.size - 32) {
+    return false;
+  }
+
+  const metadataBytes = await file.slice(file.size - 4 - metadataLength, file.size - 4).arrayBuffer();
+  try {
+    const metadata = JSON.parse(new TextDecoder().decode(metadataBytes));
+    return metadata.version === LEGACY_FORMAT_VERSION;
+  } catch (e) {
+    return false;
+  }
+}
+
+/**
+ * Binary OpenPGP messages start with a session key packet (tag 1 or 3)
+ * @param {Uint8Array} bytes - Start of the file
+ * @returns {boolean}
+ */
+function looksLikeOpenPgp(bytes) {
+  if (bytes.length < 2 || !(bytes[0] & 0x80)) return false;
+  const tag = bytes[0] & 0x40 ? bytes[0] & 0x3f : (bytes[0] >> 2) & 0x0f;
+  return tag === 1 || tag === 3;
+}
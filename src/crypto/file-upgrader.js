@@ -0,0 +1,74 @@
+/**
+ * File Upgrader - Re-encrypt files from older format versions into the current one
+ */
+
+import { Decryptor } from './decryptor.js';
+import { Encryptor } from './encryptor.js';
+import { FormatReaders } from './format-readers.js';
+
+export class FileUpgrader {
+  /**
+   * Decrypt an older file and encrypt it again in the current format with the same password
+   * A file without a password gets a new random key, which is returned for export.
+   * @param {Blob} file - Encrypted file
+   * @param {{password?: string|null}} credentials - Password of the old file, if it has one
+   * @param {function(number): void} [onProgress] - Called with overall progress (0-100)
+   * @returns {Promise<{status: 'upgraded'|'current', fromVersion: number, blob: Blob|null, keyData: Uint8Array|null, filename: string|null}>}
+   */
+  static async upgradeFile(file, credentials, onProgress) {
+    const parsed = await Decryptor.parseEncryptedFile(file);
+    if (!FormatReaders.isOutdated(parsed.version)) {
+      return { status: 'current', fromVersion: parsed.version, blob: null, keyData: null, filename: null };
+    }
+
+    const required = Decryptor.getRequiredCredential(parsed);
+    if (required !== 'password' && required !== 'none') {
+      throw new Error(`Version ${parsed.version} files protected by a ${required} cannot be upgraded`);
+    }
+
+    const { blob: plaintext, metadata } = await Decryptor.decryptFile(file, credentials, progress => {
+      if (onProgress) onProgress(progress / 2);
+    });
+
+    const { blob, keyData } = await Encryptor.encryptFile(plaintext, {
+      filename: metadata.filename,
+      mimeType: metadata.mimeType,
+      password: required === 'password' ? credentials.password : null
+    }, progress => {
+      if (onProgress) onProgress(50 + progress / 2);
+    });
+
+    return { status: 'upgraded', fromVersion: parsed.version, blob, keyData, filename: metadata.filename };
+  }
+
+  /**
+   * Upgrade several files with the same credentials, one at a time
+   * A failure is recorded in the report and does not stop the batch.
+   * @param {Blob[]} files - Encrypted files (File objects for named report entries)
+   * @param {{password?: string|null}} credentials - Password shared by the files, if any
+   * @param {function(object, object|null, number): void} [onFile] - Called after each file with
+   *   (report entry, result of upgradeFile or null on failure, file index)
+   * @returns {Promise<{name: string, status: 'upgraded'|'current'|'failed', fromVersion: number|null, error: string|null}[]>}
+   */
+  static async upgradeFiles(files, credentials, onFile) {
+    const report = [];
+
+    for (const [index, file] of files.entries()) {
+      const name = file.name || `File ${index + 1}`;
+      let entry;
+      let result = null;
+
+      try {
+        result = await this.upgradeFile(file, credentials);
+        entry = { name, status: result.status, fromVersion: result.fromVersion, error: null };
+      } catch (error) {
+        entry = { name, status: 'failed', fromVersion: null, error: error.message };
+      }
+
+      report.push(entry);
+      if (onFile) onFile(entry, result, index);
+    }
+
+    return report;
+  }
+}
@@ -0,0 +1,74 @@
+/**
+ * Format Readers - Registry of container readers by format version
+ *
+ * A reader is an object with:
+ *   parse(file, format)                           -> parsed file (see Decryptor.parseEncryptedFile)
+ *   prepareKey(parsed, credentials)               -> key object (a CryptoKey, or the cipher suite's key)
+ *   decryptMetadata(parsed, key)                  -> metadata object
+ *   decryptChunks(file, parsed, key, metadata[, pool]) -> async iterable of {data, index, progress}
+ *   getRequiredCredential(parsed)                 -> 'password'|'key'|'privateKey'|'none'
+ * and, for formats that wrap a random data key, unlockKeyData(parsed, credentials) and
+ * importKeyData(parsed, keyData). Formats with independently decryptable chunks also have
+ * decryptRange(file, parsed, key, metadata, start, end) -> {data, size}. A reader may use
+ * the optional CryptoPool to decrypt chunks in parallel, or ignore it.
+ */
+
+import { FileFormat, CURRENT_VERSION } from './file-format.js';
+import { FormatV1 } from './formats/format-v1.js';
+import { FormatV2 } from './formats/format-v2.js';
+
+const readers = new Map();
+
+export class FormatReaders {
+  /**
+   * Register the reader for a format version
+   * @param {number} version - Format version
+   * @param {object} reader - Reader implementation
+   */
+  static register(version, reader) {
+    readers.set(version, reader);
+  }
+
+  /**
+   * Get the reader for a format version
+   * @param {number} version - Format version
+   * @returns {object} Reader implementation
+   */
+  static get(version) {
+    const reader = readers.get(version);
+    if (!reader) {
+      throw new Error(`This is an Endecrypt file (version ${version}), which this app cannot read`);
+    }
+    return reader;
+  }
+
+  /**
+   * Versions with a registered reader
+   * @returns {number[]}
+   */
+  static versions() {
+    return [...readers.keys()].sort((a, b) => a - b);
+  }
+
+  /**
+   * Whether a version is older than the one new files are written in
+   * @param {number} version - Format version
+   * @returns {boolean}
+   */
+  static isOutdated(version) {
+    return version < CURRENT_VERSION;
+  }
+
+  /**
+   * Identify a file and check whether a reader is registered for its version
+   * @param {Blob} file - Any file
+   * @returns {Promise<object>} Result of FileFormat.identify plus `supported: boolean`
+   */
+  static async identify(file) {
+    const format = await FileFormat.identify(file);
+    return { ...format, supported: format.isEndecrypt && readers.has(format.version) };
+  }
+}
+
+FormatReaders.register(1, FormatV1);
+FormatReaders.register(2, FormatV2);
@@ -0,0 +1,154 @@
+/**
+ * Format V1 - Reader for version 1.0 files
+ *
+ * [16 bytes: salt][12 bytes: IV][encrypted chunks...][metadata JSON][metadata length (4 bytes)]
+ * The plaintext was cut into CHUNK_SIZE chunks, each encrypted as its own AES-GCM message
+ * under the same key and IV, so every encrypted chunk but the last is CHUNK_SIZE + 16 bytes.
+ * The metadata is plaintext and holds the chunk count.
+ */
+
+import { KeyManager } from '../key-manager.js';
+import { LEGACY_FORMAT_VERSION, StreamFormat, TAG_LENGTH } from '../stream-format.js';
+import { CHUNK_SIZE } from '../../file-handling/chunked-reader.js';
+
+export class FormatV1 {
+  /**
+   * Parse a version 1.0 file
+   * `header` is the plaintext metadata; there are no key slots or signature.
+   * @param {Blob} file - Encrypted file
+   * @returns {Promise<object>} Same shape as Decryptor.parseEncryptedFile
+   */
+  static async parse(file) {
+    // Validate minimum file size (salt + iv + at least some data + metadata + length)
+    if (file.size < 28 + 4) {
+      throw new Error('File is too small to be a valid encrypted file');
+    }
+
+    // Extract salt (first 16 bytes) and IV (next 12 bytes)
+    const prefix = new Uint8Array(await file.slice(0, 28).arrayBuffer());
+    const salt = prefix.slice(0, 16);
+    const iv = prefix.slice(16, 28);
+
+    // Read metadata length from the end (last 4 bytes)
+    const lengthBytes = await file.slice(file.size - 4).arrayBuffer();
+    const metadataLength = new DataView(lengthBytes).getUint32(0, true);
+
+    // Validate metadata length
+    if (metadataLength <= 0 || metadataLength > file.size - 32) {
+      throw new Error('Invalid metadata length in encrypted file');
+    }
+
+    // Extract metadata (before the length bytes)
+    const metadataStart = file.size - 4 - metadataLength;
+
+    // Ensure metadata start is after header
+    if (metadataStart < 28) {
+      throw new Error('Invalid file structure: metadata overlaps with header');
+    }
+
+    const metadataBytes = await file.slice(metadataStart, file.size - 4).arrayBuffer();
+    const metadataJson = new TextDecoder().decode(metadataBytes);
+
+    let metadata;
+    try {
+      metadata = JSON.parse(metadataJson);
+    } catch (e) {
+      throw new Error(`Invalid metadata JSON: ${e.message}`);
+    }
+
+    if (metadata.version !== LEGACY_FORMAT_VERSION) {
+      throw new Error(`Unsupported file version: ${metadata.version}`);
+    }
+
+    return {
+      version: 1,
+      header: metadata,
+      headerBytes: null,
+      keySlots: null,
+      keySlotsStart: 0,
+      keySlotsEnd: 0,
+      signature: null,
+      salt,
+      iv,
+      encryptedMetadata: null,
+      payloadStart: 28,
+      payloadEnd: metadataStart
+    };
+  }
+
+  /**
+   * Derive or import the key of a version 1.0 file
+   * @param {object} parsed - Result of parse
+   * @param {{password?: string|null}} credentials - Password, if the file has one
+   * @returns {Promise<CryptoKey>}
+   */
+  static async prepareKey(parsed, credentials) {
+    const { header } = parsed;
+
+    if (header.hasPassword) {
+      if (!credentials.password) {
+        throw new Error('Password required for this file');
+      }
+      // 1.0 files predate the kdf field, so deriveKey falls back to the defaults
+      return await KeyManager.deriveKey(credentials.password, parsed.salt, header.kdf);
+    }
+
+    // 1.0 files embedded the key in their plaintext metadata
+    if (!header.key) {
+      throw new Error('Invalid file format: missing key data');
+    }
+    return await KeyManager.importKey(new Uint8Array(header.key));
+  }
+
+  /**
+   * Version 1.0 metadata is plaintext and returned as-is
+   * @param {object} parsed - Result of parse
+   * @returns {Promise<object>} Metadata object
+   */
+  static async decryptMetadata(parsed) {
+    return parsed.header;
+  }
+
+  /**
+   * Decrypt the payload chunk by chunk, one GCM message per chunk
+   * @param {Blob} file - Encrypted file
+   * @param {object} parsed - Result of parse
+   * @param {CryptoKey} key - AES-GCM key
+   * @yields {{data: ArrayBuffer, index: number, progress: number}}
+   */
+  static async *decryptChunks(file, parsed, key) {
+    const payload = file.slice(parsed.payloadStart, parsed.payloadEnd);
+    const { chunksCount } = parsed.header;
+    const encryptedChunkSize = StreamFormat.encryptedChunkSize(CHUNK_SIZE);
+
+    // Every chunk but the last is full, and the last holds at least its tag
+    if (!Number.isInteger(chunksCount) || chunksCount < 0 ||
+        payload.size > chunksCount * encryptedChunkSize ||
+        (chunksCount > 0 && payload.size < (chunksCount - 1) * encryptedChunkSize + TAG_LENGTH)) {
+      throw new Error('File is truncated or corrupted: chunk count mismatch');
+    }
+
+    for (let index = 0; index < chunksCount; index++) {
+      const start = index * encryptedChunkSize;
+      const end = Math.min(start + encryptedChunkSize, payload.size);
+      const encrypted = await payload.slice(start, end).arrayBuffer();
+
+      let data;
+      try {
+        data = await crypto.subtle.decrypt({ name: 'AES-GCM', iv: parsed.iv }, key, encrypted);
+      } catch (error) {
+        throw new Error('Decryption failed. Invalid password or corrupted file.');
+      }
+      yield { data, index, progress: Math.round((end / payload.size) * 100) };
+    }
+  }
+
+  /**
+   * Determine which credential a file needs to be decrypted
+   * @param {object} parsed - Result of parse
+   * @returns {'password'|'none'}
+   */
+  static getRequiredCredential(parsed) {
+    return parsed.header.hasPassword ? 'password' : 'none';
+  }
+}
@@ -0,0 +1,406 @@
+/**
+ * Format V2 - Reader for the version 2 streaming container
+ *
+ * [preamble + header JSON][key slots][signature][IV + encrypted metadata][chunks...][recovery record]
+ * Every block after the header is prefixed with its length (4 bytes). Chunks, metadata
+ * and key slots are all bound to the serialized header as AAD. The optional recovery
+ * record (see Recovery) is found from the end of the file and is not part of the payload.
+ */
+
+import { KeyManager } from '../key-manager.js';
+import { KeyShares } from '../key-shares.js';
+import { CipherSuites } from '../cipher-suites.js';
+import { StreamFormat, FORMAT_VERSION } from '../stream-format.js';
+import { PREAMBLE_LENGTH } from '../file-format.js';
+import { Encoding } from '../../utils/encoding.js';
+import { Concurrency } from '../../utils/concurrency.js';
+import { ChunkedFileReader } from '../../file-handling/chunked-reader.js';
+import { Recovery } from '../../file-handling/recovery.js';
+
+// Upper bound for the JSON header/metadata blocks, to reject garbage lengths early
+const MAX_BLOCK_LENGTH = 1024 * 1024;
+
+export class FormatV2 {
+  /**
+   * Parse the container structure
+   * Only the header, key slots and metadata are read; chunks stay on disk until decrypted.
+   * @param {Blob} file - Encrypted file
+   * @param {{headerEnd: number|null}} format - Result of FileFormat.identify
+   * @returns {Promise<object>} Same shape as Decryptor.parseEncryptedFile
+   */
+  static async parse(file, format) {
+    // The header is followed by at least the key slots, signature and metadata lengths
+    if (format.headerEnd === null || format.headerEnd + 12 > file.size) {
+      throw new Error('Invalid header length in encrypted file');
+    }
+
+    const headerBytes = new Uint8Array(await file.slice(0, format.headerEnd).arrayBuffer());
+    let header;
+    try {
+      header = JSON.parse(new TextDecoder().decode(headerBytes.subarray(PREAMBLE_LENGTH)));
+    } catch (e) {
+      throw new Error(`Invalid header JSON: ${e.message}`);
+    }
+
+    if (header.version !== FORMAT_VERSION) {
+      throw new Error(`Unsupported file version: ${header.version}`);
+    }
+    const suite = CipherSuites.forHeader(header);
+
+    // Key slots follow the header
+    const keySlotsStart = headerBytes.length;
+    const keySlotsBytes = await this.readBlock(file, keySlotsStart, 'key slots');
+    let keySlots;
+    try {
+      keySlots = JSON.parse(new TextDecoder().decode(keySlotsBytes));
+    } catch (e) {
+      throw new Error(`Invalid key slots JSON: ${e.message}`);
+    }
+    if (!Array.isArray(keySlots.passwords) || !Array.isArray(keySlots.recipients)) {
+      throw new Error('Invalid file format: malformed key slots');
+    }
+
+    // The signature block follows the key slots; `{}` for unsigned files
+    const signatureOffset = keySlotsStart + 4 + keySlotsBytes.length;
+    const signatureBytes = await this.readBlock(file, signatureOffset, 'signature');
+    let signature;
+    try {
+      signature = JSON.parse(new TextDecoder().decode(signatureBytes));
+    } catch (e) {
+      throw new Error(`Invalid signature JSON: ${e.message}`);
+    }
+
+    // Encrypted metadata follows the signature
+    const metadataOffset = signatureOffset + 4 + signatureBytes.length;
+    const encryptedMetadata = await this.readBlock(file, metadataOffset, 'metadata');
+    if (encryptedMetadata.length <= suite.ivLength + suite.tagLength) {
+      throw new Error('Invalid metadata length in encrypted file');
+    }
+
+    const payloadStart = metadataOffset + 4 + encryptedMetadata.length;
+    const recovery = await Recovery.locate(file);
+
+    return {
+      version: 2,
+      header,
+      headerBytes,
+      keySlots,
+      keySlotsStart,
+      keySlotsEnd: signatureOffset,
+      signature: signature.signature ? signature : null,
+      salt: null,
+      iv: Encoding.fromBase64(header.iv),
+      encryptedMetadata,
+      payloadStart,
+      payloadEnd: recovery && recovery.start >= payloadStart ? recovery.start : file.size
+    };
+  }
+
+  /**
+   * Read a length-prefixed block
+   * @param {Blob} file - Encrypted file
+   * @param {number} offset - Offset of the 4-byte length
+   * @param {string} name - Block name for error messages
+   * @returns {Promise<Uint8Array>} Block contents without the length
+   */
+  static async readBlock(file, offset, name) {
+    if (offset + 4 > file.size) {
+      throw new Error(`Invalid ${name} length in encrypted file`);
+    }
+
+    const lengthBytes = await file.slice(offset, offset + 4).arrayBuffer();
+    const length = new DataView(lengthBytes).getUint32(0, true);
+
+    if (length > MAX_BLOCK_LENGTH || offset + 4 + length > file.size) {
+      throw new Error(`Invalid ${name} length in encrypted file`);
+    }
+
+    return new Uint8Array(await file.slice(offset + 4, offset + 4 + length).arrayBuffer());
+  }
+
+  /**
+   * Decrypt a data chunk with the stream's cipher suite
+   * @param {ArrayBuffer} encryptedData - Encrypted chunk data
+   * @param {{cipher: string, key: object, iv: Uint8Array, aad: Uint8Array}} stream - Stream parameters
+   * @param {number} index - Chunk index
+   * @param {boolean} isFinal - Whether this is the last chunk
+   * @returns {Promise<ArrayBuffer>} Decrypted data
+   */
+  static async decryptChunk(encryptedData, stream, index, isFinal) {
+    try {
+      return await CipherSuites.get(stream.cipher).decrypt(
+        stream.key,
+        StreamFormat.chunkIV(stream.iv, index),
+        StreamFormat.chunkAAD(stream.aad, index, isFinal),
+        encryptedData
+      );
+    } catch (error) {
+      throw new Error('Decryption failed. Invalid password or corrupted file.');
+    }
+  }
+
+  /**
+   * Decrypt and parse the metadata block
+   * @param {object} parsed - Result of parse
+   * @param {object} key - Key of the file's cipher suite (see prepareKey)
+   * @returns {Promise<object>} Metadata object
+   */
+  static async decryptMetadata(parsed, key) {
+    const suite = CipherSuites.forHeader(parsed.header);
+    const iv = parsed.encryptedMetadata.subarray(0, suite.ivLength);
+    const ciphertext = parsed.encryptedMetadata.subarray(suite.ivLength);
+
+    let plaintext;
+    try {
+      plaintext = await suite.decrypt(key, iv, parsed.headerBytes, ciphertext);
+    } catch (error) {
+      throw new Error('Decryption failed. Invalid password or corrupted file.');
+    }
+
+    try {
+      return JSON.parse(new TextDecoder().decode(plaintext));
+    } catch (e) {
+      throw new Error(`Invalid metadata JSON: ${e.message}`);
+    }
+  }
+
+  /**
+   * Decrypt the payload chunk by chunk
+   * @param {Blob} file - Encrypted file
+   * @param {object} parsed - Result of parse
+   * @param {object} key - Key of the file's cipher suite
+   * @param {object} metadata - Result of decryptMetadata
+   * @param {CryptoPool} [pool] - Workers to decrypt on, several chunks at a time; chunks are
+   *   still yielded in order
+   * @yields {{data: ArrayBuffer, index: number, progress: number}}
+   */
+  static async *decryptChunks(file, parsed, key, metadata, pool = null) {
+    const { header, iv, payloadStart, payloadEnd } = parsed;
+    const payload = file.slice(payloadStart, payloadEnd);
+
+    if (!Number.isInteger(header.chunkSize) || header.chunkSize <= 0) {
+      throw new Error('Invalid file format: missing chunk size');
+    }
+
+    const suite = CipherSuites.forHeader(header);
+    const ranges = StreamFormat.chunkRanges(payload.size, header.chunkSize, suite.tagLength);
+    if (ranges.length !== metadata.chunksCount) {
+      throw new Error('File is truncated or corrupted: chunk count mismatch');
+    }
+
+    const stream = { cipher: suite.id, key, iv, aad: parsed.headerBytes };
+
+    // Padding is dropped by counting plaintext bytes, so none of it is buffered.
+    // Padding chunks are still decrypted, which authenticates them.
+    const plaintextLength = ranges.reduce((total, range) => total + range.end - range.start - suite.tagLength, 0);
+    const paddingLength = metadata.padding ? metadata.padding.length : 0;
+    if (!Number.isInteger(paddingLength) || paddingLength < 0 || paddingLength > plaintextLength) {
+      throw new Error('Invalid metadata: bad padding length');
+    }
+    let remaining = plaintextLength - paddingLength;
+
+    const decrypt = async (range) => {
+      const encrypted = await payload.slice(range.start, range.end).arrayBuffer();
+      return pool
+        ? await pool.decryptChunk(encrypted, stream, range.index, range.isFinal)
+        : await this.decryptChunk(encrypted, stream, range.index, range.isFinal);
+    };
+    const results = Concurrency.mapOrdered(ranges, decrypt, pool ? pool.concurrency : 1);
+
+    for await (const { item: range, result: decrypted } of results) {
+      const data = decrypted.byteLength > remaining ? decrypted.slice(0, remaining) : decrypted;
+      remaining -= data.byteLength;
+
+      yield {
+        data,
+        index: range.index,
+        progress: Math.round((range.end / payload.size) * 100)
+      };
+    }
+  }
+
+  /**
+   * Decrypt a byte range of the plaintext, reading only the chunks that overlap it
+   * Chunk offsets follow from the chunk size in the header: plaintext byte n is in chunk
+   * floor(n / chunkSize), and every chunk but the last is full.
+   * @param {Blob} file - Encrypted file
+   * @param {object} parsed - Result of parse
+   * @param {object} key - Key of the file's cipher suite
+   * @param {object} metadata - Result of decryptMetadata
+   * @param {number} start - First plaintext byte
+   * @param {number} end - End (exclusive); clamped to the plaintext size
+   * @returns {Promise<{data: ArrayBuffer, size: number}>} size is the total plaintext size
+   */
+  static async decryptRange(file, parsed, key, metadata, start, end) {
+    const { header, iv, payloadStart, payloadEnd } = parsed;
+
+    if (metadata.compression) {
+      throw new Error('Compressed files can only be decrypted as a whole');
+    }
+    if (!Number.isInteger(header.chunkSize) || header.chunkSize <= 0) {
+      throw new Error('Invalid file format: missing chunk size');
+    }
+    if (!Number.isInteger(start) || !Number.isInteger(end) || start < 0 || end < start) {
+      throw new Error(`Invalid byte range: ${start}-${end}`);
+    }
+
+    const suite = CipherSuites.forHeader(header);
+    const reader = new ChunkedFileReader(file.slice(payloadStart, payloadEnd));
+    const ranges = StreamFormat.chunkRanges(reader.file.size, header.chunkSize, suite.tagLength);
+    if (ranges.length !== metadata.chunksCount) {
+      throw new Error('File is truncated or corrupted: chunk count mismatch');
+    }
+
+    const plaintextLength = ranges.reduce((total, range) => total + range.end - range.start - suite.tagLength, 0);
+    const paddingLength = metadata.padding ? metadata.padding.length : 0;
+    if (!Number.isInteger(paddingLength) || paddingLength < 0 || paddingLength > plaintextLength) {
+      throw new Error('Invalid metadata: bad padding length');
+    }
+    const size = plaintextLength - paddingLength;
+
+    end = Math.min(end, size);
+    if (start >= end) {
+      return { data: new ArrayBuffer(0), size };
+    }
+
+    const stream = { cipher: suite.id, key, iv, aad: parsed.headerBytes };
+    const first = Math.floor(start / header.chunkSize);
+    const last = Math.floor((end - 1) / header.chunkSize);
+    const result = new Uint8Array(end - start);
+
+    for (const range of ranges.slice(first, last + 1)) {
+      const encrypted = await reader.readRange(range.start, range.end);
+      const decrypted = new Uint8Array(await this.decryptChunk(encrypted, stream, range.index, range.isFinal));
+      const chunkStart = range.index * header.chunkSize;
+      const from = Math.max(start, chunkStart);
+      const to = Math.min(end, chunkStart + decrypted.length);
+      result.set(decrypted.subarray(from - chunkStart, to - chunkStart), from - start);
+    }
+
+    return { data: result.buffer, size };
+  }
+
+  /**
+   * Recover the data key and import it
+   * @param {object} parsed - Result of parse
+   * @param {object} credentials - See Decryptor.prepareKey
+   * @returns {Promise<object>} Key of the file's cipher suite
+   */
+  static async prepareKey(parsed, credentials) {
+    const { keyData } = await this.unlockKeyData(parsed, credentials);
+    return await this.importKeyData(parsed, keyData);
+  }
+
+  /**
+   * Import a raw data key for the file's cipher suite
+   * @param {object} parsed - Result of parse
+   * @param {Uint8Array} keyData - Raw data key
+   * @returns {Promise<object>}
+   */
+  static async importKeyData(parsed, keyData) {
+    return await CipherSuites.forHeader(parsed.header).importKey(keyData);
+  }
+
+  /**
+   * Recover the raw data key
+   * @param {object} parsed - Result of parse
+   * @param {object} credentials - See Decryptor.prepareKey
+   * @returns {Promise<{keyData: Uint8Array, slotIndex: number}>} slotIndex is the password slot
+   *   that was opened, or -1 when another credential was used
+   */
+  static async unlockKeyData(parsed, credentials) {
+    const { keySlots } = parsed;
+
+    // Escrow shares rebuild the data key itself, whatever protects the file
+    if (credentials.shares && credentials.shares.length > 0) {
+      return { keyData: await KeyShares.combineShares(credentials.shares, parsed.headerBytes), slotIndex: -1 };
+    }
+
+    if (keySlots.passwords.length > 0) {
+      return await this.unlockPasswordSlot(parsed, credentials);
+    }
+
+    if (keySlots.recipients.length > 0) {
+      const keyData = await this.unwrapRecipientKey(keySlots.recipients, credentials.privateKey, parsed.headerBytes);
+      return { keyData, slotIndex: -1 };
+    }
+
+    if (!credentials.key) {
+      throw new Error('Decryption key required for this file');
+    }
+    return { keyData: KeyManager.decodeKeyString(credentials.key), slotIndex: -1 };
+  }
+
+  /**
+   * Try a password (and keyfile) against every password slot until one opens
+   * @param {object} parsed - Result of parse
+   * @param {{password?: string|null, keyfile?: Blob|null}} credentials - Password and/or keyfile
+   * @returns {Promise<{keyData: Uint8Array, slotIndex: number}>}
+   */
+  static async unlockPasswordSlot(parsed, credentials) {
+    const slots = parsed.keySlots.passwords;
+    const password = credentials.password || '';
+    const keyfileHash = credentials.keyfile ? await KeyManager.hashKeyfile(credentials.keyfile) : null;
+
+    if (!password && !keyfileHash) {
+      throw new Error('Password required for this file');
+    }
+
+    // A slot can only open if we have the factors it was created with
+    const candidates = slots
+      .map((slot, index) => ({ slot, index }))
+      .filter(({ slot }) => slot.keyfile ? !!keyfileHash : !!password);
+
+    if (candidates.length === 0) {
+      throw new Error(keyfileHash ? 'Password required for this file' : 'Keyfile required for this file');
+    }
+
+    for (const { slot, index } of candidates) {
+      const keyData = await KeyManager.unwrapKeyWithPassword(slot, password, parsed.headerBytes, keyfileHash);
+      if (keyData) {
+        return { keyData, slotIndex: index };
+      }
+    }
+
+    if (!keyfileHash && slots.some(slot => slot.keyfile)) {
+      throw new Error('Decryption failed. Invalid password, or this file also needs its keyfile.');
+    }
+    throw new Error('Decryption failed. Invalid password or corrupted file.');
+  }
+
+  /**
+   * Find the recipient entry matching a private key and unwrap the data key
+   * @param {object[]} recipients - Recipient key slots
+   * @param {string|object|null} privateKeyInput - Private key as text or JWK
+   * @param {Uint8Array} headerBytes - Serialized header the slots are bound to
+   * @returns {Promise<Uint8Array>} Raw data key
+   */
+  static async unwrapRecipientKey(recipients, privateKeyInput, headerBytes) {
+    if (!privateKeyInput) {
+      throw new Error('Private key required for this file');
+    }
+
+    const { privateKey, publicKey } = await KeyManager.importPrivateKey(privateKeyInput);
+    const kid = await KeyManager.getKeyId(publicKey);
+    const entry = recipients.find(recipient => recipient.kid === kid);
+
+    if (!entry) {
+      throw new Error('This file was not encrypted for your key');
+    }
+
+    return await KeyManager.unwrapKeyForRecipient(entry, privateKey, publicKey, headerBytes);
+  }
+
+  /**
+   * Determine which credential a file needs to be decrypted
+   * @param {object} parsed - Result of parse
+   * @returns {'password'|'key'|'privateKey'}
+   */
+  static getRequiredCredential(parsed) {
+    const { keySlots } = parsed;
+
+    if (keySlots.passwords.length > 0) return 'password';
+    if (keySlots.recipients.length > 0) return 'privateKey';
+    return 'key';
+  }
+}
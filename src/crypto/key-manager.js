@@ -2,6 +2,52 @@
  * Key Manager - Handles cryptographic key generation and derivation
  */
 
+import { argon2idAsync } from '@noble/hashes/argon2.js';
+import { sha256 } from '@noble/hashes/sha2.js';
+import { Encoding } from '../utils/encoding.js';
+
+// Key derivation parameters used when a file does not choose its own;
+// version 1.0 files have no kdf field and always used these
+export const DEFAULT_KDF = Object.freeze({
+  name: 'PBKDF2',
+  hash: 'SHA-256',
+  iterations: 100000
+});
+
+// Selectable key derivation presets; the chosen parameters are recorded in the file header
+export const KDF_PRESETS = Object.freeze({
+  pbkdf2: DEFAULT_KDF,
+  // RFC 9106 second recommended option: 64 MiB, 3 passes, 4 lanes
+  argon2id: Object.freeze({
+    name: 'Argon2id',
+    memory: 65536,
+    iterations: 3,
+    parallelism: 4
+  })
+});
+
+// Compact text forms of recipient keys
+const PUBLIC_KEY_PREFIX = 'edpk1.';
+const PRIVATE_KEY_PREFIX = 'edsk1.';
+const RECIPIENT_KDF_INFO = 'endecrypt/v2/recipient';
+
+// Compact text forms of signing identities
+const SIGNING_PUBLIC_KEY_PREFIX = 'edvk1.';
+const SIGNING_PRIVATE_KEY_PREFIX = 'edsig1.';
+
+const ECDH_ALGORITHM = Object.freeze({ name: 'ECDH', namedCurve: 'P-256' });
+const ECDSA_ALGORITHM = Object.freeze({ name: 'ECDSA', namedCurve: 'P-256' });
+const ECDSA_SIGNATURE = Object.freeze({ name: 'ECDSA', hash: 'SHA-256' });
+
+// Keyfiles are hashed in slices of this size
+const KEYFILE_READ_SIZE = 1024 * 1024;
+
+// Bounds for header-supplied parameters, so a crafted file cannot stall the browser
+const MAX_PBKDF2_ITERATIONS = 10000000;
+const MAX_ARGON2_MEMORY = 1024 * 1024; // 1 GiB in KiB
+const MAX_ARGON2_ITERATIONS = 64;
+const MAX_ARGON2_PARALLELISM = 16;
+
 export class KeyManager {
   /**
    * Generate a random salt for key derivation
@@ -20,31 +66,84 @@ export class KeyManager {
   }
 
   /**
-   * Derive a cryptographic key from a password using PBKDF2
+   * Derive a cryptographic key from a password using the file's KDF
+   * @param {string} password - User password (may be empty when a keyfile is used)
+   * @param {Uint8Array} salt - Salt for key derivation
+   * @param {object} [kdf] - KDF parameters from the file header (PBKDF2 or Argon2id)
+   * @param {Uint8Array|null} [keyfileHash] - Keyfile digest (see hashKeyfile) mixed in as a second factor
+   * @returns {Promise<CryptoKey>} Derived AES-GCM key
+   */
+  static async deriveKey(password, salt, kdf = DEFAULT_KDF, keyfileHash = null) {
+    const secret = keyfileHash
+      ? await this.combineKeyfile(password, keyfileHash)
+      : new TextEncoder().encode(password);
+
+    switch (kdf.name) {
+      case 'PBKDF2':
+        return await this.deriveKeyPBKDF2(secret, salt, kdf);
+      case 'Argon2id':
+        return await this.deriveKeyArgon2id(secret, salt, kdf);
+      default:
+        throw new Error(`Unsupported key derivation function: ${kdf.name}`);
+    }
+  }
+
+  /**
+   * Hash a keyfile; any file can serve as one
+   * @param {Blob} keyfile - Keyfile contents
+   * @returns {Promise<Uint8Array>} SHA-256 digest
+   */
+  static async hashKeyfile(keyfile) {
+    // Incremental hash, so a large keyfile is never held in memory at once
+    const hash = sha256.create();
+    for (let offset = 0; offset < keyfile.size; offset += KEYFILE_READ_SIZE) {
+      hash.update(new Uint8Array(await keyfile.slice(offset, offset + KEYFILE_READ_SIZE).arrayBuffer()));
+    }
+    return hash.digest();
+  }
+
+  /**
+   * Combine a password and a keyfile digest into the KDF input
    * @param {string} password - User password
+   * @param {Uint8Array} keyfileHash - Keyfile digest
+   * @returns {Promise<Uint8Array>} SHA-256(SHA-256(password) || keyfileHash)
+   */
+  static async combineKeyfile(password, keyfileHash) {
+    const passwordHash = new Uint8Array(await crypto.subtle.digest('SHA-256', new TextEncoder().encode(password)));
+    const combined = new Uint8Array(passwordHash.length + keyfileHash.length);
+    combined.set(passwordHash, 0);
+    combined.set(keyfileHash, passwordHash.length);
+    return new Uint8Array(await crypto.subtle.digest('SHA-256', combined));
+  }
+
+  /**
+   * Derive an AES-GCM key using PBKDF2
+   * @param {Uint8Array} secret - Password bytes (or password and keyfile combined)
    * @param {Uint8Array} salt - Salt for key derivation
+   * @param {{hash: string, iterations: number}} kdf - PBKDF2 parameters
    * @returns {Promise<CryptoKey>} Derived AES-GCM key
    */
-  static async deriveKey(password, salt) {
-    const encoder = new TextEncoder();
-    const passwordBuffer = encoder.encode(password);
+  static async deriveKeyPBKDF2(secret, salt, kdf) {
+    if (!isIntegerInRange(kdf.iterations, 1, MAX_PBKDF2_ITERATIONS) || kdf.hash !== 'SHA-256') {
+      throw new Error('Invalid key derivation parameters');
+    }
 
     // Import password as key material
     const keyMaterial = await crypto.subtle.importKey(
       'raw',
-      passwordBuffer,
+      secret,
       { name: 'PBKDF2' },
       false,
       ['deriveBits', 'deriveKey']
     );
 
-    // Derive AES-GCM key using PBKDF2 with 100,000 iterations
+    // Derive AES-GCM key using PBKDF2 (100,000 iterations by default)
     return await crypto.subtle.deriveKey(
       {
         name: 'PBKDF2',
         salt: salt,
-        iterations: 100000,
-        hash: 'SHA-256'
+        iterations: kdf.iterations,
+        hash: kdf.hash
       },
       keyMaterial,
       { name: 'AES-GCM', length: 256 },
@@ -53,6 +152,52 @@ export class KeyManager {
     );
   }
 
+  /**
+   * Derive an AES-GCM key using Argon2id (pure JS, bundled with the app)
+   * @param {Uint8Array} secret - Password bytes (or password and keyfile combined)
+   * @param {Uint8Array} salt - Salt for key derivation
+   * @param {{memory: number, iterations: number, parallelism: number}} kdf - Argon2id parameters (memory in KiB)
+   * @returns {Promise<CryptoKey>} Derived AES-GCM key
+   */
+  static async deriveKeyArgon2id(secret, salt, kdf) {
+    const keyBytes = await this.deriveBitsArgon2id(secret, salt, kdf);
+
+    try {
+      return await crypto.subtle.importKey(
+        'raw',
+        keyBytes,
+        { name: 'AES-GCM', length: 256 },
+        false,
+        ['encrypt', 'decrypt']
+      );
+    } finally {
+      keyBytes.fill(0);
+    }
+  }
+
+  /**
+   * Run Argon2id on bounded parameters and return the raw output
+   * @param {Uint8Array} secret - Password bytes
+   * @param {Uint8Array} salt - Salt
+   * @param {{memory: number, iterations: number, parallelism: number}} kdf - Argon2id parameters (memory in KiB)
+   * @param {number} [length] - Output length in bytes
+   * @returns {Promise<Uint8Array>} Raw key bytes
+   */
+  static async deriveBitsArgon2id(secret, salt, kdf, length = 32) {
+    if (!isIntegerInRange(kdf.iterations, 1, MAX_ARGON2_ITERATIONS) ||
+        !isIntegerInRange(kdf.parallelism, 1, MAX_ARGON2_PARALLELISM) ||
+        !isIntegerInRange(kdf.memory, 8 * kdf.parallelism, MAX_ARGON2_MEMORY)) {
+      throw new Error('Invalid key derivation parameters');
+    }
+
+    return await argon2idAsync(secret, salt, {
+      t: kdf.iterations,
+      m: kdf.memory,
+      p: kdf.parallelism,
+      dkLen: length
+    });
+  }
+
   /**
    * Generate a random AES-GCM key (for password-less encryption)
    * @returns {Promise<CryptoKey>} Random AES-GCM key
@@ -89,4 +234,450 @@ export class KeyManager {
       ['encrypt', 'decrypt']
     );
   }
+
+  /**
+   * Encode a raw key as a copyable base64url string
+   * @param {Uint8Array} keyData - Raw key bytes
+   * @returns {string} Key string
+   */
+  static encodeKeyString(keyData) {
+    return Encoding.toBase64Url(keyData);
+  }
+
+  /**
+   * Decode a key string (or the contents of a key file) into raw key bytes
+   * @param {string} keyString - Base64url key string
+   * @returns {Uint8Array} Raw key bytes
+   */
+  static decodeKeyString(keyString) {
+    let keyData;
+    try {
+      keyData = Encoding.fromBase64Url(keyString.trim());
+    } catch (e) {
+      throw new Error('Invalid decryption key format');
+    }
+    if (keyData.length !== 32) {
+      throw new Error('Invalid decryption key length');
+    }
+    return keyData;
+  }
+
+  /**
+   * Generate an ECDH P-256 key pair for receiving files
+   * @returns {Promise<CryptoKeyPair>} Extractable key pair
+   */
+  static async generateKeyPair() {
+    return await crypto.subtle.generateKey(
+      ECDH_ALGORITHM,
+      true,
+      ['deriveBits']
+    );
+  }
+
+  /**
+   * Export a public key as a compact text string or JWK
+   * @param {CryptoKey} publicKey - ECDH public key
+   * @param {'text'|'jwk'} [format] - Output format
+   * @returns {Promise<string|object>} `edpk1.<base64url raw point>` or JWK object
+   */
+  static async exportPublicKey(publicKey, format = 'text') {
+    return await exportEcPublicKey(publicKey, format, PUBLIC_KEY_PREFIX);
+  }
+
+  /**
+   * Export a private key as a compact text string or JWK
+   * @param {CryptoKey} privateKey - ECDH private key
+   * @param {'text'|'jwk'} [format] - Output format
+   * @returns {Promise<string|object>} `edsk1.<base64url d||x||y>` or JWK object
+   */
+  static async exportPrivateKey(privateKey, format = 'text') {
+    return await exportEcPrivateKey(privateKey, format, PRIVATE_KEY_PREFIX);
+  }
+
+  /**
+   * Import a recipient public key from compact text or JWK (object or JSON string)
+   * @param {string|object} publicKey - Public key
+   * @returns {Promise<CryptoKey>} ECDH public key
+   */
+  static async importPublicKey(publicKey) {
+    return await importEcPublicKey(publicKey, PUBLIC_KEY_PREFIX, ECDH_ALGORITHM, []);
+  }
+
+  /**
+   * Import a private key from compact text or JWK (object or JSON string)
+   * @param {string|object} privateKey - Private key
+   * @returns {Promise<{privateKey: CryptoKey, publicKey: CryptoKey}>} The key and its public half
+   */
+  static async importPrivateKey(privateKey) {
+    return await importEcPrivateKey(privateKey, PRIVATE_KEY_PREFIX, ECDH_ALGORITHM, ['deriveBits'], []);
+  }
+
+  /**
+   * Generate an ECDSA P-256 signing identity
+   * @returns {Promise<CryptoKeyPair>} Extractable key pair
+   */
+  static async generateSigningKeyPair() {
+    return await crypto.subtle.generateKey(ECDSA_ALGORITHM, true, ['sign', 'verify']);
+  }
+
+  /**
+   * Export a signing public key as a compact text string or JWK
+   * @param {CryptoKey} publicKey - ECDSA public key
+   * @param {'text'|'jwk'} [format] - Output format
+   * @returns {Promise<string|object>} `edvk1.<base64url raw point>` or JWK object
+   */
+  static async exportSigningPublicKey(publicKey, format = 'text') {
+    return await exportEcPublicKey(publicKey, format, SIGNING_PUBLIC_KEY_PREFIX);
+  }
+
+  /**
+   * Export a signing private key as a compact text string or JWK
+   * @param {CryptoKey} privateKey - ECDSA private key
+   * @param {'text'|'jwk'} [format] - Output format
+   * @returns {Promise<string|object>} `edsig1.<base64url d||x||y>` or JWK object
+   */
+  static async exportSigningPrivateKey(privateKey, format = 'text') {
+    return await exportEcPrivateKey(privateKey, format, SIGNING_PRIVATE_KEY_PREFIX);
+  }
+
+  /**
+   * Import a signing public key from compact text or JWK (object or JSON string)
+   * @param {string|object} publicKey - Public key
+   * @returns {Promise<CryptoKey>} ECDSA public key
+   */
+  static async importSigningPublicKey(publicKey) {
+    return await importEcPublicKey(publicKey, SIGNING_PUBLIC_KEY_PREFIX, ECDSA_ALGORITHM, ['verify']);
+  }
+
+  /**
+   * Import a signing private key from compact text or JWK (object or JSON string)
+   * @param {string|object} privateKey - Private key
+   * @returns {Promise<{privateKey: CryptoKey, publicKey: CryptoKey}>} The key and its public half
+   */
+  static async importSigningPrivateKey(privateKey) {
+    return await importEcPrivateKey(privateKey, SIGNING_PRIVATE_KEY_PREFIX, ECDSA_ALGORITHM, ['sign'], ['verify']);
+  }
+
+  /**
+   * Sign data with ECDSA P-256 / SHA-256
+   * @param {Uint8Array} data - Data to sign
+   * @param {CryptoKey} privateKey - ECDSA private key
+   * @returns {Promise<Uint8Array>} 64-byte signature (r||s)
+   */
+  static async sign(data, privateKey) {
+    return new Uint8Array(await crypto.subtle.sign(ECDSA_SIGNATURE, privateKey, data));
+  }
+
+  /**
+   * Verify an ECDSA P-256 / SHA-256 signature
+   * @param {Uint8Array} signature - Signature (r||s)
+   * @param {Uint8Array} data - Signed data
+   * @param {CryptoKey} publicKey - ECDSA public key
+   * @returns {Promise<boolean>}
+   */
+  static async verify(signature, data, publicKey) {
+    return await crypto.subtle.verify(ECDSA_SIGNATURE, publicKey, signature, data);
+  }
+
+  /**
+   * Short identifier of a public key, used to find a recipient's slot in a header
+   * @param {CryptoKey} publicKey - ECDH public key
+   * @returns {Promise<string>} base64url of the first 8 bytes of SHA-256(raw key)
+   */
+  static async getKeyId(publicKey) {
+    const raw = await crypto.subtle.exportKey('raw', publicKey);
+    const digest = new Uint8Array(await crypto.subtle.digest('SHA-256', raw));
+    return Encoding.toBase64Url(digest.subarray(0, 8));
+  }
+
+  /**
+   * Wrap a file key for a recipient using ephemeral-static ECDH and HKDF-SHA256
+   * @param {Uint8Array} keyData - Raw file key
+   * @param {CryptoKey} recipientKey - Recipient's ECDH public key
+   * @param {Uint8Array} aad - Serialized file header the entry is bound to
+   * @returns {Promise<{kid: string, epk: string, wrappedKey: string}>} Key slot entry
+   */
+  static async wrapKeyForRecipient(keyData, recipientKey, aad) {
+    const ephemeral = await this.generateKeyPair();
+    const epk = new Uint8Array(await crypto.subtle.exportKey('raw', ephemeral.publicKey));
+    const kek = await this.deriveRecipientKek(ephemeral.privateKey, recipientKey, epk);
+
+    return {
+      kid: await this.getKeyId(recipientKey),
+      epk: Encoding.toBase64(epk),
+      wrappedKey: Encoding.toBase64(await this.wrapKey(keyData, kek, aad))
+    };
+  }
+
+  /**
+   * Unwrap a file key from a recipient entry with the recipient's private key
+   * @param {{epk: string, wrappedKey: string}} entry - Key slot entry
+   * @param {CryptoKey} privateKey - Recipient's ECDH private key
+   * @param {CryptoKey} publicKey - Recipient's ECDH public key
+   * @param {Uint8Array} aad - Serialized file header the entry is bound to
+   * @returns {Promise<Uint8Array>} Raw file key
+   */
+  static async unwrapKeyForRecipient(entry, privateKey, publicKey, aad) {
+    const epk = Encoding.fromBase64(entry.epk);
+    const ephemeralKey = await crypto.subtle.importKey('raw', epk, ECDH_ALGORITHM, false, []);
+    const kek = await this.deriveRecipientKek(privateKey, ephemeralKey, epk, publicKey);
+
+    const keyData = await this.unwrapKey(Encoding.fromBase64(entry.wrappedKey), kek, aad);
+    if (!keyData) {
+      throw new Error('Decryption failed. This private key cannot unlock the file.');
+    }
+    return keyData;
+  }
+
+  /**
+   * Wrap a file key under a password, producing one password key slot
+   * Every slot has its own salt, so slots can be added or removed independently.
+   * The slot records whether a keyfile is required, never which one.
+   * @param {Uint8Array} keyData - Raw file key
+   * @param {string} password - Slot password
+   * @param {object} kdf - Key derivation parameters (see KDF_PRESETS)
+   * @param {Uint8Array} aad - Serialized file header the slot is bound to
+   * @param {Uint8Array|null} [keyfileHash] - Keyfile digest, for two-factor slots
+   * @returns {Promise<{kdf: object, salt: string, keyfile: boolean, wrappedKey: string}>} Key slot entry
+   */
+  static async wrapKeyWithPassword(keyData, password, kdf, aad, keyfileHash = null) {
+    const salt = this.generateSalt();
+    const kek = await this.deriveKey(password, salt, kdf, keyfileHash);
+
+    return {
+      kdf: { ...kdf },
+      salt: Encoding.toBase64(salt),
+      keyfile: !!keyfileHash,
+      wrappedKey: Encoding.toBase64(await this.wrapKey(keyData, kek, aad))
+    };
+  }
+
+  /**
+   * Try to unwrap a file key from a password key slot
+   * @param {{kdf: object, salt: string, keyfile?: boolean, wrappedKey: string}} slot - Key slot entry
+   * @param {string} password - Candidate password
+   * @param {Uint8Array} aad - Serialized file header the slot is bound to
+   * @param {Uint8Array|null} [keyfileHash] - Keyfile digest, used only if the slot requires one
+   * @returns {Promise<Uint8Array|null>} Raw file key, or null if the credentials do not open this slot
+   */
+  static async unwrapKeyWithPassword(slot, password, aad, keyfileHash = null) {
+    const kek = await this.deriveKey(password, Encoding.fromBase64(slot.salt), slot.kdf, slot.keyfile ? keyfileHash : null);
+    return await this.unwrapKey(Encoding.fromBase64(slot.wrappedKey), kek, aad);
+  }
+
+  /**
+   * Encrypt a raw key with a key-encryption key
+   * @param {Uint8Array} keyData - Raw key
+   * @param {CryptoKey} kek - AES-GCM key-encryption key
+   * @param {Uint8Array} aad - Additional authenticated data
+   * @returns {Promise<Uint8Array>} [12 bytes: IV][ciphertext]
+   */
+  static async wrapKey(keyData, kek, aad) {
+    const iv = this.generateIV();
+    const ciphertext = new Uint8Array(await crypto.subtle.encrypt(
+      { name: 'AES-GCM', iv, additionalData: aad },
+      kek,
+      keyData
+    ));
+    const wrapped = new Uint8Array(iv.length + ciphertext.length);
+    wrapped.set(iv, 0);
+    wrapped.set(ciphertext, iv.length);
+    return wrapped;
+  }
+
+  /**
+   * Decrypt a raw key wrapped by wrapKey
+   * @param {Uint8Array} wrapped - [12 bytes: IV][ciphertext]
+   * @param {CryptoKey} kek - AES-GCM key-encryption key
+   * @param {Uint8Array} aad - Additional authenticated data
+   * @returns {Promise<Uint8Array|null>} Raw key, or null if authentication fails
+   */
+  static async unwrapKey(wrapped, kek, aad) {
+    try {
+      const keyData = await crypto.subtle.decrypt(
+        { name: 'AES-GCM', iv: wrapped.subarray(0, 12), additionalData: aad },
+        kek,
+        wrapped.subarray(12)
+      );
+      return new Uint8Array(keyData);
+    } catch (e) {
+      return null;
+    }
+  }
+
+  /**
+   * Derive the key-encryption key shared between an ephemeral key and a recipient
+   * @param {CryptoKey} privateKey - Our ECDH private key (ephemeral when wrapping)
+   * @param {CryptoKey} peerKey - Their ECDH public key
+   * @param {Uint8Array} epk - Raw ephemeral public key
+   * @param {CryptoKey} [recipientKey] - Recipient public key, if different from peerKey
+   * @returns {Promise<CryptoKey>} AES-GCM key-encryption key
+   */
+  static async deriveRecipientKek(privateKey, peerKey, epk, recipientKey = peerKey) {
+    const shared = await crypto.subtle.deriveBits({ name: 'ECDH', public: peerKey }, privateKey, 256);
+    const recipientRaw = new Uint8Array(await crypto.subtle.exportKey('raw', recipientKey));
+
+    // Bind both public keys into the derivation
+    const salt = new Uint8Array(epk.length + recipientRaw.length);
+    salt.set(epk, 0);
+    salt.set(recipientRaw, epk.length);
+
+    const ikm = await crypto.subtle.importKey('raw', shared, 'HKDF', false, ['deriveKey']);
+    return await crypto.subtle.deriveKey(
+      { name: 'HKDF', hash: 'SHA-256', salt, info: new TextEncoder().encode(RECIPIENT_KDF_INFO) },
+      ikm,
+      { name: 'AES-GCM', length: 256 },
+      false,
+      ['encrypt', 'decrypt']
+    );
+  }
+}
+
+/**
+ * Check that a header-supplied parameter is an integer within bounds
+ * @param {*} value - Value to check
+ * @param {number} min - Minimum (inclusive)
+ * @param {number} max - Maximum (inclusive)
+ * @returns {boolean}
+ */
+function isIntegerInRange(value, min, max) {
+  return Number.isInteger(value) && value >= min && value <= max;
+}
+
+/**
+ * Export an EC public key as `prefix.base64url(raw point)` or a public JWK
+ * @param {CryptoKey} publicKey - EC public key
+ * @param {'text'|'jwk'} format - Output format
+ * @param {string} prefix - Text prefix
+ * @returns {Promise<string|object>}
+ */
+async function exportEcPublicKey(publicKey, format, prefix) {
+  if (format === 'jwk') {
+    const { kty, crv, x, y } = await crypto.subtle.exportKey('jwk', publicKey);
+    return { kty, crv, x, y };
+  }
+  const raw = new Uint8Array(await crypto.subtle.exportKey('raw', publicKey));
+  return `${prefix}${Encoding.toBase64Url(raw)}`;
+}
+
+/**
+ * Export an EC private key as `prefix.base64url(d||x||y)` or a private JWK
+ * @param {CryptoKey} privateKey - EC private key
+ * @param {'text'|'jwk'} format - Output format
+ * @param {string} prefix - Text prefix
+ * @returns {Promise<string|object>}
+ */
+async function exportEcPrivateKey(privateKey, format, prefix) {
+  const { kty, crv, x, y, d } = await crypto.subtle.exportKey('jwk', privateKey);
+  if (format === 'jwk') {
+    return { kty, crv, x, y, d };
+  }
+  const packed = new Uint8Array(96);
+  packed.set(Encoding.fromBase64Url(d), 0);
+  packed.set(Encoding.fromBase64Url(x), 32);
+  packed.set(Encoding.fromBase64Url(y), 64);
+  return `${prefix}${Encoding.toBase64Url(packed)}`;
+}
+
+/**
+ * Import an EC public key from compact text or JWK
+ * @param {string|object} publicKey - Key input
+ * @param {string} prefix - Expected text prefix
+ * @param {object} algorithm - WebCrypto import algorithm
+ * @param {string[]} usages - Key usages
+ * @returns {Promise<CryptoKey>}
+ */
+async function importEcPublicKey(publicKey, prefix, algorithm, usages) {
+  const jwk = parseJwk(publicKey);
+  try {
+    if (jwk) {
+      return await crypto.subtle.importKey(
+        'jwk',
+        { kty: jwk.kty, crv: jwk.crv, x: jwk.x, y: jwk.y },
+        algorithm,
+        true,
+        usages
+      );
+    }
+    const raw = decodePrefixed(publicKey, prefix, 65);
+    return await crypto.subtle.importKey('raw', raw, algorithm, true, usages);
+  } catch (e) {
+    throw new Error('Invalid public key');
+  }
+}
+
+/**
+ * Import an EC private key from compact text or JWK, along with its public half
+ * @param {string|object} privateKey - Key input
+ * @param {string} prefix - Expected text prefix
+ * @param {object} algorithm - WebCrypto import algorithm
+ * @param {string[]} usages - Private key usages
+ * @param {string[]} publicUsages - Public key usages
+ * @returns {Promise<{privateKey: CryptoKey, publicKey: CryptoKey}>}
+ */
+async function importEcPrivateKey(privateKey, prefix, algorithm, usages, publicUsages) {
+  let jwk = parseJwk(privateKey);
+  if (!jwk) {
+    const packed = decodePrefixed(privateKey, prefix, 96);
+    jwk = {
+      kty: 'EC',
+      crv: 'P-256',
+      d: Encoding.toBase64Url(packed.subarray(0, 32)),
+      x: Encoding.toBase64Url(packed.subarray(32, 64)),
+      y: Encoding.toBase64Url(packed.subarray(64, 96))
+    };
+  }
+
+  try {
+    const key = await crypto.subtle.importKey(
+      'jwk',
+      { kty: jwk.kty, crv: jwk.crv, x: jwk.x, y: jwk.y, d: jwk.d },
+      algorithm,
+      true,
+      usages
+    );
+    return { privateKey: key, publicKey: await importEcPublicKey({ ...jwk, d: undefined }, prefix, algorithm, publicUsages) };
+  } catch (e) {
+    throw new Error('Invalid private key');
+  }
+}
+
+/**
+ * Parse a JWK given as an object or JSON string
+ * @param {string|object} key - Key input
+ * @returns {object|null} JWK, or null if the input is not JWK
+ */
+function parseJwk(key) {
+  if (typeof key === 'object' && key !== null) return key;
+  const text = key.trim();
+  if (!text.startsWith('{')) return null;
+  try {
+    return JSON.parse(text);
+  } catch (e) {
+    throw new Error('Invalid JWK: not valid JSON');
+  }
+}
+
+/**
+ * Decode a compact `prefix.base64url` key string
+ * @param {string} text - Key string
+ * @param {string} prefix - Expected prefix
+ * @param {number} length - Expected decoded length
+ * @returns {Uint8Array}
+ */
+function decodePrefixed(text, prefix, length) {
+  const trimmed = text.trim();
+  if (!trimmed.startsWith(prefix)) {
+    throw new Error(`Invalid key: expected a key starting with "${prefix}"`);
+  }
+  let bytes;
+  try {
+    bytes = Encoding.fromBase64Url(trimmed.slice(prefix.length));
+  } catch (e) {
+    throw new Error('Invalid key encoding');
+  }
+  if (bytes.length !== length) {
+    throw new Error('Invalid key length');
+  }
+  return bytes;
 }
@@ -0,0 +1,141 @@
+/**
+ * Key Shares - Escrow a file's data key as K-of-N Shamir share tokens
+ *
+ * Token: `edshare1.` + base64url of
+ * [1 byte: version][8 bytes: file id][4 bytes: split id][1 byte: K][1 byte: N][1 byte: x]
+ * [32 bytes: share][4 bytes: checksum = first 4 bytes of SHA-256 over the preceding bytes]
+ */
+
+import { Shamir } from './shamir.js';
+import { Encoding } from '../utils/encoding.js';
+
+const SHARE_PREFIX = 'edshare1.';
+const SHARE_VERSION = 1;
+const KEY_LENGTH = 32;
+const TOKEN_LENGTH = 1 + 8 + 4 + 3 + KEY_LENGTH + 4;
+
+export class KeyShares {
+  /**
+   * Identify a file by its immutable header
+   * @param {Uint8Array} headerBytes - Serialized header
+   * @returns {Promise<Uint8Array>} First 8 bytes of SHA-256(header)
+   */
+  static async getFileId(headerBytes) {
+    const digest = new Uint8Array(await crypto.subtle.digest('SHA-256', headerBytes));
+    return digest.slice(0, 8);
+  }
+
+  /**
+   * Split a data key into share tokens
+   * @param {Uint8Array} keyData - Raw data key
+   * @param {Uint8Array} headerBytes - Serialized header of the file
+   * @param {number} total - Number of shares (N)
+   * @param {number} threshold - Shares needed to decrypt (K)
+   * @returns {Promise<string[]>} Share tokens
+   */
+  static async createShares(keyData, headerBytes, total, threshold) {
+    const fileId = await this.getFileId(headerBytes);
+    const splitId = crypto.getRandomValues(new Uint8Array(4));
+
+    const tokens = [];
+    for (const share of Shamir.split(keyData, total, threshold)) {
+      const bytes = new Uint8Array(TOKEN_LENGTH);
+      bytes[0] = SHARE_VERSION;
+      bytes.set(fileId, 1);
+      bytes.set(splitId, 9);
+      bytes[13] = threshold;
+      bytes[14] = total;
+      bytes[15] = share.x;
+      bytes.set(share.y, 16);
+      bytes.set(await checksum(bytes.subarray(0, TOKEN_LENGTH - 4)), TOKEN_LENGTH - 4);
+      tokens.push(`${SHARE_PREFIX}${Encoding.toBase64Url(bytes)}`);
+    }
+    return tokens;
+  }
+
+  /**
+   * Decode and verify a share token
+   * @param {string} token - Share token
+   * @returns {Promise<{fileId: Uint8Array, splitId: string, threshold: number, total: number, x: number, y: Uint8Array}>}
+   */
+  static async decodeShare(token) {
+    const text = token.trim();
+    if (!text.startsWith(SHARE_PREFIX)) {
+      throw new Error('Invalid key share format');
+    }
+
+    let bytes;
+    try {
+      bytes = Encoding.fromBase64Url(text.slice(SHARE_PREFIX.length));
+    } catch (e) {
+      throw new Error('Invalid key share format');
+    }
+    if (bytes.length !== TOKEN_LENGTH || bytes[0] !== SHARE_VERSION) {
+      throw new Error('Invalid key share format');
+    }
+
+    const expected = await checksum(bytes.subarray(0, TOKEN_LENGTH - 4));
+    if (!expected.every((byte, i) => byte === bytes[TOKEN_LENGTH - 4 + i])) {
+      throw new Error('Invalid key share: checksum mismatch (mistyped or damaged)');
+    }
+
+    return {
+      fileId: bytes.slice(1, 9),
+      splitId: Encoding.toBase64Url(bytes.subarray(9, 13)),
+      threshold: bytes[13],
+      total: bytes[14],
+      x: bytes[15],
+      y: bytes.slice(16, 16 + KEY_LENGTH)
+    };
+  }
+
+  /**
+   * Recover a file's data key from share tokens
+   * @param {string[]} tokens - At least K share tokens
+   * @param {Uint8Array} headerBytes - Serialized header of the file being decrypted
+   * @returns {Promise<Uint8Array>} Raw data key
+   */
+  static async combineShares(tokens, headerBytes) {
+    const fileId = await this.getFileId(headerBytes);
+    const shares = [];
+
+    for (const [i, token] of tokens.entries()) {
+      let share;
+      try {
+        share = await this.decodeShare(token);
+      } catch (error) {
+        throw new Error(`Share ${i + 1}: ${error.message}`);
+      }
+      if (!share.fileId.every((byte, j) => byte === fileId[j])) {
+        throw new Error(`Share ${i + 1} belongs to a different file`);
+      }
+      if (shares.length > 0 && share.splitId !== shares[0].splitId) {
+        throw new Error('These shares come from different splits of the key; use shares from one split');
+      }
+      // The same share entered twice adds nothing
+      if (!shares.some(existing => existing.x === share.x)) {
+        shares.push(share);
+      }
+    }
+
+    if (shares.length === 0) {
+      throw new Error('Key shares required for this file');
+    }
+    const { threshold } = shares[0];
+    if (shares.length < threshold) {
+      throw new Error(`Not enough key shares: ${shares.length} of ${threshold} required`);
+    }
+
+    return Shamir.combine(shares.slice(0, threshold));
+  }
+}
+
+/**
+ * Token checksum
+ * @param {Uint8Array} bytes - Token body
+ * @returns {Promise<Uint8Array>} First 4 bytes of SHA-256
+ */
+async function checksum(bytes) {
+  const digest = new Uint8Array(await crypto.subtle.digest('SHA-256', bytes));
+  return digest.subarray(0, 4);
+}
@@ -0,0 +1,150 @@
+/**
+ * Key Slots - Add, change and remove passwords of an existing file
+ *
+ * Every password wraps the same random data key in its own slot. Chunks and metadata
+ * are bound only to the immutable header, so editing slots rewrites the slot block
+ * and reuses the rest of the file untouched. A recovery record protects the slot block
+ * as a section of its own, so only that small section is encoded again.
+ */
+
+import { KeyManager, DEFAULT_KDF } from './key-manager.js';
+import { Decryptor } from './decryptor.js';
+import { FormatV2 } from './formats/format-v2.js';
+import { Encryptor } from './encryptor.js';
+import { Recovery } from '../file-handling/recovery.js';
+
+// Every slot costs one key derivation when a password is tried
+export const MAX_PASSWORD_SLOTS = 8;
+
+export class KeySlots {
+  /**
+   * Parse a file and check that its key slots can be managed
+   * @param {Blob} file - Encrypted file
+   * @returns {Promise<object>} Result of Decryptor.parseEncryptedFile
+   */
+  static async open(file) {
+    const parsed = await Decryptor.parseEncryptedFile(file);
+
+    if (!parsed.keySlots) {
+      throw new Error(`Version ${parsed.version} files have no key slots`);
+    }
+    if (parsed.keySlots.passwords.length === 0) {
+      throw new Error('Only password-protected files have key slots');
+    }
+    return parsed;
+  }
+
+  /**
+   * Describe the password slots of a file (no credentials needed)
+   * @param {Blob} file - Encrypted file
+   * @returns {Promise<{kdf: string, keyfile: boolean}[]>} One entry per slot
+   */
+  static async list(file) {
+    const parsed = await this.open(file);
+    return parsed.keySlots.passwords.map(slot => ({ kdf: slot.kdf.name, keyfile: !!slot.keyfile }));
+  }
+
+  /**
+   * Add a password slot
+   * @param {Blob} file - Encrypted file
+   * @param {{password?: string, keyfile?: Blob}} credentials - Credentials of any existing slot
+   * @param {{password?: string, keyfile?: Blob}} newCredentials - Password and/or keyfile to add
+   * @param {object} [kdf] - Key derivation parameters for the new slot
+   * @returns {Promise<Blob>} Updated file
+   */
+  static async addPassword(file, credentials, newCredentials, kdf = DEFAULT_KDF) {
+    const parsed = await this.open(file);
+    if (parsed.keySlots.passwords.length >= MAX_PASSWORD_SLOTS) {
+      throw new Error(`A file can have at most ${MAX_PASSWORD_SLOTS} passwords`);
+    }
+
+    const { keyData } = await FormatV2.unlockPasswordSlot(parsed, credentials);
+    const slot = await this.createSlot(keyData, newCredentials, kdf, parsed.headerBytes);
+
+    return await this.rewrite(file, parsed, [...parsed.keySlots.passwords, slot]);
+  }
+
+  /**
+   * Replace the slot opened by some credentials with new ones
+   * @param {Blob} file - Encrypted file
+   * @param {{password?: string, keyfile?: Blob}} credentials - Current password and/or keyfile
+   * @param {{password?: string, keyfile?: Blob}} newCredentials - Replacement password and/or keyfile
+   * @param {object} [kdf] - Key derivation parameters for the new slot
+   * @returns {Promise<Blob>} Updated file
+   */
+  static async changePassword(file, credentials, newCredentials, kdf = DEFAULT_KDF) {
+    const parsed = await this.open(file);
+    const { keyData, slotIndex } = await FormatV2.unlockPasswordSlot(parsed, credentials);
+
+    const slots = [...parsed.keySlots.passwords];
+    slots[slotIndex] = await this.createSlot(keyData, newCredentials, kdf, parsed.headerBytes);
+
+    return await this.rewrite(file, parsed, slots);
+  }
+
+  /**
+   * Remove the slot opened by some credentials
+   * @param {Blob} file - Encrypted file
+   * @param {{password?: string, keyfile?: Blob}} credentials - Password and/or keyfile to remove
+   * @returns {Promise<Blob>} Updated file
+   */
+  static async removePassword(file, credentials) {
+    const parsed = await this.open(file);
+    if (parsed.keySlots.passwords.length === 1) {
+      throw new Error('Cannot remove the only password of a file');
+    }
+
+    const { slotIndex } = await FormatV2.unlockPasswordSlot(parsed, credentials);
+    const slots = parsed.keySlots.passwords.filter((slot, i) => i !== slotIndex);
+
+    return await this.rewrite(file, parsed, slots);
+  }
+
+  /**
+   * Wrap the data key for new slot credentials
+   * @param {Uint8Array} keyData - Raw data key
+   * @param {{password?: string, keyfile?: Blob}} credentials - Password and/or keyfile
+   * @param {object} kdf - Key derivation parameters
+   * @param {Uint8Array} headerBytes - Serialized header the slot is bound to
+   * @returns {Promise<object>} Password slot
+   */
+  static async createSlot(keyData, credentials, kdf, headerBytes) {
+    const password = credentials.password || '';
+    if (!password && !credentials.keyfile) {
+      throw new Error('A new slot needs a password, a keyfile or both');
+    }
+
+    const keyfileHash = credentials.keyfile ? await KeyManager.hashKeyfile(credentials.keyfile) : null;
+    return await KeyManager.wrapKeyWithPassword(keyData, password, kdf, headerBytes, keyfileHash);
+  }
+
+  /**
+   * Splice a new key slots block into the file
+   * @param {Blob} file - Encrypted file
+   * @param {object} parsed - Result of parseEncryptedFile
+   * @param {object[]} passwords - New password slots
+   * @returns {Promise<Blob>} Updated file; the header, metadata and chunks are sliced from the original
+   */
+  static async rewrite(file, parsed, passwords) {
+    const keySlots = Encryptor.serializeMetadata({ ...parsed.keySlots, passwords });
+
+    const updated = new Blob([
+      file.slice(0, parsed.keySlotsStart),
+      keySlots,
+      file.slice(parsed.keySlotsEnd, parsed.payloadEnd)
+    ], { type: 'application/octet-stream' });
+
+    const range = { start: parsed.keySlotsStart, end: parsed.keySlotsStart + keySlots.length };
+    return await Recovery.update(file, updated, range);
+  }
+
+  /**
+   * Byte range of the key slots block of a parsed file, length prefix included
+   * Recovery records protect it apart from the rest of the file, which never changes.
+   * @param {object} parsed - Result of parseEncryptedFile
+   * @returns {{start: number, end: number}}
+   */
+  static range(parsed) {
+    return { start: parsed.keySlotsStart, end: parsed.keySlotsEnd };
+  }
+}
@@ -0,0 +1,231 @@
+/**
+ * Messages - Encrypt short text messages to a single line of text
+ *
+ * A message is written as "edmsg1:" followed by its bytes in unpadded base64url, so it
+ * survives chat and email without line breaks. Nothing is ever written to disk.
+ * Messages carry only what decryption needs; there is no filename, MIME type, timestamp
+ * or signature, and the text is a single AES-256-GCM chunk:
+ *
+ * [1 byte: version (1)][1 byte: KDF (0 none, 1 PBKDF2-SHA-256, 2 Argon2id)][KDF parameters]
+ *   [16 bytes: salt][60 bytes: wrapped key]   - the password slot, only with a KDF
+ *   [12 bytes: IV][ciphertext + 16-byte tag]
+ *
+ * KDF parameters are 4-byte little-endian integers: iterations for PBKDF2; memory (KiB),
+ * iterations and parallelism for Argon2id. The slot is bound to the bytes before it and
+ * the chunk to everything before the IV. Without a password the random key is handed to
+ * the user instead.
+ */
+
+import { Encryptor } from './encryptor.js';
+import { FormatV2 } from './formats/format-v2.js';
+import { KeyManager, DEFAULT_KDF } from './key-manager.js';
+import { CipherSuites } from './cipher-suites.js';
+import { Encoding } from '../utils/encoding.js';
+import { concatBytes } from '@noble/hashes/utils.js';
+
+export const MESSAGE_PREFIX = 'edmsg1:';
+
+const MESSAGE_VERSION = 1;
+const MESSAGE_CIPHER = 'aes-256-gcm';
+const KDF_NONE = 0;
+const KDF_PBKDF2 = 1;
+const KDF_ARGON2ID = 2;
+const SALT_LENGTH = 16;
+// [12 bytes: IV][32-byte key + 16-byte tag], see KeyManager.wrapKey
+const WRAPPED_KEY_LENGTH = 60;
+
+export class Messages {
+  /**
+   * Encrypt a message
+   * @param {string} text - Message
+   * @param {{password?: string|null, kdf?: object}} options - Without a password a random key is generated
+   * @returns {Promise<{message: string, keyData: Uint8Array|null}>} keyData is set for password-less messages
+   */
+  static async encrypt(text, options = {}) {
+    if (!text) {
+      throw new Error('Message is empty');
+    }
+
+    const password = options.password || null;
+    const suite = CipherSuites.get(MESSAGE_CIPHER);
+    const keyData = await KeyManager.exportKey(await KeyManager.generateRandomKey());
+
+    let header = encodeKdf(password ? options.kdf || DEFAULT_KDF : null);
+    if (password) {
+      const slot = await KeyManager.wrapKeyWithPassword(keyData, password, options.kdf || DEFAULT_KDF, header);
+      header = concatBytes(header, Encoding.fromBase64(slot.salt), Encoding.fromBase64(slot.wrappedKey));
+    }
+
+    const iv = crypto.getRandomValues(new Uint8Array(suite.ivLength));
+    const stream = { cipher: MESSAGE_CIPHER, key: await suite.importKey(keyData), iv, aad: header };
+    const ciphertext = await Encryptor.encryptChunk(new TextEncoder().encode(text), stream, 0, true);
+
+    const bytes = concatBytes(header, iv, new Uint8Array(ciphertext));
+    return { message: `${MESSAGE_PREFIX}${Encoding.toBase64Url(bytes)}`, keyData: password ? null : keyData };
+  }
+
+  /**
+   * Whether text is an encrypted message (surrounding whitespace is allowed)
+   * @param {string} text - Any text
+   * @returns {boolean}
+   */
+  static isMessage(text) {
+    return text.trim().startsWith(MESSAGE_PREFIX);
+  }
+
+  /**
+   * Decode the bytes of an encrypted message
+   * @param {string} text - Encrypted message
+   * @returns {Uint8Array} Message bytes
+   */
+  static decode(text) {
+    if (!this.isMessage(text)) {
+      throw new Error(`Not an encrypted message (expected ${MESSAGE_PREFIX}...)`);
+    }
+
+    // Chat clients may wrap long lines
+    const body = text.trim().slice(MESSAGE_PREFIX.length).replace(/\s+/g, '');
+    if (!/^[A-Za-z0-9_-]+$/.test(body)) {
+      throw new Error('Invalid message: unexpected characters (was it copied completely?)');
+    }
+    try {
+      return Encoding.fromBase64Url(body);
+    } catch (error) {
+      throw new Error('Invalid message: truncated (was it copied completely?)');
+    }
+  }
+
+  /**
+   * Find out which credential a message needs
+   * @param {string} text - Encrypted message
+   * @returns {Promise<'password'|'key'>}
+   */
+  static async getRequiredCredential(text) {
+    return parseMessage(this.decode(text)).slot ? 'password' : 'key';
+  }
+
+  /**
+   * Decrypt a message
+   * @param {string} text - Encrypted message
+   * @param {{password?: string, key?: string}} credentials - Password, or the key string of a password-less message
+   * @returns {Promise<string>} Message text
+   */
+  static async decrypt(text, credentials) {
+    const { kdfHeader, header, slot, iv, ciphertext } = parseMessage(this.decode(text));
+    let keyData;
+    if (slot) {
+      if (!credentials.password) {
+        throw new Error('Password required for this message');
+      }
+      keyData = await KeyManager.unwrapKeyWithPassword(slot, credentials.password, kdfHeader);
+      if (!keyData) {
+        throw new Error('Decryption failed. Invalid password or corrupted message.');
+      }
+    } else {
+      if (!credentials.key) {
+        throw new Error('Key required for this message');
+      }
+      keyData = KeyManager.decodeKeyString(credentials.key);
+    }
+
+    const suite = CipherSuites.get(MESSAGE_CIPHER);
+    const stream = { cipher: MESSAGE_CIPHER, key: await suite.importKey(keyData), iv, aad: header };
+    let plaintext;
+    try {
+      plaintext = await FormatV2.decryptChunk(ciphertext, stream, 0, true);
+    } catch (error) {
+      throw new Error('Decryption failed. Invalid key or corrupted message.');
+    }
+    return new TextDecoder().decode(plaintext);
+  }
+}
+
+/**
+ * Encode the version and key derivation of a message
+ * @param {object|null} kdf - Key derivation parameters, or null without a password
+ * @returns {Uint8Array}
+ */
+function encodeKdf(kdf) {
+  if (!kdf) {
+    return new Uint8Array([MESSAGE_VERSION, KDF_NONE]);
+  }
+
+  let id;
+  let parameters;
+  if (kdf.name === 'PBKDF2' && kdf.hash === 'SHA-256') {
+    id = KDF_PBKDF2;
+    parameters = [kdf.iterations];
+  } else if (kdf.name === 'Argon2id') {
+    id = KDF_ARGON2ID;
+    parameters = [kdf.memory, kdf.iterations, kdf.parallelism];
+  } else {
+    throw new Error(`Unsupported key derivation for messages: ${kdf.name}`);
+  }
+
+  const bytes = new Uint8Array(2 + parameters.length * 4);
+  bytes[0] = MESSAGE_VERSION;
+  bytes[1] = id;
+  const view = new DataView(bytes.buffer);
+  parameters.forEach((value, i) => view.setUint32(2 + i * 4, value, true));
+  return bytes;
+}
+
+/**
+ * Split a message into its parts
+ * @param {Uint8Array} bytes - Decoded message
+ * @returns {{kdfHeader: Uint8Array, header: Uint8Array, slot: object|null, iv: Uint8Array, ciphertext: Uint8Array}}
+ *   slot has the shape of a password key slot (see KeyManager.unwrapKeyWithPassword)
+ */
+function parseMessage(bytes) {
+  if (bytes.length < 2 || bytes[0] !== MESSAGE_VERSION) {
+    throw new Error('Invalid message: unsupported version');
+  }
+
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const readParameters = (count) => {
+    if (bytes.length < 2 + count * 4) {
+      throw new Error('Invalid message: too short (was it copied completely?)');
+    }
+    return Array.from({ length: count }, (_, i) => view.getUint32(2 + i * 4, true));
+  };
+
+  let kdf = null;
+  let offset = 2;
+  if (bytes[1] === KDF_PBKDF2) {
+    const [iterations] = readParameters(1);
+    kdf = { name: 'PBKDF2', hash: 'SHA-256', iterations };
+    offset += 4;
+  } else if (bytes[1] === KDF_ARGON2ID) {
+    const [memory, iterations, parallelism] = readParameters(3);
+    kdf = { name: 'Argon2id', memory, iterations, parallelism };
+    offset += 12;
+  } else if (bytes[1] !== KDF_NONE) {
+    throw new Error('Invalid message: unknown key derivation');
+  }
+  const kdfEnd = offset;
+
+  const suite = CipherSuites.get(MESSAGE_CIPHER);
+  const slotLength = kdf ? SALT_LENGTH + WRAPPED_KEY_LENGTH : 0;
+  if (bytes.length < offset + slotLength + suite.ivLength + suite.tagLength) {
+    throw new Error('Invalid message: too short (was it copied completely?)');
+  }
+
+  let slot = null;
+  if (kdf) {
+    slot = {
+      kdf,
+      salt: Encoding.toBase64(bytes.subarray(offset, offset + SALT_LENGTH)),
+      keyfile: false,
+      wrappedKey: Encoding.toBase64(bytes.subarray(offset + SALT_LENGTH, offset + slotLength))
+    };
+    offset += slotLength;
+  }
+
+  return {
+    kdfHeader: bytes.subarray(0, kdfEnd),
+    header: bytes.subarray(0, offset),
+    slot,
+    iv: bytes.subarray(offset, offset + suite.ivLength),
+    ciphertext: bytes.slice(offset + suite.ivLength)
+  };
+}
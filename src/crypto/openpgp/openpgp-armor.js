@@ -0,0 +1,123 @@
+/**
+ * OpenPGP Armor - ASCII armor for OpenPGP messages (RFC 9580 section 6)
+ *
+ * -----BEGIN PGP MESSAGE-----
+ * <optional "Key: Value" header lines>
+ * <blank line>
+ * <padded base64, 64 columns>
+ * =<base64 CRC-24 of the binary data; optional when reading>
+ * -----END PGP MESSAGE-----
+ */
+
+import { Encoding } from '../../utils/encoding.js';
+
+export const PGP_ARMOR_BEGIN = '-----BEGIN PGP MESSAGE-----';
+export const PGP_ARMOR_END = '-----END PGP MESSAGE-----';
+
+const COLUMNS = 64;
+// 48 bytes encode to exactly one 64-column line
+const READ_SIZE = 48 * 1024;
+
+const CRC24_INIT = 0xb704ce;
+const CRC24_POLY = 0x1864cfb;
+
+export class OpenPgpArmor {
+  /**
+   * Whether a file is an armored OpenPGP message (leading whitespace is allowed)
+   * @param {Blob} file - Any file
+   * @returns {Promise<boolean>}
+   */
+  static async isArmored(file) {
+    const start = await file.slice(0, 1024).text();
+    return start.trimStart().startsWith(PGP_ARMOR_BEGIN);
+  }
+
+  /**
+   * Armor a binary message
+   * @param {Blob} binary - Binary OpenPGP message
+   * @returns {Promise<Blob>} Armored text
+   */
+  static async encode(binary) {
+    const parts = [`${PGP_ARMOR_BEGIN}\n\n`];
+    let crc = CRC24_INIT;
+
+    for (let offset = 0; offset < binary.size; offset += READ_SIZE) {
+      const bytes = new Uint8Array(await binary.slice(offset, offset + READ_SIZE).arrayBuffer());
+      crc = updateCrc24(crc, bytes);
+      parts.push(Encoding.toBase64(bytes).replace(new RegExp(`.{1,${COLUMNS}}`, 'g'), '$&\n'));
+    }
+
+    const checksum = new Uint8Array([crc >> 16, (crc >> 8) & 0xff, crc & 0xff]);
+    parts.push(`=${Encoding.toBase64(checksum)}\n${PGP_ARMOR_END}\n`);
+    return new Blob(parts, { type: 'text/plain' });
+  }
+
+  /**
+   * Remove the armor from a message
+   * @param {Blob} file - Armored message
+   * @returns {Promise<Blob>} Binary message
+   */
+  static async decode(file) {
+    // Trailing whitespace on armor lines is insignificant
+    const lines = (await file.text()).split(/\r?\n/).map(line => line.trimEnd());
+
+    const begin = lines.indexOf(PGP_ARMOR_BEGIN);
+    const end = lines.indexOf(PGP_ARMOR_END, begin + 1);
+    if (begin === -1 || end === -1) {
+      throw new Error('Invalid OpenPGP armor: missing BEGIN or END line');
+    }
+
+    // Header lines run up to the first blank line
+    let i = begin + 1;
+    while (i < end && lines[i] !== '') {
+      if (!/^[^:\s]+: /.test(lines[i])) {
+        throw new Error('Invalid OpenPGP armor: malformed header line');
+      }
+      i++;
+    }
+
+    let base64 = '';
+    let checksum = null;
+    for (const line of lines.slice(i + 1, end)) {
+      if (line.startsWith('=') && line.length === 5) {
+        checksum = line.slice(1);
+        break;
+      }
+      base64 += line;
+    }
+
+    if (!/^[A-Za-z0-9+/]*={0,2}$/.test(base64) || base64.length % 4 !== 0) {
+      throw new Error('Invalid OpenPGP armor: malformed base64');
+    }
+    const bytes = Encoding.fromBase64(base64);
+
+    if (checksum !== null) {
+      const crc = updateCrc24(CRC24_INIT, bytes);
+      const expected = Encoding.fromBase64(checksum);
+      if (expected[0] !== crc >> 16 || expected[1] !== ((crc >> 8) & 0xff) || expected[2] !== (crc & 0xff)) {
+        throw new Error('Invalid OpenPGP armor: checksum mismatch (the text was damaged)');
+      }
+    }
+
+    return new Blob([bytes]);
+  }
+}
+
+/**
+ * Continue a CRC-24 over more bytes
+ * @param {number} crc - Running CRC
+ * @param {Uint8Array} bytes - Data
+ * @returns {number}
+ */
+function updateCrc24(crc, bytes) {
+  for (const byte of bytes) {
+    crc ^= byte << 16;
+    for (let bit = 0; bit < 8; bit++) {
+      crc <<= 1;
+      if (crc & 0x1000000) {
+        crc ^= CRC24_POLY;
+      }
+    }
+  }
+  return crc & 0xffffff;
+}
@@ -0,0 +1,288 @@
+/**
+ * OpenPGP Packets - Packet framing (RFC 9580 section 4)
+ *
+ * Packets are read from a stream of byte chunks, so message bodies of any size,
+ * including streamed (partial-length) bodies, are never held in memory at once.
+ */
+
+import { concatBytes } from '@noble/hashes/utils.js';
+
+export const PACKET_TAGS = Object.freeze({
+  PKESK: 1,
+  SIGNATURE: 2,
+  SKESK: 3,
+  ONE_PASS_SIGNATURE: 4,
+  COMPRESSED: 8,
+  SED: 9,
+  MARKER: 10,
+  LITERAL: 11,
+  SEIPD: 18,
+  AEAD: 20,
+  PADDING: 21
+});
+
+// Streamed bodies are written in parts of 2^20 bytes; partial lengths must be powers of two
+const PARTIAL_LENGTH_EXPONENT = 20;
+const PARTIAL_LENGTH = 1 << PARTIAL_LENGTH_EXPONENT;
+
+/**
+ * Sequential reader over an async iterable of byte chunks
+ */
+export class ByteStream {
+  /**
+   * @param {AsyncIterable<Uint8Array>} source - Byte chunks in order
+   */
+  constructor(source) {
+    this.iterator = source[Symbol.asyncIterator]();
+    this.buffer = new Uint8Array(0);
+    this.done = false;
+  }
+
+  /**
+   * Make sure some bytes are buffered
+   * @returns {Promise<boolean>} False at the end of the stream
+   */
+  async fill() {
+    while (this.buffer.length === 0 && !this.done) {
+      const { value, done } = await this.iterator.next();
+      if (done) {
+        this.done = true;
+      } else {
+        this.buffer = value;
+      }
+    }
+    return this.buffer.length > 0;
+  }
+
+  /**
+   * Whether the stream has no more bytes
+   * @returns {Promise<boolean>}
+   */
+  async isAtEnd() {
+    return !(await this.fill());
+  }
+
+  /**
+   * Read exactly `length` bytes
+   * @param {number} length - Number of bytes
+   * @returns {Promise<Uint8Array>}
+   */
+  async read(length) {
+    const parts = [];
+    for await (const piece of this.take(length)) {
+      parts.push(piece);
+    }
+    return parts.length === 1 ? parts[0] : concatBytes(...parts);
+  }
+
+  /**
+   * Read one byte
+   * @returns {Promise<number>}
+   */
+  async readByte() {
+    return (await this.read(1))[0];
+  }
+
+  /**
+   * Read exactly `length` bytes, in whatever pieces arrive
+   * @param {number} length - Number of bytes
+   * @yields {Uint8Array}
+   */
+  async *take(length) {
+    let remaining = length;
+    while (remaining > 0) {
+      if (!(await this.fill())) {
+        throw new Error('Invalid OpenPGP message: truncated');
+      }
+      const piece = this.buffer.subarray(0, Math.min(remaining, this.buffer.length));
+      this.buffer = this.buffer.subarray(piece.length);
+      remaining -= piece.length;
+      yield piece;
+    }
+  }
+
+  /**
+   * Read everything up to the end of the stream
+   * @yields {Uint8Array}
+   */
+  async *rest() {
+    while (await this.fill()) {
+      const piece = this.buffer;
+      this.buffer = new Uint8Array(0);
+      yield piece;
+    }
+  }
+}
+
+export class Packets {
+  /**
+   * Read the next packet header
+   * @param {ByteStream} stream - Packet stream
+   * @returns {Promise<{tag: number, length: number|null, partial: boolean}|null>} Null at the end
+   *   of the stream; `length` is null for an old-format packet of indeterminate length
+   */
+  static async readHeader(stream) {
+    if (await stream.isAtEnd()) return null;
+
+    const first = await stream.readByte();
+    if (!(first & 0x80)) {
+      throw new Error('Invalid OpenPGP message: malformed packet header');
+    }
+
+    if (first & 0x40) {
+      return { tag: first & 0x3f, ...(await readNewLength(stream)) };
+    }
+
+    // Legacy format: 4-bit tag and a length type
+    const tag = (first >> 2) & 0x0f;
+    switch (first & 0x03) {
+      case 0:
+        return { tag, length: await stream.readByte(), partial: false };
+      case 1:
+        return { tag, length: readUint(await stream.read(2)), partial: false };
+      case 2:
+        return { tag, length: readUint(await stream.read(4)), partial: false };
+      default:
+        return { tag, length: null, partial: false };
+    }
+  }
+
+  /**
+   * Read a packet body
+   * @param {ByteStream} stream - Packet stream, positioned after the header
+   * @param {{length: number|null, partial: boolean}} header - Result of readHeader
+   * @yields {Uint8Array} Body bytes
+   */
+  static async *readBody(stream, header) {
+    if (header.length === null) {
+      yield* stream.rest();
+      return;
+    }
+
+    let part = header;
+    while (part.partial) {
+      yield* stream.take(part.length);
+      part = await readNewLength(stream);
+    }
+    yield* stream.take(part.length);
+  }
+
+  /**
+   * Read a whole packet body that is expected to be small
+   * @param {ByteStream} stream - Packet stream, positioned after the header
+   * @param {object} header - Result of readHeader
+   * @param {number} [maxLength] - Largest acceptable body
+   * @returns {Promise<Uint8Array>}
+   */
+  static async readSmallBody(stream, header, maxLength = 64 * 1024) {
+    const parts = [];
+    let length = 0;
+    for await (const piece of this.readBody(stream, header)) {
+      length += piece.length;
+      if (length > maxLength) {
+        throw new Error('Invalid OpenPGP message: packet too large');
+      }
+      parts.push(piece);
+    }
+    return concatBytes(...parts);
+  }
+
+  /**
+   * Skip over a packet body
+   * @param {ByteStream} stream - Packet stream, positioned after the header
+   * @param {object} header - Result of readHeader
+   */
+  static async skipBody(stream, header) {
+    const body = this.readBody(stream, header);
+    while (!(await body.next()).done) {
+      // Discard
+    }
+  }
+
+  /**
+   * Encode a packet with a known body
+   * @param {number} tag - Packet tag
+   * @param {Uint8Array} body - Packet body
+   * @returns {Uint8Array}
+   */
+  static encode(tag, body) {
+    return concatBytes(new Uint8Array([0xc0 | tag]), encodeLength(body.length), body);
+  }
+
+  /**
+   * Encode a packet whose body is streamed, using partial body lengths
+   * @param {number} tag - Packet tag
+   * @param {AsyncIterable<Uint8Array>} chunks - Body bytes in order
+   * @yields {Uint8Array} Packet bytes
+   */
+  static async *encodeStreamed(tag, chunks) {
+    const pending = [];
+    let pendingLength = 0;
+    let first = true;
+
+    const prefix = (lengthBytes) => {
+      const bytes = first ? concatBytes(new Uint8Array([0xc0 | tag]), lengthBytes) : lengthBytes;
+      first = false;
+      return bytes;
+    };
+
+    for await (const chunk of chunks) {
+      pending.push(chunk);
+      pendingLength += chunk.length;
+
+      // Keep at least one byte back, so the final part always has a definite length
+      while (pendingLength > PARTIAL_LENGTH) {
+        const part = pending.length === 1 ? pending[0] : concatBytes(...pending);
+        yield prefix(new Uint8Array([0xe0 | PARTIAL_LENGTH_EXPONENT]));
+        yield part.subarray(0, PARTIAL_LENGTH);
+        pending.length = 0;
+        pending.push(part.subarray(PARTIAL_LENGTH));
+        pendingLength -= PARTIAL_LENGTH;
+      }
+    }
+
+    yield prefix(encodeLength(pendingLength));
+    yield* pending;
+  }
+}
+
+/**
+ * Read a new-format body length
+ * @param {ByteStream} stream - Packet stream
+ * @returns {Promise<{length: number, partial: boolean}>}
+ */
+async function readNewLength(stream) {
+  const first = await stream.readByte();
+  if (first < 192) {
+    return { length: first, partial: false };
+  }
+  if (first < 224) {
+    return { length: ((first - 192) << 8) + (await stream.readByte()) + 192, partial: false };
+  }
+  if (first === 255) {
+    return { length: readUint(await stream.read(4)), partial: false };
+  }
+  return { length: 1 << (first & 0x1f), partial: true };
+}
+
+/**
+ * Encode a definite new-format body length
+ * @param {number} length - Body length
+ * @returns {Uint8Array}
+ */
+function encodeLength(length) {
+  if (length < 192) {
+    return new Uint8Array([length]);
+  }
+  if (length < 8384) {
+    return new Uint8Array([((length - 192) >> 8) + 192, (length - 192) & 0xff]);
+  }
+  const bytes = new Uint8Array(5);
+  bytes[0] = 0xff;
+  new DataView(bytes.buffer).setUint32(1, length, false);
+  return bytes;
+}
+
+function readUint(bytes) {
+  return bytes.reduce((value, byte) => value * 256 + byte, 0);
+}
@@ -0,0 +1,335 @@
+/**
+ * OpenPGP SEIPD - Symmetrically Encrypted and Integrity Protected Data (RFC 9580 section 5.13)
+ *
+ * Version 1: AES in CFB mode over [random prefix][packets][MDC packet: SHA-1 of everything before].
+ *   This is what GnuPG writes and reads, so it is used for output.
+ * Version 2: chunked AEAD keyed by HKDF from the session key and a salt. Only AES-GCM is supported;
+ *   it runs on WebCrypto like Endecrypt's own chunks.
+ */
+
+import { cfb } from '@noble/ciphers/aes.js';
+import { hkdf } from '@noble/hashes/hkdf.js';
+import { sha1 } from '@noble/hashes/legacy.js';
+import { sha256 } from '@noble/hashes/sha2.js';
+import { concatBytes } from '@noble/hashes/utils.js';
+import { KeyManager } from '../key-manager.js';
+
+export const CIPHERS = Object.freeze({
+  7: { name: 'AES-128', keyLength: 16 },
+  8: { name: 'AES-192', keyLength: 24 },
+  9: { name: 'AES-256', keyLength: 32 }
+});
+
+// Named so that messages using them get a clear error rather than a number
+const UNSUPPORTED_CIPHERS = Object.freeze({
+  1: 'IDEA',
+  2: 'TripleDES',
+  3: 'CAST5',
+  4: 'Blowfish',
+  10: 'Twofish',
+  11: 'Camellia-128',
+  12: 'Camellia-192',
+  13: 'Camellia-256'
+});
+
+export const AEAD_GCM = 3;
+const AEAD_NAMES = Object.freeze({ 1: 'EAX', 2: 'OCB', 3: 'GCM' });
+
+export const CIPHER_AES256 = 9;
+
+const BLOCK_SIZE = 16;
+export const PREFIX_LENGTH = BLOCK_SIZE + 2;
+const MDC_LENGTH = 22; // [0xd3][0x14][20-byte SHA-1]
+const MDC_HEADER = new Uint8Array([0xd3, 0x14]);
+const TAG_LENGTH = 16;
+const GCM_NONCE_LENGTH = 12;
+const SEIPD_V2_SALT_LENGTH = 32;
+const MAX_CHUNK_SIZE_OCTET = 16; // 4 MiB chunks
+
+export class Seipd {
+  /**
+   * Look up a supported cipher
+   * @param {number} algorithm - OpenPGP symmetric algorithm ID
+   * @returns {{name: string, keyLength: number}}
+   */
+  static getCipher(algorithm) {
+    const cipher = CIPHERS[algorithm];
+    if (!cipher) {
+      const name = UNSUPPORTED_CIPHERS[algorithm];
+      throw new Error(name
+        ? `This OpenPGP message uses ${name}, which Endecrypt cannot read (only AES is supported)`
+        : `Unsupported OpenPGP cipher algorithm ${algorithm}`);
+    }
+    return cipher;
+  }
+
+  /**
+   * Check that an AEAD mode is supported
+   * @param {number} aead - OpenPGP AEAD algorithm ID
+   */
+  static assertAead(aead) {
+    if (aead !== AEAD_GCM) {
+      const name = AEAD_NAMES[aead] || `AEAD mode ${aead}`;
+      throw new Error(`This OpenPGP message uses ${name} encryption, which Endecrypt cannot read (only GCM is supported)`);
+    }
+  }
+
+  /**
+   * Check a session key against the start of a version 1 body, before decrypting the rest
+   * @param {Uint8Array} sessionKey - Candidate session key
+   * @param {Uint8Array} start - First 18 bytes of the ciphertext
+   * @returns {boolean} Whether the repeated prefix bytes match
+   */
+  static checkPrefix(sessionKey, start) {
+    const prefix = cfb(sessionKey, new Uint8Array(BLOCK_SIZE)).decrypt(start.subarray(0, PREFIX_LENGTH));
+    return prefix[BLOCK_SIZE - 2] === prefix[BLOCK_SIZE] && prefix[BLOCK_SIZE - 1] === prefix[BLOCK_SIZE + 1];
+  }
+
+  /**
+   * Decrypt a short CFB-encrypted value with a zero IV (version 4 session keys)
+   * @param {Uint8Array} key - Key
+   * @param {Uint8Array} data - Ciphertext
+   * @returns {Uint8Array}
+   */
+  static decryptCfb(key, data) {
+    return cfb(key, new Uint8Array(BLOCK_SIZE)).decrypt(data);
+  }
+
+  /**
+   * Encrypt a version 1 body
+   * @param {AsyncIterable<Uint8Array>} packets - Plaintext packets
+   * @param {Uint8Array} sessionKey - Session key
+   * @yields {Uint8Array} Packet body: [version 1][ciphertext]
+   */
+  static async *encryptV1(packets, sessionKey) {
+    yield new Uint8Array([1]);
+
+    const prefix = crypto.getRandomValues(new Uint8Array(PREFIX_LENGTH));
+    prefix.set(prefix.subarray(BLOCK_SIZE - 2, BLOCK_SIZE), BLOCK_SIZE);
+
+    const mdc = sha1.create();
+    const encryptor = new CfbStream(sessionKey, 'encrypt');
+    mdc.update(prefix);
+    yield encryptor.update(prefix);
+
+    for await (const chunk of packets) {
+      mdc.update(chunk);
+      yield encryptor.update(chunk);
+    }
+
+    mdc.update(MDC_HEADER);
+    yield encryptor.update(concatBytes(MDC_HEADER, mdc.digest()));
+    yield encryptor.finish();
+  }
+
+  /**
+   * Decrypt a version 1 body; the MDC is verified once the whole body has been read
+   * @param {AsyncIterable<Uint8Array>} body - Packet body after the version octet
+   * @param {Uint8Array} sessionKey - Session key
+   * @yields {Uint8Array} Plaintext packets
+   */
+  static async *decryptV1(body, sessionKey) {
+    const decryptor = new CfbStream(sessionKey, 'decrypt');
+    const mdc = sha1.create();
+    let prefixChecked = false;
+    // The last MDC_LENGTH bytes are held back until the end, since they are the MDC
+    let held = new Uint8Array(0);
+
+    const consume = function* (plaintext) {
+      held = held.length ? concatBytes(held, plaintext) : plaintext;
+
+      if (!prefixChecked) {
+        if (held.length < PREFIX_LENGTH) return;
+        // Repeated last two prefix bytes: a quick check that the key is right
+        if (held[BLOCK_SIZE - 2] !== held[BLOCK_SIZE] || held[BLOCK_SIZE - 1] !== held[BLOCK_SIZE + 1]) {
+          throw new Error('Decryption failed. Invalid password or corrupted file.');
+        }
+        mdc.update(held.subarray(0, PREFIX_LENGTH));
+        held = held.subarray(PREFIX_LENGTH);
+        prefixChecked = true;
+      }
+
+      if (held.length > MDC_LENGTH) {
+        const ready = held.subarray(0, held.length - MDC_LENGTH);
+        mdc.update(ready);
+        held = held.subarray(ready.length);
+        yield ready;
+      }
+    };
+
+    for await (const chunk of body) {
+      yield* consume(decryptor.update(chunk));
+    }
+    yield* consume(decryptor.finish());
+
+    if (!prefixChecked || held.length !== MDC_LENGTH || held[0] !== MDC_HEADER[0] || held[1] !== MDC_HEADER[1]) {
+      throw new Error('Invalid OpenPGP message: missing integrity check');
+    }
+    mdc.update(MDC_HEADER);
+    if (!constantTimeEqual(mdc.digest(), held.subarray(2))) {
+      throw new Error('Integrity check failed: the OpenPGP message was modified');
+    }
+  }
+
+  /**
+   * Decrypt a version 2 body
+   * @param {ByteStream} body - Packet body after the version octet
+   * @param {Uint8Array} sessionKey - Session key
+   * @yields {Uint8Array} Plaintext packets
+   */
+  static async *decryptV2(body, sessionKey) {
+    const [algorithm, aead, chunkSizeOctet] = await body.read(3);
+    const cipher = this.getCipher(algorithm);
+    this.assertAead(aead);
+    if (chunkSizeOctet > MAX_CHUNK_SIZE_OCTET) {
+      throw new Error('Invalid OpenPGP message: chunk size too large');
+    }
+    if (sessionKey.length !== cipher.keyLength) {
+      throw new Error('Decryption failed. Invalid password or corrupted file.');
+    }
+
+    const salt = await body.read(SEIPD_V2_SALT_LENGTH);
+    const info = new Uint8Array([0xd2, 2, algorithm, aead, chunkSizeOctet]);
+    const derived = hkdf(sha256, sessionKey, salt, info, cipher.keyLength + GCM_NONCE_LENGTH - 8);
+    const key = await KeyManager.importKey(derived.subarray(0, cipher.keyLength));
+    const iv = derived.subarray(cipher.keyLength);
+
+    const chunkSize = 2 ** (chunkSizeOctet + 6);
+    const encryptedChunkSize = chunkSize + TAG_LENGTH;
+    let pending = new Uint8Array(0);
+    let index = 0;
+    let plaintextLength = 0;
+
+    const open = async (data, aad) => {
+      try {
+        return new Uint8Array(await crypto.subtle.decrypt(
+          { name: 'AES-GCM', iv: chunkNonce(iv, index), additionalData: aad },
+          key,
+          data
+        ));
+      } catch (e) {
+        // The session key was already authenticated, so this is damage rather than a wrong password
+        throw new Error('Integrity check failed: the OpenPGP message was modified');
+      }
+    };
+
+    for await (const piece of body.rest()) {
+      pending = pending.length ? concatBytes(pending, piece) : piece;
+      // Keep the final tag and at least part of the last chunk back
+      while (pending.length > encryptedChunkSize + TAG_LENGTH) {
+        const plaintext = await open(pending.subarray(0, encryptedChunkSize), info);
+        pending = pending.subarray(encryptedChunkSize);
+        plaintextLength += plaintext.length;
+        index++;
+        yield plaintext;
+      }
+    }
+
+    if (pending.length < TAG_LENGTH) {
+      throw new Error('Invalid OpenPGP message: truncated');
+    }
+    if (pending.length > TAG_LENGTH) {
+      const plaintext = await open(pending.subarray(0, pending.length - TAG_LENGTH), info);
+      plaintextLength += plaintext.length;
+      index++;
+      yield plaintext;
+    }
+
+    // The final tag authenticates the total length, so truncation at a chunk boundary is caught
+    const finalAad = new Uint8Array(info.length + 8);
+    finalAad.set(info, 0);
+    new DataView(finalAad.buffer).setBigUint64(info.length, BigInt(plaintextLength), false);
+    await open(pending.subarray(pending.length - TAG_LENGTH), finalAad);
+  }
+
+  /**
+   * Decrypt a version 6 encrypted session key with AES-GCM
+   * @param {Uint8Array} key - Key derived by the S2K
+   * @param {{algorithm: number, aead: number, iv: Uint8Array, encryptedKey: Uint8Array}} skesk - Parsed SKESK
+   * @returns {Promise<Uint8Array|null>} Session key, or null if the password is wrong
+   */
+  static async decryptSessionKeyV6(key, skesk) {
+    const info = new Uint8Array([0xc3, 6, skesk.algorithm, skesk.aead]);
+    const kek = await KeyManager.importKey(hkdf(sha256, key, undefined, info, key.length));
+    try {
+      return new Uint8Array(await crypto.subtle.decrypt(
+        { name: 'AES-GCM', iv: skesk.iv, additionalData: info },
+        kek,
+        skesk.encryptedKey
+      ));
+    } catch (e) {
+      return null;
+    }
+  }
+}
+
+/**
+ * Streaming AES-CFB with a zero IV; input may arrive in pieces of any size
+ */
+class CfbStream {
+  /**
+   * @param {Uint8Array} key - AES key
+   * @param {'encrypt'|'decrypt'} direction - Direction
+   */
+  constructor(key, direction) {
+    this.key = key;
+    this.direction = direction;
+    this.iv = new Uint8Array(BLOCK_SIZE);
+    this.pending = new Uint8Array(0);
+  }
+
+  /**
+   * Process whole blocks; a trailing partial block waits for more input
+   * @param {Uint8Array} data - Input
+   * @returns {Uint8Array} Output
+   */
+  update(data) {
+    const input = this.pending.length ? concatBytes(this.pending, data) : data;
+    const length = input.length - (input.length % BLOCK_SIZE);
+    this.pending = input.slice(length);
+    if (length === 0) return new Uint8Array(0);
+    return this.process(input.subarray(0, length));
+  }
+
+  /**
+   * Process the final partial block
+   * @returns {Uint8Array} Output
+   */
+  finish() {
+    const output = this.pending.length ? this.process(this.pending) : new Uint8Array(0);
+    this.pending = new Uint8Array(0);
+    return output;
+  }
+
+  process(input) {
+    const output = cfb(this.key, this.iv)[this.direction](input);
+    // The next IV is the last ciphertext block
+    const ciphertext = this.direction === 'encrypt' ? output : input;
+    if (ciphertext.length >= BLOCK_SIZE) {
+      this.iv = ciphertext.slice(ciphertext.length - BLOCK_SIZE);
+    }
+    return output;
+  }
+}
+
+/**
+ * Nonce of a version 2 chunk: the derived IV followed by the chunk index
+ * @param {Uint8Array} iv - Derived IV (nonce length - 8 bytes)
+ * @param {number} index - Chunk index
+ * @returns {Uint8Array}
+ */
+function chunkNonce(iv, index) {
+  const nonce = new Uint8Array(GCM_NONCE_LENGTH);
+  nonce.set(iv, 0);
+  new DataView(nonce.buffer).setBigUint64(iv.length, BigInt(index), false);
+  return nonce;
+}
+
+function constantTimeEqual(a, b) {
+  if (a.length !== b.length) return false;
+  let diff = 0;
+  for (let i = 0; i < a.length; i++) {
+    diff |= a[i] ^ b[i];
+  }
+  return diff === 0;
+}
@@ -0,0 +1,388 @@
+/**
+ * OpenPGP - Read and write password-encrypted OpenPGP messages (RFC 9580 / RFC 4880)
+ *
+ * Output is what `gpg --symmetric` writes: a version 4 SKESK packet (iterated+salted
+ * SHA-256 S2K, AES-256) followed by a version 1 SEIPD packet holding a literal data packet.
+ * Input may also use the RFC 9580 version 6 SKESK and version 2 SEIPD packets with AES-GCM,
+ * and compressed data (ZIP or ZLIB) inside the encryption.
+ */
+
+import { concatBytes } from '@noble/hashes/utils.js';
+import { ByteStream, Packets, PACKET_TAGS } from './openpgp-packets.js';
+import { S2K } from './openpgp-s2k.js';
+import { Seipd, CIPHERS, CIPHER_AES256, PREFIX_LENGTH } from './openpgp-seipd.js';
+import { OpenPgpArmor } from './openpgp-armor.js';
+import { ChunkedFileReader } from '../../file-handling/chunked-reader.js';
+import { Compression } from '../../file-handling/compression.js';
+
+export const OPENPGP_EXTENSION = '.gpg';
+export const OPENPGP_ARMOR_EXTENSION = '.asc';
+
+// Encrypted blobs are read in slices of this size
+const READ_SIZE = 1024 * 1024;
+
+// Literal data filenames are limited to one length octet
+const MAX_FILENAME_LENGTH = 255;
+
+const GCM_IV_LENGTH = 12;
+
+// OpenPGP compression algorithm IDs and the matching DecompressionStream formats
+const DECOMPRESSION_FORMATS = Object.freeze({ 1: 'deflate-raw', 2: 'deflate' });
+const BZIP2 = 3;
+
+export class OpenPgp {
+  /**
+   * Encrypt a file with a password
+   * @param {Blob} source - Plaintext
+   * @param {{password: string, filename?: string, armor?: boolean}} options - The filename is
+   *   stored in the literal data packet; armor writes ASCII armor
+   * @param {function(number): void} [onProgress] - Called with progress (0-100)
+   * @returns {Promise<Blob>} OpenPGP message
+   */
+  static async encrypt(source, options, onProgress) {
+    const { password, filename = '', armor = false } = options;
+    if (!password) {
+      throw new Error('OpenPGP messages need a password');
+    }
+
+    const s2k = S2K.create();
+    const sessionKey = await S2K.derive(s2k, password, CIPHERS[CIPHER_AES256].keyLength);
+    const skesk = Packets.encode(PACKET_TAGS.SKESK, concatBytes(new Uint8Array([4, CIPHER_AES256]), S2K.serialize(s2k)));
+
+    const literal = Packets.encodeStreamed(PACKET_TAGS.LITERAL, literalBody(source, filename, onProgress));
+    const parts = [skesk];
+    for await (const part of Packets.encodeStreamed(PACKET_TAGS.SEIPD, Seipd.encryptV1(literal, sessionKey))) {
+      parts.push(part);
+    }
+
+    const binary = new Blob(parts, { type: 'application/octet-stream' });
+    return armor ? await OpenPgpArmor.encode(binary) : binary;
+  }
+
+  /**
+   * Check that a message can be decrypted with a password, without any credentials
+   * @param {Blob} file - OpenPGP message, binary or armored
+   * @returns {Promise<{armored: boolean, required: 'password', passwordCount: number}>}
+   */
+  static async inspect(file) {
+    const armored = await OpenPgpArmor.isArmored(file);
+    const stream = new ByteStream(readBlob(armored ? await OpenPgpArmor.decode(file) : file));
+    const { skesks, body } = await readEncryptedMessage(stream);
+
+    const version = await body.readByte();
+    checkSkesks(skesks, version);
+    return { armored, required: 'password', passwordCount: skesks.length };
+  }
+
+  /**
+   * Decrypt a message
+   * @param {Blob} file - OpenPGP message, binary or armored
+   * @param {{password?: string|null}} credentials - Password
+   * @param {function(number): void} [onProgress] - Called with progress (0-100)
+   * @returns {Promise<{blob: Blob, filename: string|null}>} Plaintext and the filename stored in the message
+   */
+  static async decrypt(file, credentials, onProgress) {
+    const binary = await OpenPgpArmor.isArmored(file) ? await OpenPgpArmor.decode(file) : file;
+    const stream = new ByteStream(readBlob(binary, onProgress));
+    const { skesks, body } = await readEncryptedMessage(stream);
+
+    const version = await body.readByte();
+    checkSkesks(skesks, version);
+    if (!credentials.password) {
+      throw new Error('Password required for this file');
+    }
+
+    let plaintext;
+    if (version === 1) {
+      // Try each password packet against the quick check at the start of the ciphertext
+      const start = await body.read(PREFIX_LENGTH);
+      const sessionKey = await this.findSessionKeyV1(skesks, credentials.password, start);
+      plaintext = Seipd.decryptV1(prepend(start, body.rest()), sessionKey);
+    } else {
+      const sessionKey = await this.findSessionKeyV2(skesks, credentials.password);
+      plaintext = Seipd.decryptV2(body, sessionKey);
+    }
+
+    const literal = { filename: null };
+    const parts = [];
+    for await (const chunk of readLiteralData(new ByteStream(plaintext), literal)) {
+      parts.push(chunk);
+    }
+    return { blob: new Blob(parts, { type: 'application/octet-stream' }), filename: literal.filename };
+  }
+
+  /**
+   * Find the session key of a version 1 SEIPD packet
+   * @param {object[]} skesks - Parsed version 4 SKESK packets
+   * @param {string} password - Password
+   * @param {Uint8Array} start - First bytes of the ciphertext
+   * @returns {Promise<Uint8Array>}
+   */
+  static async findSessionKeyV1(skesks, password, start) {
+    for (const skesk of skesks) {
+      const key = await S2K.derive(skesk.s2k, password, Seipd.getCipher(skesk.algorithm).keyLength);
+      let sessionKey = key;
+
+      if (skesk.encryptedKey.length > 0) {
+        // [1 byte: cipher of the data][session key]
+        const decrypted = Seipd.decryptCfb(key, skesk.encryptedKey);
+        const cipher = CIPHERS[decrypted[0]];
+        if (!cipher || decrypted.length !== cipher.keyLength + 1) continue;
+        sessionKey = decrypted.subarray(1);
+      }
+
+      if (Seipd.checkPrefix(sessionKey, start)) {
+        return sessionKey;
+      }
+    }
+    throw new Error('Decryption failed. Invalid password or corrupted file.');
+  }
+
+  /**
+   * Find the session key of a version 2 SEIPD packet
+   * @param {object[]} skesks - Parsed version 6 SKESK packets
+   * @param {string} password - Password
+   * @returns {Promise<Uint8Array>}
+   */
+  static async findSessionKeyV2(skesks, password) {
+    for (const skesk of skesks) {
+      const key = await S2K.derive(skesk.s2k, password, Seipd.getCipher(skesk.algorithm).keyLength);
+      const sessionKey = await Seipd.decryptSessionKeyV6(key, skesk);
+      if (sessionKey) return sessionKey;
+    }
+    throw new Error('Decryption failed. Invalid password or corrupted file.');
+  }
+}
+
+/**
+ * Read the packets in front of the encrypted data
+ * @param {ByteStream} stream - Message
+ * @returns {Promise<{skesks: object[], body: ByteStream}>} Password packets and the encrypted
+ *   data body, positioned at its version octet
+ */
+async function readEncryptedMessage(stream) {
+  const skesks = [];
+  let publicKeyCount = 0;
+
+  while (true) {
+    const header = await Packets.readHeader(stream);
+    if (!header) {
+      throw new Error('Invalid OpenPGP message: no encrypted data');
+    }
+
+    switch (header.tag) {
+      case PACKET_TAGS.SKESK:
+        skesks.push(parseSkesk(await Packets.readSmallBody(stream, header)));
+        break;
+      case PACKET_TAGS.PKESK:
+        publicKeyCount++;
+        await Packets.skipBody(stream, header);
+        break;
+      case PACKET_TAGS.MARKER:
+      case PACKET_TAGS.PADDING:
+        await Packets.skipBody(stream, header);
+        break;
+      case PACKET_TAGS.SEIPD:
+        if (skesks.length === 0) {
+          throw new Error(publicKeyCount > 0
+            ? 'This OpenPGP message is encrypted to a public key; Endecrypt only reads password-encrypted messages'
+            : 'Invalid OpenPGP message: no password packet');
+        }
+        return { skesks, body: new ByteStream(Packets.readBody(stream, header)) };
+      case PACKET_TAGS.AEAD:
+        throw new Error('This OpenPGP message uses the GnuPG 2.3+ OCB format, which Endecrypt cannot read. Encrypt it with `gpg --rfc4880 --cipher-algo AES256 --symmetric` instead');
+      case PACKET_TAGS.SED:
+        throw new Error('This OpenPGP message has no integrity protection and is refused');
+      case PACKET_TAGS.LITERAL:
+      case PACKET_TAGS.COMPRESSED:
+      case PACKET_TAGS.ONE_PASS_SIGNATURE:
+      case PACKET_TAGS.SIGNATURE:
+        throw new Error('This OpenPGP message is not encrypted');
+      default:
+        throw new Error(`Invalid OpenPGP message: unexpected packet type ${header.tag}`);
+    }
+  }
+}
+
+/**
+ * Parse a SKESK packet body
+ * @param {Uint8Array} bytes - Packet body
+ * @returns {{version: number, algorithm: number, aead?: number, s2k: object, iv?: Uint8Array, encryptedKey: Uint8Array}}
+ */
+function parseSkesk(bytes) {
+  const version = bytes[0];
+
+  if (version === 4) {
+    const { s2k, length } = S2K.parse(bytes, 2);
+    return { version, algorithm: bytes[1], s2k, encryptedKey: bytes.slice(2 + length) };
+  }
+
+  if (version === 6) {
+    const [, , algorithm, aead, s2kLength] = bytes;
+    if (bytes.length < 5 + s2kLength) {
+      throw new Error('Invalid OpenPGP message: truncated password packet');
+    }
+    Seipd.assertAead(aead);
+    const { s2k } = S2K.parse(bytes.subarray(0, 5 + s2kLength), 5);
+    const ivStart = 5 + s2kLength;
+    return {
+      version,
+      algorithm,
+      aead,
+      s2k,
+      iv: bytes.slice(ivStart, ivStart + GCM_IV_LENGTH),
+      encryptedKey: bytes.slice(ivStart + GCM_IV_LENGTH)
+    };
+  }
+
+  if (version === 5) {
+    throw new Error('This OpenPGP message uses the GnuPG 2.3+ OCB format, which Endecrypt cannot read. Encrypt it with `gpg --rfc4880 --cipher-algo AES256 --symmetric` instead');
+  }
+  throw new Error(`Unsupported OpenPGP password packet version ${version}`);
+}
+
+/**
+ * Check that the password packets match the encrypted data version
+ * @param {object[]} skesks - Parsed SKESK packets
+ * @param {number} version - SEIPD version
+ */
+function checkSkesks(skesks, version) {
+  if (version !== 1 && version !== 2) {
+    throw new Error(`Unsupported OpenPGP encrypted data version ${version}`);
+  }
+  // Version 4 SKESKs go with version 1 data, version 6 with version 2
+  const expected = version === 1 ? 4 : 6;
+  if (!skesks.every(skesk => skesk.version === expected)) {
+    throw new Error('Invalid OpenPGP message: password packet does not match the encrypted data');
+  }
+  for (const skesk of skesks) {
+    const cipher = Seipd.getCipher(skesk.algorithm);
+    // Version 6 session keys are followed by a 16-byte authentication tag
+    if (version === 2 && skesk.encryptedKey.length !== cipher.keyLength + 16) {
+      throw new Error('Invalid OpenPGP message: malformed password packet');
+    }
+  }
+}
+
+/**
+ * Yield the data of the literal packet inside decrypted (and possibly compressed) packets
+ * Everything after the literal packet is read too, so the integrity check always runs.
+ * @param {ByteStream} stream - Decrypted packets
+ * @param {{filename: string|null}} literal - Receives the stored filename
+ * @yields {Uint8Array}
+ */
+async function* readLiteralData(stream, literal) {
+  // Innermost last: a compressed packet opens a new stream inside the current one
+  const streams = [stream];
+  let found = false;
+
+  while (!found) {
+    const current = streams[streams.length - 1];
+    const header = await Packets.readHeader(current);
+    if (!header) {
+      throw new Error('Invalid OpenPGP message: no literal data');
+    }
+
+    switch (header.tag) {
+      case PACKET_TAGS.COMPRESSED: {
+        const body = new ByteStream(Packets.readBody(current, header));
+        streams.push(new ByteStream(decompress(body, await body.readByte())));
+        break;
+      }
+      case PACKET_TAGS.LITERAL: {
+        const body = new ByteStream(Packets.readBody(current, header));
+        const [, nameLength] = await body.read(2);
+        const name = new TextDecoder().decode(await body.read(nameLength));
+        // A "_CONSOLE" name marks data that was not meant to be saved to a file
+        literal.filename = name && name !== '_CONSOLE' ? name : null;
+        await body.read(4); // Date
+        yield* body.rest();
+        found = true;
+        break;
+      }
+      case PACKET_TAGS.ONE_PASS_SIGNATURE:
+      case PACKET_TAGS.SIGNATURE:
+      case PACKET_TAGS.MARKER:
+      case PACKET_TAGS.PADDING:
+        // Signatures cannot be checked without the signer's public key, so they are skipped
+        await Packets.skipBody(current, header);
+        break;
+      default:
+        throw new Error(`Invalid OpenPGP message: unexpected packet type ${header.tag}`);
+    }
+  }
+
+  // Drain trailing packets (e.g. signatures) from the innermost stream outwards
+  for (const current of streams.reverse()) {
+    const rest = current.rest();
+    while (!(await rest.next()).done) {
+      // Discard
+    }
+  }
+}
+
+/**
+ * Decompress the body of a compressed data packet
+ * @param {ByteStream} body - Packet body after the algorithm octet
+ * @param {number} algorithm - OpenPGP compression algorithm
+ * @returns {AsyncIterable<Uint8Array>}
+ */
+function decompress(body, algorithm) {
+  if (algorithm === 0) {
+    return body.rest();
+  }
+  if (algorithm === BZIP2) {
+    throw new Error('This OpenPGP message is compressed with BZip2, which Endecrypt cannot read');
+  }
+  const format = DECOMPRESSION_FORMATS[algorithm];
+  if (!format) {
+    throw new Error(`Unsupported OpenPGP compression algorithm ${algorithm}`);
+  }
+  return Compression.decompress(body.rest(), format);
+}
+
+/**
+ * Body of a literal data packet: [format 'b'][filename length][filename][4-byte date][data]
+ * @param {Blob} source - Plaintext
+ * @param {string} filename - Stored filename
+ * @param {function(number): void} [onProgress] - Called with progress (0-100)
+ * @yields {Uint8Array}
+ */
+async function* literalBody(source, filename, onProgress) {
+  let name = new TextEncoder().encode(filename);
+  if (name.length > MAX_FILENAME_LENGTH) {
+    name = name.subarray(0, MAX_FILENAME_LENGTH);
+  }
+
+  const header = new Uint8Array(2 + name.length + 4);
+  header[0] = 0x62; // 'b': binary data
+  header[1] = name.length;
+  header.set(name, 2);
+  const modified = source.lastModified ?? Date.now();
+  new DataView(header.buffer).setUint32(2 + name.length, Math.floor(modified / 1000), false);
+  yield header;
+
+  const reader = new ChunkedFileReader(source);
+  for await (const chunk of reader.readChunks()) {
+    yield new Uint8Array(chunk.data);
+    if (onProgress) onProgress(chunk.isLast ? 100 : chunk.progress);
+  }
+}
+
+/**
+ * Read a Blob in slices
+ * @param {Blob} blob - Blob
+ * @param {function(number): void} [onProgress] - Called with progress (0-100)
+ * @yields {Uint8Array}
+ */
+async function* readBlob(blob, onProgress) {
+  for (let offset = 0; offset < blob.size; offset += READ_SIZE) {
+    yield new Uint8Array(await blob.slice(offset, offset + READ_SIZE).arrayBuffer());
+    if (onProgress) onProgress(Math.round((Math.min(offset + READ_SIZE, blob.size) / blob.size) * 100));
+  }
+}
+
+async function* prepend(first, rest) {
+  yield first;
+  yield* rest;
+}
@@ -0,0 +1,109 @@
+/**
+ * Password Strength - Estimate how long a password withstands an offline guessing attack
+ *
+ * Guess counts come from zxcvbn, which finds dictionary words, l33t substitutions, keyboard
+ * walks, repeats, sequences and dates. They are turned into a crack time for an attacker who
+ * has the file and must run its key derivation for every guess, so stronger KDF settings
+ * give longer times. The estimator and its dictionaries are loaded on first use.
+ */
+
+import { DEFAULT_KDF } from './key-manager.js';
+
+// Attacker model: a rig of high-end GPUs (RTX 4090-class hashcat benchmarks)
+const ATTACKER_GPUS = 10;
+const PBKDF2_SHA256_ITERATIONS_PER_SECOND = 8.8e9;
+// Argon2 is bound by memory bandwidth: KiB of memory times passes filled per second
+const ARGON2_KIB_PASSES_PER_SECOND = 2e8;
+
+// Crack times separating the levels, in seconds: an hour, a month, 10 years, 1000 years
+const LEVEL_THRESHOLDS = [3600, 30 * 86400, 10 * 31557600, 1000 * 31557600];
+export const STRENGTH_LEVELS = Object.freeze(['Very weak', 'Weak', 'Fair', 'Strong', 'Very strong']);
+
+const DURATION_UNITS = [
+  ['year', 31557600],
+  ['month', 2629800],
+  ['day', 86400],
+  ['hour', 3600],
+  ['minute', 60],
+  ['second', 1]
+];
+
+let estimator = null;
+
+export class PasswordStrength {
+  /**
+   * Estimate the strength of a password
+   * @param {string} password - Password
+   * @param {object} [kdf] - Key derivation parameters the password will be used with
+   * @param {string[]} [userInputs] - Words an attacker would try first (app name, filename, ...)
+   * @returns {Promise<{level: number, label: string, guesses: number, bits: number, crackSeconds: number, crackTime: string, warning: string|null, suggestions: string[]}>}
+   *   level is an index into STRENGTH_LEVELS
+   */
+  static async estimate(password, kdf = DEFAULT_KDF, userInputs = []) {
+    const zxcvbn = await loadEstimator();
+    const result = await zxcvbn.check(password, userInputs);
+
+    const crackSeconds = result.guesses / this.guessesPerSecond(kdf);
+    const level = LEVEL_THRESHOLDS.filter(threshold => crackSeconds >= threshold).length;
+
+    return {
+      level,
+      label: STRENGTH_LEVELS[level],
+      guesses: result.guesses,
+      bits: Math.log2(result.guesses),
+      crackSeconds,
+      crackTime: this.formatDuration(crackSeconds),
+      warning: result.feedback.warning || null,
+      suggestions: result.feedback.suggestions
+    };
+  }
+
+  /**
+   * Guesses per second the attacker model achieves against a KDF
+   * @param {object} kdf - Key derivation parameters
+   * @returns {number}
+   */
+  static guessesPerSecond(kdf) {
+    if (kdf.name === 'Argon2id') {
+      return (ATTACKER_GPUS * ARGON2_KIB_PASSES_PER_SECOND) / (kdf.memory * kdf.iterations);
+    }
+    return (ATTACKER_GPUS * PBKDF2_SHA256_ITERATIONS_PER_SECOND) / kdf.iterations;
+  }
+
+  /**
+   * Describe a duration in the largest fitting unit
+   * @param {number} seconds - Duration
+   * @returns {string} e.g. "less than a second", "3 days", "centuries"
+   */
+  static formatDuration(seconds) {
+    if (seconds < 1) return 'less than a second';
+    if (seconds >= 100 * 31557600) return 'centuries';
+
+    const [unit, size] = DURATION_UNITS.find(([, unitSize]) => seconds >= unitSize);
+    const count = Math.round(seconds / size);
+    return `${count} ${unit}${count === 1 ? '' : 's'}`;
+  }
+}
+
+/**
+ * Load zxcvbn with the common and English dictionaries, once
+ * @returns {Promise<object>} zxcvbn instance
+ */
+function loadEstimator() {
+  if (!estimator) {
+    estimator = Promise.all([
+      import('@zxcvbn-ts/core'),
+      import('@zxcvbn-ts/language-common'),
+      import('@zxcvbn-ts/language-en')
+    ]).then(([core, common, en]) => new core.ZxcvbnFactory({
+      dictionary: { ...common.dictionary, ...en.dictionary },
+      graphs: common.adjacencyGraphs,
+      translations: en.translations
+    })).catch((error) => {
+      // Allow another attempt, e.g. after a failed chunk download
+      estimator = null;
+      throw error;
+    });
+  }
+  return estimator;
+}
@@ -0,0 +1,85 @@
+/**
+ * Shamir - Shamir's secret sharing over GF(256)
+ *
+ * Each byte of the secret is the constant term of a random polynomial of degree
+ * threshold - 1; share x holds the polynomial values at x. Any `threshold` shares
+ * recover the secret by Lagrange interpolation at 0, fewer reveal nothing.
+ */
+
+import { GF256 } from '../utils/gf256.js';
+
+export const MAX_SHARES = 255;
+
+export class Shamir {
+  /**
+   * Split a secret into shares
+   * @param {Uint8Array} secret - Secret bytes
+   * @param {number} total - Number of shares (N)
+   * @param {number} threshold - Shares needed to recover (K)
+   * @returns {{x: number, y: Uint8Array}[]} Shares with x = 1..N
+   */
+  static split(secret, total, threshold) {
+    if (!Number.isInteger(threshold) || !Number.isInteger(total) ||
+        threshold < 2 || threshold > total || total > MAX_SHARES) {
+      throw new Error(`Invalid share parameters: need 2 <= K <= N <= ${MAX_SHARES}`);
+    }
+
+    const shares = [];
+    for (let x = 1; x <= total; x++) {
+      shares.push({ x, y: new Uint8Array(secret.length) });
+    }
+
+    const coefficients = new Uint8Array(threshold);
+    for (let i = 0; i < secret.length; i++) {
+      coefficients[0] = secret[i];
+      crypto.getRandomValues(coefficients.subarray(1));
+
+      for (const share of shares) {
+        share.y[i] = evaluate(coefficients, share.x);
+      }
+    }
+    coefficients.fill(0);
+
+    return shares;
+  }
+
+  /**
+   * Recover a secret from at least `threshold` distinct shares
+   * @param {{x: number, y: Uint8Array}[]} shares - Shares (all of the same length)
+   * @returns {Uint8Array} Secret bytes
+   */
+  static combine(shares) {
+    const length = shares[0].y.length;
+    const secret = new Uint8Array(length);
+
+    for (let i = 0; i < length; i++) {
+      let value = 0;
+      for (let j = 0; j < shares.length; j++) {
+        // Lagrange basis polynomial for share j, evaluated at 0
+        let basis = 1;
+        for (let m = 0; m < shares.length; m++) {
+          if (m === j) continue;
+          basis = GF256.multiply(basis, GF256.divide(shares[m].x, shares[m].x ^ shares[j].x));
+        }
+        value ^= GF256.multiply(shares[j].y[i], basis);
+      }
+      secret[i] = value;
+    }
+
+    return secret;
+  }
+}
+
+/**
+ * Evaluate a polynomial at x with Horner's rule
+ * @param {Uint8Array} coefficients - Coefficients, constant term first
+ * @param {number} x - Point
+ * @returns {number}
+ */
+function evaluate(coefficients, x) {
+  let result = 0;
+  for (let i = coefficients.length - 1; i >= 0; i--) {
+    result = GF256.multiply(result, x) ^ coefficients[i];
+  }
+  return result;
+}
@@ -0,0 +1,103 @@
+/**
+ * Signer - Sender signatures over a container's header and ciphertext
+ *
+ * The signed message covers the immutable header, the signer's public key, the
+ * encrypted metadata and a SHA-256 digest of every encrypted chunk. Key slots are
+ * left out, so passwords can still be managed on a signed file.
+ */
+
+import { KeyManager } from './key-manager.js';
+import { StreamFormat } from './stream-format.js';
+import { CipherSuites } from './cipher-suites.js';
+import { Encoding } from '../utils/encoding.js';
+
+const SIGNATURE_CONTEXT = 'endecrypt/v2/signature';
+
+export class Signer {
+  /**
+   * Sign a container that is being built
+   * @param {{privateKey: CryptoKey, publicKey: CryptoKey}} identity - ECDSA signing key pair
+   * @param {Uint8Array} headerBytes - Serialized header
+   * @param {Uint8Array} encryptedMetadata - Encrypted metadata block (without its length)
+   * @param {Blob[]} encryptedChunks - Encrypted chunks in order
+   * @returns {Promise<{publicKey: string, signature: string}>} Signature block
+   */
+  static async sign(identity, headerBytes, encryptedMetadata, encryptedChunks) {
+    const publicKey = await KeyManager.exportSigningPublicKey(identity.publicKey);
+    const message = await this.buildMessage(headerBytes, publicKey, encryptedMetadata, encryptedChunks);
+
+    return {
+      publicKey,
+      signature: Encoding.toBase64(await KeyManager.sign(message, identity.privateKey))
+    };
+  }
+
+  /**
+   * Verify the signature of a parsed file against a list of trusted signers
+   * @param {Blob} file - Encrypted file
+   * @param {object} parsed - Result of Decryptor.parseEncryptedFile
+   * @param {{name: string, kid: string, publicKey: string}[]} trustedKeys - Trusted signing keys, matched on the full public key
+   * @returns {Promise<{status: 'unsigned'|'trusted'|'unknown'|'bad', kid: string|null, name: string|null}>}
+   */
+  static async verify(file, parsed, trustedKeys) {
+    if (!parsed.signature) {
+      return { status: 'unsigned', kid: null, name: null };
+    }
+
+    let publicKey;
+    try {
+      publicKey = await KeyManager.importSigningPublicKey(parsed.signature.publicKey);
+    } catch (e) {
+      return { status: 'bad', kid: null, name: null };
+    }
+    const kid = await KeyManager.getKeyId(publicKey);
+
+    const payload = file.slice(parsed.payloadStart, parsed.payloadEnd);
+    const chunks = StreamFormat.chunkRanges(payload.size, parsed.header.chunkSize, CipherSuites.forHeader(parsed.header).tagLength)
+      .map(range => payload.slice(range.start, range.end));
+    const message = await this.buildMessage(parsed.headerBytes, parsed.signature.publicKey, parsed.encryptedMetadata, chunks);
+
+    let valid;
+    try {
+      valid = await KeyManager.verify(Encoding.fromBase64(parsed.signature.signature), message, publicKey);
+    } catch (e) {
+      valid = false;
+    }
+    if (!valid) {
+      return { status: 'bad', kid, name: null };
+    }
+
+    // The kid is only a short label; trust rests on the full public key
+    const signerKey = await KeyManager.exportSigningPublicKey(publicKey);
+    const trusted = trustedKeys.find(entry => entry.publicKey === signerKey);
+    return trusted
+      ? { status: 'trusted', kid, name: trusted.name }
+      : { status: 'unknown', kid, name: null };
+  }
+
+  /**
+   * Build the signed message
+   * [context][header][signer public key][SHA-256(encrypted metadata)][SHA-256(chunk 0)]...
+   * @param {Uint8Array} headerBytes - Serialized header
+   * @param {string} publicKey - Signer public key in text form
+   * @param {Uint8Array} encryptedMetadata - Encrypted metadata block
+   * @param {Blob[]} encryptedChunks - Encrypted chunks in order
+   * @returns {Promise<Uint8Array>}
+   */
+  static async buildMessage(headerBytes, publicKey, encryptedMetadata, encryptedChunks) {
+    const encoder = new TextEncoder();
+    const parts = [
+      encoder.encode(SIGNATURE_CONTEXT),
+      headerBytes,
+      encoder.encode(publicKey),
+      new Uint8Array(await crypto.subtle.digest('SHA-256', encryptedMetadata))
+    ];
+
+    // Hash chunk by chunk so only one chunk is in memory at a time
+    for (const chunk of encryptedChunks) {
+      parts.push(new Uint8Array(await crypto.subtle.digest('SHA-256', await chunk.arrayBuffer())));
+    }
+
+    return new Uint8Array(await new Blob(parts).arrayBuffer());
+  }
+}
@@ -0,0 +1,82 @@
+/**
+ * Stream Format - Per-chunk nonce and AAD derivation for the v2 container
+ *
+ * A stream is described by {cipher, key, iv, aad}: the cipher suite ID, the content key,
+ * the random base IV and the serialized header that every chunk authenticates.
+ */
+
+export const FORMAT_VERSION = '2.0';
+export const LEGACY_FORMAT_VERSION = '1.0';
+
+// AES-GCM authentication tag appended to every encrypted chunk; other suites set their own
+export const TAG_LENGTH = 16;
+
+export class StreamFormat {
+  /**
+   * Derive the nonce for a chunk by XORing its index into the last 4 bytes of the base IV
+   * @param {Uint8Array} baseIv - Random per-file IV
+   * @param {number} index - Chunk index
+   * @returns {Uint8Array} Chunk nonce
+   */
+  static chunkIV(baseIv, index) {
+    const iv = new Uint8Array(baseIv);
+    const offset = iv.length - 4;
+    iv[offset] ^= (index >>> 24) & 0xff;
+    iv[offset + 1] ^= (index >>> 16) & 0xff;
+    iv[offset + 2] ^= (index >>> 8) & 0xff;
+    iv[offset + 3] ^= index & 0xff;
+    return iv;
+  }
+
+  /**
+   * Build the additional authenticated data for a chunk
+   * [serialized header][4 bytes: chunk index (big-endian)][1 byte: final-chunk flag]
+   * @param {Uint8Array} headerBytes - Serialized file header, so header tampering fails decryption
+   * @param {number} index - Chunk index
+   * @param {boolean} isFinal - Whether this is the last chunk of the stream
+   * @returns {Uint8Array} AAD bytes
+   */
+  static chunkAAD(headerBytes, index, isFinal) {
+    const aad = new Uint8Array(headerBytes.length + 5);
+    aad.set(headerBytes, 0);
+    new DataView(aad.buffer).setUint32(headerBytes.length, index, false);
+    aad[headerBytes.length + 4] = isFinal ? 1 : 0;
+    return aad;
+  }
+
+  /**
+   * Size of an encrypted chunk for a given plaintext chunk size
+   * @param {number} chunkSize - Plaintext chunk size
+   * @param {number} [tagLength] - Authentication tag length of the cipher suite
+   * @returns {number}
+   */
+  static encryptedChunkSize(chunkSize, tagLength = TAG_LENGTH) {
+    return chunkSize + tagLength;
+  }
+
+  /**
+   * Split an encrypted payload into chunk ranges
+   * @param {number} payloadLength - Total size of the encrypted chunks
+   * @param {number} chunkSize - Plaintext chunk size
+   * @param {number} [tagLength] - Authentication tag length of the cipher suite
+   * @returns {{index: number, start: number, end: number, isFinal: boolean}[]}
+   */
+  static chunkRanges(payloadLength, chunkSize, tagLength = TAG_LENGTH) {
+    const encryptedSize = this.encryptedChunkSize(chunkSize, tagLength);
+    const ranges = [];
+    let start = 0;
+    let index = 0;
+
+    do {
+      const end = Math.min(start + encryptedSize, payloadLength);
+      if (end - start < tagLength) {
+        throw new Error('Invalid file structure: truncated chunk');
+      }
+      ranges.push({ index, start, end, isFinal: end === payloadLength });
+      start = end;
+      index++;
+    } while (start < payloadLength);
+
+    return ranges;
+  }
+}
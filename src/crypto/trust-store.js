@@ -0,0 +1,135 @@
+/**
+ * Trust Store - Signing identities and trusted signers, kept in this browser's localStorage
+ */
+
+import { KeyManager } from './key-manager.js';
+
+const IDENTITIES_KEY = 'endecrypt.signingIdentities';
+const TRUSTED_SIGNERS_KEY = 'endecrypt.trustedSigners';
+
+export class TrustStore {
+  /**
+   * List the user's own signing identities
+   * @returns {{name: string, kid: string, publicKey: string, privateKey: string}[]}
+   */
+  static getIdentities() {
+    return readList(IDENTITIES_KEY);
+  }
+
+  /**
+   * Create and store a new signing identity
+   * @param {string} name - Display name
+   * @returns {Promise<{name: string, kid: string, publicKey: string, privateKey: string}>}
+   */
+  static async createIdentity(name) {
+    if (!name || !name.trim()) {
+      throw new Error('Identity name is required');
+    }
+
+    const keyPair = await KeyManager.generateSigningKeyPair();
+    const identity = {
+      name: name.trim(),
+      kid: await KeyManager.getKeyId(keyPair.publicKey),
+      publicKey: await KeyManager.exportSigningPublicKey(keyPair.publicKey),
+      privateKey: await KeyManager.exportSigningPrivateKey(keyPair.privateKey)
+    };
+
+    writeList(IDENTITIES_KEY, [...this.getIdentities(), identity]);
+    return identity;
+  }
+
+  /**
+   * Load the key pair of a stored identity for signing
+   * @param {string} kid - Identity key id
+   * @returns {Promise<{privateKey: CryptoKey, publicKey: CryptoKey}>}
+   */
+  static async loadIdentity(kid) {
+    const identity = this.getIdentities().find(entry => entry.kid === kid);
+    if (!identity) {
+      throw new Error('Signing identity not found');
+    }
+    return await KeyManager.importSigningPrivateKey(identity.privateKey);
+  }
+
+  /**
+   * Delete a signing identity
+   * @param {string} kid - Identity key id
+   */
+  static removeIdentity(kid) {
+    writeList(IDENTITIES_KEY, this.getIdentities().filter(entry => entry.kid !== kid));
+  }
+
+  /**
+   * List trusted signers
+   * @returns {{name: string, kid: string, publicKey: string}[]}
+   */
+  static getTrustedSigners() {
+    return readList(TRUSTED_SIGNERS_KEY);
+  }
+
+  /**
+   * Trust a signer's public key under a name
+   * @param {string} name - Display name
+   * @param {string|object} publicKey - Signing public key as text or JWK
+   * @returns {Promise<{name: string, kid: string, publicKey: string}>}
+   */
+  static async addTrustedSigner(name, publicKey) {
+    if (!name || !name.trim()) {
+      throw new Error('Signer name is required');
+    }
+
+    const key = await KeyManager.importSigningPublicKey(publicKey);
+    const exported = await KeyManager.exportSigningPublicKey(key);
+    const signers = this.getTrustedSigners();
+    if (signers.some(entry => entry.publicKey === exported)) {
+      throw new Error('This signer is already trusted');
+    }
+
+    const signer = { name: name.trim(), kid: await KeyManager.getKeyId(key), publicKey: exported };
+    writeList(TRUSTED_SIGNERS_KEY, [...signers, signer]);
+    return signer;
+  }
+
+  /**
+   * Stop trusting a signer
+   * @param {string} kid - Signer key id
+   */
+  static removeTrustedSigner(kid) {
+    writeList(TRUSTED_SIGNERS_KEY, this.getTrustedSigners().filter(entry => entry.kid !== kid));
+  }
+
+  /**
+   * Keys accepted when verifying: trusted signers plus the user's own identities
+   * publicKey is the full key in text form; kid is only a label for display.
+   * @returns {{name: string, kid: string, publicKey: string}[]}
+   */
+  static getVerificationKeys() {
+    return [
+      ...this.getTrustedSigners().map(({ name, kid, publicKey }) => ({ name, kid, publicKey })),
+      ...this.getIdentities().map(({ name, kid, publicKey }) => ({ name: `${name} (you)`, kid, publicKey }))
+    ];
+  }
+}
+
+/**
+ * Read a JSON list from localStorage
+ * @param {string} storageKey - localStorage key
+ * @returns {object[]}
+ */
+function readList(storageKey) {
+  try {
+    const list = JSON.parse(localStorage.getItem(storageKey));
+    return Array.isArray(list) ? list : [];
+  } catch (e) {
+    return [];
+  }
+}
+
+/**
+ * Write a JSON list to localStorage
+ * @param {string} storageKey - localStorage key
+ * @param {object[]} list - Entries
+ */
+function writeList(storageKey, list) {
+  localStorage.setItem(storageKey, JSON.stringify(list));
+}
@@ -0,0 +1,182 @@
+/**
+ * Verifier - Authenticate every chunk of a file without producing any plaintext output
+ *
+ * Chunk ranges are derived from the payload size, not from the metadata, so every chunk
+ * is checked even when the metadata block itself is damaged. The chunk count in the
+ * metadata is then used to detect truncation and trailing garbage.
+ */
+
+import { Decryptor } from './decryptor.js';
+import { FormatV2 } from './formats/format-v2.js';
+import { CipherSuites } from './cipher-suites.js';
+import { StreamFormat } from './stream-format.js';
+
+export class Verifier {
+  /**
+   * Verify a version 2 file
+   * @param {Blob} file - Encrypted file
+   * @param {object} credentials - See Decryptor.prepareKey
+   * @param {function(number): void} [onProgress] - Called with progress (0-100)
+   * @returns {Promise<object>} Report:
+   *   status: 'ok' | 'credentials-rejected' | 'damaged'
+   *   message: one-line summary
+   *   chunksTotal, chunksFailed: chunk counts
+   *   failedRanges: [{firstChunk, lastChunk, start, end}] - damaged chunks, merged, with file byte offsets
+   *   metadataOk: whether the metadata block authenticated
+   *   truncated: {expectedSize, actualSize} | null - set when the chunk data is shorter than the metadata says
+   *   trailingBytes: bytes after the last chunk the metadata accounts for (a lower bound, since the
+   *     last chunk may be shorter than a full one)
+   */
+  static async verifyFile(file, credentials, onProgress) {
+    const parsed = await Decryptor.parseEncryptedFile(file);
+    if (parsed.version !== 2) {
+      throw new Error(`Verify needs a version 2 file; this is version ${parsed.version}`);
+    }
+
+    let keyData;
+    try {
+      ({ keyData } = await Decryptor.unlockKeyData(parsed, credentials));
+    } catch (error) {
+      // Missing input is reported as is; a failed unlock means wrong credentials or damaged key slots
+      return rejected(error.message.startsWith('Decryption failed')
+        ? 'Wrong password or key: no key slot opened. If the credentials are certainly right, the header or key slots are damaged.'
+        : error.message);
+    }
+    const key = await Decryptor.importKeyData(parsed, keyData);
+    // Key slots and recipient entries authenticate the key; a bare key string does not
+    const keyAuthenticated = parsed.keySlots.passwords.length > 0 || parsed.keySlots.recipients.length > 0 ||
+      (credentials.shares && credentials.shares.length > 0);
+
+    let metadata = null;
+    try {
+      metadata = await Decryptor.decryptMetadata(parsed, key);
+    } catch (error) {
+      metadata = null;
+    }
+    if (metadata && !(Number.isInteger(metadata.chunksCount) && metadata.chunksCount > 0)) {
+      metadata = null;
+    }
+
+    const suite = CipherSuites.forHeader(parsed.header);
+    const payloadSize = parsed.payloadEnd - parsed.payloadStart;
+    const ranges = payloadRanges(payloadSize, parsed.header.chunkSize, suite.tagLength);
+    const stream = { cipher: suite.id, key, iv: parsed.iv, aad: parsed.headerBytes };
+    const payload = file.slice(parsed.payloadStart, parsed.payloadEnd);
+
+    // Ranges past the chunk count in the metadata are not chunks but appended bytes
+    const expectedChunks = metadata ? metadata.chunksCount : ranges.length;
+    const failed = [];
+    let checked = 0;
+
+    for (const range of ranges.slice(0, expectedChunks)) {
+      // The metadata tells which chunk must carry the final flag
+      const isFinal = range.index === expectedChunks - 1;
+      try {
+        await FormatV2.decryptChunk(await payload.slice(range.start, range.end).arrayBuffer(), stream, range.index, isFinal);
+      } catch (error) {
+        failed.push(range);
+      }
+      checked++;
+      if (onProgress) onProgress(Math.round((range.end / payloadSize) * 100));
+    }
+
+    if (!metadata && !keyAuthenticated && failed.length === checked) {
+      return rejected('The key does not match this file (or the whole file is damaged)');
+    }
+
+    const encryptedChunkSize = StreamFormat.encryptedChunkSize(parsed.header.chunkSize, suite.tagLength);
+    let truncated = null;
+    let trailingBytes = 0;
+    if (metadata) {
+      // Every chunk but the last is full; the last holds at least its tag
+      const minimumSize = (expectedChunks - 1) * encryptedChunkSize + suite.tagLength;
+      const maximumSize = expectedChunks * encryptedChunkSize;
+      if (payloadSize < minimumSize) {
+        truncated = { expectedSize: parsed.payloadStart + minimumSize, actualSize: file.size };
+      } else if (ranges.length > expectedChunks) {
+        trailingBytes = payloadSize - ranges[expectedChunks - 1].end;
+      } else if (payloadSize > maximumSize) {
+        trailingBytes = payloadSize - maximumSize;
+      }
+    }
+
+    const failedRanges = mergeRanges(failed, parsed.payloadStart);
+    const ok = metadata && failed.length === 0 && !truncated && trailingBytes === 0;
+
+    return {
+      status: ok ? 'ok' : 'damaged',
+      message: ok
+        ? `All ${checked} chunk(s) verified. The file is intact.`
+        : describeDamage(metadata, failed.length, checked, truncated, trailingBytes),
+      chunksTotal: checked,
+      chunksFailed: failed.length,
+      failedRanges,
+      metadataOk: !!metadata,
+      truncated,
+      trailingBytes
+    };
+  }
+}
+
+function rejected(message) {
+  return {
+    status: 'credentials-rejected',
+    message,
+    chunksTotal: 0,
+    chunksFailed: 0,
+    failedRanges: [],
+    metadataOk: false,
+    truncated: null,
+    trailingBytes: 0
+  };
+}
+
+/**
+ * Split a payload into chunk ranges, letting a too-short last piece count as a chunk too
+ * (StreamFormat.chunkRanges rejects it, but here it is a damaged chunk to report)
+ * @param {number} payloadSize - Size of the chunk data
+ * @param {number} chunkSize - Plaintext chunk size
+ * @param {number} tagLength - Tag length of the cipher suite
+ * @returns {{index: number, start: number, end: number}[]}
+ */
+function payloadRanges(payloadSize, chunkSize, tagLength) {
+  const encryptedSize = StreamFormat.encryptedChunkSize(chunkSize, tagLength);
+  const ranges = [];
+  let start = 0;
+  do {
+    const end = Math.min(start + encryptedSize, payloadSize);
+    ranges.push({ index: ranges.length, start, end });
+    start = end;
+  } while (start < payloadSize);
+  return ranges;
+}
+
+/**
+ * Merge consecutive failed chunks and convert payload offsets to file offsets
+ * @param {{index: number, start: number, end: number}[]} failed - Failed chunk ranges in order
+ * @param {number} payloadStart - File offset of the first chunk
+ * @returns {{firstChunk: number, lastChunk: number, start: number, end: number}[]}
+ */
+function mergeRanges(failed, payloadStart) {
+  const merged = [];
+  for (const range of failed) {
+    const last = merged[merged.length - 1];
+    if (last && last.lastChunk === range.index - 1) {
+      last.lastChunk = range.index;
+      last.end = payloadStart + range.end;
+    } else {
+      merged.push({ firstChunk: range.index, lastChunk: range.index, start: payloadStart + range.start, end: payloadStart + range.end });
+    }
+  }
+  return merged;
+}
+
+function describeDamage(metadata, failedCount, checked, truncated, trailingBytes) {
+  const problems = [];
+  if (!metadata) problems.push('the metadata block is damaged');
+  if (failedCount > 0) problems.push(`${failedCount} of ${checked} chunk(s) failed authentication`);
+  if (truncated) problems.push(`the file is truncated (expected at least ${truncated.expectedSize} bytes, found ${truncated.actualSize})`);
+  if (trailingBytes > 0) problems.push(`at least ${trailingBytes} unexpected byte(s) follow the last chunk`);
+  const text = problems.join('; ');
+  return `The credentials are correct, but ${text}.`;
+}
@@ -0,0 +1,87 @@
+/**
+ * Armor - ASCII armor for Endecrypt files, for sending them through chat or email
+ *
+ * -----BEGIN ENDECRYPT FILE-----
+ * <padded standard base64, 64 columns>
+ * =<CRC-32 of the binary file, 8 hex digits>
+ * -----END ENDECRYPT FILE-----
+ *
+ * The checksum only catches damage in transit; the file itself is still authenticated on decryption.
+ */
+
+import { Encoding } from '../utils/encoding.js';
+import { Crc32 } from '../utils/crc32.js';
+
+export const ARMOR_BEGIN = '-----BEGIN ENDECRYPT FILE-----';
+export const ARMOR_END = '-----END ENDECRYPT FILE-----';
+export const ARMOR_EXTENSION = '.enc.txt';
+
+const COLUMNS = 64;
+// 48 bytes encode to exactly one 64-column line
+const READ_SIZE = 48 * 1024;
+
+export class Armor {
+  /**
+   * Whether a file or text is an armored Endecrypt file (leading whitespace is allowed)
+   * @param {Blob|string} input - Any file, or pasted text
+   * @returns {Promise<boolean>}
+   */
+  static async isArmored(input) {
+    const start = typeof input === 'string' ? input.slice(0, 1024) : await input.slice(0, 1024).text();
+    return start.trimStart().startsWith(ARMOR_BEGIN);
+  }
+
+  /**
+   * Armor a binary Endecrypt file
+   * @param {Blob} binary - Encrypted file
+   * @returns {Promise<Blob>} Armored text
+   */
+  static async encode(binary) {
+    const parts = [`${ARMOR_BEGIN}\n`];
+    let crc = Crc32.start();
+
+    for (let offset = 0; offset < binary.size; offset += READ_SIZE) {
+      const bytes = new Uint8Array(await binary.slice(offset, offset + READ_SIZE).arrayBuffer());
+      crc = Crc32.update(crc, bytes);
+      parts.push(Encoding.toBase64(bytes).replace(new RegExp(`.{1,${COLUMNS}}`, 'g'), '$&\n'));
+    }
+
+    parts.push(`=${Crc32.toHex(Crc32.finish(crc))}\n${ARMOR_END}\n`);
+    return new Blob(parts, { type: 'text/plain' });
+  }
+
+  /**
+   * Remove the armor
+   * @param {Blob|string} input - Armored file, or pasted text
+   * @returns {Promise<Blob>} Binary Endecrypt file
+   */
+  static async decode(input) {
+    const text = typeof input === 'string' ? input : await input.text();
+    // Mail and chat clients may indent lines or add trailing spaces
+    const lines = text.split(/\r?\n/).map(line => line.trim());
+
+    const begin = lines.indexOf(ARMOR_BEGIN);
+    const end = lines.indexOf(ARMOR_END, begin + 1);
+    if (begin === -1 || end === -1) {
+      throw new Error('Invalid armored file: missing BEGIN or END line');
+    }
+
+    const body = lines.slice(begin + 1, end).filter(line => line !== '');
+    const checksumLine = body.pop();
+    if (!checksumLine || !/^=[0-9a-f]{8}$/.test(checksumLine)) {
+      throw new Error('Invalid armored file: missing checksum');
+    }
+
+    const base64 = body.join('');
+    if (!/^[A-Za-z0-9+/]*={0,2}$/.test(base64) || base64.length % 4 !== 0) {
+      throw new Error('Invalid armored file: malformed base64');
+    }
+    const bytes = Encoding.fromBase64(base64);
+
+    if (Crc32.toHex(Crc32.compute(bytes)) !== checksumLine.slice(1)) {
+      throw new Error('Invalid armored file: checksum mismatch (the text was damaged or incomplete)');
+    }
+
+    return new Blob([bytes]);
+  }
+}
@@ -1,5 +1,8 @@
 /**
  * Blob Builder - Reconstructs files from chunks
+ *
+ * Chunks may arrive in any order (e.g. from a worker pool) and are placed by index.
+ * Each chunk is wrapped in a Blob so the browser can page it out of the JS heap.
  */
 
 export class BlobBuilder {
@@ -9,11 +12,11 @@ export class BlobBuilder {
 
   /**
    * Add a chunk to the builder
-   * @param {ArrayBuffer} chunkData - Chunk data
+   * @param {ArrayBuffer|Uint8Array} chunkData - Chunk data
    * @param {number} index - Chunk index
    */
   addChunk(chunkData, index) {
-    this.chunks[index] = new Uint8Array(chunkData);
+    this.chunks[index] = new Blob([chunkData]);
   }
 
   /**
@@ -22,9 +25,15 @@ export class BlobBuilder {
    * @returns {Blob}
    */
   build(mimeType) {
-    // Filter out any undefined chunks
-    const validChunks = this.chunks.filter(chunk => chunk !== undefined);
-    return new Blob(validChunks, { type: mimeType });
+    return new Blob(this.getChunks(), { type: mimeType });
+  }
+
+  /**
+   * Get the chunks added so far, in index order
+   * @returns {Blob[]}
+   */
+  getChunks() {
+    return this.chunks.filter(chunk => chunk !== undefined);
   }
 
   /**
@@ -32,7 +41,7 @@ export class BlobBuilder {
    * @returns {number}
    */
   getChunkCount() {
-    return this.chunks.filter(chunk => chunk !== undefined).length;
+    return this.getChunks().length;
   }
 
   /**
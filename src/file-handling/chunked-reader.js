@@ -7,7 +7,8 @@ export const CHUNK_SIZE = 10 * 1024 * 1024; // 10MB
 export class ChunkedFileReader {
   constructor(file) {
     this.file = file;
-    this.totalChunks = Math.ceil(file.size / CHUNK_SIZE);
+    // An empty file still produces one (empty) chunk so it can carry the final-chunk flag
+    this.totalChunks = Math.max(1, Math.ceil(file.size / CHUNK_SIZE));
   }
 
   /**
@@ -20,28 +21,39 @@ export class ChunkedFileReader {
 
   /**
    * Read file in chunks using async generator
-   * @yields {{data: ArrayBuffer, index: number, progress: number}}
+   * @yields {{data: ArrayBuffer, index: number, progress: number, isLast: boolean}}
    */
   async *readChunks() {
     let offset = 0;
     let chunkIndex = 0;
 
-    while (offset < this.file.size) {
+    do {
       const end = Math.min(offset + CHUNK_SIZE, this.file.size);
       const chunk = this.file.slice(offset, end);
       const arrayBuffer = await chunk.arrayBuffer();
 
-      const progress = Math.round((offset / this.file.size) * 100);
+      const progress = this.file.size ? Math.round((offset / this.file.size) * 100) : 0;
 
       yield {
         data: arrayBuffer,
         index: chunkIndex,
-        progress: progress
+        progress: progress,
+        isLast: chunkIndex === this.totalChunks - 1
       };
 
       offset = end;
       chunkIndex++;
-    }
+    } while (offset < this.file.size);
+  }
+
+  /**
+   * Read one byte range of the file, without touching the rest
+   * @param {number} start - First byte
+   * @param {number} end - End (exclusive)
+   * @returns {Promise<ArrayBuffer>}
+   */
+  async readRange(start, end) {
+    return await this.file.slice(start, end).arrayBuffer();
   }
 
   /**
@@ -0,0 +1,206 @@
+/**
+ * Compression - Streaming gzip/deflate between the chunk reader and the cipher
+ */
+
+import { CHUNK_SIZE } from './chunked-reader.js';
+
+export const COMPRESSION_FORMATS = Object.freeze(['gzip', 'deflate']);
+// Raw deflate is only ever read, from imported formats (OpenPGP ZIP compression)
+const DECOMPRESSION_FORMATS = Object.freeze([...COMPRESSION_FORMATS, 'deflate-raw']);
+
+// Formats that are already compressed; compressing them again only costs time
+const COMPRESSED_MIME_TYPES = new Set([
+  'application/zip',
+  'application/gzip',
+  'application/x-gzip',
+  'application/x-7z-compressed',
+  'application/x-rar-compressed',
+  'application/vnd.rar',
+  'application/x-bzip2',
+  'application/x-xz',
+  'application/zstd',
+  'application/x-zstd',
+  'application/java-archive',
+  'application/epub+zip',
+  'application/vnd.android.package-archive',
+  'application/pdf'
+]);
+
+// Media types that compress well despite their prefix
+const UNCOMPRESSED_MEDIA_TYPES = new Set([
+  'image/svg+xml',
+  'image/bmp',
+  'image/x-ms-bmp',
+  'image/tiff',
+  'audio/wav',
+  'audio/x-wav'
+]);
+
+export class Compression {
+  /**
+   * Decide whether compressing a file of this type is worthwhile
+   * @param {string} mimeType - File MIME type
+   * @returns {boolean}
+   */
+  static shouldCompress(mimeType) {
+    const type = (mimeType || '').toLowerCase();
+    if (UNCOMPRESSED_MEDIA_TYPES.has(type)) return true;
+    if (/^(image|video|audio)\//.test(type)) return false;
+    // Office Open XML and OpenDocument files are zip archives
+    if (type.startsWith('application/vnd.openxmlformats-') || type.startsWith('application/vnd.oasis.opendocument.')) {
+      return false;
+    }
+    return !COMPRESSED_MIME_TYPES.has(type);
+  }
+
+  /**
+   * Check that a format name from metadata is supported
+   * @param {string} format - Compression format
+   */
+  static assertFormat(format) {
+    if (!COMPRESSION_FORMATS.includes(format)) {
+      throw new Error(`Unsupported compression format: ${format}`);
+    }
+  }
+
+  /**
+   * Decompress a sequence of buffers
+   * @param {AsyncIterable<ArrayBuffer|Uint8Array>} source - Compressed data in order
+   * @param {string} format - 'gzip', 'deflate' or 'deflate-raw'
+   * @yields {Uint8Array} Decompressed data
+   */
+  static async *decompress(source, format) {
+    if (!DECOMPRESSION_FORMATS.includes(format)) {
+      throw new Error(`Unsupported compression format: ${format}`);
+    }
+    try {
+      yield* pipeThrough(source, new DecompressionStream(format));
+    } catch (error) {
+      throw new Error(`Decompression failed: ${error.message}`);
+    }
+  }
+}
+
+/**
+ * Reader that compresses another reader's chunks and re-chunks the output to CHUNK_SIZE
+ * Same interface as ChunkedFileReader, except that the chunk count is unknown up front.
+ */
+export class CompressingReader {
+  /**
+   * @param {ChunkedFileReader} reader - Plaintext reader
+   * @param {string} format - 'gzip' or 'deflate'
+   */
+  constructor(reader, format) {
+    Compression.assertFormat(format);
+    this.reader = reader;
+    this.format = format;
+    this.progress = 0;
+  }
+
+  /**
+   * Get total number of chunks
+   * @returns {null} Unknown until compression has finished
+   */
+  getTotalChunks() {
+    return null;
+  }
+
+  /**
+   * Read compressed data in CHUNK_SIZE chunks
+   * One extra byte is buffered before a full chunk is emitted, so isLast is always accurate.
+   * @yields {{data: Uint8Array, index: number, progress: number, isLast: boolean}}
+   */
+  async *readChunks() {
+    const plaintext = this.trackProgress();
+    const pending = [];
+    let pendingLength = 0;
+    let index = 0;
+
+    for await (const data of pipeThrough(plaintext, new CompressionStream(this.format))) {
+      pending.push(data);
+      pendingLength += data.length;
+
+      while (pendingLength > CHUNK_SIZE) {
+        const chunk = takeBytes(pending, CHUNK_SIZE);
+        pendingLength -= CHUNK_SIZE;
+        yield { data: chunk, index: index++, progress: this.progress, isLast: false };
+      }
+    }
+
+    yield { data: takeBytes(pending, pendingLength), index, progress: 100, isLast: true };
+  }
+
+  /**
+   * Pass plaintext chunks through while recording read progress
+   * @yields {ArrayBuffer}
+   */
+  async *trackProgress() {
+    for await (const chunk of this.reader.readChunks()) {
+      this.progress = chunk.progress;
+      yield chunk.data;
+    }
+  }
+}
+
+/**
+ * Stream buffers through a TransformStream, writing and reading concurrently
+ * @param {AsyncIterable<ArrayBuffer|Uint8Array>} source - Input buffers
+ * @param {TransformStream} transform - Compression or decompression stream
+ * @yields {Uint8Array} Output buffers
+ */
+async function* pipeThrough(source, transform) {
+  const writer = transform.writable.getWriter();
+  const reader = transform.readable.getReader();
+
+  const pump = (async () => {
+    try {
+      for await (const data of source) {
+        await writer.write(data instanceof Uint8Array ? data : new Uint8Array(data));
+      }
+      await writer.close();
+    } catch (error) {
+      await writer.abort(error).catch(() => {});
+      throw error;
+    }
+  })();
+  // Failures surface through reader.read() as well; avoid an unhandled rejection
+  pump.catch(() => {});
+
+  try {
+    while (true) {
+      const { value, done } = await reader.read();
+      if (done) break;
+      yield value;
+    }
+    await pump;
+  } finally {
+    reader.releaseLock();
+  }
+}
+
+/**
+ * Remove and concatenate the first `length` bytes from a list of buffers
+ * @param {Uint8Array[]} buffers - Pending buffers (modified in place)
+ * @param {number} length - Bytes to take
+ * @returns {Uint8Array}
+ */
+function takeBytes(buffers, length) {
+  const result = new Uint8Array(length);
+  let offset = 0;
+
+  while (offset < length) {
+    const head = buffers[0];
+    const needed = length - offset;
+    if (head.length <= needed) {
+      result.set(head, offset);
+      offset += head.length;
+      buffers.shift();
+    } else {
+      result.set(head.subarray(0, needed), offset);
+      buffers[0] = head.subarray(needed);
+      offset += needed;
+    }
+  }
+
+  return result;
+}
@@ -26,19 +26,29 @@ export class Downloader {
   /**
    * Get encrypted filename
    * @param {string} originalFilename - Original file name
-   * @returns {string} Filename with .enc extension
+   * @param {string} [extension] - Extension of the output format
+   * @returns {string} Filename with .enc (or the given) extension
    */
-  static getEncryptedFilename(originalFilename) {
-    return `${originalFilename}.enc`;
+  static getEncryptedFilename(originalFilename, extension = '.enc') {
+    return `${originalFilename}${extension}`;
   }
 
   /**
-   * Get decrypted filename (remove .enc extension)
+   * Get decrypted filename (remove the encrypted file's extension)
    * @param {string} encryptedFilename - Encrypted file name
    * @param {string} originalFilename - Original filename from metadata
    * @returns {string} Decrypted filename
    */
   static getDecryptedFilename(encryptedFilename, originalFilename) {
-    return originalFilename || encryptedFilename.replace(/\.enc$/, '');
+    return originalFilename || encryptedFilename.replace(/\.(enc|age|gpg|pgp|asc)$/, '');
+  }
+
+  /**
+   * Get key file name for a password-less encrypted file
+   * @param {string} originalFilename - Original file name
+   * @returns {string} Filename with .key extension
+   */
+  static getKeyFilename(originalFilename) {
+    return `${originalFilename}.key`;
   }
 }
@@ -0,0 +1,121 @@
+/**
+ * Padding - Length-hiding padding between the chunk reader and the cipher
+ *
+ * Zero bytes are appended to the (possibly compressed) plaintext before encryption,
+ * so they are authenticated like the data itself. The encrypted metadata records
+ * how many were added, and decryption drops them again.
+ */
+
+import { CHUNK_SIZE } from './chunked-reader.js';
+
+export const PADDING_SCHEMES = Object.freeze(['padme', 'power-of-two']);
+
+export class Padding {
+  /**
+   * Check that a scheme name is supported
+   * @param {string} scheme - Padding scheme
+   */
+  static assertScheme(scheme) {
+    if (!PADDING_SCHEMES.includes(scheme)) {
+      throw new Error(`Unsupported padding scheme: ${scheme}`);
+    }
+  }
+
+  /**
+   * Size a plaintext of the given length is padded to
+   * 'padme' (PADMÉ, Nikitin et al. 2019) leaks O(log log n) bits and adds at most 12%;
+   * 'power-of-two' rounds up to the next power of two and adds up to 100%.
+   * @param {number} length - Plaintext length
+   * @param {string} scheme - Padding scheme
+   * @returns {number} Padded length
+   */
+  static paddedLength(length, scheme) {
+    this.assertScheme(scheme);
+    if (length < 2) return length;
+
+    const exponent = floorLog2(length);
+    if (scheme === 'power-of-two') {
+      return 2 ** exponent === length ? length : 2 ** (exponent + 1);
+    }
+
+    // Keep only the top floor(log2(exponent)) + 1 bits of the length, rounding up
+    const step = 2 ** (exponent - (floorLog2(exponent) + 1));
+    return Math.ceil(length / step) * step;
+  }
+}
+
+/**
+ * Reader that appends padding after another reader's last chunk
+ * Same interface as ChunkedFileReader. The source must emit full CHUNK_SIZE chunks except
+ * for the last one, as ChunkedFileReader and CompressingReader do.
+ */
+export class PaddingReader {
+  /**
+   * @param {ChunkedFileReader|CompressingReader} reader - Source reader
+   * @param {string} scheme - Padding scheme
+   * @param {number|null} length - Total source length, or null when unknown up front (compression)
+   */
+  constructor(reader, scheme, length) {
+    Padding.assertScheme(scheme);
+    this.reader = reader;
+    this.scheme = scheme;
+    this.length = length;
+    // Set once the source has been read completely
+    this.paddingLength = null;
+  }
+
+  /**
+   * Get total number of chunks
+   * @returns {number|null} Null when the source length is unknown
+   */
+  getTotalChunks() {
+    if (this.length === null) return null;
+    return Math.max(1, Math.ceil(Padding.paddedLength(this.length, this.scheme) / CHUNK_SIZE));
+  }
+
+  /**
+   * Read the source chunks followed by the padding, in CHUNK_SIZE chunks
+   * @yields {{data: ArrayBuffer|Uint8Array, index: number, progress: number, isLast: boolean}}
+   */
+  async *readChunks() {
+    let length = 0;
+
+    for await (const chunk of this.reader.readChunks()) {
+      length += chunk.data.byteLength;
+      if (!chunk.isLast) {
+        yield chunk;
+        continue;
+      }
+
+      this.paddingLength = Padding.paddedLength(length, this.scheme) - length;
+      let remaining = this.paddingLength;
+      let index = chunk.index;
+
+      // Fill up the last source chunk first, then emit whole chunks of zeros
+      const first = Math.min(remaining, CHUNK_SIZE - chunk.data.byteLength);
+      const data = new Uint8Array(chunk.data.byteLength + first);
+      data.set(new Uint8Array(chunk.data), 0);
+      remaining -= first;
+      yield { data, index: index++, progress: chunk.progress, isLast: remaining === 0 };
+
+      while (remaining > 0) {
+        const size = Math.min(remaining, CHUNK_SIZE);
+        remaining -= size;
+        yield { data: new Uint8Array(size), index: index++, progress: chunk.progress, isLast: remaining === 0 };
+      }
+    }
+  }
+}
+
+/**
+ * Exact floor(log2(n)) for positive safe integers
+ * @param {number} n - Positive integer
+ * @returns {number}
+ */
+function floorLog2(n) {
+  let exponent = Math.floor(Math.log2(n));
+  // Math.log2 can round up just below a power of two
+  while (2 ** exponent > n) exponent--;
+  while (2 ** (exponent + 1) <= n) exponent++;
+  return exponent;
+}
@@ -0,0 +1,591 @@
+/**
+ * Recovery - Reed-Solomon recovery record for repairing bit rot
+ *
+ * The record is appended after the container and covers every byte before it, the header
+ * included. Those bytes are split into at most 128 equally sized data blocks, and parity
+ * blocks (the redundancy percentage of the data block count, at least one) are computed
+ * with a systematic Cauchy Reed-Solomon code over GF(256), byte position by byte position.
+ * Per-block CRC-32s locate the damage, and as many damaged data blocks as there are intact
+ * parity blocks can be rebuilt. Repaired chunks are still authenticated by the cipher on
+ * decryption, so a damaged or forged record cannot slip in different data.
+ *
+ * A file may name one mutable range (the key slots, which change with every password
+ * edit). That range is encoded as a section of its own, and the first section covers the
+ * bytes around it, so editing the range re-encodes only its small section (see update).
+ *
+ * [index][parity blocks of section 1][parity blocks of section 2...][index, reversed][footer x 3]
+ *   index:          [JSON length (4 bytes)][index JSON][CRC-32 of the JSON (4 bytes)]
+ *   index reversed: [index JSON][CRC-32 of the JSON (4 bytes)][JSON length (4 bytes)]
+ *   footer:         ["EDRECOV1"][record length (4 bytes)][CRC-32 of the previous 12 bytes (4 bytes)]
+ *   index JSON:     {version: 1, redundancy, protectedLength, mutable: {start, end}|null,
+ *                    sections: [{blockSize, dataBlocks, parityBlocks, checksums}, ...]}
+ * All integers are little-endian; the record length excludes the footers. The index is
+ * stored at both ends of the record and the footer three times, so any one copy suffices.
+ */
+
+import { GF256 } from '../utils/gf256.js';
+import { Crc32 } from '../utils/crc32.js';
+
+const INDEX_VERSION = 1;
+const FOOTER_MAGIC = 'EDRECOV1';
+const FOOTER_COPY_LENGTH = 16;
+const FOOTER_COPIES = 3;
+const FOOTER_LENGTH = FOOTER_COPY_LENGTH * FOOTER_COPIES;
+const MAX_INDEX_LENGTH = 64 * 1024;
+
+// Data and parity blocks need distinct points of GF(256): 128 + 128 = 256
+const MAX_DATA_BLOCKS = 128;
+const MIN_BLOCK_SIZE = 4096;
+// Bytes held in memory per pass over all blocks
+const PASS_SIZE = 16 * 1024 * 1024;
+const READ_SIZE = 4 * 1024 * 1024;
+
+export class Recovery {
+  /**
+   * Append a recovery record to a file
+   * @param {Blob} file - Encrypted file
+   * @param {number} redundancy - Parity as a percentage of the data (1-100)
+   * @param {function(number): void} [onProgress] - Called with progress (0-100)
+   * @param {{start: number, end: number}|null} [mutable] - Range that may be rewritten later
+   *   (the key slots); it must lie strictly inside the file
+   * @returns {Promise<Blob>} File with the record appended
+   */
+  static async append(file, redundancy, onProgress, mutable = null) {
+    if (!Number.isInteger(redundancy) || redundancy < 1 || redundancy > 100) {
+      throw new Error('Recovery redundancy must be a whole percentage from 1 to 100');
+    }
+    if (mutable && !isInnerRange(mutable, file.size)) {
+      throw new Error('Invalid mutable range for the recovery record');
+    }
+
+    // The mutable range is small, so the surrounding section carries the progress
+    const [outer, ...inner] = sectionRanges(file.size, mutable);
+    const sections = [await encodeSection(sectionView(file, outer), redundancy, onProgress)];
+    for (const ranges of inner) {
+      sections.push(await encodeSection(sectionView(file, ranges), redundancy));
+    }
+
+    return buildRecord(file, redundancy, mutable, sections);
+  }
+
+  /**
+   * Carry the record of a file over to a copy that differs only in its mutable range
+   * The parity of the bytes around the range is reused and only the range is encoded
+   * again. A record without a mutable section is computed anew.
+   * @param {Blob} original - File as it was, with or without a record
+   * @param {Blob} updated - The protected bytes of original with the mutable range replaced
+   * @param {{start: number, end: number}} mutable - Replaced range in updated; it starts where the old one did
+   * @returns {Promise<Blob>} updated with a record, or as is if original has no usable record
+   */
+  static async update(original, updated, mutable) {
+    const location = await this.locate(original);
+    if (!location) return updated;
+
+    let record;
+    try {
+      record = await readIndex(original, location);
+    } catch (error) {
+      return updated;
+    }
+
+    const { index, parityStart } = record;
+    const [outer] = index.sections;
+    const outerLength = updated.size - (mutable.end - mutable.start);
+    if (!index.mutable || index.mutable.start !== mutable.start ||
+        outerLength !== rangesLength(sectionRanges(index.protectedLength, index.mutable)[0])) {
+      return await this.append(updated, index.redundancy, null, mutable);
+    }
+    if (!isInnerRange(mutable, updated.size)) {
+      throw new Error('Invalid mutable range for the recovery record');
+    }
+
+    const parity = original.slice(parityStart, parityStart + outer.parityBlocks * outer.blockSize);
+    const inner = await encodeSection(sectionView(updated, sectionRanges(updated.size, mutable)[1]), index.redundancy);
+    return buildRecord(updated, index.redundancy, mutable, [{ ...outer, parity }, inner]);
+  }
+
+  /**
+   * Find the recovery record of a file from its footer
+   * @param {Blob} file - Any file
+   * @returns {Promise<{start: number, damaged: boolean}|null>} start is where the record (and the end
+   *   of the protected data) begins; damaged is set when a footer copy is unreadable
+   */
+  static async locate(file) {
+    if (file.size < FOOTER_LENGTH) return null;
+
+    const footer = new Uint8Array(await file.slice(file.size - FOOTER_LENGTH).arrayBuffer());
+    let recordLength = null;
+    let intact = 0;
+
+    for (let i = 0; i < FOOTER_COPIES; i++) {
+      const copy = footer.subarray(i * FOOTER_COPY_LENGTH, (i + 1) * FOOTER_COPY_LENGTH);
+      const view = new DataView(copy.buffer, copy.byteOffset, FOOTER_COPY_LENGTH);
+      if (new TextDecoder().decode(copy.subarray(0, 8)) !== FOOTER_MAGIC ||
+          view.getUint32(12, true) !== Crc32.compute(copy.subarray(0, 12))) {
+        continue;
+      }
+      intact++;
+      if (recordLength === null) recordLength = view.getUint32(8, true);
+    }
+
+    if (recordLength === null || recordLength + FOOTER_LENGTH > file.size) return null;
+    return { start: file.size - FOOTER_LENGTH - recordLength, damaged: intact < FOOTER_COPIES };
+  }
+
+  /**
+   * Rebuild damaged blocks of a file from its recovery record
+   * A damaged record (footer, index or parity) is written anew once the data is whole.
+   * @param {Blob} file - File with a recovery record
+   * @param {function(number): void} [onProgress] - Called with progress (0-100)
+   * @returns {Promise<{blob: Blob, repairedBlocks: number, damagedBytes: number, recordRebuilt: boolean}>}
+   *   damagedBytes is the size of the rebuilt blocks, an upper bound for the damage
+   */
+  static async repair(file, onProgress) {
+    const location = await this.locate(file);
+    if (!location) {
+      throw new Error('This file has no recovery record');
+    }
+
+    const { index, damaged: indexDamaged, parityStart } = await readIndex(file, location);
+    const { protectedLength, mutable, sections } = index;
+    const ranges = sectionRanges(protectedLength, mutable);
+    const sizes = sections.map((section, n) => rangesLength(ranges[n]) + section.parityBlocks * section.blockSize);
+    const total = sizes.reduce((sum, size) => sum + size, 0);
+
+    const pieces = [];
+    let repairedBlocks = 0;
+    let damagedBytes = 0;
+    let parityDamaged = false;
+    let parityOffset = parityStart;
+    let done = 0;
+
+    for (const [n, section] of sections.entries()) {
+      const length = rangesLength(ranges[n]);
+      const paritySize = section.parityBlocks * section.blockSize;
+      // The section's data followed by its parity, so block offsets are local to the section
+      const view = new Blob([sectionView(file, ranges[n]), file.slice(parityOffset, parityOffset + paritySize)]);
+      parityOffset += paritySize;
+
+      const result = await repairSection(view, section, length, (progress) => {
+        if (onProgress) onProgress(Math.round(((done + (progress / 100) * sizes[n]) / total) * 100));
+      });
+      done += sizes[n];
+
+      repairedBlocks += result.repairedBlocks;
+      damagedBytes += result.damagedBytes;
+      parityDamaged = parityDamaged || result.parityDamaged;
+
+      let offset = 0;
+      for (const range of ranges[n]) {
+        pieces.push({ start: range.start, blob: result.data.slice(offset, offset + range.end - range.start) });
+        offset += range.end - range.start;
+      }
+    }
+
+    pieces.sort((a, b) => a.start - b.start);
+    const repaired = new Blob(pieces.map(piece => piece.blob), { type: 'application/octet-stream' });
+    const recordDamaged = location.damaged || indexDamaged || parityDamaged;
+
+    const blob = recordDamaged
+      ? await this.append(repaired, index.redundancy, null, mutable)
+      : new Blob([repaired, file.slice(protectedLength)], { type: 'application/octet-stream' });
+    if (onProgress) onProgress(100);
+
+    return { blob, repairedBlocks, damagedBytes, recordRebuilt: recordDamaged };
+  }
+}
+
+/**
+ * Compute the parity and checksums of one section
+ * @param {Blob} data - The section's bytes
+ * @param {number} redundancy - Parity as a percentage of the data
+ * @param {function(number): void} [onProgress] - Called with progress (0-100)
+ * @returns {Promise<{blockSize: number, dataBlocks: number, parityBlocks: number, checksums: string[], parity: Blob}>}
+ */
+async function encodeSection(data, redundancy, onProgress) {
+  const dataBlocks = Math.min(MAX_DATA_BLOCKS, Math.max(1, Math.ceil(data.size / MIN_BLOCK_SIZE)));
+  const blockSize = Math.max(1, Math.ceil(data.size / dataBlocks));
+  const parityBlocks = Math.max(1, Math.ceil((dataBlocks * redundancy) / 100));
+  const dataRanges = blockRanges(0, blockSize, dataBlocks, data.size);
+
+  const tables = coefficientTables([...Array(parityBlocks).keys()], [...Array(dataBlocks).keys()]);
+  const dataCrcs = new Array(dataBlocks).fill(Crc32.start());
+  const parityCrcs = new Array(parityBlocks).fill(Crc32.start());
+  const parity = Array.from({ length: parityBlocks }, () => []);
+
+  for await (const { offset, size, stripes } of readStripes(data, dataRanges, blockSize)) {
+    stripes.forEach((stripe, j) => {
+      const length = Math.max(0, Math.min(size, dataRanges[j].end - dataRanges[j].start - offset));
+      dataCrcs[j] = Crc32.update(dataCrcs[j], stripe.subarray(0, length));
+    });
+
+    for (let i = 0; i < parityBlocks; i++) {
+      const output = new Uint8Array(size);
+      stripes.forEach((stripe, j) => multiplyAdd(output, stripe, tables[i][j]));
+      parityCrcs[i] = Crc32.update(parityCrcs[i], output);
+      // A Blob can be paged out of the JS heap, so parity never piles up in memory
+      parity[i].push(new Blob([output]));
+    }
+
+    if (onProgress) onProgress(Math.round(((offset + size) / blockSize) * 100));
+  }
+
+  return {
+    blockSize,
+    dataBlocks,
+    parityBlocks,
+    checksums: [...dataCrcs, ...parityCrcs].map(crc => Crc32.toHex(Crc32.finish(crc))),
+    parity: new Blob(parity.flat())
+  };
+}
+
+/**
+ * Append the index, parity and footers to the protected bytes
+ * @param {Blob} file - Protected bytes
+ * @param {number} redundancy - Parity as a percentage of the data
+ * @param {{start: number, end: number}|null} mutable - Mutable range
+ * @param {object[]} sections - Results of encodeSection, in record order
+ * @returns {Blob}
+ */
+function buildRecord(file, redundancy, mutable, sections) {
+  const index = {
+    version: INDEX_VERSION,
+    redundancy,
+    protectedLength: file.size,
+    mutable: mutable ? { start: mutable.start, end: mutable.end } : null,
+    sections: sections.map(({ blockSize, dataBlocks, parityBlocks, checksums }) => ({ blockSize, dataBlocks, parityBlocks, checksums }))
+  };
+  const json = new TextEncoder().encode(JSON.stringify(index));
+  const jsonCrc = Crc32.compute(json);
+
+  const front = new Uint8Array(json.length + 8);
+  new DataView(front.buffer).setUint32(0, json.length, true);
+  front.set(json, 4);
+  new DataView(front.buffer).setUint32(4 + json.length, jsonCrc, true);
+
+  const back = new Uint8Array(json.length + 8);
+  back.set(json, 0);
+  new DataView(back.buffer).setUint32(json.length, jsonCrc, true);
+  new DataView(back.buffer).setUint32(json.length + 4, json.length, true);
+
+  const parity = sections.map(section => section.parity);
+  const recordLength = front.length + parity.reduce((total, blob) => total + blob.size, 0) + back.length;
+  const footerCopy = new Uint8Array(FOOTER_COPY_LENGTH);
+  footerCopy.set(new TextEncoder().encode(FOOTER_MAGIC), 0);
+  new DataView(footerCopy.buffer).setUint32(8, recordLength, true);
+  new DataView(footerCopy.buffer).setUint32(12, Crc32.compute(footerCopy.subarray(0, 12)), true);
+
+  return new Blob(
+    [file, front, ...parity, back, footerCopy, footerCopy, footerCopy],
+    { type: 'application/octet-stream' }
+  );
+}
+
+/**
+ * Check one section and rebuild its damaged data blocks
+ * @param {Blob} view - The section's data followed by its parity blocks
+ * @param {{blockSize: number, dataBlocks: number, parityBlocks: number, checksums: string[]}} section - Index entry
+ * @param {number} length - Size of the section's data
+ * @param {function(number): void} onProgress - Called with progress (0-100)
+ * @returns {Promise<{data: Blob, repairedBlocks: number, damagedBytes: number, parityDamaged: boolean}>}
+ */
+async function repairSection(view, section, length, onProgress) {
+  const { blockSize, dataBlocks, parityBlocks } = section;
+  const checksums = section.checksums.map(hex => parseInt(hex, 16));
+  const dataRanges = blockRanges(0, blockSize, dataBlocks, length);
+  const parityRanges = blockRanges(length, blockSize, parityBlocks, length + parityBlocks * blockSize);
+
+  // Checking every block is the first half of the work
+  const total = length + parityBlocks * blockSize;
+  let checked = 0;
+
+  const damaged = [];
+  for (const [j, range] of dataRanges.entries()) {
+    if (await blockChecksum(view, range) !== checksums[j]) damaged.push(j);
+    checked += range.end - range.start;
+    onProgress((checked / total) * 50);
+  }
+  const intactParity = [];
+  for (const [i, range] of parityRanges.entries()) {
+    if (await blockChecksum(view, range) === checksums[dataBlocks + i]) intactParity.push(i);
+    checked += range.end - range.start;
+    onProgress((checked / total) * 50);
+  }
+
+  if (damaged.length > intactParity.length) {
+    throw new Error(`Too much damage to repair: ${damaged.length} damaged block(s), but only ${intactParity.length} intact parity block(s)`);
+  }
+
+  let data = view.slice(0, length);
+  let damagedBytes = 0;
+  if (damaged.length > 0) {
+    const rebuilt = await rebuildBlocks(view, dataRanges, parityRanges, blockSize, damaged, intactParity.slice(0, damaged.length), (progress) => {
+      onProgress(50 + progress / 2);
+    });
+
+    const parts = [];
+    let cursor = 0;
+    damaged.forEach((j, n) => {
+      const range = dataRanges[j];
+      const block = rebuilt[n].subarray(0, range.end - range.start);
+      if (Crc32.compute(block) !== checksums[j]) {
+        throw new Error('Repair failed: a rebuilt block does not match its checksum');
+      }
+      parts.push(view.slice(cursor, range.start), block);
+      cursor = range.end;
+      damagedBytes += block.length;
+    });
+    parts.push(view.slice(cursor, length));
+    data = new Blob(parts);
+  }
+  onProgress(100);
+
+  return { data, repairedBlocks: damaged.length, damagedBytes, parityDamaged: intactParity.length < parityBlocks };
+}
+
+/**
+ * Byte ranges of each section: the bytes around the mutable range, then the range itself
+ * @param {number} protectedLength - Size of the protected bytes
+ * @param {{start: number, end: number}|null} mutable - Mutable range
+ * @returns {{start: number, end: number}[][]}
+ */
+function sectionRanges(protectedLength, mutable) {
+  if (!mutable) {
+    return [[{ start: 0, end: protectedLength }]];
+  }
+  return [
+    [{ start: 0, end: mutable.start }, { start: mutable.end, end: protectedLength }],
+    [{ start: mutable.start, end: mutable.end }]
+  ];
+}
+
+/**
+ * The bytes of some ranges of a file as one Blob, without copying
+ */
+function sectionView(file, ranges) {
+  return new Blob(ranges.map(range => file.slice(range.start, range.end)));
+}
+
+function rangesLength(ranges) {
+  return ranges.reduce((total, range) => total + range.end - range.start, 0);
+}
+
+function isInnerRange(range, size) {
+  return range !== null && typeof range === 'object' &&
+    Number.isInteger(range.start) && Number.isInteger(range.end) &&
+    range.start > 0 && range.start < range.end && range.end < size;
+}
+
+/**
+ * Read and check the index, trying the copy at either end of the record
+ * @param {Blob} file - File with a recovery record
+ * @param {{start: number}} location - Result of Recovery.locate
+ * @returns {Promise<{index: object, damaged: boolean, parityStart: number}>}
+ */
+async function readIndex(file, location) {
+  const recordEnd = file.size - FOOTER_LENGTH;
+  const copies = [];
+
+  // Front copy: the length comes first
+  const frontLength = await readUint32(file, location.start, recordEnd);
+  if (frontLength !== null && frontLength <= MAX_INDEX_LENGTH) {
+    copies.push(await readIndexCopy(file, location.start + 4, frontLength, recordEnd));
+  }
+  // Back copy: the length comes last
+  const backLength = await readUint32(file, recordEnd - 4, recordEnd);
+  if (backLength !== null && backLength <= MAX_INDEX_LENGTH) {
+    copies.push(await readIndexCopy(file, recordEnd - 8 - backLength, backLength, recordEnd));
+  }
+
+  const intact = copies
+    .filter(copy => copy !== null && isValidIndex(copy.index, copy.length, location.start, recordEnd));
+  if (intact.length === 0) {
+    throw new Error('The recovery record of this file is damaged beyond use');
+  }
+
+  const { index, length } = intact[0];
+  return { index, damaged: intact.length < 2, parityStart: location.start + 8 + length };
+}
+
+/**
+ * @returns {Promise<{index: object, length: number}|null>} Null if the JSON or its checksum is bad
+ */
+async function readIndexCopy(file, offset, length, recordEnd) {
+  if (offset < 0 || offset + length + 4 > recordEnd) return null;
+
+  const bytes = new Uint8Array(await file.slice(offset, offset + length + 4).arrayBuffer());
+  const json = bytes.subarray(0, length);
+  if (new DataView(bytes.buffer).getUint32(length, true) !== Crc32.compute(json)) return null;
+
+  try {
+    return { index: JSON.parse(new TextDecoder().decode(json)), length };
+  } catch (error) {
+    return null;
+  }
+}
+
+async function readUint32(file, offset, end) {
+  if (offset < 0 || offset + 4 > end) return null;
+  return new DataView(await file.slice(offset, offset + 4).arrayBuffer()).getUint32(0, true);
+}
+
+function isValidIndex(index, jsonLength, protectedLength, recordEnd) {
+  if (index === null || typeof index !== 'object' || index.version !== INDEX_VERSION) return false;
+  if (index.protectedLength !== protectedLength) return false;
+  if (index.mutable !== null && !isInnerRange(index.mutable, protectedLength)) return false;
+
+  const ranges = sectionRanges(protectedLength, index.mutable);
+  if (!Array.isArray(index.sections) || index.sections.length !== ranges.length) return false;
+  if (!index.sections.every((section, n) => isValidSection(section, rangesLength(ranges[n])))) return false;
+
+  const paritySize = index.sections.reduce((total, section) => total + section.parityBlocks * section.blockSize, 0);
+  return protectedLength + 2 * (jsonLength + 8) + paritySize === recordEnd;
+}
+
+function isValidSection(section, length) {
+  const isCount = (n) => Number.isInteger(n) && n >= 1 && n <= MAX_DATA_BLOCKS;
+  return section !== null && typeof section === 'object' &&
+    isCount(section.dataBlocks) && isCount(section.parityBlocks) &&
+    Number.isInteger(section.blockSize) && section.blockSize >= 1 &&
+    section.dataBlocks * section.blockSize >= length &&
+    (section.dataBlocks - 1) * section.blockSize < length &&
+    Array.isArray(section.checksums) &&
+    section.checksums.length === section.dataBlocks + section.parityBlocks &&
+    section.checksums.every(hex => /^[0-9a-f]{8}$/.test(hex));
+}
+
+/**
+ * Solve for the damaged data blocks from intact data and parity blocks
+ * @param {Blob} file - File with a recovery record
+ * @param {{start: number, end: number}[]} dataRanges - Data block ranges
+ * @param {{start: number, end: number}[]} parityRanges - Parity block ranges
+ * @param {number} blockSize - Block size
+ * @param {number[]} damaged - Damaged data block numbers
+ * @param {number[]} rows - Intact parity block numbers, as many as damaged blocks
+ * @param {function(number): void} onProgress - Called with progress (0-100)
+ * @returns {Promise<Uint8Array[]>} Rebuilt blocks (zero-padded to blockSize), in the order of `damaged`
+ */
+async function rebuildBlocks(file, dataRanges, parityRanges, blockSize, damaged, rows, onProgress) {
+  const intactData = dataRanges.map((range, j) => j).filter(j => !damaged.includes(j));
+
+  // parity_i = sum_j c(i, j) * data_j, so the damaged blocks solve
+  // sum_{j damaged} c(i, j) * data_j = parity_i - sum_{j intact} c(i, j) * data_j
+  const knownTables = coefficientTables(rows, intactData);
+  const inverse = invert(rows.map(i => damaged.map(j => coefficient(i, j))));
+  const inverseTables = inverse.map(row => row.map(value => GF256.multiplicationTable(value)));
+
+  const rebuilt = damaged.map(() => new Uint8Array(blockSize));
+  const blocks = [...intactData.map(j => dataRanges[j]), ...rows.map(i => parityRanges[i])];
+
+  for await (const { offset, size, stripes } of readStripes(file, blocks, blockSize)) {
+    const syndromes = rows.map((i, r) => {
+      const syndrome = stripes[intactData.length + r];
+      intactData.forEach((j, n) => multiplyAdd(syndrome, stripes[n], knownTables[r][n]));
+      return syndrome;
+    });
+
+    rebuilt.forEach((block, c) => {
+      const output = block.subarray(offset, offset + size);
+      syndromes.forEach((syndrome, r) => multiplyAdd(output, syndrome, inverseTables[c][r]));
+    });
+
+    onProgress(((offset + size) / blockSize) * 100);
+  }
+
+  return rebuilt;
+}
+
+/**
+ * Read the same byte window of several blocks at a time, so memory use does not grow with the file
+ * @param {Blob} file - File
+ * @param {{start: number, end: number}[]} blocks - Block ranges; bytes past a block's end read as zero
+ * @param {number} blockSize - Block size
+ * @yields {{offset: number, size: number, stripes: Uint8Array[]}}
+ */
+async function* readStripes(file, blocks, blockSize) {
+  const stripeSize = Math.max(1, Math.min(blockSize, Math.floor(PASS_SIZE / blocks.length)));
+
+  for (let offset = 0; offset < blockSize; offset += stripeSize) {
+    const size = Math.min(stripeSize, blockSize - offset);
+    const stripes = [];
+    for (const block of blocks) {
+      const stripe = new Uint8Array(size);
+      const start = Math.min(block.start + offset, block.end);
+      const end = Math.min(block.start + offset + size, block.end);
+      if (end > start) {
+        stripe.set(new Uint8Array(await file.slice(start, end).arrayBuffer()));
+      }
+      stripes.push(stripe);
+    }
+    yield { offset, size, stripes };
+  }
+}
+
+async function blockChecksum(file, range) {
+  let crc = Crc32.start();
+  for (let offset = range.start; offset < range.end; offset += READ_SIZE) {
+    const end = Math.min(offset + READ_SIZE, range.end);
+    crc = Crc32.update(crc, new Uint8Array(await file.slice(offset, end).arrayBuffer()));
+  }
+  return Crc32.finish(crc);
+}
+
+function blockRanges(start, blockSize, count, end) {
+  return Array.from({ length: count }, (_, n) => ({
+    start: start + n * blockSize,
+    end: Math.min(start + (n + 1) * blockSize, end)
+  }));
+}
+
+/**
+ * Cauchy matrix entry 1 / (x_i + y_j) with x_i = i and y_j = 128 + j; every square
+ * submatrix of a Cauchy matrix is invertible, so any intact parity blocks will do
+ * @param {number} parity - Parity block number
+ * @param {number} data - Data block number
+ * @returns {number}
+ */
+function coefficient(parity, data) {
+  return GF256.divide(1, parity ^ (MAX_DATA_BLOCKS + data));
+}
+
+function coefficientTables(parityRows, dataColumns) {
+  return parityRows.map(i => dataColumns.map(j => GF256.multiplicationTable(coefficient(i, j))));
+}
+
+/**
+ * output ^= table[input], i.e. output += c * input
+ */
+function multiplyAdd(output, input, table) {
+  for (let t = 0; t < output.length; t++) {
+    output[t] ^= table[input[t]];
+  }
+}
+
+/**
+ * Invert a square matrix over GF(256) by Gauss-Jordan elimination
+ * @param {number[][]} matrix - Invertible matrix
+ * @returns {number[][]}
+ */
+function invert(matrix) {
+  const n = matrix.length;
+  const rows = matrix.map((row, r) => [...row, ...Array.from({ length: n }, (_, c) => (c === r ? 1 : 0))]);
+
+  for (let col = 0; col < n; col++) {
+    const pivot = rows.findIndex((row, r) => r >= col && row[col] !== 0);
+    if (pivot === -1) {
+      throw new Error('Recovery matrix is not invertible');
+    }
+    [rows[col], rows[pivot]] = [rows[pivot], rows[col]];
+
+    const scale = GF256.divide(1, rows[col][col]);
+    rows[col] = rows[col].map(value => GF256.multiply(value, scale));
+
+    for (let r = 0; r < n; r++) {
+      if (r === col || rows[r][col] === 0) continue;
+      const factor = rows[r][col];
+      rows[r] = rows[r].map((value, c) => value ^ GF256.multiply(factor, rows[col][c]));
+    }
+  }
+
+  return rows.map(row => row.slice(n));
+}
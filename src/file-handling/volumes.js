@@ -0,0 +1,152 @@
+/**
+ * Volumes - Split an encrypted file into numbered parts for size-capped uploads, and join them again
+ *
+ * [8 bytes: "EDVOLUME"][4 bytes: header length (little-endian)][header JSON][data]
+ * The header links a volume to its set: {version, set, index, count, offset, size, totalSize, name}
+ * with a random set ID and 1-based index. Joining only concatenates the data, so a split file
+ * decrypts exactly like the original; the cipher still authenticates every byte.
+ */
+
+import { Encoding } from '../utils/encoding.js';
+
+const VOLUME_MAGIC = 'EDVOLUME';
+// Room left in every volume for its header, so volumes never exceed the requested size
+const HEADER_RESERVE = 1024;
+
+export class Volumes {
+  /**
+   * Whether a file is a volume of a split file
+   * @param {Blob} file - Any file
+   * @returns {Promise<boolean>}
+   */
+  static async isVolume(file) {
+    if (file.size < VOLUME_MAGIC.length + 4) return false;
+    return await file.slice(0, VOLUME_MAGIC.length).text() === VOLUME_MAGIC;
+  }
+
+  /**
+   * Split a file into volumes of at most volumeSize bytes
+   * @param {Blob} file - Encrypted file
+   * @param {string} filename - Name of the encrypted file; volumes are named filename.001, .002, ...
+   * @param {number} volumeSize - Maximum size of a volume, header included
+   * @returns {{blob: Blob, filename: string}[]}
+   */
+  static split(file, filename, volumeSize) {
+    if (!Number.isInteger(volumeSize) || volumeSize < 2 * HEADER_RESERVE) {
+      throw new Error(`Volume size must be at least ${2 * HEADER_RESERVE} bytes`);
+    }
+
+    const dataSize = volumeSize - HEADER_RESERVE;
+    const count = Math.max(1, Math.ceil(file.size / dataSize));
+    const set = Encoding.toBase64(crypto.getRandomValues(new Uint8Array(16)));
+    const digits = Math.max(3, String(count).length);
+    const volumes = [];
+
+    for (let index = 1; index <= count; index++) {
+      const offset = (index - 1) * dataSize;
+      const data = file.slice(offset, Math.min(offset + dataSize, file.size));
+      const header = new TextEncoder().encode(JSON.stringify({
+        version: 1, set, index, count, offset, size: data.size, totalSize: file.size, name: filename
+      }));
+      if (header.length + 12 > HEADER_RESERVE) {
+        throw new Error('Filename too long for a volume header');
+      }
+
+      const prefix = new Uint8Array(12 + header.length);
+      prefix.set(new TextEncoder().encode(VOLUME_MAGIC), 0);
+      new DataView(prefix.buffer).setUint32(8, header.length, true);
+      prefix.set(header, 12);
+
+      volumes.push({
+        blob: new Blob([prefix, data], { type: 'application/octet-stream' }),
+        filename: `${filename}.${String(index).padStart(digits, '0')}`
+      });
+    }
+
+    return volumes;
+  }
+
+  /**
+   * Join the volumes of a split file, given in any order
+   * Nothing is copied: the result reads from the volumes as it is consumed.
+   * @param {File[]} files - Every volume of one set (duplicates are ignored)
+   * @returns {Promise<File>} The original encrypted file
+   */
+  static async join(files) {
+    const volumes = [];
+    for (const file of files) {
+      volumes.push({ file, ...(await this.readHeader(file)) });
+    }
+
+    const { set, count, totalSize, name } = volumes[0].header;
+    if (volumes.some(({ header }) => header.set !== set || header.count !== count || header.totalSize !== totalSize)) {
+      throw new Error('These volumes belong to different split files. Select the volumes of one file only.');
+    }
+
+    const byIndex = new Map();
+    for (const volume of volumes) {
+      const { index, size } = volume.header;
+      if (volume.file.size - volume.dataStart !== size) {
+        throw new Error(`Volume ${index} of ${count} is truncated or damaged (${volume.file.name || 'unnamed'})`);
+      }
+      byIndex.set(index, volume);
+    }
+
+    const missing = [];
+    for (let index = 1; index <= count; index++) {
+      if (!byIndex.has(index)) missing.push(index);
+    }
+    if (missing.length > 0) {
+      throw new Error(`Missing volume(s) ${missing.join(', ')} of ${count}. Select all volumes of the file together.`);
+    }
+
+    const parts = [];
+    let offset = 0;
+    for (let index = 1; index <= count; index++) {
+      const { file, header, dataStart } = byIndex.get(index);
+      if (header.offset !== offset) {
+        throw new Error(`Volume ${index} of ${count} does not fit the others (wrong offset)`);
+      }
+      parts.push(file.slice(dataStart));
+      offset += header.size;
+    }
+    if (offset !== totalSize) {
+      throw new Error('The volumes do not add up to the size of the original file');
+    }
+
+    return new File(parts, name || 'joined.enc', { type: 'application/octet-stream' });
+  }
+
+  /**
+   * Read and check a volume header
+   * @param {File} file - Volume
+   * @returns {Promise<{header: object, dataStart: number}>}
+   */
+  static async readHeader(file) {
+    const label = file.name || 'unnamed file';
+    if (!(await this.isVolume(file))) {
+      throw new Error(`${label} is not a volume of a split file. Select either one file or all volumes of a split file.`);
+    }
+
+    const length = new DataView(await file.slice(8, 12).arrayBuffer()).getUint32(0, true);
+    if (length > HEADER_RESERVE || 12 + length > file.size) {
+      throw new Error(`Invalid volume header in ${label}`);
+    }
+
+    let header;
+    try {
+      header = JSON.parse(await file.slice(12, 12 + length).text());
+    } catch (e) {
+      throw new Error(`Invalid volume header in ${label}: ${e.message}`);
+    }
+
+    const isCount = (n) => Number.isInteger(n) && n >= 0;
+    if (header.version !== 1 || typeof header.set !== 'string' || !isCount(header.index) || !isCount(header.count) ||
+        header.index < 1 || header.index > header.count || !isCount(header.offset) || !isCount(header.size) ||
+        !isCount(header.totalSize)) {
+      throw new Error(`Invalid volume header in ${label}`);
+    }
+
+    return { header, dataStart: 12 + length };
+  }
+}
@@ -5,22 +5,42 @@
 import './style.css';
 import { Encryptor } from './crypto/encryptor.js';
 import { Decryptor } from './crypto/decryptor.js';
-import { KeyManager } from './crypto/key-manager.js';
-import { ChunkedFileReader } from './file-handling/chunked-reader.js';
+import { KeyManager, KDF_PRESETS, DEFAULT_KDF } from './crypto/key-manager.js';
+import { KeySlots } from './crypto/key-slots.js';
+import { FileUpgrader } from './crypto/file-upgrader.js';
+import { KeyShares } from './crypto/key-shares.js';
+import { Age, AGE_EXTENSION } from './crypto/age/age.js';
+import { AgeKeys } from './crypto/age/age-keys.js';
+import { AGE_ARMOR_BEGIN } from './crypto/age/age-armor.js';
+import { OpenPgp, OPENPGP_EXTENSION, OPENPGP_ARMOR_EXTENSION } from './crypto/openpgp/openpgp.js';
+import { PGP_ARMOR_BEGIN } from './crypto/openpgp/openpgp-armor.js';
+import { Messages } from './crypto/messages.js';
+import { Signer } from './crypto/signer.js';
+import { Verifier } from './crypto/verifier.js';
+import { PasswordStrength } from './crypto/password-strength.js';
+import { Diceware } from './crypto/diceware.js';
+import { TrustStore } from './crypto/trust-store.js';
+import { FileFormat } from './crypto/file-format.js';
 import { BlobBuilder } from './file-handling/blob-builder.js';
 import { Downloader } from './file-handling/downloader.js';
+import { Armor, ARMOR_EXTENSION } from './file-handling/armor.js';
+import { Recovery } from './file-handling/recovery.js';
+import { Volumes } from './file-handling/volumes.js';
 import { ImageViewer } from './media/image-viewer.js';
 import { VideoPlayer } from './media/video-player.js';
 import { memoryManager } from './media/memory-manager.js';
 import { ProgressTracker } from './utils/progress.js';
 import { FileValidator } from './utils/validation.js';
+import { Compression } from './file-handling/compression.js';
 import CryptoWorker from './workers/crypto-worker.js?worker';
+import RecoveryWorker from './workers/recovery-worker.js?worker';
+import { RecoveryRunner } from './workers/recovery-runner.js';
+import { CryptoPool } from './workers/crypto-pool.js';
 import { LSBEncoder } from './steganography/lsb-encoder.js';
 
 // Initialize components
 let encryptFile = null;
 let decryptFile = null;
-let worker = null;
 
 const encryptProgressTracker = new ProgressTracker(
   document.getElementById('encrypt-progress-bar'),
@@ -35,15 +55,11 @@ const decryptProgressTracker = new ProgressTracker(
 const imageViewer = new ImageViewer(document.getElementById('media-preview'));
 const videoPlayer = new VideoPlayer(document.getElementById('media-preview'));
 
-// Initialize worker
-function initWorker() {
-  if (worker) {
-    worker.terminate();
-  }
-  worker = new CryptoWorker();
-}
+// Chunks of large files are encrypted and decrypted on these workers, off the UI thread
+const cryptoPool = new CryptoPool(() => new CryptoWorker());
 
-initWorker();
+// Recovery records are computed and applied on a worker of their own
+const recoveryRunner = new RecoveryRunner(() => new RecoveryWorker());
 
 // Helper: Show Status Message
 function showStatus(elementId, message, type = 'info') {
@@ -80,15 +96,19 @@ function showStatus(elementId, message, type = 'info') {
 // Tab Switching Logic
 const tabEncrypt = document.getElementById('tab-encrypt');
 const tabDecrypt = document.getElementById('tab-decrypt');
+const tabMessages = document.getElementById('tab-messages');
 const tabStego = document.getElementById('tab-stego');
+const tabKeys = document.getElementById('tab-keys');
 const sectionEncrypt = document.getElementById('encrypt-section');
 const sectionDecrypt = document.getElementById('decrypt-section');
+const sectionMessages = document.getElementById('messages-section');
 const sectionStego = document.getElementById('stego-section');
+const sectionKeys = document.getElementById('keys-section');
 
 function switchTab(tab) {
   // Reset all
-  [tabEncrypt, tabDecrypt, tabStego].forEach(t => t.dataset.state = 'inactive');
-  [sectionEncrypt, sectionDecrypt, sectionStego].forEach(s => s.style.display = 'none');
+  [tabEncrypt, tabDecrypt, tabMessages, tabStego, tabKeys].forEach(t => t.dataset.state = 'inactive');
+  [sectionEncrypt, sectionDecrypt, sectionMessages, sectionStego, sectionKeys].forEach(s => s.style.display = 'none');
 
   let activeTab, activeSection;
 
@@ -98,9 +118,15 @@ function switchTab(tab) {
   } else if (tab === 'decrypt') {
     activeTab = tabDecrypt;
     activeSection = sectionDecrypt;
+  } else if (tab === 'messages') {
+    activeTab = tabMessages;
+    activeSection = sectionMessages;
   } else if (tab === 'stego') {
     activeTab = tabStego;
     activeSection = sectionStego;
+  } else if (tab === 'keys') {
+    activeTab = tabKeys;
+    activeSection = sectionKeys;
   }
 
   activeTab.dataset.state = 'active';
@@ -114,7 +140,9 @@ function switchTab(tab) {
 
 tabEncrypt.addEventListener('click', () => switchTab('encrypt'));
 tabDecrypt.addEventListener('click', () => switchTab('decrypt'));
+tabMessages.addEventListener('click', () => switchTab('messages'));
 tabStego.addEventListener('click', () => switchTab('stego'));
+tabKeys.addEventListener('click', () => switchTab('keys'));
 
 // Initialize tabs
 switchTab('encrypt');
@@ -137,31 +165,116 @@ if (togglePasswordBtn) {
   });
 }
 
-// Password Strength Meter
-encryptPasswordInput.addEventListener('input', (e) => {
-  const password = e.target.value;
-  const strengthBar = document.getElementById('password-strength-bar');
-  const strengthText = document.getElementById('password-strength-text');
-  
-  let strength = 0;
-  if (password.length > 0) strength += 10;
-  if (password.length >= 8) strength += 20;
-  if (/[A-Z]/.test(password)) strength += 20;
-  if (/[0-9]/.test(password)) strength += 20;
-  if (/[^A-Za-z0-9]/.test(password)) strength += 30;
-
-  strengthBar.style.width = `${strength}%`;
-  
-  if (strength < 30) {
-    strengthBar.className = 'h-full bg-red-500 transition-all duration-300';
-    strengthText.textContent = 'Strength: Weak';
-  } else if (strength < 70) {
-    strengthBar.className = 'h-full bg-yellow-500 transition-all duration-300';
-    strengthText.textContent = 'Strength: Medium';
-  } else {
-    strengthBar.className = 'h-full bg-green-500 transition-all duration-300';
-    strengthText.textContent = 'Strength: Strong';
-  }
+// Password Strength Meters
+const STRENGTH_BAR_COLORS = ['bg-red-500', 'bg-red-500', 'bg-yellow-500', 'bg-green-500', 'bg-green-500'];
+
+/**
+ * Show a live strength estimate under a password input
+ * @param {string} inputId - Password input
+ * @param {string} prefix - ID prefix of the meter's -bar, -text and -feedback elements
+ * @param {function(): object} getKdf - Key derivation parameters the password will be used with
+ * @returns {function(): Promise<void>} Refreshes the meter, e.g. after the KDF or the input changed
+ */
+function bindStrengthMeter(inputId, prefix, getKdf) {
+  const input = document.getElementById(inputId);
+  const bar = document.getElementById(`${prefix}-bar`);
+  const text = document.getElementById(`${prefix}-text`);
+  const feedback = document.getElementById(`${prefix}-feedback`);
+  let latest = 0;
+
+  const update = async () => {
+    const password = input.value;
+    const request = ++latest;
+
+    if (!password) {
+      bar.style.width = '0%';
+      text.textContent = 'Strength: None';
+      feedback.classList.add('hidden');
+      return;
+    }
+
+    let estimate;
+    try {
+      estimate = await PasswordStrength.estimate(password, getKdf(), ['endecrypt']);
+    } catch (error) {
+      console.error('Strength estimate failed:', error);
+      text.textContent = 'Strength: unavailable';
+      return;
+    }
+    // A later keystroke may have been estimated first
+    if (request !== latest) return;
+
+    bar.style.width = `${(estimate.level + 1) * 20}%`;
+    bar.className = `h-full ${STRENGTH_BAR_COLORS[estimate.level]} transition-all duration-300`;
+    text.textContent = `Strength: ${estimate.label} (${Math.round(estimate.bits)} bits, cracked in ${estimate.crackTime})`;
+
+    const tips = [estimate.warning, ...estimate.suggestions].filter(Boolean);
+    feedback.textContent = tips.join(' ');
+    feedback.classList.toggle('hidden', tips.length === 0);
+  };
+
+  input.addEventListener('input', update);
+  return update;
+}
+
+const updateEncryptStrength = bindStrengthMeter(
+  'encrypt-password', 'password-strength', () => KDF_PRESETS[document.getElementById('encrypt-kdf').value]
+);
+document.getElementById('encrypt-kdf').addEventListener('change', updateEncryptStrength);
+
+// Passphrase Generator: one panel, moved under whichever password field asked for it
+const passphraseGenerator = document.getElementById('passphrase-generator');
+let passphraseTarget = null;
+
+/**
+ * Fill the target field with a new passphrase and show it in the panel
+ */
+function generatePassphrase() {
+  const words = Number(document.getElementById('passphrase-words').value);
+  const { passphrase, bits } = Diceware.generate({
+    words,
+    separator: document.getElementById('passphrase-separator').value,
+    capitalization: document.getElementById('passphrase-capitalization').value
+  });
+
+  passphraseTarget.value = passphrase;
+  // Strength meters listen for input
+  passphraseTarget.dispatchEvent(new Event('input'));
+
+  document.getElementById('passphrase-output').textContent = passphrase;
+  document.getElementById('passphrase-entropy').textContent =
+    `${bits.toFixed(1)} bits of entropy: ${words} random words from the EFF list of 7,776`;
+  document.getElementById('passphrase-copy-btn').disabled = false;
+}
+
+for (const button of document.querySelectorAll('[data-passphrase-for]')) {
+  button.addEventListener('click', () => {
+    passphraseTarget = document.getElementById(button.dataset.passphraseFor);
+    button.after(passphraseGenerator);
+    passphraseGenerator.classList.remove('hidden');
+    generatePassphrase();
+  });
+}
+
+for (const id of ['passphrase-words', 'passphrase-separator', 'passphrase-capitalization']) {
+  document.getElementById(id).addEventListener('change', () => {
+    if (passphraseTarget) generatePassphrase();
+  });
+}
+
+document.getElementById('passphrase-regenerate-btn').addEventListener('click', generatePassphrase);
+
+// Copy once: the passphrase stays in the field but is no longer shown
+document.getElementById('passphrase-copy-btn').addEventListener('click', async (e) => {
+  await copyToClipboard(passphraseTarget.value, e.currentTarget);
+  e.currentTarget.disabled = true;
+  document.getElementById('passphrase-output').textContent = 'Copied and hidden. Store it in your password manager now; it will not be shown again.';
+});
+
+document.getElementById('passphrase-close-btn').addEventListener('click', () => {
+  passphraseGenerator.classList.add('hidden');
+  document.getElementById('passphrase-output').textContent = '';
+  passphraseTarget = null;
 });
 
 // ============= ENCRYPTION HANDLERS =============
@@ -174,6 +287,7 @@ document.getElementById('use-password-encrypt').addEventListener('change', (e) =
   const passwordContainer = document.getElementById('password-input-container');
   const passwordInput = document.getElementById('encrypt-password');
   
+  
   if (e.target.checked) {
     passwordContainer.classList.remove('hidden');
     passwordInput.disabled = false;
@@ -183,6 +297,105 @@ document.getElementById('use-password-encrypt').addEventListener('change', (e) =
     passwordInput.disabled = true;
     passwordInput.value = '';
   }
+  updateKeyExportVisibility();
+});
+
+// Notes shown under the output format select for interoperable formats
+const FORMAT_NOTES = {
+  age: 'age files are readable with the age command-line tool. Protect them with a password or age1... recipients; keyfiles, compression and signing are Endecrypt features and are not available.',
+  openpgp: 'OpenPGP messages are readable with gpg --decrypt and other OpenPGP tools. They are protected with a password only; recipients, keyfiles, compression and signing are not available.'
+};
+const ARMOR_NOTE = 'Armored output is plain text that survives chat and email. It is about a third larger than the binary file.';
+
+// Larger armored output is only downloaded, not shown for copying
+const ARMOR_DISPLAY_LIMIT = 1024 * 1024;
+
+/**
+ * Read the selected output format
+ * @returns {{family: 'endecrypt'|'age'|'openpgp', armor: boolean}}
+ */
+function getOutputFormat() {
+  const value = document.getElementById('encrypt-format').value;
+  return { family: value.replace(/-armor$/, ''), armor: value.endsWith('-armor') };
+}
+
+// A random key is only exported when neither a password nor recipients protect the file
+function updateKeyExportVisibility() {
+  const usePassword = document.getElementById('use-password-encrypt').checked;
+  const hasRecipients = document.getElementById('encrypt-recipients').value.trim().length > 0;
+  // age and OpenPGP have no password-less mode
+  const isForeign = getOutputFormat().family !== 'endecrypt';
+  document.getElementById('key-export-container').classList.toggle('hidden', usePassword || hasRecipients || isForeign);
+}
+
+document.getElementById('encrypt-recipients').addEventListener('input', updateKeyExportVisibility);
+
+// Options that only exist in the Endecrypt format are hidden for age and OpenPGP output
+function updateEncryptFormatOptions() {
+  const { family, armor } = getOutputFormat();
+  const isForeign = family !== 'endecrypt';
+  for (const id of ['encrypt-kdf-group', 'encrypt-factor-file-group', 'encrypt-compression-group', 'encrypt-padding-group', 'encrypt-recovery-group', 'encrypt-cipher-group', 'encrypt-sign-as-group']) {
+    document.getElementById(id).classList.toggle('hidden', isForeign);
+  }
+  const note = document.getElementById('encrypt-format-note');
+  note.textContent = FORMAT_NOTES[family] || (armor ? ARMOR_NOTE : '');
+  note.classList.toggle('hidden', !note.textContent);
+  updateKeyExportVisibility();
+}
+
+document.getElementById('encrypt-format').addEventListener('change', updateEncryptFormatOptions);
+
+// Load public key files (JWK or text) into the recipients list
+const recipientFileInput = document.getElementById('encrypt-recipient-file-input');
+document.getElementById('encrypt-recipient-file-btn').addEventListener('click', () => recipientFileInput.click());
+recipientFileInput.addEventListener('change', async (e) => {
+  const recipientsInput = document.getElementById('encrypt-recipients');
+  try {
+    for (const file of e.target.files) {
+      const text = (await file.text()).trim();
+      const line = AgeKeys.isAgeKey(text) ? text : await KeyManager.exportPublicKey(await KeyManager.importPublicKey(text));
+      recipientsInput.value = recipientsInput.value.trim() ? `${recipientsInput.value.trim()}\n${line}` : line;
+    }
+  } catch (error) {
+    showStatus('encrypt-status', `Could not load public key: ${error.message}`, 'error');
+  }
+  recipientFileInput.value = '';
+  updateKeyExportVisibility();
+});
+
+/**
+ * Get the non-empty lines of the recipients textarea
+ * @returns {string[]}
+ */
+function getRecipientLines() {
+  return document.getElementById('encrypt-recipients').value
+    .split('\n')
+    .map(line => line.trim())
+    .filter(line => line.length > 0);
+}
+
+/**
+ * Parse the recipients textarea into public keys
+ * @returns {Promise<CryptoKey[]>}
+ */
+async function parseRecipients() {
+  const recipients = [];
+  for (const [i, line] of getRecipientLines().entries()) {
+    try {
+      recipients.push(await KeyManager.importPublicKey(line));
+    } catch (error) {
+      throw new Error(`Recipient ${i + 1}: ${error.message}`);
+    }
+  }
+  return recipients;
+}
+
+document.getElementById('copy-key-btn').addEventListener('click', async () => {
+  await copyToClipboard(document.getElementById('encrypt-key-string').value, document.getElementById('copy-key-btn'));
+});
+
+document.getElementById('copy-armor-btn').addEventListener('click', async () => {
+  await copyToClipboard(document.getElementById('encrypt-armor-text').value, document.getElementById('copy-armor-btn'));
 });
 
 document.getElementById('encrypt-btn').addEventListener('click', async () => {
@@ -234,63 +447,102 @@ function handleEncryptFileSelect(file) {
 async function handleEncryption() {
   if (!encryptFile) return;
 
+  const outputFormat = getOutputFormat();
+  if (outputFormat.family === 'age') {
+    await handleAgeEncryption(outputFormat.armor);
+    return;
+  }
+  if (outputFormat.family === 'openpgp') {
+    await handleOpenPgpEncryption(outputFormat.armor);
+    return;
+  }
+
   const usePassword = document.getElementById('use-password-encrypt').checked;
   const password = usePassword ? document.getElementById('encrypt-password').value : null;
+  const keyfile = usePassword ? getKeyfile('encrypt-factor-file') : null;
 
-  if (usePassword && !password) {
-    showStatus('encrypt-status', 'Please enter a password', 'error');
+  if (usePassword && !password && !keyfile) {
+    showStatus('encrypt-status', 'Please enter a password or select a keyfile', 'error');
     return;
   }
 
   try {
     document.getElementById('encrypt-btn').disabled = true;
+    document.getElementById('encrypt-key-output').classList.add('hidden');
+    document.getElementById('encrypt-armor-output').classList.add('hidden');
     encryptProgressTracker.show();
     encryptProgressTracker.update(0, 'Preparing encryption...');
     showStatus('encrypt-status', 'Encrypting...', 'info');
 
-    // Generate salt and IV
-    const salt = KeyManager.generateSalt();
-    const iv = KeyManager.generateIV();
+    const recipients = await parseRecipients();
+    if ((password || keyfile) && recipients.length > 0) {
+      throw new Error('Use either a password or recipients, not both');
+    }
 
-    // Prepare encryption key
-    const { key, keyData } = await Encryptor.prepareKey(password, salt);
+    const mimeType = encryptFile.type || 'application/octet-stream';
+    let compression = document.getElementById('encrypt-compression').value || null;
+    const compressionSkipped = !!compression && !Compression.shouldCompress(mimeType);
+    if (compressionSkipped) {
+      // Already-compressed formats would only get bigger
+      compression = null;
+    }
 
-    // Read and encrypt file in chunks
-    const reader = new ChunkedFileReader(encryptFile);
-    const encryptedChunks = [];
-    let chunkIndex = 0;
+    const signAs = document.getElementById('encrypt-sign-as').value;
+    const signer = signAs ? await TrustStore.loadIdentity(signAs) : null;
 
-    for await (const chunk of reader.readChunks()) {
-      encryptProgressTracker.update(chunk.progress, `Encrypting chunk ${chunkIndex + 1}/${reader.getTotalChunks()}`);
-      
-      const encrypted = await Encryptor.encryptChunk(chunk.data, key, iv);
-      encryptedChunks.push(new Uint8Array(encrypted));
-      
-      chunkIndex++;
+    if (password || keyfile) {
+      encryptProgressTracker.update(0, 'Deriving key from password...');
     }
 
-    // Create metadata
-    const metadata = Encryptor.createMetadata(
-      encryptFile.name,
-      encryptFile.type || 'application/octet-stream',
-      usePassword,
-      encryptedChunks.length,
-      keyData
-    );
-
-    encryptProgressTracker.update(95, 'Building encrypted file...');
+    // Read and encrypt file in chunks; metadata is encrypted alongside them
+    const { blob, keyData } = await Encryptor.encryptFile(encryptFile, {
+      filename: encryptFile.name,
+      mimeType,
+      password,
+      keyfile,
+      kdf: KDF_PRESETS[document.getElementById('encrypt-kdf').value],
+      recipients,
+      signer,
+      compression,
+      cipher: document.getElementById('encrypt-cipher').value,
+      padding: document.getElementById('encrypt-padding').value || null,
+      pool: cryptoPool
+    }, (progress, chunkIndex, totalChunks) => {
+      const chunkLabel = totalChunks ? `${chunkIndex + 1}/${totalChunks}` : `${chunkIndex + 1}`;
+      encryptProgressTracker.update(progress * 0.95, compression
+        ? `Compressing and encrypting chunk ${chunkLabel}`
+        : `Encrypting chunk ${chunkLabel}`);
+    });
+
+    let encryptedBlob = blob;
+    const redundancy = Number(document.getElementById('encrypt-recovery').value);
+    if (redundancy) {
+      // Key slots get their own section, so later password changes re-encode only that
+      const keySlots = KeySlots.range(await Decryptor.parseEncryptedFile(blob));
+      encryptedBlob = await recoveryRunner.append(blob, redundancy, (progress) => {
+        encryptProgressTracker.update(95 + progress * 0.05, 'Computing recovery record...');
+      }, keySlots);
+    }
 
-    // Build final encrypted file
-    const serializedMetadata = Encryptor.serializeMetadata(metadata);
-    const encryptedBlob = Encryptor.buildEncryptedFile(salt, iv, encryptedChunks, serializedMetadata);
+    let encryptedFilename = Downloader.getEncryptedFilename(encryptFile.name);
+    if (outputFormat.armor) {
+      encryptedBlob = await Armor.encode(encryptedBlob);
+      encryptedFilename = Downloader.getEncryptedFilename(encryptFile.name, ARMOR_EXTENSION);
+      await showArmoredOutput(encryptedBlob);
+    }
 
     encryptProgressTracker.complete('Encryption complete!');
 
     // Download encrypted file
-    const encryptedFilename = Downloader.getEncryptedFilename(encryptFile.name);
-    Downloader.download(encryptedBlob, encryptedFilename);
+    const downloadLabel = downloadEncryptedOutput(encryptedBlob, encryptedFilename);
+
+    // Password-less files need their key delivered separately
+    if (keyData) {
+      exportEncryptionKey(keyData, encryptFile.name, document.getElementById('key-export-mode').value);
+    }
 
-    showStatus('encrypt-status', `File encrypted successfully! Downloading ${encryptedFilename}`, 'success');
+    const compressionNote = compressionSkipped ? ' (compression skipped: this file type is already compressed)' : '';
+    showStatus('encrypt-status', `File encrypted successfully! Downloading ${downloadLabel}${compressionNote}`, 'success');
 
     // Reset
     setTimeout(() => {
@@ -305,13 +557,155 @@ async function handleEncryption() {
   }
 }
 
+/**
+ * Encrypt the selected file to the age format
+ * @param {boolean} armor - Write ASCII armor instead of binary
+ */
+async function handleAgeEncryption(armor) {
+  const usePassword = document.getElementById('use-password-encrypt').checked;
+  const password = usePassword ? document.getElementById('encrypt-password').value : null;
+
+  if (usePassword && !password) {
+    showStatus('encrypt-status', 'Please enter a password', 'error');
+    return;
+  }
+
+  try {
+    document.getElementById('encrypt-btn').disabled = true;
+    document.getElementById('encrypt-key-output').classList.add('hidden');
+    document.getElementById('encrypt-armor-output').classList.add('hidden');
+    encryptProgressTracker.show();
+    encryptProgressTracker.update(0, 'Preparing encryption...');
+    showStatus('encrypt-status', 'Encrypting...', 'info');
+
+    const recipients = getRecipientLines();
+    recipients.forEach((line, i) => {
+      if (!AgeKeys.isAgeKey(line)) {
+        throw new Error(`Recipient ${i + 1}: age output needs age1... recipients`);
+      }
+    });
+
+    if (password) {
+      encryptProgressTracker.update(0, 'Deriving key from password (scrypt)...');
+    }
+
+    const encryptedBlob = await Age.encrypt(encryptFile, { passphrase: password, recipients, armor }, (progress) => {
+      encryptProgressTracker.update(progress * 0.95, 'Encrypting (age)');
+    });
+    if (armor) {
+      await showArmoredOutput(encryptedBlob);
+    }
+
+    encryptProgressTracker.complete('Encryption complete!');
+
+    const encryptedFilename = Downloader.getEncryptedFilename(encryptFile.name, AGE_EXTENSION);
+    const downloadLabel = downloadEncryptedOutput(encryptedBlob, encryptedFilename);
+    showStatus('encrypt-status', `File encrypted successfully! Downloading ${downloadLabel}`, 'success');
+
+    setTimeout(() => {
+      resetEncryptionForm();
+    }, 2000);
+
+  } catch (error) {
+    console.error('Encryption error:', error);
+    showStatus('encrypt-status', `Encryption failed: ${error.message}`, 'error');
+    encryptProgressTracker.reset();
+    document.getElementById('encrypt-btn').disabled = false;
+  }
+}
+
+/**
+ * Encrypt the selected file to an OpenPGP message that gpg can decrypt
+ * @param {boolean} armor - Write ASCII armor instead of binary
+ */
+async function handleOpenPgpEncryption(armor) {
+  const usePassword = document.getElementById('use-password-encrypt').checked;
+  const password = usePassword ? document.getElementById('encrypt-password').value : null;
+
+  if (!password) {
+    showStatus('encrypt-status', 'OpenPGP output needs a password', 'error');
+    return;
+  }
+  if (getRecipientLines().length > 0) {
+    showStatus('encrypt-status', 'OpenPGP output only supports a password; remove the public keys', 'error');
+    return;
+  }
+
+  try {
+    document.getElementById('encrypt-btn').disabled = true;
+    document.getElementById('encrypt-key-output').classList.add('hidden');
+    document.getElementById('encrypt-armor-output').classList.add('hidden');
+    encryptProgressTracker.show();
+    encryptProgressTracker.update(0, 'Deriving key from password...');
+    showStatus('encrypt-status', 'Encrypting...', 'info');
+
+    const encryptedBlob = await OpenPgp.encrypt(encryptFile, { password, filename: encryptFile.name, armor }, (progress) => {
+      encryptProgressTracker.update(progress * 0.95, 'Encrypting (OpenPGP)');
+    });
+    if (armor) {
+      await showArmoredOutput(encryptedBlob);
+    }
+
+    encryptProgressTracker.complete('Encryption complete!');
+
+    const encryptedFilename = Downloader.getEncryptedFilename(encryptFile.name, armor ? OPENPGP_ARMOR_EXTENSION : OPENPGP_EXTENSION);
+    const downloadLabel = downloadEncryptedOutput(encryptedBlob, encryptedFilename);
+    showStatus('encrypt-status', `File encrypted successfully! Downloading ${downloadLabel}`, 'success');
+
+    setTimeout(() => {
+      resetEncryptionForm();
+    }, 2000);
+
+  } catch (error) {
+    console.error('Encryption error:', error);
+    showStatus('encrypt-status', `Encryption failed: ${error.message}`, 'error');
+    encryptProgressTracker.reset();
+    document.getElementById('encrypt-btn').disabled = false;
+  }
+}
+
+/**
+ * Hand a password-less file's key to the user as a key file and/or copyable string
+ * @param {Uint8Array} keyData - Raw key bytes
+ * @param {string} filename - Original file name
+ * @param {'both'|'file'|'string'} mode - Export mode
+ */
+function exportEncryptionKey(keyData, filename, mode) {
+  const keyString = KeyManager.encodeKeyString(keyData);
+
+  if (mode === 'both' || mode === 'file') {
+    const keyBlob = new Blob([`${keyString}\n`], { type: 'text/plain' });
+    Downloader.download(keyBlob, Downloader.getKeyFilename(filename));
+  }
+
+  if (mode === 'both' || mode === 'string') {
+    document.getElementById('encrypt-key-string').value = keyString;
+    document.getElementById('encrypt-key-output').classList.remove('hidden');
+  }
+}
+
+/**
+ * Show armored output for copying, unless it is too large to paste anywhere
+ * @param {Blob} armored - Armored text
+ */
+async function showArmoredOutput(armored) {
+  if (armored.size > ARMOR_DISPLAY_LIMIT) return;
+  document.getElementById('encrypt-armor-text').value = await armored.text();
+  document.getElementById('encrypt-armor-output').classList.remove('hidden');
+}
+
 function resetEncryptionForm() {
   encryptFile = null;
   document.getElementById('encrypt-file-input').value = '';
   document.getElementById('encrypt-file-info').textContent = '';
   document.getElementById('encrypt-password').value = '';
+  updateEncryptStrength();
   document.getElementById('use-password-encrypt').checked = false;
   document.getElementById('encrypt-password').disabled = true;
+  document.getElementById('password-input-container').classList.add('hidden');
+  clearKeyfile('encrypt-factor-file');
+  document.getElementById('encrypt-recipients').value = '';
+  updateKeyExportVisibility();
   document.getElementById('encrypt-btn').disabled = true;
   encryptProgressTracker.reset();
 }
@@ -320,6 +714,11 @@ function resetEncryptionForm() {
 
 let currentDecryptedBlob = null;
 let currentDecryptedFilename = null;
+let decryptParsed = null;
+// Result of Age.inspect when the selected file is an age file
+let decryptAge = null;
+// Result of OpenPgp.inspect when the selected file is an OpenPGP message
+let decryptOpenPgp = null;
 
 const decryptInputView = document.getElementById('decrypt-input-view');
 const decryptMediaView = document.getElementById('decrypt-media-view');
@@ -375,25 +774,52 @@ document.getElementById('media-download-btn').addEventListener('click', () => {
 
 function resetDecryptionForm() {
   decryptFile = null;
+  decryptParsed = null;
+  decryptAge = null;
+  decryptOpenPgp = null;
   document.getElementById('decrypt-file-input').value = '';
+  document.getElementById('decrypt-armor-input').value = '';
   document.getElementById('decrypt-file-info').textContent = '';
   document.getElementById('decrypt-password').value = '';
   document.getElementById('decrypt-password-group').style.display = 'none';
+  clearKeyfile('decrypt-factor-file');
+  document.getElementById('decrypt-key').value = '';
+  document.getElementById('decrypt-key-group').style.display = 'none';
+  document.getElementById('decrypt-private-key').value = '';
+  document.getElementById('decrypt-private-key-group').style.display = 'none';
+  resetKeyShares();
   document.getElementById('decrypt-btn').disabled = true;
+  document.getElementById('verify-btn').disabled = true;
+  document.getElementById('repair-btn').disabled = true;
+  document.getElementById('decrypt-verify-report').classList.add('hidden');
   document.getElementById('decrypt-status').style.display = 'none';
+  showStatus('decrypt-signature-status', null);
   decryptProgressTracker.reset();
   currentDecryptedBlob = null;
   currentDecryptedFilename = null;
 }
 
 document.getElementById('decrypt-file-input').addEventListener('change', async (e) => {
-  await handleDecryptFileSelect(e.target.files[0]);
+  await handleDecryptFilesSelect(e.target.files);
 });
 
 document.getElementById('decrypt-btn').addEventListener('click', async () => {
   await handleDecryption();
 });
 
+document.getElementById('verify-btn').addEventListener('click', async () => {
+  await handleVerification();
+});
+
+document.getElementById('repair-btn').addEventListener('click', async () => {
+  await handleRepair();
+});
+
+bindKeyFileLoader('decrypt-keyfile-btn', 'decrypt-keyfile-input', 'decrypt-key');
+bindKeyfilePicker('encrypt-factor-file');
+bindKeyfilePicker('decrypt-factor-file');
+bindKeyFileLoader('decrypt-private-keyfile-btn', 'decrypt-private-keyfile-input', 'decrypt-private-key');
+
 // Drag and drop for decryption
 const decryptDropZone = document.getElementById('decrypt-drop-zone');
 const decryptFileInput = document.getElementById('decrypt-file-input');
@@ -414,53 +840,261 @@ decryptDropZone.addEventListener('dragleave', () => {
 decryptDropZone.addEventListener('drop', async (e) => {
   e.preventDefault();
   decryptDropZone.classList.remove('drag-over');
-  const file = e.dataTransfer.files[0];
-  if (file) {
-    await handleDecryptFileSelect(file);
+  await handleDecryptFilesSelect(e.dataTransfer.files);
+});
+
+// Pasted armored text is handled like a dropped file
+document.getElementById('decrypt-armor-btn').addEventListener('click', async () => {
+  const text = document.getElementById('decrypt-armor-input').value.trim();
+  if (!text) {
+    showStatus('decrypt-status', 'Paste armored text first', 'error');
+    return;
   }
+  await handleDecryptFileSelect(new File([text], getPastedFilename(text)));
 });
 
+/**
+ * Name pasted text after its format, so the decrypted file gets a sensible name
+ * @param {string} text - Pasted armored text
+ * @returns {string}
+ */
+function getPastedFilename(text) {
+  if (text.startsWith(AGE_ARMOR_BEGIN)) return 'pasted.age';
+  if (text.startsWith(PGP_ARMOR_BEGIN)) return 'pasted.asc';
+  return `pasted${ARMOR_EXTENSION}`;
+}
+
+/**
+ * Handle the files selected or dropped for decryption
+ * @param {FileList|File[]} files - One encrypted file, or all volumes of a split file
+ */
+async function handleDecryptFilesSelect(files) {
+  files = [...files];
+  if (files.length === 0) return;
+
+  // Volumes of a split file are joined back into the original file, in any order;
+  // a lone volume of a larger set is left to validation, which asks for the other parts
+  const volume = files.length === 1 ? (await FileFormat.identify(files[0])).volume : null;
+  if (files.length > 1 || (volume && volume.count === 1)) {
+    try {
+      files = [await Volumes.join(files)];
+    } catch (error) {
+      showStatus('decrypt-status', error.message, 'error');
+      return;
+    }
+  }
+
+  await handleDecryptFileSelect(files[0]);
+}
+
+/**
+ * Handle a selected encrypted file
+ * @param {File} file - Encrypted file
+ */
 async function handleDecryptFileSelect(file) {
   if (!file) return;
 
-  const validation = FileValidator.validateForDecryption(file);
+  // Armored Endecrypt files are turned back into the binary file first
+  if (await Armor.isArmored(file)) {
+    try {
+      file = new File([await Armor.decode(file)], file.name.replace(/\.txt$/, ''));
+    } catch (error) {
+      showStatus('decrypt-status', error.message, 'error');
+      return;
+    }
+  }
+
+  document.getElementById('repair-btn').disabled = true;
+  const validation = await FileValidator.validateForDecryption(file);
   if (!validation.valid) {
-    showStatus('decrypt-status', validation.error, 'error');
+    if (!(await offerRepair(file, validation.error))) {
+      showStatus('decrypt-status', validation.error, 'error');
+    }
     return;
   }
 
   decryptFile = file;
+  showStatus('decrypt-signature-status', null);
   document.getElementById('decrypt-file-info').textContent = 
     `${file.name} (${FileValidator.formatFileSize(file.size)})`;
 
   // Parse file to check if password is required
   try {
     showStatus('decrypt-status', 'Analyzing file...', 'info');
-    const fileData = await file.arrayBuffer();
-    const { metadata } = await Decryptor.parseEncryptedFile(fileData);
+    decryptAge = null;
+    decryptOpenPgp = null;
+    document.getElementById('verify-btn').disabled = true;
+    document.getElementById('decrypt-verify-report').classList.add('hidden');
+    if (validation.format.foreignFormat === 'age') {
+      await prepareAgeDecryption(file);
+      return;
+    }
+    if (validation.format.foreignFormat === 'openpgp') {
+      await prepareOpenPgpDecryption(file);
+      return;
+    }
+
+    const parsed = await Decryptor.parseEncryptedFile(file);
+    const required = Decryptor.getRequiredCredential(parsed);
+    decryptParsed = parsed;
+
+    // Key shares work for every version 2 file
+    resetKeyShares();
+    document.getElementById('decrypt-shares-container').classList.toggle('hidden', !parsed.keySlots);
 
     const passwordGroup = document.getElementById('decrypt-password-group');
-    if (metadata.hasPassword) {
-      passwordGroup.style.display = 'block';
-      document.getElementById('decrypt-password').value = '';
-      showStatus('decrypt-status', 'File ready. Password required.', 'info');
+    const keyGroup = document.getElementById('decrypt-key-group');
+    const privateKeyGroup = document.getElementById('decrypt-private-key-group');
+    passwordGroup.style.display = required === 'password' ? 'block' : 'none';
+    keyGroup.style.display = required === 'key' ? 'block' : 'none';
+    privateKeyGroup.style.display = required === 'privateKey' ? 'block' : 'none';
+    document.getElementById('decrypt-password').value = '';
+    document.getElementById('decrypt-key').value = '';
+    clearKeyfile('decrypt-factor-file');
+
+    const keyfileRequirement = Decryptor.getKeyfileRequirement(parsed);
+    document.getElementById('decrypt-factor-file-group').style.display = keyfileRequirement === 'none' ? 'none' : 'block';
+    document.getElementById('decrypt-factor-file-note').textContent = keyfileRequirement === 'required'
+      ? 'This file also requires its keyfile.'
+      : 'Some passwords of this file also require a keyfile.';
+
+    const fileLabel = `Endecrypt file (version ${parsed.version})`;
+    if (required === 'password') {
+      const slotCount = parsed.keySlots ? parsed.keySlots.passwords.length : 1;
+      const factor = keyfileRequirement === 'required' ? 'Password and keyfile' : 'Password';
+      showStatus('decrypt-status', slotCount > 1
+        ? `${fileLabel} ready. ${factor} required (any of ${slotCount} passwords).`
+        : `${fileLabel} ready. ${factor} required.`, 'info');
+    } else if (required === 'key') {
+      showStatus('decrypt-status', `${fileLabel} ready. Decryption key required.`, 'info');
+    } else if (required === 'privateKey') {
+      showStatus('decrypt-status', `${fileLabel} ready. Encrypted for ${parsed.keySlots.recipients.length} recipient(s); your private key is required.`, 'info');
     } else {
-      passwordGroup.style.display = 'none';
-      showStatus('decrypt-status', 'File ready for decryption (no password needed)', 'success');
+      showStatus('decrypt-status', `${fileLabel} ready for decryption (no password needed)`, 'success');
     }
 
     document.getElementById('decrypt-btn').disabled = false;
+    // Only version 2 files have separately authenticated chunks
+    document.getElementById('verify-btn').disabled = parsed.version !== 2;
+    document.getElementById('repair-btn').disabled = !(await Recovery.locate(file));
 
   } catch (error) {
-    showStatus('decrypt-status', `Invalid encrypted file: ${error.message}`, 'error');
-    decryptFile = null;
+    if (!(await offerRepair(file, `Invalid encrypted file: ${error.message}`))) {
+      showStatus('decrypt-status', `Invalid encrypted file: ${error.message}`, 'error');
+      decryptFile = null;
+    }
   }
 }
 
+/**
+ * Download an encrypted file, split into volumes when a volume size is selected and exceeded
+ * @param {Blob} blob - Encrypted file
+ * @param {string} filename - Encrypted filename
+ * @returns {string} What is being downloaded, for the status message
+ */
+function downloadEncryptedOutput(blob, filename) {
+  const volumeSize = Number(document.getElementById('encrypt-split').value);
+  if (!volumeSize || blob.size <= volumeSize) {
+    Downloader.download(blob, filename);
+    return filename;
+  }
+
+  const volumes = Volumes.split(blob, filename, volumeSize);
+  for (const volume of volumes) {
+    Downloader.download(volume.blob, volume.filename);
+  }
+  return `${volumes.length} volumes (${volumes[0].filename} to ${volumes[volumes.length - 1].filename})`;
+}
+
+/**
+ * Keep a file that cannot be opened when its recovery record may fix it
+ * @param {File} file - Selected file
+ * @param {string} error - Why the file cannot be opened
+ * @returns {Promise<boolean>} Whether the file has a recovery record
+ */
+async function offerRepair(file, error) {
+  if (!(await Recovery.locate(file))) return false;
+
+  decryptFile = file;
+  decryptParsed = null;
+  document.getElementById('decrypt-btn').disabled = true;
+  document.getElementById('verify-btn').disabled = true;
+  document.getElementById('repair-btn').disabled = false;
+  showStatus('decrypt-status', `${error.replace(/\.$/, '')}. This file has a recovery record: click Repair to try to fix it.`, 'error');
+  return true;
+}
+
+/**
+ * Show the credential input an age file needs
+ * @param {File} file - age file
+ */
+async function prepareAgeDecryption(file) {
+  decryptAge = await Age.inspect(file);
+  decryptParsed = null;
+
+  // Key shares, keyfiles and decryption keys are Endecrypt features
+  resetKeyShares();
+  document.getElementById('decrypt-shares-container').classList.add('hidden');
+  document.getElementById('decrypt-factor-file-group').style.display = 'none';
+  document.getElementById('decrypt-key-group').style.display = 'none';
+  document.getElementById('decrypt-password-group').style.display = decryptAge.required === 'password' ? 'block' : 'none';
+  document.getElementById('decrypt-private-key-group').style.display = decryptAge.required === 'privateKey' ? 'block' : 'none';
+  document.getElementById('decrypt-password').value = '';
+
+  const fileLabel = decryptAge.armored ? 'ASCII-armored age file' : 'age file';
+  showStatus('decrypt-status', decryptAge.required === 'password'
+    ? `${fileLabel} ready. Password required.`
+    : `${fileLabel} ready. Encrypted for ${decryptAge.recipientCount} recipient(s); your age identity (AGE-SECRET-KEY-1...) is required.`, 'info');
+
+  document.getElementById('decrypt-btn').disabled = false;
+}
+
+/**
+ * Show the password input an OpenPGP message needs
+ * @param {File} file - OpenPGP message
+ */
+async function prepareOpenPgpDecryption(file) {
+  decryptOpenPgp = await OpenPgp.inspect(file);
+  decryptParsed = null;
+
+  // Only passwords are supported for OpenPGP messages
+  resetKeyShares();
+  document.getElementById('decrypt-shares-container').classList.add('hidden');
+  document.getElementById('decrypt-factor-file-group').style.display = 'none';
+  document.getElementById('decrypt-key-group').style.display = 'none';
+  document.getElementById('decrypt-private-key-group').style.display = 'none';
+  document.getElementById('decrypt-password-group').style.display = 'block';
+  document.getElementById('decrypt-password').value = '';
+
+  const fileLabel = decryptOpenPgp.armored ? 'ASCII-armored OpenPGP message' : 'OpenPGP message';
+  showStatus('decrypt-status', decryptOpenPgp.passwordCount > 1
+    ? `${fileLabel} ready. Password required (any of ${decryptOpenPgp.passwordCount} passwords).`
+    : `${fileLabel} ready. Password required.`, 'info');
+
+  document.getElementById('decrypt-btn').disabled = false;
+}
+
+/**
+ * Collect the credentials entered on the Decrypt tab
+ * @returns {object} Credentials for Decryptor.decryptFile
+ */
+function getDecryptCredentials() {
+  return {
+    password: document.getElementById('decrypt-password').value || null,
+    keyfile: getKeyfile('decrypt-factor-file'),
+    key: document.getElementById('decrypt-key').value || null,
+    privateKey: document.getElementById('decrypt-private-key').value || null,
+    shares: document.getElementById('decrypt-shares').value
+      .split('\n')
+      .map(line => line.trim())
+      .filter(line => line.length > 0)
+  };
+}
+
 async function handleDecryption() {
   if (!decryptFile) return;
 
-  const password = document.getElementById('decrypt-password').value || null;
+  const credentials = getDecryptCredentials();
 
   try {
     document.getElementById('decrypt-btn').disabled = true;
@@ -473,23 +1107,15 @@ async function handleDecryption() {
     imageViewer.clear();
     videoPlayer.clear();
 
-    // Parse encrypted file
-    decryptProgressTracker.update(5, 'Reading encrypted file...');
-    const fileData = await decryptFile.arrayBuffer();
-    const { salt, iv, encryptedData, metadata } = await Decryptor.parseEncryptedFile(fileData);
-
-    // Prepare decryption key
-    decryptProgressTracker.update(10, 'Preparing decryption key...');
-    const key = await Decryptor.prepareKey(metadata, password, new Uint8Array(salt));
-
-    // Decrypt data
-    decryptProgressTracker.update(20, 'Decrypting data...');
-    const decryptedData = await Decryptor.decryptChunk(encryptedData, key, new Uint8Array(iv));
-
-    decryptProgressTracker.update(90, 'Building decrypted file...');
-
-    // Create blob from decrypted data
-    const decryptedBlob = new Blob([decryptedData], { type: metadata.mimeType });
+    let decrypted;
+    if (decryptAge) {
+      decrypted = await decryptAgeFile(credentials);
+    } else if (decryptOpenPgp) {
+      decrypted = await decryptOpenPgpFile(credentials);
+    } else {
+      decrypted = await decryptEndecryptFile(credentials);
+    }
+    const { blob: decryptedBlob, metadata } = decrypted;
     const filename = metadata.filename;
 
     decryptProgressTracker.complete('Decryption complete!');
@@ -530,6 +1156,330 @@ async function handleDecryption() {
   }
 }
 
+/**
+ * Authenticate every chunk of the selected file and report damage, without writing any plaintext
+ */
+async function handleVerification() {
+  if (!decryptFile || !decryptParsed) return;
+
+  const decryptBtn = document.getElementById('decrypt-btn');
+  const verifyBtn = document.getElementById('verify-btn');
+
+  try {
+    decryptBtn.disabled = true;
+    verifyBtn.disabled = true;
+    document.getElementById('decrypt-verify-report').classList.add('hidden');
+    decryptProgressTracker.show();
+    decryptProgressTracker.update(0, 'Unlocking the file key...');
+    showStatus('decrypt-status', 'Verifying...', 'info');
+
+    if (decryptParsed.signature) {
+      showSignatureStatus(await Signer.verify(decryptFile, decryptParsed, TrustStore.getVerificationKeys()));
+    }
+
+    const report = await Verifier.verifyFile(decryptFile, getDecryptCredentials(), (progress) => {
+      decryptProgressTracker.update(progress, 'Verifying chunks...');
+    });
+
+    if (report.status === 'ok') {
+      decryptProgressTracker.complete('Verification complete!');
+    } else {
+      decryptProgressTracker.reset();
+    }
+    const canRepair = report.status === 'damaged' && !document.getElementById('repair-btn').disabled;
+    showStatus('decrypt-status', canRepair
+      ? `${report.message} Click Repair to fix it with the recovery record.`
+      : report.message, report.status === 'ok' ? 'success' : 'error');
+    showVerifyReport(report);
+
+  } catch (error) {
+    console.error('Verification error:', error);
+    showStatus('decrypt-status', `Verification failed: ${error.message}`, 'error');
+    decryptProgressTracker.reset();
+  } finally {
+    decryptBtn.disabled = false;
+    verifyBtn.disabled = false;
+  }
+}
+
+/**
+ * Rebuild damaged parts of the selected file from its recovery record, then load the result
+ */
+async function handleRepair() {
+  if (!decryptFile) return;
+
+  const buttons = ['decrypt-btn', 'verify-btn', 'repair-btn'].map(id => document.getElementById(id));
+  const states = buttons.map(button => button.disabled);
+  let reloaded = false;
+
+  try {
+    buttons.forEach(button => { button.disabled = true; });
+    document.getElementById('decrypt-verify-report').classList.add('hidden');
+    decryptProgressTracker.show();
+    showStatus('decrypt-status', 'Checking the file against its recovery record...', 'info');
+
+    const result = await recoveryRunner.repair(decryptFile, (progress) => {
+      decryptProgressTracker.update(progress, progress < 50 ? 'Checking blocks...' : 'Rebuilding damaged blocks...');
+    });
+    decryptProgressTracker.complete('Repair complete!');
+
+    if (result.repairedBlocks === 0 && !result.recordRebuilt) {
+      showStatus('decrypt-status', 'No damage found: the file matches its recovery record.', 'success');
+      return;
+    }
+
+    // The repaired file replaces the damaged one, so it is saved and loaded for decryption
+    const repaired = new File([result.blob], decryptFile.name);
+    Downloader.download(repaired, repaired.name);
+    reloaded = true;
+    await handleDecryptFileSelect(repaired);
+
+    const summary = result.repairedBlocks > 0
+      ? `Rebuilt ${result.repairedBlocks} damaged block(s) (${FileValidator.formatFileSize(result.damagedBytes)})`
+      : 'The data was intact';
+    showStatus('decrypt-status', `${summary}${result.recordRebuilt ? ' and rewrote the damaged recovery record' : ''}. ` +
+      'The repaired file was downloaded and is ready for decryption.', 'success');
+
+  } catch (error) {
+    console.error('Repair error:', error);
+    showStatus('decrypt-status', `Repair failed: ${error.message}`, 'error');
+    decryptProgressTracker.reset();
+  } finally {
+    if (!reloaded) {
+      buttons.forEach((button, i) => { button.disabled = states[i]; });
+    }
+  }
+}
+
+/**
+ * List the damaged parts of a file
+ * @param {object} report - Result of Verifier.verifyFile
+ */
+function showVerifyReport(report) {
+  const container = document.getElementById('decrypt-verify-report');
+  container.innerHTML = '';
+
+  const lines = [];
+  if (report.status !== 'credentials-rejected') {
+    lines.push(`Chunks checked: ${report.chunksTotal}, failed: ${report.chunksFailed}`);
+    lines.push(`Metadata: ${report.metadataOk ? 'OK' : 'damaged'}`);
+  }
+  for (const range of report.failedRanges) {
+    const chunks = range.firstChunk === range.lastChunk
+      ? `Chunk ${range.firstChunk + 1}`
+      : `Chunks ${range.firstChunk + 1}-${range.lastChunk + 1}`;
+    lines.push(`${chunks} damaged: bytes ${range.start}-${range.end - 1}`);
+  }
+  if (report.truncated) {
+    lines.push(`Truncated: ${report.truncated.actualSize} of at least ${report.truncated.expectedSize} bytes present`);
+  }
+  if (report.trailingBytes > 0) {
+    lines.push(`Unexpected data after the last chunk: at least ${report.trailingBytes} bytes`);
+  }
+  if (lines.length === 0) return;
+
+  for (const line of lines) {
+    const row = document.createElement('div');
+    row.textContent = line;
+    container.appendChild(row);
+  }
+  container.classList.remove('hidden');
+}
+
+/**
+ * Verify the signature of the selected Endecrypt file, then decrypt it
+ * @param {object} credentials - Result of getDecryptCredentials
+ * @returns {Promise<{blob: Blob, metadata: object}>}
+ */
+async function decryptEndecryptFile(credentials) {
+  // Check the sender's signature before any plaintext is produced
+  const parsed = await Decryptor.parseEncryptedFile(decryptFile);
+  if (parsed.signature) {
+    decryptProgressTracker.update(2, 'Verifying signature...');
+    const verification = await Signer.verify(decryptFile, parsed, TrustStore.getVerificationKeys());
+    showSignatureStatus(verification);
+    if (verification.status === 'bad') {
+      throw new Error('Bad signature. The file was modified after it was signed.');
+    }
+  }
+
+  // Decrypt metadata and data chunk by chunk
+  decryptProgressTracker.update(5, 'Preparing decryption key...');
+  return await Decryptor.decryptFile(decryptFile, credentials, (progress, chunkIndex, totalChunks) => {
+    decryptProgressTracker.update(10 + progress * 0.85, `Decrypting chunk ${chunkIndex + 1}/${totalChunks}`);
+  }, cryptoPool);
+}
+
+/**
+ * Decrypt the selected age file
+ * age stores no file name or type, so the result is named after the .age file and downloaded.
+ * @param {object} credentials - Result of getDecryptCredentials
+ * @returns {Promise<{blob: Blob, metadata: object}>}
+ */
+async function decryptAgeFile(credentials) {
+  decryptProgressTracker.update(5, decryptAge.required === 'password'
+    ? 'Deriving key from password (scrypt)...'
+    : 'Preparing decryption key...');
+  const blob = await Age.decrypt(decryptFile, credentials, (progress) => {
+    decryptProgressTracker.update(10 + progress * 0.85, 'Decrypting (age)');
+  });
+  return { blob, metadata: { filename: null, mimeType: 'application/octet-stream' } };
+}
+
+/**
+ * Decrypt the selected OpenPGP message
+ * OpenPGP stores a file name but no type, so the result is downloaded.
+ * @param {object} credentials - Result of getDecryptCredentials
+ * @returns {Promise<{blob: Blob, metadata: object}>}
+ */
+async function decryptOpenPgpFile(credentials) {
+  decryptProgressTracker.update(5, 'Deriving key from password...');
+  const { blob, filename } = await OpenPgp.decrypt(decryptFile, credentials, (progress) => {
+    decryptProgressTracker.update(10 + progress * 0.85, 'Decrypting (OpenPGP)');
+  });
+  return { blob, metadata: { filename, mimeType: 'application/octet-stream' } };
+}
+
+// ============= KEY SHARE HANDLERS =============
+
+let createdShares = [];
+
+function resetKeyShares() {
+  createdShares = [];
+  document.getElementById('decrypt-shares').value = '';
+  document.getElementById('split-shares').value = '';
+  document.getElementById('split-output').classList.add('hidden');
+  document.getElementById('decrypt-shares-container').open = false;
+}
+
+const shareFilesInput = document.getElementById('decrypt-share-files-input');
+document.getElementById('decrypt-share-files-btn').addEventListener('click', () => shareFilesInput.click());
+shareFilesInput.addEventListener('change', async (e) => {
+  const sharesInput = document.getElementById('decrypt-shares');
+  for (const file of e.target.files) {
+    const token = (await file.text()).trim();
+    sharesInput.value = sharesInput.value.trim() ? `${sharesInput.value.trim()}\n${token}` : token;
+  }
+  shareFilesInput.value = '';
+});
+
+document.getElementById('split-key-btn').addEventListener('click', async () => {
+  if (!decryptFile || !decryptParsed) return;
+
+  const threshold = parseInt(document.getElementById('split-threshold').value, 10);
+  const total = parseInt(document.getElementById('split-total').value, 10);
+  const splitBtn = document.getElementById('split-key-btn');
+
+  try {
+    splitBtn.disabled = true;
+    showStatus('decrypt-status', 'Unlocking the file key...', 'info');
+
+    const { keyData } = await Decryptor.unlockKeyData(decryptParsed, getDecryptCredentials());
+    // Confirm the credentials really open this file before handing out shares
+    await Decryptor.decryptMetadata(decryptParsed, await Decryptor.importKeyData(decryptParsed, keyData));
+
+    createdShares = await KeyShares.createShares(keyData, decryptParsed.headerBytes, total, threshold);
+    document.getElementById('split-shares').value = createdShares.join('\n');
+    document.getElementById('split-output').classList.remove('hidden');
+    showStatus('decrypt-status', `Created ${total} shares; any ${threshold} of them decrypt this file. Give each to a different holder.`, 'success');
+  } catch (error) {
+    console.error(error);
+    showStatus('decrypt-status', `Could not create shares: ${error.message}`, 'error');
+  } finally {
+    splitBtn.disabled = false;
+  }
+});
+
+document.getElementById('copy-shares-btn').addEventListener('click', async () => {
+  await copyToClipboard(createdShares.join('\n'), document.getElementById('copy-shares-btn'));
+});
+
+document.getElementById('download-shares-btn').addEventListener('click', () => {
+  createdShares.forEach((token, i) => {
+    const filename = `${decryptFile.name}.share-${i + 1}-of-${createdShares.length}.txt`;
+    Downloader.download(new Blob([`${token}\n`], { type: 'text/plain' }), filename);
+  });
+});
+
+// ============= MESSAGE HANDLERS =============
+
+document.getElementById('message-encrypt-btn').addEventListener('click', async () => {
+  const button = document.getElementById('message-encrypt-btn');
+  const text = document.getElementById('message-plaintext').value;
+  const password = document.getElementById('message-password').value || null;
+
+  if (!text) {
+    showStatus('message-status', 'Type a message first', 'error');
+    return;
+  }
+
+  try {
+    button.disabled = true;
+    showStatus('message-status', password ? 'Deriving key from password...' : 'Encrypting...', 'info');
+
+    const { message, keyData } = await Messages.encrypt(text, { password });
+
+    document.getElementById('message-encrypted').value = message;
+    document.getElementById('message-key-string').value = keyData ? KeyManager.encodeKeyString(keyData) : '';
+    document.getElementById('message-key-output').classList.toggle('hidden', !keyData);
+    document.getElementById('message-encrypted-output').classList.remove('hidden');
+    document.getElementById('message-plaintext').value = '';
+    document.getElementById('message-password').value = '';
+    showStatus('message-status', 'Message encrypted. Copy it into any chat or email.', 'success');
+  } catch (error) {
+    console.error('Message encryption error:', error);
+    showStatus('message-status', `Encryption failed: ${error.message}`, 'error');
+  } finally {
+    button.disabled = false;
+  }
+});
+
+document.getElementById('message-decrypt-btn').addEventListener('click', async () => {
+  const button = document.getElementById('message-decrypt-btn');
+  const text = document.getElementById('message-ciphertext').value;
+  const secret = document.getElementById('message-secret').value || null;
+
+  if (!text.trim()) {
+    showStatus('message-status', 'Paste an encrypted message first', 'error');
+    return;
+  }
+
+  try {
+    button.disabled = true;
+    document.getElementById('message-decrypted-output').classList.add('hidden');
+
+    // The message itself says whether the secret is a password or a key
+    const required = await Messages.getRequiredCredential(text);
+    if (!secret) {
+      throw new Error(required === 'key' ? 'This message needs its key' : 'This message needs its password');
+    }
+
+    showStatus('message-status', required === 'password' ? 'Deriving key from password...' : 'Decrypting...', 'info');
+    const plaintext = await Messages.decrypt(text, required === 'key' ? { key: secret } : { password: secret });
+
+    document.getElementById('message-decrypted').value = plaintext;
+    document.getElementById('message-decrypted-output').classList.remove('hidden');
+    showStatus('message-status', 'Message decrypted', 'success');
+  } catch (error) {
+    console.error('Message decryption error:', error);
+    showStatus('message-status', `Decryption failed: ${error.message}`, 'error');
+  } finally {
+    button.disabled = false;
+  }
+});
+
+document.getElementById('copy-message-btn').addEventListener('click', async () => {
+  await copyToClipboard(document.getElementById('message-encrypted').value, document.getElementById('copy-message-btn'));
+});
+
+document.getElementById('copy-message-key-btn').addEventListener('click', async () => {
+  await copyToClipboard(document.getElementById('message-key-string').value, document.getElementById('copy-message-key-btn'));
+});
+
+document.getElementById('copy-decrypted-message-btn').addEventListener('click', async () => {
+  await copyToClipboard(document.getElementById('message-decrypted').value, document.getElementById('copy-decrypted-message-btn'));
+});
+
 // ============= STEGANOGRAPHY HANDLERS =============
 
 // Stego Mode Switching
@@ -716,6 +1666,12 @@ function updateCapacityBar(used = 0, total = 1) {
 }
 
 // Password Toggle
+bindKeyfilePicker('stego-factor-file');
+bindKeyfilePicker('stego-reveal-factor-file');
+
+// Stego secrets are encrypted with the default key derivation
+const updateStegoStrength = bindStrengthMeter('stego-password', 'stego-password-strength', () => DEFAULT_KDF);
+
 document.getElementById('stego-use-password').addEventListener('change', (e) => {
   const container = document.getElementById('stego-password-container');
   if (e.target.checked) {
@@ -723,6 +1679,8 @@ document.getElementById('stego-use-password').addEventListener('change', (e) =>
   } else {
     container.classList.add('hidden');
     document.getElementById('stego-password').value = '';
+    updateStegoStrength();
+    clearKeyfile('stego-factor-file');
   }
 });
 
@@ -748,38 +1706,27 @@ document.getElementById('stego-hide-btn').addEventListener('click', async () =>
   
   try {
     document.getElementById('stego-hide-btn').disabled = true;
+    document.getElementById('stego-key-output').classList.add('hidden');
     showStatus('stego-hide-status', 'Processing...', 'info');
     
     // 1. Encrypt Secret Data
     const usePassword = document.getElementById('stego-use-password').checked;
     const password = usePassword ? document.getElementById('stego-password').value : null;
+    const keyfile = usePassword ? getKeyfile('stego-factor-file') : null;
     
-    if (usePassword && !password) {
-      showStatus('stego-hide-status', 'Please enter a password.', 'error');
+    if (usePassword && !password && !keyfile) {
+      showStatus('stego-hide-status', 'Please enter a password or add a keyfile.', 'error');
       document.getElementById('stego-hide-btn').disabled = false;
       return;
     }
 
-    // Generate keys
-    const salt = KeyManager.generateSalt();
-    const iv = KeyManager.generateIV();
-    const { key, keyData } = await Encryptor.prepareKey(password, salt);
-    
-    // Encrypt
-    const encryptedData = await Encryptor.encryptChunk(dataToEncrypt, key, iv);
-    
-    // Create metadata
-    const metadata = Encryptor.createMetadata(
+    // Encrypt and build .enc structure in memory
+    const { blob: encryptedBlob, keyData } = await Encryptor.encryptFile(new Blob([dataToEncrypt]), {
       filename,
       mimeType,
-      usePassword,
-      1, // Single chunk
-      keyData
-    );
-    
-    // Build .enc structure in memory
-    const serializedMetadata = Encryptor.serializeMetadata(metadata);
-    const encryptedBlob = Encryptor.buildEncryptedFile(salt, iv, [new Uint8Array(encryptedData)], serializedMetadata);
+      password,
+      keyfile
+    });
     const encryptedBuffer = new Uint8Array(await encryptedBlob.arrayBuffer());
     
     // 2. Hide in Image
@@ -787,9 +1734,18 @@ document.getElementById('stego-hide-btn').addEventListener('click', async () =>
     const stegoBlob = await LSBEncoder.hide(stegoCoverFile, encryptedBuffer);
     
     // 3. Download
-    Downloader.download(stegoBlob, `stego_${stegoCoverFile.name.split('.')[0]}.png`);
+    const stegoFilename = `stego_${stegoCoverFile.name.split('.')[0]}.png`;
+    Downloader.download(stegoBlob, stegoFilename);
     showStatus('stego-hide-status', 'Success! Image downloaded.', 'success');
     
+    // Without a password the key travels separately from the image
+    if (keyData) {
+      const keyString = KeyManager.encodeKeyString(keyData);
+      Downloader.download(new Blob([`${keyString}\n`], { type: 'text/plain' }), Downloader.getKeyFilename(stegoFilename));
+      document.getElementById('stego-key-string').value = keyString;
+      document.getElementById('stego-key-output').classList.remove('hidden');
+    }
+    
     // Reset
     setTimeout(() => {
       stegoSecretFile = null;
@@ -807,8 +1763,14 @@ document.getElementById('stego-hide-btn').addEventListener('click', async () =>
   }
 });
 
+document.getElementById('stego-copy-key-btn').addEventListener('click', async () => {
+  await copyToClipboard(document.getElementById('stego-key-string').value, document.getElementById('stego-copy-key-btn'));
+});
+
 // --- REVEAL LOGIC ---
 
+bindKeyFileLoader('stego-reveal-keyfile-btn', 'stego-reveal-keyfile-input', 'stego-reveal-key');
+
 const stegoRevealDropZone = document.getElementById('stego-reveal-drop-zone');
 const stegoRevealInput = document.getElementById('stego-reveal-input');
 
@@ -847,20 +1809,30 @@ document.getElementById('stego-reveal-btn').addEventListener('click', async () =
     
     // 2. Parse as Encrypted File
     showStatus('stego-reveal-status', 'Decrypting...', 'info');
-    const { salt, iv, encryptedData, metadata } = await Decryptor.parseEncryptedFile(extractedBuffer.buffer);
+    const extractedBlob = new Blob([extractedBuffer]);
+    const parsed = await Decryptor.parseEncryptedFile(extractedBlob);
     
     // 3. Decrypt
-    const password = document.getElementById('stego-reveal-password').value || null;
+    const credentials = {
+      password: document.getElementById('stego-reveal-password').value || null,
+      keyfile: getKeyfile('stego-reveal-factor-file'),
+      key: document.getElementById('stego-reveal-key').value || null
+    };
+    const required = Decryptor.getRequiredCredential(parsed);
     
-    if (metadata.hasPassword && !password) {
+    if (required === 'password' && !credentials.password && !credentials.keyfile) {
       throw new Error('Password required to decrypt hidden file.');
     }
+    if (Decryptor.getKeyfileRequirement(parsed) === 'required' && !credentials.keyfile) {
+      throw new Error('Keyfile required to decrypt hidden file.');
+    }
+    if (required === 'key' && !credentials.key) {
+      throw new Error('Decryption key required to reveal hidden file.');
+    }
     
-    const key = await Decryptor.prepareKey(metadata, password, new Uint8Array(salt));
-    const decryptedData = await Decryptor.decryptChunk(encryptedData, key, new Uint8Array(iv));
+    const { blob, metadata } = await Decryptor.decryptFile(extractedBlob, credentials);
     
     // 4. Download
-    const blob = new Blob([decryptedData], { type: metadata.mimeType });
     Downloader.download(blob, metadata.filename);
     
     showStatus('stego-reveal-status', `Success! Revealed ${metadata.filename}`, 'success');
@@ -869,6 +1841,8 @@ document.getElementById('stego-reveal-btn').addEventListener('click', async () =
       stegoRevealFile = null;
       document.getElementById('stego-reveal-info').textContent = '';
       document.getElementById('stego-reveal-password').value = '';
+      clearKeyfile('stego-reveal-factor-file');
+      document.getElementById('stego-reveal-key').value = '';
       document.getElementById('stego-reveal-btn').disabled = true;
       showStatus('stego-reveal-status', '', 'info');
     }, 3000);
@@ -880,4 +1854,426 @@ document.getElementById('stego-reveal-btn').addEventListener('click', async () =
   }
 });
 
+// ============= KEY MANAGEMENT HANDLERS =============
+
+let generatedKeyPair = null;
+
+document.getElementById('generate-keypair-btn').addEventListener('click', async () => {
+  try {
+    const keyPair = await KeyManager.generateKeyPair();
+    generatedKeyPair = {
+      publicText: await KeyManager.exportPublicKey(keyPair.publicKey),
+      publicJwk: await KeyManager.exportPublicKey(keyPair.publicKey, 'jwk'),
+      privateText: await KeyManager.exportPrivateKey(keyPair.privateKey),
+      privateJwk: await KeyManager.exportPrivateKey(keyPair.privateKey, 'jwk')
+    };
+
+    document.getElementById('keypair-public').value = generatedKeyPair.publicText;
+    document.getElementById('keypair-private').value = generatedKeyPair.privateText;
+    document.getElementById('keypair-output').classList.remove('hidden');
+    showStatus('keys-status', 'Key pair generated. Save the private key now; it cannot be recovered.', 'success');
+  } catch (error) {
+    console.error(error);
+    showStatus('keys-status', `Key generation failed: ${error.message}`, 'error');
+  }
+});
+
+document.getElementById('copy-public-key-btn').addEventListener('click', async () => {
+  await copyToClipboard(document.getElementById('keypair-public').value, document.getElementById('copy-public-key-btn'));
+});
+
+document.getElementById('copy-private-key-btn').addEventListener('click', async () => {
+  await copyToClipboard(document.getElementById('keypair-private').value, document.getElementById('copy-private-key-btn'));
+});
+
+document.getElementById('download-public-key-btn').addEventListener('click', () => {
+  if (!generatedKeyPair) return;
+  const blob = new Blob([JSON.stringify(generatedKeyPair.publicJwk, null, 2)], { type: 'application/json' });
+  Downloader.download(blob, 'endecrypt-public.jwk');
+});
+
+document.getElementById('download-private-key-btn').addEventListener('click', () => {
+  if (!generatedKeyPair) return;
+  const blob = new Blob([JSON.stringify(generatedKeyPair.privateJwk, null, 2)], { type: 'application/json' });
+  Downloader.download(blob, 'endecrypt-private.jwk');
+});
+
+let generatedAgeIdentity = null;
+
+document.getElementById('generate-age-identity-btn').addEventListener('click', () => {
+  generatedAgeIdentity = AgeKeys.generateIdentity();
+  document.getElementById('age-recipient').value = generatedAgeIdentity.recipient;
+  document.getElementById('age-identity').value = generatedAgeIdentity.identity;
+  document.getElementById('age-identity-output').classList.remove('hidden');
+  showStatus('keys-status', 'age identity generated. Save the identity now; it cannot be recovered.', 'success');
+});
+
+document.getElementById('copy-age-recipient-btn').addEventListener('click', async () => {
+  await copyToClipboard(document.getElementById('age-recipient').value, document.getElementById('copy-age-recipient-btn'));
+});
+
+document.getElementById('copy-age-identity-btn').addEventListener('click', async () => {
+  await copyToClipboard(document.getElementById('age-identity').value, document.getElementById('copy-age-identity-btn'));
+});
+
+// Same layout as age-keygen output, so the file works with the age command-line tool
+document.getElementById('download-age-identity-btn').addEventListener('click', () => {
+  if (!generatedAgeIdentity) return;
+  const text = `# created: ${new Date().toISOString()}\n# public key: ${generatedAgeIdentity.recipient}\n${generatedAgeIdentity.identity}\n`;
+  Downloader.download(new Blob([text], { type: 'text/plain' }), 'age-identity.txt');
+});
+
+// ============= SIGNING HANDLERS =============
+
+/**
+ * Show the result of Signer.verify above the decrypted content
+ * @param {{status: string, kid: string|null, name: string|null}} verification
+ */
+function showSignatureStatus(verification) {
+  if (verification.status === 'trusted') {
+    showStatus('decrypt-signature-status', `Signed by ${verification.name}`, 'success');
+  } else if (verification.status === 'unknown') {
+    showStatus('decrypt-signature-status', `Unknown signer (key id ${verification.kid}). Add their public key to Trusted Signers to verify it.`, 'info');
+  } else if (verification.status === 'bad') {
+    showStatus('decrypt-signature-status', 'Bad signature: this file was modified or the signature is forged', 'error');
+  } else {
+    showStatus('decrypt-signature-status', null);
+  }
+}
+
+/**
+ * Build a row for the identity or trusted signer lists
+ * @param {{name: string, kid: string, publicKey: string}} entry - Stored key
+ * @param {function(): void} onRemove - Remove handler
+ * @returns {HTMLElement}
+ */
+function createKeyListRow(entry, onRemove) {
+  const row = document.createElement('div');
+  row.className = 'flex items-center gap-2 rounded-lg border border-white/10 bg-black/20 px-3 py-2';
+
+  const label = document.createElement('div');
+  label.className = 'flex-1 min-w-0 text-xs';
+  label.textContent = `${entry.name} `;
+  const kid = document.createElement('span');
+  kid.className = 'font-mono text-muted-foreground';
+  kid.textContent = entry.kid;
+  label.appendChild(kid);
+
+  const copyBtn = document.createElement('button');
+  copyBtn.type = 'button';
+  copyBtn.className = 'rounded-md border border-white/10 bg-white/5 px-2 py-1 text-xs hover:bg-white/10 transition-colors';
+  copyBtn.textContent = 'Copy';
+  copyBtn.addEventListener('click', () => copyToClipboard(entry.publicKey, copyBtn));
+
+  const removeBtn = document.createElement('button');
+  removeBtn.type = 'button';
+  removeBtn.className = 'rounded-md border border-white/10 bg-white/5 px-2 py-1 text-xs text-red-400 hover:bg-white/10 transition-colors';
+  removeBtn.textContent = 'Remove';
+  removeBtn.addEventListener('click', onRemove);
+
+  row.append(label, copyBtn, removeBtn);
+  return row;
+}
+
+function renderSigningKeys() {
+  const identities = TrustStore.getIdentities();
+
+  const identityList = document.getElementById('identity-list');
+  identityList.replaceChildren(...identities.map(identity => createKeyListRow(identity, () => {
+    if (!confirm(`Delete the signing identity "${identity.name}"? Its private key cannot be recovered.`)) return;
+    TrustStore.removeIdentity(identity.kid);
+    renderSigningKeys();
+  })));
+
+  const trustedList = document.getElementById('trusted-list');
+  trustedList.replaceChildren(...TrustStore.getTrustedSigners().map(signer => createKeyListRow(signer, () => {
+    TrustStore.removeTrustedSigner(signer.kid);
+    renderSigningKeys();
+  })));
+
+  // Keep the "sign as" choices in sync
+  const signAs = document.getElementById('encrypt-sign-as');
+  const selected = signAs.value;
+  const noSignature = new Option("Don't sign", '');
+  signAs.replaceChildren(noSignature, ...identities.map(identity => new Option(identity.name, identity.kid)));
+  signAs.value = identities.some(identity => identity.kid === selected) ? selected : '';
+}
+
+document.getElementById('create-identity-btn').addEventListener('click', async () => {
+  const nameInput = document.getElementById('identity-name');
+  try {
+    const identity = await TrustStore.createIdentity(nameInput.value);
+    nameInput.value = '';
+    renderSigningKeys();
+    showStatus('signing-status', `Created identity "${identity.name}". Share its public key so others can trust it.`, 'success');
+  } catch (error) {
+    showStatus('signing-status', error.message, 'error');
+  }
+});
+
+document.getElementById('add-trusted-btn').addEventListener('click', async () => {
+  const nameInput = document.getElementById('trusted-name');
+  const keyInput = document.getElementById('trusted-key');
+  try {
+    const signer = await TrustStore.addTrustedSigner(nameInput.value, keyInput.value);
+    nameInput.value = '';
+    keyInput.value = '';
+    renderSigningKeys();
+    showStatus('signing-status', `Now trusting ${signer.name}.`, 'success');
+  } catch (error) {
+    showStatus('signing-status', error.message, 'error');
+  }
+});
+
+renderSigningKeys();
+
+// ============= KEY SLOT HANDLERS =============
+
+let slotsFile = null;
+
+const slotsFileInput = document.getElementById('slots-file-input');
+document.getElementById('slots-file-btn').addEventListener('click', () => slotsFileInput.click());
+
+slotsFileInput.addEventListener('change', async (e) => {
+  const file = e.target.files[0];
+  slotsFileInput.value = '';
+  if (!file) return;
+
+  slotsFile = null;
+  document.getElementById('slots-apply-btn').disabled = true;
+  document.getElementById('slots-file-info').textContent =
+    `${file.name} (${FileValidator.formatFileSize(file.size)})`;
+
+  try {
+    const slots = await KeySlots.list(file);
+    slotsFile = file;
+    document.getElementById('slots-apply-btn').disabled = false;
+    const descriptions = slots.map(slot => slot.keyfile ? `${slot.kdf} + keyfile` : slot.kdf);
+    showStatus('slots-status', `${slots.length} password slot(s) in use (${descriptions.join(', ')}).`, 'info');
+  } catch (error) {
+    showStatus('slots-status', error.message, 'error');
+  }
+});
+
+bindKeyfilePicker('slots-factor-file');
+bindKeyfilePicker('slots-new-factor-file');
+
+document.getElementById('slots-action').addEventListener('change', (e) => {
+  document.getElementById('slots-new-password-group').classList.toggle('hidden', e.target.value === 'remove');
+});
+
+document.getElementById('slots-apply-btn').addEventListener('click', async () => {
+  if (!slotsFile) return;
+
+  const action = document.getElementById('slots-action').value;
+  const credentials = {
+    password: document.getElementById('slots-password').value,
+    keyfile: getKeyfile('slots-factor-file')
+  };
+  const newCredentials = {
+    password: document.getElementById('slots-new-password').value,
+    keyfile: getKeyfile('slots-new-factor-file')
+  };
+  const kdf = KDF_PRESETS[document.getElementById('slots-kdf').value];
+
+  if (!credentials.password && !credentials.keyfile) {
+    showStatus('slots-status', 'Enter a current password of the file.', 'error');
+    return;
+  }
+  if (action !== 'remove' && !newCredentials.password && !newCredentials.keyfile) {
+    showStatus('slots-status', 'Enter the new password or select a new keyfile.', 'error');
+    return;
+  }
+
+  const applyBtn = document.getElementById('slots-apply-btn');
+  try {
+    applyBtn.disabled = true;
+    showStatus('slots-status', 'Unlocking key slot...', 'info');
+
+    let updated;
+    if (action === 'add') {
+      updated = await KeySlots.addPassword(slotsFile, credentials, newCredentials, kdf);
+    } else if (action === 'change') {
+      updated = await KeySlots.changePassword(slotsFile, credentials, newCredentials, kdf);
+    } else {
+      updated = await KeySlots.removePassword(slotsFile, credentials);
+    }
+
+    Downloader.download(updated, slotsFile.name);
+    const slots = await KeySlots.list(updated);
+    slotsFile = new File([updated], slotsFile.name);
+    document.getElementById('slots-password').value = '';
+    document.getElementById('slots-new-password').value = '';
+    clearKeyfile('slots-factor-file');
+    clearKeyfile('slots-new-factor-file');
+    showStatus('slots-status', `Saved ${slotsFile.name} with ${slots.length} password slot(s).`, 'success');
+  } catch (error) {
+    console.error(error);
+    showStatus('slots-status', error.message, 'error');
+  } finally {
+    applyBtn.disabled = !slotsFile;
+  }
+});
+
+// ============= UPGRADE HANDLERS =============
+
+let upgradeFiles = [];
+
+const upgradeFileInput = document.getElementById('upgrade-file-input');
+document.getElementById('upgrade-file-btn').addEventListener('click', () => upgradeFileInput.click());
+
+upgradeFileInput.addEventListener('change', (e) => {
+  upgradeFiles = [...e.target.files];
+  upgradeFileInput.value = '';
+
+  document.getElementById('upgrade-file-info').textContent = upgradeFiles.length === 1
+    ? `${upgradeFiles[0].name} (${FileValidator.formatFileSize(upgradeFiles[0].size)})`
+    : `${upgradeFiles.length} files selected`;
+  document.getElementById('upgrade-btn').disabled = upgradeFiles.length === 0;
+  document.getElementById('upgrade-report').replaceChildren();
+  showStatus('upgrade-status', null);
+});
+
+/**
+ * Render one line of the upgrade report
+ * @param {{name: string, status: string, fromVersion: number|null, error: string|null}} entry - Report entry
+ * @param {string|null} keyFilename - Name of the exported key file, for files that had no password
+ * @returns {HTMLElement}
+ */
+function createUpgradeReportRow(entry, keyFilename) {
+  const row = document.createElement('div');
+  row.className = 'rounded-lg border border-white/10 bg-black/20 px-3 py-2 text-xs';
+
+  const name = document.createElement('span');
+  name.className = 'font-medium';
+  name.textContent = `${entry.name}: `;
+
+  const result = document.createElement('span');
+  if (entry.status === 'upgraded') {
+    result.className = 'text-green-400';
+    result.textContent = `upgraded from version ${entry.fromVersion}`;
+    if (keyFilename) result.textContent += `; new key saved as ${keyFilename}`;
+  } else if (entry.status === 'current') {
+    result.className = 'text-muted-foreground';
+    result.textContent = `already version ${entry.fromVersion}, skipped`;
+  } else {
+    result.className = 'text-red-400';
+    result.textContent = `failed: ${entry.error}`;
+  }
+
+  row.append(name, result);
+  return row;
+}
+
+document.getElementById('upgrade-btn').addEventListener('click', async () => {
+  if (upgradeFiles.length === 0) return;
+
+  const upgradeBtn = document.getElementById('upgrade-btn');
+  const reportList = document.getElementById('upgrade-report');
+  const credentials = { password: document.getElementById('upgrade-password').value || null };
+
+  try {
+    upgradeBtn.disabled = true;
+    reportList.replaceChildren();
+    showStatus('upgrade-status', `Upgrading 1 of ${upgradeFiles.length}...`, 'info');
+
+    const report = await FileUpgrader.upgradeFiles(upgradeFiles, credentials, (entry, result, index) => {
+      let keyFilename = null;
+      if (result && result.blob) {
+        Downloader.download(result.blob, upgradeFiles[index].name);
+        // Files without a password get a new key that must be kept with them
+        if (result.keyData) {
+          keyFilename = Downloader.getKeyFilename(result.filename);
+          exportEncryptionKey(result.keyData, result.filename, 'file');
+        }
+      }
+      reportList.appendChild(createUpgradeReportRow(entry, keyFilename));
+      if (index + 1 < upgradeFiles.length) {
+        showStatus('upgrade-status', `Upgrading ${index + 2} of ${upgradeFiles.length}...`, 'info');
+      }
+    });
+
+    const upgraded = report.filter(entry => entry.status === 'upgraded').length;
+    const failed = report.filter(entry => entry.status === 'failed').length;
+    const skipped = report.length - upgraded - failed;
+    showStatus('upgrade-status', `${upgraded} upgraded, ${skipped} already current, ${failed} failed.`,
+      failed > 0 ? 'error' : 'success');
+    document.getElementById('upgrade-password').value = '';
+  } catch (error) {
+    console.error(error);
+    showStatus('upgrade-status', error.message, 'error');
+  } finally {
+    upgradeBtn.disabled = upgradeFiles.length === 0;
+  }
+});
+
 // ============= UTILITY FUNCTIONS =============
+
+/**
+ * Copy text to the clipboard and briefly confirm on the button
+ * @param {string} text - Text to copy
+ * @param {HTMLButtonElement} button - Button that triggered the copy
+ */
+async function copyToClipboard(text, button) {
+  if (!text) return;
+  await navigator.clipboard.writeText(text);
+  const label = button.textContent;
+  button.textContent = 'Copied!';
+  setTimeout(() => {
+    button.textContent = label;
+  }, 1500);
+}
+
+/**
+ * Wire a keyfile (second factor) picker: `${base}-input`, `-btn`, `-info` and `-clear`
+ * @param {string} base - Element ID prefix
+ */
+function bindKeyfilePicker(base) {
+  const fileInput = document.getElementById(`${base}-input`);
+  const info = document.getElementById(`${base}-info`);
+  const clearBtn = document.getElementById(`${base}-clear`);
+
+  document.getElementById(`${base}-btn`).addEventListener('click', () => fileInput.click());
+  fileInput.addEventListener('change', () => {
+    const file = fileInput.files[0];
+    info.textContent = file ? file.name : 'No keyfile';
+    clearBtn.classList.toggle('hidden', !file);
+  });
+  clearBtn.addEventListener('click', () => clearKeyfile(base));
+}
+
+/**
+ * Get the keyfile selected in a picker
+ * @param {string} base - Element ID prefix
+ * @returns {File|null}
+ */
+function getKeyfile(base) {
+  return document.getElementById(`${base}-input`).files[0] || null;
+}
+
+/**
+ * Reset a keyfile picker
+ * @param {string} base - Element ID prefix
+ */
+function clearKeyfile(base) {
+  document.getElementById(`${base}-input`).value = '';
+  document.getElementById(`${base}-info`).textContent = 'No keyfile';
+  document.getElementById(`${base}-clear`).classList.add('hidden');
+}
+
+/**
+ * Wire a "load key file" button to fill a key input from a .key file
+ * @param {string} buttonId - Button element ID
+ * @param {string} fileInputId - Hidden file input element ID
+ * @param {string} keyInputId - Key text input element ID
+ */
+function bindKeyFileLoader(buttonId, fileInputId, keyInputId) {
+  const fileInput = document.getElementById(fileInputId);
+  document.getElementById(buttonId).addEventListener('click', () => fileInput.click());
+  fileInput.addEventListener('change', async (e) => {
+    const file = e.target.files[0];
+    if (!file) return;
+    document.getElementById(keyInputId).value = (await file.text()).trim();
+    fileInput.value = '';
+  });
+}
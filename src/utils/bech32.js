@@ -0,0 +1,107 @@
+/**
+ * Bech32 - BIP 173 encoding, used for age recipients and identities
+ */
+
+const CHARSET = 'qpzry9x8gf2tvdw0s3jn54khce6mua7l';
+const GENERATOR = [0x3b6a57b2, 0x26508e6d, 0x1ea119fa, 0x3d4233dd, 0x2a1462b3];
+
+export class Bech32 {
+  /**
+   * Encode bytes under a human-readable prefix
+   * @param {string} prefix - Human-readable part (lowercase)
+   * @param {Uint8Array} bytes - Data
+   * @returns {string} Lowercase bech32 string
+   */
+  static encode(prefix, bytes) {
+    const words = convertBits(bytes, 8, 5, true);
+    const checksum = createChecksum(prefix, words);
+    return `${prefix}1${[...words, ...checksum].map(word => CHARSET[word]).join('')}`;
+  }
+
+  /**
+   * Decode a bech32 string
+   * Strings must be all lowercase or all uppercase; the prefix is returned in lowercase.
+   * @param {string} text - Bech32 string
+   * @returns {{prefix: string, bytes: Uint8Array}}
+   */
+  static decode(text) {
+    if (text !== text.toLowerCase() && text !== text.toUpperCase()) {
+      throw new Error('Invalid bech32 string: mixed case');
+    }
+    const lower = text.toLowerCase();
+    const separator = lower.lastIndexOf('1');
+    if (separator < 1 || separator + 7 > lower.length) {
+      throw new Error('Invalid bech32 string');
+    }
+
+    const prefix = lower.slice(0, separator);
+    const words = [];
+    for (const char of lower.slice(separator + 1)) {
+      const word = CHARSET.indexOf(char);
+      if (word === -1) {
+        throw new Error('Invalid bech32 string: bad character');
+      }
+      words.push(word);
+    }
+
+    if (polymod([...expandPrefix(prefix), ...words]) !== 1) {
+      throw new Error('Invalid bech32 string: checksum mismatch');
+    }
+    return { prefix, bytes: new Uint8Array(convertBits(words.slice(0, -6), 5, 8, false)) };
+  }
+}
+
+function polymod(values) {
+  let checksum = 1;
+  for (const value of values) {
+    const top = checksum >>> 25;
+    checksum = ((checksum & 0x1ffffff) << 5) ^ value;
+    for (let i = 0; i < 5; i++) {
+      if ((top >>> i) & 1) checksum ^= GENERATOR[i];
+    }
+  }
+  return checksum;
+}
+
+function expandPrefix(prefix) {
+  const high = [...prefix].map(char => char.charCodeAt(0) >>> 5);
+  const low = [...prefix].map(char => char.charCodeAt(0) & 31);
+  return [...high, 0, ...low];
+}
+
+function createChecksum(prefix, words) {
+  const mod = polymod([...expandPrefix(prefix), ...words, 0, 0, 0, 0, 0, 0]) ^ 1;
+  return Array.from({ length: 6 }, (_, i) => (mod >>> (5 * (5 - i))) & 31);
+}
+
+/**
+ * Regroup a sequence of `from`-bit values into `to`-bit values
+ * @param {ArrayLike<number>} data - Input values
+ * @param {number} from - Input bits per value
+ * @param {number} to - Output bits per value
+ * @param {boolean} pad - Pad the final group with zeros (encoding) instead of rejecting leftovers
+ * @returns {number[]}
+ */
+function convertBits(data, from, to, pad) {
+  let accumulator = 0;
+  let bits = 0;
+  const result = [];
+  const mask = (1 << to) - 1;
+
+  for (const value of data) {
+    accumulator = (accumulator << from) | value;
+    bits += from;
+    while (bits >= to) {
+      bits -= to;
+      result.push((accumulator >>> bits) & mask);
+    }
+    accumulator &= (1 << bits) - 1;
+  }
+
+  if (pad) {
+    if (bits > 0) result.push((accumulator << (to - bits)) & mask);
+  } else if (bits >= from || accumulator !== 0) {
+    throw new Error('Invalid bech32 string: bad padding');
+  }
+  return result;
+}
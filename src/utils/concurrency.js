@@ -0,0 +1,35 @@
+/**
+ * Concurrency - Run async work on a sequence with a bounded number of tasks in flight
+ */
+
+export class Concurrency {
+  /**
+   * Apply an async function to each item, running up to limit calls at once, and yield the
+   * results in input order. Items are pulled from the source only as slots free up, so a
+   * large source is never buffered.
+   * @param {Iterable|AsyncIterable} items - Source items
+   * @param {function(*): Promise<*>} process - Work for one item
+   * @param {number} [limit] - Maximum calls in flight; 1 processes the items one by one
+   * @yields {{item: *, result: *}}
+   */
+  static async *mapOrdered(items, process, limit = 1) {
+    const pending = [];
+
+    for await (const item of items) {
+      const result = process(item);
+      // A failure is thrown when its turn comes; until then it must not count as unhandled
+      result.catch(() => {});
+      pending.push({ item, result });
+
+      if (pending.length >= limit) {
+        const next = pending.shift();
+        yield { item: next.item, result: await next.result };
+      }
+    }
+
+    while (pending.length > 0) {
+      const next = pending.shift();
+      yield { item: next.item, result: await next.result };
+    }
+  }
+}
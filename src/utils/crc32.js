@@ -0,0 +1,66 @@
+/**
+ * CRC32 - CRC-32 (IEEE 802.3) for detecting accidental damage; not a cryptographic check
+ */
+
+const TABLE = buildTable();
+
+export class Crc32 {
+  /**
+   * Start a running CRC
+   * @returns {number}
+   */
+  static start() {
+    return 0xffffffff;
+  }
+
+  /**
+   * Continue a running CRC over more bytes
+   * @param {number} crc - Running CRC
+   * @param {Uint8Array} bytes - Data
+   * @returns {number}
+   */
+  static update(crc, bytes) {
+    for (const byte of bytes) {
+      crc = TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+    }
+    return crc >>> 0;
+  }
+
+  /**
+   * Final value of a running CRC
+   * @param {number} crc - Running CRC
+   * @returns {number} Unsigned 32-bit checksum
+   */
+  static finish(crc) {
+    return (crc ^ 0xffffffff) >>> 0;
+  }
+
+  /**
+   * Checksum of some bytes
+   * @param {Uint8Array} bytes - Data
+   * @returns {number} Unsigned 32-bit checksum
+   */
+  static compute(bytes) {
+    return this.finish(this.update(this.start(), bytes));
+  }
+
+  /**
+   * @param {number} checksum - Unsigned 32-bit checksum
+   * @returns {string} 8 lowercase hex digits
+   */
+  static toHex(checksum) {
+    return checksum.toString(16).padStart(8, '0');
+  }
+}
+
+function buildTable() {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+      c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    }
+    table[n] = c;
+  }
+  return table;
+}
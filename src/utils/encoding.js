@@ -0,0 +1,80 @@
+/**
+ * Encoding - Base64 helpers for binary header fields
+ */
+
+export class Encoding {
+  /**
+   * Encode bytes as standard base64
+   * @param {Uint8Array} bytes - Bytes to encode
+   * @returns {string}
+   */
+  static toBase64(bytes) {
+    let binary = '';
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+      binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+    }
+    return btoa(binary);
+  }
+
+  /**
+   * Decode standard base64 into bytes
+   * @param {string} base64 - Base64 string
+   * @returns {Uint8Array}
+   */
+  static fromBase64(base64) {
+    const binary = atob(base64);
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) {
+      bytes[i] = binary.charCodeAt(i);
+    }
+    return bytes;
+  }
+
+  /**
+   * Encode bytes as unpadded standard base64
+   * @param {Uint8Array} bytes - Bytes to encode
+   * @returns {string}
+   */
+  static toBase64Unpadded(bytes) {
+    return this.toBase64(bytes).replace(/=+$/, '');
+  }
+
+  /**
+   * Decode unpadded standard base64, rejecting non-canonical encodings
+   * @param {string} base64 - Unpadded base64 string
+   * @returns {Uint8Array}
+   */
+  static fromBase64Unpadded(base64) {
+    if (!/^[A-Za-z0-9+/]*$/.test(base64) || base64.length % 4 === 1) {
+      throw new Error('Invalid base64 string');
+    }
+    const bytes = this.fromBase64(base64 + '='.repeat((4 - (base64.length % 4)) % 4));
+    // Unused trailing bits must be zero, so every value has exactly one encoding
+    if (this.toBase64Unpadded(bytes) !== base64) {
+      throw new Error('Invalid base64 string');
+    }
+    return bytes;
+  }
+
+  /**
+   * Encode bytes as unpadded base64url (RFC 4648 section 5)
+   * @param {Uint8Array} bytes - Bytes to encode
+   * @returns {string}
+   */
+  static toBase64Url(bytes) {
+    return this.toBase64(bytes).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+  }
+
+  /**
+   * Decode unpadded base64url into bytes
+   * @param {string} base64url - Base64url string
+   * @returns {Uint8Array}
+   */
+  static fromBase64Url(base64url) {
+    if (!/^[A-Za-z0-9_-]*$/.test(base64url)) {
+      throw new Error('Invalid base64url string');
+    }
+    const base64 = base64url.replace(/-/g, '+').replace(/_/g, '/');
+    return this.fromBase64(base64 + '='.repeat((4 - (base64.length % 4)) % 4));
+  }
+}
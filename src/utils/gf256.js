@@ -0,0 +1,56 @@
+/**
+ * GF256 - Arithmetic in GF(2^8), shared by secret sharing and error correction
+ */
+
+// Log/exp tables for GF(2^8) with the AES polynomial x^8 + x^4 + x^3 + x + 1 and generator 3
+const EXP = new Uint8Array(510);
+const LOG = new Uint8Array(256);
+
+(function buildTables() {
+  let value = 1;
+  for (let i = 0; i < 255; i++) {
+    EXP[i] = value;
+    LOG[value] = i;
+    // Multiply by the generator 3 (x + 1)
+    value ^= (value << 1) ^ (value & 0x80 ? 0x11b : 0);
+  }
+  // Duplicate so products of logs need no modulo
+  for (let i = 255; i < 510; i++) {
+    EXP[i] = EXP[i - 255];
+  }
+})();
+
+export class GF256 {
+  /**
+   * @param {number} a - Field element
+   * @param {number} b - Field element
+   * @returns {number} a * b
+   */
+  static multiply(a, b) {
+    if (a === 0 || b === 0) return 0;
+    return EXP[LOG[a] + LOG[b]];
+  }
+
+  /**
+   * @param {number} a - Field element
+   * @param {number} b - Non-zero field element
+   * @returns {number} a / b
+   */
+  static divide(a, b) {
+    if (a === 0) return 0;
+    return EXP[LOG[a] + 255 - LOG[b]];
+  }
+
+  /**
+   * Table of c * x for every byte x, for multiplying whole buffers by a constant
+   * @param {number} c - Field element
+   * @returns {Uint8Array} 256 entries
+   */
+  static multiplicationTable(c) {
+    const table = new Uint8Array(256);
+    for (let x = 1; x < 256; x++) {
+      table[x] = this.multiply(c, x);
+    }
+    return table;
+  }
+}
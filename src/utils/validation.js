@@ -2,7 +2,14 @@
  * File Validator - Validates files and inputs
  */
 
-const MAX_FILE_SIZE = 2 * 1024 * 1024 * 1024; // 2GB
+import { FileFormat } from '../crypto/file-format.js';
+import { FormatReaders } from '../crypto/format-readers.js';
+
+// Chunks are streamed from disk, so this is bounded by browser Blob storage rather than memory
+const MAX_FILE_SIZE = 16 * 1024 * 1024 * 1024; // 16GB
+
+// Foreign formats the Decrypt tab can open as well
+const IMPORTED_FORMATS = ['age', 'openpgp'];
 
 export class FileValidator {
   /**
@@ -33,18 +40,21 @@ export class FileValidator {
   }
 
   /**
-   * Validate encrypted file extension
+   * Validate that a file is an Endecrypt (or imported format) file this app can read,
+   * by content rather than name
    * @param {File} file - File to validate
-   * @returns {{valid: boolean, error: string|null}}
+   * @returns {Promise<{valid: boolean, error: string|null, format: object}>} `format` is
+   *   the result of FormatReaders.identify
    */
-  static validateEncryptedFile(file) {
-    if (!file.name.endsWith('.enc')) {
-      return {
-        valid: false,
-        error: 'Selected file is not an encrypted file (.enc)'
-      };
+  static async validateEncryptedFile(file) {
+    const format = await FormatReaders.identify(file);
+    if (IMPORTED_FORMATS.includes(format.foreignFormat)) {
+      return { valid: true, error: null, format };
     }
-    return { valid: true, error: null };
+    if (!format.isEndecrypt || !format.supported) {
+      return { valid: false, error: FileFormat.describe(format), format };
+    }
+    return { valid: true, error: null, format };
   }
 
   /**
@@ -65,19 +75,17 @@ export class FileValidator {
   /**
    * Validate all conditions for decryption
    * @param {File} file - File to validate
-   * @returns {{valid: boolean, error: string|null}}
+   * @returns {Promise<{valid: boolean, error: string|null, format?: object}>} `format` is set
+   *   once the file could be identified
    */
-  static validateForDecryption(file) {
+  static async validateForDecryption(file) {
     let result = this.validateFileExists(file);
     if (!result.valid) return result;
     
     result = this.validateFileSize(file);
     if (!result.valid) return result;
     
-    result = this.validateEncryptedFile(file);
-    if (!result.valid) return result;
-    
-    return { valid: true, error: null };
+    return await this.validateEncryptedFile(file);
   }
 
   /**
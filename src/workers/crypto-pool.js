@@ -0,0 +1,174 @@
+/**
+ * Crypto Pool - Runs chunk encryption and decryption on a pool of crypto workers
+ *
+ * Each worker handles one chunk at a time and further chunks queue until a worker is free.
+ * Workers are started on first use, up to one per logical core. Chunk buffers are
+ * transferred rather than copied, so a buffer must not be used after it is handed over.
+ */
+
+// Every chunk in flight holds a plaintext and a ciphertext buffer (2 x 10 MiB), so the pool is capped
+const MAX_WORKERS = 8;
+
+export class CryptoPool {
+  /**
+   * @param {function(): Worker} createWorker - Starts a crypto worker (see crypto-worker.js)
+   * @param {number} [size] - Number of workers; defaults to navigator.hardwareConcurrency
+   */
+  constructor(createWorker, size = defaultSize()) {
+    this.createWorker = createWorker;
+    this.size = size;
+    this.workers = [];
+    this.idle = [];
+    this.queue = [];
+    this.nextTaskId = 0;
+  }
+
+  /**
+   * Number of chunks to keep in flight so that no worker waits for the file reader
+   * @returns {number}
+   */
+  get concurrency() {
+    return this.size * 2;
+  }
+
+  /**
+   * Encrypt a chunk on a worker (see Encryptor.encryptChunk)
+   * @param {ArrayBuffer|Uint8Array} data - Chunk data; its buffer is transferred
+   * @param {{cipher: string, key: object, iv: Uint8Array, aad: Uint8Array}} stream - Stream parameters
+   * @param {number} index - Chunk index
+   * @param {boolean} isFinal - Whether this is the last chunk
+   * @returns {Promise<ArrayBuffer>} Encrypted data
+   */
+  async encryptChunk(data, stream, index, isFinal) {
+    const chunkData = toTransferable(data);
+    const result = await this.run('encrypt-chunk', { chunkData, stream, chunkIndex: index, isFinal }, [chunkData]);
+    return result.encryptedData;
+  }
+
+  /**
+   * Decrypt a chunk on a worker (see FormatV2.decryptChunk)
+   * @param {ArrayBuffer|Uint8Array} data - Encrypted chunk; its buffer is transferred
+   * @param {{cipher: string, key: object, iv: Uint8Array, aad: Uint8Array}} stream - Stream parameters
+   * @param {number} index - Chunk index
+   * @param {boolean} isFinal - Whether this is the last chunk
+   * @returns {Promise<ArrayBuffer>} Decrypted data
+   */
+  async decryptChunk(data, stream, index, isFinal) {
+    const encryptedData = toTransferable(data);
+    const result = await this.run('decrypt-chunk', { encryptedData, stream, chunkIndex: index, isFinal }, [encryptedData]);
+    return result.decryptedData;
+  }
+
+  /**
+   * Stop all workers and reject every pending task
+   */
+  terminate() {
+    const error = new Error('Crypto pool terminated');
+    for (const slot of this.workers) {
+      slot.worker.terminate();
+      if (slot.task) slot.task.reject(error);
+    }
+    for (const task of this.queue) {
+      task.reject(error);
+    }
+    this.workers = [];
+    this.idle = [];
+    this.queue = [];
+  }
+
+  /**
+   * Queue a task for the next free worker
+   * @param {string} type - Worker message type
+   * @param {object} data - Message data
+   * @param {Transferable[]} transfer - Buffers to transfer
+   * @returns {Promise<object>} The worker's reply
+   */
+  run(type, data, transfer) {
+    return new Promise((resolve, reject) => {
+      this.queue.push({ type, data: { ...data, taskId: this.nextTaskId++ }, transfer, resolve, reject });
+      this.dispatch();
+    });
+  }
+
+  /**
+   * Hand queued tasks to idle workers, starting workers as needed
+   */
+  dispatch() {
+    while (this.queue.length > 0) {
+      const slot = this.idle.pop() || this.startWorker();
+      if (!slot) return;
+
+      const task = this.queue.shift();
+      slot.task = task;
+      slot.worker.postMessage({ type: task.type, data: task.data }, task.transfer);
+    }
+  }
+
+  /**
+   * Start a worker if the pool is not full
+   * @returns {{worker: Worker, task: object|null}|null}
+   */
+  startWorker() {
+    if (this.workers.length >= this.size) return null;
+
+    const slot = { worker: this.createWorker(), task: null };
+    slot.worker.onmessage = (event) => this.finish(slot, event.data);
+    slot.worker.onerror = (event) => {
+      event.preventDefault();
+      this.fail(slot, new Error(`Crypto worker failed: ${event.message || 'it could not be started'}`));
+    };
+    this.workers.push(slot);
+    return slot;
+  }
+
+  /**
+   * Settle a worker's task with its reply and give the worker the next task
+   * @param {object} slot - Worker slot
+   * @param {object} message - Reply from the worker
+   */
+  finish(slot, message) {
+    const task = slot.task;
+    slot.task = null;
+    this.idle.push(slot);
+
+    if (task) {
+      if (message.type === 'error') {
+        task.reject(new Error(message.error));
+      } else {
+        task.resolve(message);
+      }
+    }
+    this.dispatch();
+  }
+
+  /**
+   * Drop a crashed worker and reject its task; a new worker takes its place on demand
+   * @param {object} slot - Worker slot
+   * @param {Error} error - Reason
+   */
+  fail(slot, error) {
+    slot.worker.terminate();
+    this.workers = this.workers.filter(other => other !== slot);
+    this.idle = this.idle.filter(other => other !== slot);
+
+    if (slot.task) slot.task.reject(error);
+    this.dispatch();
+  }
+}
+
+function defaultSize() {
+  const cores = (typeof navigator !== 'undefined' && navigator.hardwareConcurrency) || 4;
+  return Math.max(1, Math.min(cores, MAX_WORKERS));
+}
+
+/**
+ * Get a buffer that can be transferred without detaching bytes the caller still uses
+ * A view over part of a larger buffer is copied.
+ * @param {ArrayBuffer|Uint8Array} data - Chunk data
+ * @returns {ArrayBuffer}
+ */
+function toTransferable(data) {
+  if (data instanceof ArrayBuffer) return data;
+  if (data.byteOffset === 0 && data.byteLength === data.buffer.byteLength) return data.buffer;
+  return data.slice().buffer;
+}
@@ -1,9 +1,11 @@
 /**
  * Crypto Worker - Offloads encryption/decryption to prevent UI blocking
+ * Chunk tasks are normally posted by CryptoPool (crypto-pool.js), one task per worker at a time.
  */
 
 import { Encryptor } from '../crypto/encryptor.js';
 import { Decryptor } from '../crypto/decryptor.js';
+import { FormatV2 } from '../crypto/formats/format-v2.js';
 
 self.onmessage = async (event) => {
   const { type, data } = event.data;
@@ -38,9 +40,9 @@ self.onmessage = async (event) => {
  * Handle chunk encryption
  */
 async function handleEncryptChunk(data) {
-  const { chunkData, key, iv, chunkIndex, taskId } = data;
+  const { chunkData, stream, chunkIndex, isFinal, taskId } = data;
   
-  const encrypted = await Encryptor.encryptChunk(chunkData, key, iv);
+  const encrypted = await Encryptor.encryptChunk(chunkData, stream, chunkIndex, isFinal);
   
   self.postMessage({
     type: 'chunk-encrypted',
@@ -54,9 +56,9 @@ async function handleEncryptChunk(data) {
  * Handle chunk decryption
  */
 async function handleDecryptChunk(data) {
-  const { encryptedData, key, iv, chunkIndex, taskId } = data;
+  const { encryptedData, stream, chunkIndex, isFinal, taskId } = data;
   
-  const decrypted = await Decryptor.decryptChunk(encryptedData, key, iv);
+  const decrypted = await FormatV2.decryptChunk(encryptedData, stream, chunkIndex, isFinal);
   
   self.postMessage({
     type: 'chunk-decrypted',
@@ -70,17 +72,25 @@ async function handleDecryptChunk(data) {
  * Handle encrypted file parsing
  */
 async function handleParseFile(data) {
-  const { fileData, taskId } = data;
+  const { file, taskId } = data;
   
-  const parsed = await Decryptor.parseEncryptedFile(fileData);
+  const parsed = await Decryptor.parseEncryptedFile(file);
   
   // Convert typed arrays to regular arrays for transfer
   self.postMessage({
     type: 'file-parsed',
     taskId,
-    salt: Array.from(parsed.salt),
+    version: parsed.version,
+    header: parsed.header,
+    headerBytes: parsed.headerBytes ? Array.from(parsed.headerBytes) : null,
+    keySlots: parsed.keySlots,
+    keySlotsStart: parsed.keySlotsStart,
+    keySlotsEnd: parsed.keySlotsEnd,
+    signature: parsed.signature,
+    salt: parsed.salt ? Array.from(parsed.salt) : null,
     iv: Array.from(parsed.iv),
-    encryptedData: parsed.encryptedData,
-    metadata: parsed.metadata
-  }, [parsed.encryptedData]);
+    encryptedMetadata: parsed.encryptedMetadata ? Array.from(parsed.encryptedMetadata) : null,
+    payloadStart: parsed.payloadStart,
+    payloadEnd: parsed.payloadEnd
+  });
 }
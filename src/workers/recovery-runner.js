@@ -0,0 +1,71 @@
+/**
+ * Recovery Runner - Runs Recovery.append and Recovery.repair on a dedicated worker
+ *
+ * Each call starts its own recovery worker and stops it once the result is in, so an
+ * idle page holds no worker and a failed task cannot leave one in a bad state.
+ */
+
+export class RecoveryRunner {
+  /**
+   * @param {function(): Worker} createWorker - Starts a recovery worker (see recovery-worker.js)
+   */
+  constructor(createWorker) {
+    this.createWorker = createWorker;
+  }
+
+  /**
+   * Append a recovery record to a file (see Recovery.append)
+   * @param {Blob} file - Encrypted file
+   * @param {number} redundancy - Parity as a percentage of the data (1-100)
+   * @param {function(number): void} [onProgress] - Called with progress (0-100)
+   * @param {{start: number, end: number}|null} [mutable] - Range that may be rewritten later
+   * @returns {Promise<Blob>} File with the record appended
+   */
+  async append(file, redundancy, onProgress, mutable = null) {
+    return await this.run('append', { file, redundancy, mutable }, onProgress);
+  }
+
+  /**
+   * Rebuild damaged blocks of a file from its recovery record (see Recovery.repair)
+   * @param {Blob} file - File with a recovery record
+   * @param {function(number): void} [onProgress] - Called with progress (0-100)
+   * @returns {Promise<{blob: Blob, repairedBlocks: number, damagedBytes: number, recordRebuilt: boolean}>}
+   */
+  async repair(file, onProgress) {
+    return await this.run('repair', { file }, onProgress);
+  }
+
+  /**
+   * Run one task on a new worker
+   * @param {string} type - Worker message type
+   * @param {object} data - Message data
+   * @param {function(number): void} [onProgress] - Called with progress (0-100)
+   * @returns {Promise<*>} The task's result
+   */
+  run(type, data, onProgress) {
+    return new Promise((resolve, reject) => {
+      const worker = this.createWorker();
+      const settle = (callback, value) => {
+        worker.terminate();
+        callback(value);
+      };
+
+      worker.onmessage = (event) => {
+        const message = event.data;
+        if (message.type === 'progress') {
+          if (onProgress) onProgress(message.progress);
+        } else if (message.type === 'done') {
+          settle(resolve, message.result);
+        } else {
+          settle(reject, new Error(message.error));
+        }
+      };
+      worker.onerror = (event) => {
+        event.preventDefault();
+        settle(reject, new Error(`Recovery worker failed: ${event.message || 'it could not be started'}`));
+      };
+
+      worker.postMessage({ type, data });
+    });
+  }
+}
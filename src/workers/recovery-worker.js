@@ -0,0 +1,30 @@
+/**
+ * Recovery Worker - Computes and applies recovery records off the main thread
+ *
+ * Parity is computed byte by byte over the whole file, which would block the UI for
+ * large files. Files travel as Blobs, so nothing is copied into the worker up front.
+ */
+
+import { Recovery } from '../file-handling/recovery.js';
+
+self.onmessage = async (event) => {
+  const { type, data } = event.data;
+  const onProgress = (progress) => self.postMessage({ type: 'progress', progress });
+
+  try {
+    switch (type) {
+      case 'append':
+        self.postMessage({ type: 'done', result: await Recovery.append(data.file, data.redundancy, onProgress, data.mutable) });
+        break;
+
+      case 'repair':
+        self.postMessage({ type: 'done', result: await Recovery.repair(data.file, onProgress) });
+        break;
+
+      default:
+        self.postMessage({ type: 'error', error: `Unknown task type: ${type}` });
+    }
+  } catch (error) {
+    self.postMessage({ type: 'error', error: error.message });
+  }
+};
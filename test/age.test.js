@@ -0,0 +1,118 @@
+/**
+ * Age - age v1 files round-trip with passphrases and X25519 keys, and reject tampering
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { Age } from '../src/crypto/age/age.js';
+import { AgeKeys } from '../src/crypto/age/age-keys.js';
+import { AgeArmor } from '../src/crypto/age/age-armor.js';
+import { AgeStream, AGE_CHUNK_SIZE } from '../src/crypto/age/age-stream.js';
+
+const PASSPHRASE = 'correct horse battery staple';
+// Far below age's default of 18, to keep scrypt fast in tests
+const WORK_FACTOR = 10;
+
+function createPlaintext(size) {
+  return Uint8Array.from({ length: size }, (_, i) => (i * 13 + (i >>> 9)) & 0xff);
+}
+
+async function bytesOf(blob) {
+  return Buffer.from(await blob.arrayBuffer());
+}
+
+test('round-trips a multi-chunk file with a passphrase', async () => {
+  const plaintext = createPlaintext(2 * AGE_CHUNK_SIZE + 100);
+  const file = await Age.encrypt(new Blob([plaintext]), { passphrase: PASSPHRASE, workFactor: WORK_FACTOR });
+
+  assert.ok((await file.slice(0, 22).text()).startsWith('age-encryption.org/v1\n'));
+  assert.deepEqual(await Age.inspect(file), { armored: false, required: 'password', recipientCount: 1 });
+  assert.ok((await bytesOf(await Age.decrypt(file, { password: PASSPHRASE }))).equals(Buffer.from(plaintext)));
+  await assert.rejects(Age.decrypt(file, { password: 'wrong' }), /Decryption failed/);
+});
+
+test('round-trips a file for several X25519 recipients', async () => {
+  const alice = AgeKeys.generateIdentity();
+  const bob = AgeKeys.generateIdentity();
+  const file = await Age.encrypt(new Blob(['for both of you']), { recipients: [alice.recipient, bob.recipient] });
+
+  assert.equal((await Age.inspect(file)).recipientCount, 2);
+  for (const { identity } of [alice, bob]) {
+    assert.equal(await (await Age.decrypt(file, { privateKey: identity })).text(), 'for both of you');
+  }
+  await assert.rejects(
+    Age.decrypt(file, { privateKey: AgeKeys.generateIdentity().identity }),
+    /not encrypted for your key/
+  );
+});
+
+test('finds identities inside an age key file', async () => {
+  const alice = AgeKeys.generateIdentity();
+  const keyFile = `# created: 2026-01-01T00:00:00Z\n# public key: ${alice.recipient}\n${alice.identity}\n`;
+  const file = await Age.encrypt(new Blob(['hello']), { recipients: [alice.recipient] });
+
+  assert.deepEqual(AgeKeys.extractIdentities(keyFile), [alice.identity]);
+  assert.equal(await (await Age.decrypt(file, { privateKey: keyFile })).text(), 'hello');
+});
+
+test('parses and derives keys in their bech32 forms', () => {
+  const { identity, recipient } = AgeKeys.generateIdentity();
+
+  assert.match(identity, /^AGE-SECRET-KEY-1[02-9AC-HJ-NP-Z]{58}$/);
+  assert.match(recipient, /^age1[02-9ac-hj-np-z]{58}$/);
+  assert.equal(AgeKeys.toRecipient(identity), recipient);
+  assert.throws(() => AgeKeys.parseRecipient(`${recipient.slice(0, -1)}q`), /Invalid age recipient/);
+});
+
+test('round-trips ASCII armor', async () => {
+  const alice = AgeKeys.generateIdentity();
+  const file = await Age.encrypt(new Blob(['armored']), { recipients: [alice.recipient], armor: true });
+  const text = await file.text();
+
+  assert.ok(text.startsWith('-----BEGIN AGE ENCRYPTED FILE-----\n'));
+  assert.ok(text.trimEnd().endsWith('-----END AGE ENCRYPTED FILE-----'));
+  assert.equal(await AgeArmor.isArmored(file), true);
+  assert.equal(await (await Age.decrypt(file, { privateKey: alice.identity })).text(), 'armored');
+});
+
+test('rejects a modified header through its MAC', async () => {
+  const alice = AgeKeys.generateIdentity();
+  const bob = AgeKeys.generateIdentity();
+  const file = await Age.encrypt(new Blob(['hello']), { recipients: [alice.recipient, bob.recipient] });
+  const text = Buffer.from(await file.arrayBuffer()).toString('latin1');
+
+  // Drop Bob's stanza: Alice can still unwrap the file key, but the MAC no longer matches
+  const lines = text.split('\n');
+  const stanzas = lines.map((line, i) => (line.startsWith('-> X25519 ') ? i : -1)).filter(i => i >= 0);
+  lines.splice(stanzas[1], 2);
+  const modified = new Blob([Buffer.from(lines.join('\n'), 'latin1')]);
+
+  await assert.rejects(Age.decrypt(modified, { privateKey: alice.identity }), /header MAC mismatch/);
+});
+
+test('rejects a truncated or modified payload', async () => {
+  const plaintext = createPlaintext(2 * AGE_CHUNK_SIZE + 100);
+  const file = await Age.encrypt(new Blob([plaintext]), { passphrase: PASSPHRASE, workFactor: WORK_FACTOR });
+
+  const truncated = file.slice(0, file.size - 116);
+  await assert.rejects(Age.decrypt(truncated, { password: PASSPHRASE }), /truncated or corrupted/);
+
+  const bytes = await bytesOf(file);
+  bytes[bytes.length - AGE_CHUNK_SIZE] ^= 1;
+  await assert.rejects(Age.decrypt(new Blob([bytes]), { password: PASSPHRASE }), /Decryption failed/);
+});
+
+test('sets the last-chunk flag in the STREAM nonce', () => {
+  assert.deepEqual(Array.from(AgeStream.chunkNonce(1, false)), [0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 1, 0]);
+  assert.deepEqual(Array.from(AgeStream.chunkNonce(258, true)), [0, 0, 0, 0, 0, 0, 0, 0, 0, 1, 2, 1]);
+});
+
+test('refuses a passphrase together with recipients', async () => {
+  const alice = AgeKeys.generateIdentity();
+
+  await assert.rejects(
+    Age.encrypt(new Blob(['x']), { passphrase: PASSPHRASE, recipients: [alice.recipient] }),
+    /either a password or recipients/
+  );
+});
@@ -0,0 +1,84 @@
+/**
+ * Armor - armored Endecrypt files survive transport and reject damaged text
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { Armor, ARMOR_BEGIN, ARMOR_END } from '../src/file-handling/armor.js';
+import { Encryptor } from '../src/crypto/encryptor.js';
+import { Decryptor } from '../src/crypto/decryptor.js';
+
+function createBinary(size) {
+  return Uint8Array.from({ length: size }, (_, i) => (i * 7 + (i >>> 8)) & 0xff);
+}
+
+async function bytesOf(blob) {
+  return Buffer.from(await blob.arrayBuffer());
+}
+
+test('round-trips binary data across read boundaries', async () => {
+  for (const size of [0, 1, 47, 48, 49, 48 * 1024, 48 * 1024 + 1, 150000]) {
+    const binary = createBinary(size);
+    const armored = await Armor.encode(new Blob([binary]));
+
+    assert.ok((await bytesOf(await Armor.decode(armored))).equals(Buffer.from(binary)), `size ${size}`);
+  }
+});
+
+test('writes 64-column lines between the BEGIN and END lines', async () => {
+  const lines = (await (await Armor.encode(new Blob([createBinary(200)]))).text()).trimEnd().split('\n');
+
+  assert.equal(lines[0], ARMOR_BEGIN);
+  assert.equal(lines.at(-1), ARMOR_END);
+  assert.match(lines.at(-2), /^=[0-9a-f]{8}$/);
+  assert.ok(lines.slice(1, -3).every(line => line.length === 64));
+  assert.ok(lines.at(-3).length <= 64);
+});
+
+test('uses the standard CRC-32 as the checksum', async () => {
+  const armored = await (await Armor.encode(new Blob(['123456789']))).text();
+
+  assert.match(armored, /\n=cbf43926\n/);
+});
+
+test('accepts text reflowed by mail clients', async () => {
+  const binary = createBinary(500);
+  const armored = await (await Armor.encode(new Blob([binary]))).text();
+  const mangled = `Here is the file:\r\n\r\n${armored.split('\n').map(line => `  ${line}  `).join('\r\n')}\r\nThanks`;
+
+  assert.equal(await Armor.isArmored(mangled.slice(mangled.indexOf('  -'))), true);
+  assert.ok((await bytesOf(await Armor.decode(mangled))).equals(Buffer.from(binary)));
+});
+
+test('rejects damaged, truncated or malformed armor', async () => {
+  const armored = await (await Armor.encode(new Blob([createBinary(500)]))).text();
+  const lines = armored.split('\n');
+
+  const damaged = [...lines];
+  damaged[2] = (damaged[2][0] === 'A' ? 'B' : 'A') + damaged[2].slice(1);
+  await assert.rejects(Armor.decode(damaged.join('\n')), /checksum mismatch/);
+
+  await assert.rejects(Armor.decode(lines.filter((_, i) => i !== 3).join('\n')), /malformed base64|checksum mismatch/);
+  await assert.rejects(Armor.decode(armored.replace(/\n=[0-9a-f]{8}/, '')), /missing checksum/);
+  await assert.rejects(Armor.decode(armored.replace(ARMOR_END, '')), /missing BEGIN or END/);
+  await assert.rejects(Armor.decode(armored.replace(lines[1], `${lines[1].slice(0, -1)}!`)), /malformed base64/);
+});
+
+test('does not mistake binary files for armor', async () => {
+  assert.equal(await Armor.isArmored(new Blob([createBinary(100)])), false);
+  assert.equal(await Armor.isArmored('-----BEGIN PGP MESSAGE-----'), false);
+});
+
+test('decrypts an armored Endecrypt file', async () => {
+  const { blob } = await Encryptor.encryptFile(new Blob(['armored secret']), {
+    filename: 'note.txt',
+    mimeType: 'text/plain',
+    password: 'correct horse battery staple',
+    kdf: { name: 'PBKDF2', hash: 'SHA-256', iterations: 1000 }
+  });
+  const armored = new File([await Armor.encode(blob)], 'note.txt.enc.txt');
+
+  const decrypted = await Decryptor.decryptFile(await Armor.decode(armored), { password: 'correct horse battery staple' });
+  assert.equal(await decrypted.blob.text(), 'armored secret');
+});
@@ -0,0 +1,92 @@
+/**
+ * Cipher Suites - every suite round-trips files and rejects tampering
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { CipherSuites, DEFAULT_CIPHER_SUITE } from '../src/crypto/cipher-suites.js';
+import { Encryptor } from '../src/crypto/encryptor.js';
+import { Decryptor } from '../src/crypto/decryptor.js';
+import { KeyManager } from '../src/crypto/key-manager.js';
+import { CHUNK_SIZE } from '../src/file-handling/chunked-reader.js';
+
+const PASSWORD = 'correct horse battery staple';
+const FAST_KDF = { name: 'PBKDF2', hash: 'SHA-256', iterations: 1000 };
+const AAD = new TextEncoder().encode('header');
+
+function createPlaintext(size) {
+  return Uint8Array.from({ length: size }, (_, i) => (i * 29 + (i >>> 10)) & 0xff);
+}
+
+test('lists the three suites with AES-256-GCM first', () => {
+  assert.deepEqual(CipherSuites.list().map(suite => suite.id), ['aes-256-gcm', 'xchacha20-poly1305', 'aes-256-ctr-hmac-sha256']);
+  assert.equal(DEFAULT_CIPHER_SUITE, 'aes-256-gcm');
+  assert.equal(CipherSuites.forHeader({}).id, 'aes-256-gcm');
+  assert.throws(() => CipherSuites.get('rot13'), /Unsupported cipher suite: rot13/);
+});
+
+for (const suite of CipherSuites.list()) {
+  test(`${suite.name} authenticates its ciphertext and associated data`, async () => {
+    const key = await suite.importKey(crypto.getRandomValues(new Uint8Array(32)));
+    const iv = crypto.getRandomValues(new Uint8Array(suite.ivLength));
+    const plaintext = createPlaintext(1000);
+
+    const ciphertext = new Uint8Array(await suite.encrypt(key, iv, AAD, plaintext));
+    assert.equal(ciphertext.length, plaintext.length + suite.tagLength);
+    assert.deepEqual(new Uint8Array(await suite.decrypt(key, iv, AAD, ciphertext)), plaintext);
+
+    const tampered = ciphertext.slice();
+    tampered[10] ^= 1;
+    await assert.rejects(suite.decrypt(key, iv, AAD, tampered));
+    await assert.rejects(suite.decrypt(key, iv, new TextEncoder().encode('other'), ciphertext));
+    const otherIv = iv.slice();
+    otherIv[0] ^= 1;
+    await assert.rejects(suite.decrypt(key, otherIv, AAD, ciphertext));
+    const otherKey = await suite.importKey(crypto.getRandomValues(new Uint8Array(32)));
+    await assert.rejects(suite.decrypt(otherKey, iv, AAD, ciphertext));
+  });
+
+  test(`${suite.name} round-trips a multi-chunk file and rejects a modified chunk`, async () => {
+    const plaintext = createPlaintext(CHUNK_SIZE + 777);
+    const { blob } = await Encryptor.encryptFile(new Blob([plaintext]), {
+      filename: 'suite.bin',
+      mimeType: 'application/octet-stream',
+      password: PASSWORD,
+      kdf: FAST_KDF,
+      cipher: suite.id
+    });
+
+    const parsed = await Decryptor.parseEncryptedFile(blob);
+    assert.equal(CipherSuites.forHeader(parsed.header).id, suite.id);
+    assert.equal(parsed.payloadEnd - parsed.payloadStart, plaintext.length + 2 * suite.tagLength);
+
+    const decrypted = await Decryptor.decryptFile(blob, { password: PASSWORD });
+    assert.ok(Buffer.from(await decrypted.blob.arrayBuffer()).equals(Buffer.from(plaintext)));
+
+    const bytes = new Uint8Array(await blob.arrayBuffer());
+    bytes[parsed.payloadStart + CHUNK_SIZE + suite.tagLength + 5] ^= 1;
+    await assert.rejects(Decryptor.decryptFile(new Blob([bytes]), { password: PASSWORD }), /Decryption failed/);
+  });
+}
+
+test('a file key opens the same file under every suite', async () => {
+  for (const suite of CipherSuites.list()) {
+    const { blob, keyData } = await Encryptor.encryptFile(new Blob(['shared key handling']), {
+      filename: 'note.txt', mimeType: 'text/plain', password: null, cipher: suite.id
+    });
+    const { blob: decrypted } = await Decryptor.decryptFile(blob, { key: KeyManager.encodeKeyString(keyData) });
+    assert.equal(await decrypted.text(), 'shared key handling');
+  }
+});
+
+test('rejects a file whose header names another suite', async () => {
+  const { blob } = await Encryptor.encryptFile(new Blob(['swap']), {
+    filename: 'swap.txt', mimeType: 'text/plain', password: PASSWORD, kdf: FAST_KDF, cipher: 'xchacha20-poly1305'
+  });
+  const text = Buffer.from(await blob.arrayBuffer()).toString('latin1');
+  const swapped = text.replace('"xchacha20-poly1305"', '"aes-256-gcm"'.padEnd('"xchacha20-poly1305"'.length, ' '));
+
+  assert.notEqual(swapped, text);
+  await assert.rejects(Decryptor.decryptFile(new Blob([Buffer.from(swapped, 'latin1')]), { password: PASSWORD }));
+});
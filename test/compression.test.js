@@ -0,0 +1,91 @@
+/**
+ * Compression - Plaintext is compressed as it streams into the cipher and inflated on decrypt
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { Encryptor } from '../src/crypto/encryptor.js';
+import { Decryptor } from '../src/crypto/decryptor.js';
+import { KeyManager } from '../src/crypto/key-manager.js';
+import { Compression, CompressingReader } from '../src/file-handling/compression.js';
+import { ChunkedFileReader, CHUNK_SIZE } from '../src/file-handling/chunked-reader.js';
+
+const TEXT = 'All work and no play makes Jack a dull boy.\n'.repeat(20000);
+
+/**
+ * Bytes that do not compress, so the compressed stream spans several chunks
+ * @param {number} size - Length
+ * @returns {Uint8Array}
+ */
+function createNoise(size) {
+  const bytes = new Uint8Array(size);
+  for (let offset = 0; offset < size; offset += 65536) {
+    crypto.getRandomValues(bytes.subarray(offset, offset + 65536));
+  }
+  return bytes;
+}
+
+async function roundTrip(plaintext, compression) {
+  const { blob: file, keyData } = await Encryptor.encryptFile(new Blob([plaintext]), {
+    filename: 'data', mimeType: 'application/octet-stream', password: null, compression
+  });
+  const { blob, metadata } = await Decryptor.decryptFile(file, { key: KeyManager.encodeKeyString(keyData) });
+  return { file, blob, metadata };
+}
+
+for (const format of ['gzip', 'deflate']) {
+  test(`round-trips and shrinks text with ${format}`, async () => {
+    const { file, blob, metadata } = await roundTrip(TEXT, format);
+
+    assert.equal(metadata.compression, format);
+    assert.ok(file.size < TEXT.length / 10, `${file.size} bytes`);
+    assert.equal(await blob.text(), TEXT);
+  });
+}
+
+test('round-trips data whose compressed stream spans several chunks', async () => {
+  const noise = createNoise(CHUNK_SIZE + 4096);
+  const { blob, metadata } = await roundTrip(noise, 'gzip');
+
+  assert.equal(metadata.chunksCount, 2);
+  assert.ok(Buffer.from(await blob.arrayBuffer()).equals(Buffer.from(noise)));
+});
+
+test('re-chunks compressed output into full chunks and flags only the last', async () => {
+  const reader = new CompressingReader(new ChunkedFileReader(new Blob([createNoise(2 * CHUNK_SIZE)])), 'deflate');
+  const chunks = [];
+  for await (const chunk of reader.readChunks()) {
+    chunks.push(chunk);
+  }
+
+  assert.equal(reader.getTotalChunks(), null);
+  assert.deepEqual(chunks.map(chunk => chunk.index), [0, 1, 2]);
+  assert.deepEqual(chunks.map(chunk => chunk.isLast), [false, false, true]);
+  assert.ok(chunks.slice(0, -1).every(chunk => chunk.data.length === CHUNK_SIZE));
+});
+
+test('leaves the metadata without compression by default', async () => {
+  const { metadata } = await roundTrip(TEXT, null);
+
+  assert.equal(metadata.compression, null);
+});
+
+test('skips formats that are already compressed', () => {
+  assert.equal(Compression.shouldCompress('text/plain'), true);
+  assert.equal(Compression.shouldCompress('image/bmp'), true);
+  assert.equal(Compression.shouldCompress('image/jpeg'), false);
+  assert.equal(Compression.shouldCompress('application/zip'), false);
+  assert.equal(Compression.shouldCompress('application/vnd.openxmlformats-officedocument.wordprocessingml.document'), false);
+});
+
+test('rejects unknown formats and corrupt streams', async () => {
+  assert.throws(() => Compression.assertFormat('brotli'), /Unsupported compression format/);
+
+  const garbage = (async function* () { yield new Uint8Array([1, 2, 3, 4, 5]); })();
+  await assert.rejects(async () => {
+    for await (const data of Compression.decompress(garbage, 'gzip')) {
+      assert.ok(data);
+    }
+  }, /Decompression failed/);
+});
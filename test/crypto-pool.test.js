@@ -0,0 +1,174 @@
+/**
+ * Crypto Pool - chunks run on several workers at once and come back in order
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { CryptoPool } from '../src/workers/crypto-pool.js';
+import { Concurrency } from '../src/utils/concurrency.js';
+import { Encryptor } from '../src/crypto/encryptor.js';
+import { Decryptor } from '../src/crypto/decryptor.js';
+import { FormatV2 } from '../src/crypto/formats/format-v2.js';
+import { KeyManager } from '../src/crypto/key-manager.js';
+import { CHUNK_SIZE } from '../src/file-handling/chunked-reader.js';
+
+const PASSWORD = 'correct horse battery staple';
+const FAST_KDF = { name: 'PBKDF2', hash: 'SHA-256', iterations: 1000 };
+
+/**
+ * Stands in for crypto-worker.js: runs the same chunk functions, but answers later chunks
+ * sooner, so replies arrive out of order whenever several chunks are in flight
+ */
+class FakeWorker {
+  static started = 0;
+  static busy = 0;
+  static maxBusy = 0;
+
+  constructor() {
+    FakeWorker.started++;
+    this.terminated = false;
+  }
+
+  postMessage(message, transfer = []) {
+    const { type, data } = structuredClone(message, { transfer });
+    FakeWorker.busy++;
+    FakeWorker.maxBusy = Math.max(FakeWorker.maxBusy, FakeWorker.busy);
+
+    setTimeout(async () => {
+      let reply;
+      if (data.fail) {
+        reply = { type: 'error', error: 'Chunk failed', taskId: data.taskId };
+      } else if (type === 'encrypt-chunk') {
+        const encryptedData = await Encryptor.encryptChunk(data.chunkData, data.stream, data.chunkIndex, data.isFinal);
+        reply = { type: 'chunk-encrypted', taskId: data.taskId, chunkIndex: data.chunkIndex, encryptedData };
+      } else {
+        try {
+          const decryptedData = await FormatV2.decryptChunk(data.encryptedData, data.stream, data.chunkIndex, data.isFinal);
+          reply = { type: 'chunk-decrypted', taskId: data.taskId, chunkIndex: data.chunkIndex, decryptedData };
+        } catch (error) {
+          reply = { type: 'error', error: error.message, taskId: data.taskId };
+        }
+      }
+      FakeWorker.busy--;
+      if (!this.terminated) this.onmessage({ data: reply });
+    }, Math.max(0, 40 - (data.chunkIndex || 0) * 10));
+  }
+
+  terminate() {
+    this.terminated = true;
+  }
+
+  static reset() {
+    this.started = 0;
+    this.busy = 0;
+    this.maxBusy = 0;
+  }
+}
+
+function createPlaintext(size) {
+  return Uint8Array.from({ length: size }, (_, i) => (i * 59 + (i >>> 11)) & 0xff);
+}
+
+test('keeps results in input order while later items finish first', async () => {
+  const finished = [];
+  const process = (n) => new Promise(resolve => setTimeout(() => {
+    finished.push(n);
+    resolve(n * 10);
+  }, 40 - n * 10));
+
+  const results = [];
+  for await (const { item, result } of Concurrency.mapOrdered([0, 1, 2, 3], process, 4)) {
+    results.push([item, result]);
+  }
+  assert.deepEqual(finished, [3, 2, 1, 0]);
+  assert.deepEqual(results, [[0, 0], [1, 10], [2, 20], [3, 30]]);
+});
+
+test('encrypts and decrypts a multi-chunk file on the pool, in chunk order', async () => {
+  FakeWorker.reset();
+  const pool = new CryptoPool(() => new FakeWorker(), 3);
+  const plaintext = createPlaintext(4 * CHUNK_SIZE + 500);
+
+  const encryptIndexes = [];
+  const { blob } = await Encryptor.encryptFile(new Blob([plaintext]), {
+    filename: 'data.bin', mimeType: 'application/octet-stream', password: PASSWORD, kdf: FAST_KDF, pool
+  }, (progress, index) => encryptIndexes.push(index));
+  assert.deepEqual(encryptIndexes, [0, 1, 2, 3, 4]);
+  assert.ok(FakeWorker.maxBusy > 1, 'chunks ran in parallel');
+  assert.ok(FakeWorker.started <= 3);
+
+  // Identical to a file encrypted chunk by chunk: it decrypts without the pool
+  const { blob: serial } = await Decryptor.decryptFile(blob, { password: PASSWORD });
+  assert.ok(Buffer.from(await serial.arrayBuffer()).equals(Buffer.from(plaintext)));
+
+  const decryptIndexes = [];
+  const { blob: parallel } = await Decryptor.decryptFile(blob, { password: PASSWORD }, (progress, index) => decryptIndexes.push(index), pool);
+  assert.deepEqual(decryptIndexes, [0, 1, 2, 3, 4]);
+  assert.ok(Buffer.from(await parallel.arrayBuffer()).equals(Buffer.from(plaintext)));
+  pool.terminate();
+});
+
+test('fails a file with a damaged chunk on the pool', async () => {
+  const pool = new CryptoPool(() => new FakeWorker(), 2);
+  const { blob } = await Encryptor.encryptFile(new Blob([createPlaintext(2 * CHUNK_SIZE + 10)]), {
+    filename: 'data.bin', mimeType: 'application/octet-stream', password: PASSWORD, kdf: FAST_KDF
+  });
+  const parsed = await Decryptor.parseEncryptedFile(blob);
+  const bytes = new Uint8Array(await blob.arrayBuffer());
+  bytes[parsed.payloadStart + CHUNK_SIZE + 100] ^= 1;
+
+  await assert.rejects(Decryptor.decryptFile(new Blob([bytes]), { password: PASSWORD }, null, pool), /Decryption failed/);
+  pool.terminate();
+});
+
+test('starts workers on demand up to the pool size and queues the rest', async () => {
+  FakeWorker.reset();
+  const pool = new CryptoPool(() => new FakeWorker(), 2);
+  const stream = { cipher: 'aes-256-gcm', key: await KeyManager.generateRandomKey(), iv: KeyManager.generateIV(), aad: new Uint8Array(4) };
+
+  const results = await Promise.all([0, 1, 2, 3, 4].map(index => pool.encryptChunk(new Uint8Array([index]), stream, index, index === 4)));
+  assert.equal(FakeWorker.started, 2);
+  assert.equal(FakeWorker.maxBusy, 2);
+  assert.ok(results.every(result => result.byteLength === 17));
+  assert.equal(pool.concurrency, 4);
+  pool.terminate();
+});
+
+test('does not detach a view over a larger buffer', async () => {
+  const pool = new CryptoPool(() => new FakeWorker(), 1);
+  const stream = { cipher: 'aes-256-gcm', key: await KeyManager.generateRandomKey(), iv: KeyManager.generateIV(), aad: new Uint8Array(4) };
+  const buffer = new Uint8Array(64).fill(7);
+
+  await pool.encryptChunk(buffer.subarray(0, 32), stream, 0, true);
+  assert.equal(buffer.byteLength, 64);
+  assert.equal(buffer[40], 7);
+  pool.terminate();
+});
+
+test('rejects failed tasks and replaces crashed workers', async () => {
+  FakeWorker.reset();
+  const pool = new CryptoPool(() => new FakeWorker(), 1);
+
+  await assert.rejects(pool.run('encrypt-chunk', { fail: true }, []), /Chunk failed/);
+
+  const [slot] = pool.workers;
+  const pending = pool.run('encrypt-chunk', { fail: true }, []);
+  slot.worker.onerror({ message: 'out of memory', preventDefault() {} });
+  await assert.rejects(pending, /Crypto worker failed: out of memory/);
+  assert.equal(pool.workers.length, 0);
+
+  await assert.rejects(pool.run('encrypt-chunk', { fail: true }, []), /Chunk failed/);
+  assert.equal(FakeWorker.started, 2);
+  pool.terminate();
+});
+
+test('rejects pending tasks when terminated', async () => {
+  const pool = new CryptoPool(() => new FakeWorker(), 1);
+  const running = pool.run('encrypt-chunk', { fail: true }, []);
+  const queued = pool.run('encrypt-chunk', { fail: true }, []);
+
+  pool.terminate();
+  await assert.rejects(running, /Crypto pool terminated/);
+  await assert.rejects(queued, /Crypto pool terminated/);
+});
@@ -0,0 +1,106 @@
+/**
+ * Decrypt Range - byte ranges across chunk boundaries, clamping, padding and tampering
+ */
+
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { Decryptor } from '../src/crypto/decryptor.js';
+import { Encryptor } from '../src/crypto/encryptor.js';
+import { KeyManager } from '../src/crypto/key-manager.js';
+import { CHUNK_SIZE } from '../src/file-handling/chunked-reader.js';
+import { TAG_LENGTH } from '../src/crypto/stream-format.js';
+
+// Two full chunks and a short third one
+const PLAINTEXT_SIZE = 2 * CHUNK_SIZE + 1000;
+
+let plaintext;
+let file;
+let credentials;
+
+function createPlaintext(size) {
+  return Uint8Array.from({ length: size }, (_, i) => (i * 37 + (i >>> 13)) & 0xff);
+}
+
+async function encrypt(data, options = {}) {
+  const { blob, keyData } = await Encryptor.encryptFile(new Blob([data]), {
+    filename: 'video.mp4', mimeType: 'video/mp4', password: null, ...options
+  });
+  return { blob, credentials: { key: KeyManager.encodeKeyString(keyData) } };
+}
+
+async function assertRange(start, end, expectedStart, expectedEnd) {
+  const { data, size } = await Decryptor.decryptRange(file, credentials, start, end);
+  assert.equal(size, PLAINTEXT_SIZE);
+  assert.ok(
+    Buffer.from(data).equals(Buffer.from(plaintext.subarray(expectedStart, expectedEnd))),
+    `range ${start}-${end}`
+  );
+}
+
+before(async () => {
+  plaintext = createPlaintext(PLAINTEXT_SIZE);
+  ({ blob: file, credentials } = await encrypt(plaintext));
+});
+
+test('decrypts ranges inside one chunk', async () => {
+  await assertRange(0, 1, 0, 1);
+  await assertRange(100, 5000, 100, 5000);
+  await assertRange(CHUNK_SIZE - 1, CHUNK_SIZE, CHUNK_SIZE - 1, CHUNK_SIZE);
+  await assertRange(CHUNK_SIZE, CHUNK_SIZE + 1, CHUNK_SIZE, CHUNK_SIZE + 1);
+});
+
+test('decrypts ranges across chunk boundaries', async () => {
+  await assertRange(CHUNK_SIZE - 1, CHUNK_SIZE + 1, CHUNK_SIZE - 1, CHUNK_SIZE + 1);
+  await assertRange(CHUNK_SIZE - 10, 2 * CHUNK_SIZE + 10, CHUNK_SIZE - 10, 2 * CHUNK_SIZE + 10);
+  await assertRange(0, PLAINTEXT_SIZE, 0, PLAINTEXT_SIZE);
+});
+
+test('clamps ranges to the plaintext size', async () => {
+  await assertRange(PLAINTEXT_SIZE - 10, PLAINTEXT_SIZE + 100, PLAINTEXT_SIZE - 10, PLAINTEXT_SIZE);
+  await assertRange(PLAINTEXT_SIZE, PLAINTEXT_SIZE + 10, 0, 0);
+  await assertRange(PLAINTEXT_SIZE + 10, PLAINTEXT_SIZE + 20, 0, 0);
+  await assertRange(500, 500, 0, 0);
+});
+
+test('rejects invalid ranges', async () => {
+  await assert.rejects(Decryptor.decryptRange(file, credentials, -1, 10), /Invalid byte range/);
+  await assert.rejects(Decryptor.decryptRange(file, credentials, 10, 5), /Invalid byte range/);
+  await assert.rejects(Decryptor.decryptRange(file, credentials, 0.5, 10), /Invalid byte range/);
+});
+
+test('reads only the chunks a range overlaps', async () => {
+  const parsed = await Decryptor.parseEncryptedFile(file);
+  const bytes = new Uint8Array(await file.arrayBuffer());
+  bytes[parsed.payloadStart + 5] ^= 1;
+  const damaged = new Blob([bytes]);
+
+  const { data } = await Decryptor.decryptRange(damaged, credentials, CHUNK_SIZE + 1, CHUNK_SIZE + 11);
+  assert.ok(Buffer.from(data).equals(Buffer.from(plaintext.subarray(CHUNK_SIZE + 1, CHUNK_SIZE + 11))));
+  await assert.rejects(Decryptor.decryptRange(damaged, credentials, CHUNK_SIZE - 1, CHUNK_SIZE + 1), /Decryption failed/);
+});
+
+test('rejects a file with a chunk missing', async () => {
+  const parsed = await Decryptor.parseEncryptedFile(file);
+  const truncated = file.slice(0, parsed.payloadStart + 2 * (CHUNK_SIZE + TAG_LENGTH));
+
+  await assert.rejects(Decryptor.decryptRange(truncated, credentials, 0, 10), /chunk count mismatch/);
+});
+
+test('leaves padding out of the plaintext size', async () => {
+  const data = createPlaintext(1000);
+  const padded = await encrypt(data, { padding: 'padme' });
+
+  const { data: range, size } = await Decryptor.decryptRange(padded.blob, padded.credentials, 990, 2000);
+  assert.equal(size, 1000);
+  assert.ok(Buffer.from(range).equals(Buffer.from(data.subarray(990))));
+});
+
+test('refuses compressed files', async () => {
+  const compressed = await encrypt(new TextEncoder().encode('a'.repeat(1000)), { compression: 'gzip' });
+
+  await assert.rejects(
+    Decryptor.decryptRange(compressed.blob, compressed.credentials, 0, 10),
+    /Compressed files can only be decrypted as a whole/
+  );
+});
@@ -0,0 +1,72 @@
+/**
+ * Diceware - EFF wordlist passphrases with exact entropy
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { Diceware, PASSPHRASE_SEPARATORS } from '../src/crypto/diceware.js';
+import { EFF_LARGE_WORDLIST } from '../src/crypto/wordlists/eff-large.js';
+
+const WORDS = new Set(EFF_LARGE_WORDLIST);
+
+test('ships the complete EFF large wordlist', () => {
+  assert.equal(EFF_LARGE_WORDLIST.length, 7776);
+  assert.equal(WORDS.size, 7776);
+  assert.equal(EFF_LARGE_WORDLIST[0], 'abacus');
+  assert.equal(EFF_LARGE_WORDLIST[7775], 'zoom');
+  assert.ok(EFF_LARGE_WORDLIST.every(word => /^[a-z]+(-[a-z]+)?$/.test(word)));
+  assert.deepEqual([...EFF_LARGE_WORDLIST].sort(), [...EFF_LARGE_WORDLIST]);
+  assert.ok(Object.isFrozen(EFF_LARGE_WORDLIST));
+});
+
+test('computes the exact entropy', () => {
+  const perWord = Math.log2(7776);
+
+  assert.ok(Math.abs(perWord - 12.925) < 0.001);
+  assert.equal(Diceware.entropyBits(6, 'none'), 6 * perWord);
+  assert.equal(Diceware.entropyBits(6, 'words'), 6 * perWord);
+  assert.equal(Diceware.entropyBits(6, 'random'), 6 * (perWord + 1));
+});
+
+test('draws words from the list with the chosen separator', () => {
+  for (const separator of PASSPHRASE_SEPARATORS.filter(candidate => candidate !== '-')) {
+    const { passphrase, bits } = Diceware.generate({ words: 8, separator });
+    const words = passphrase.split(separator);
+
+    assert.equal(words.length, 8);
+    assert.ok(words.every(word => WORDS.has(word)), passphrase);
+    assert.equal(bits, Diceware.entropyBits(8, 'none'));
+  }
+});
+
+test('defaults to six lowercase words joined by hyphens', () => {
+  const { passphrase, bits } = Diceware.generate();
+
+  assert.match(passphrase, /^[a-z-]+$/);
+  assert.ok(bits > 77 && bits < 78);
+});
+
+test('capitalizes every word or words at random', () => {
+  const capitalized = Diceware.generate({ words: 12, separator: ' ', capitalization: 'words' }).passphrase.split(' ');
+  assert.ok(capitalized.every(word => /^[A-Z]/.test(word) && WORDS.has(word[0].toLowerCase() + word.slice(1))));
+
+  // 200 random words: all lowercase or all capitalized has probability 2^-199
+  const random = Array.from({ length: 20 }, () => Diceware.generate({ words: 10, separator: ' ', capitalization: 'random' }).passphrase.split(' ')).flat();
+  assert.ok(random.some(word => /^[A-Z]/.test(word)));
+  assert.ok(random.some(word => /^[a-z]/.test(word)));
+});
+
+test('does not repeat passphrases', () => {
+  const passphrases = new Set(Array.from({ length: 100 }, () => Diceware.generate({ words: 4 }).passphrase));
+
+  assert.equal(passphrases.size, 100);
+});
+
+test('rejects unsupported settings', () => {
+  assert.throws(() => Diceware.generate({ words: 3 }), /between 4 and 12/);
+  assert.throws(() => Diceware.generate({ words: 13 }), /between 4 and 12/);
+  assert.throws(() => Diceware.generate({ words: 5.5 }), /between 4 and 12/);
+  assert.throws(() => Diceware.generate({ separator: '' }), /Unsupported separator/);
+  assert.throws(() => Diceware.generate({ capitalization: 'upper' }), /Unsupported capitalization/);
+});
@@ -0,0 +1,107 @@
+/**
+ * File Format - Files are identified by their magic bytes, never by their name
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { Encryptor } from '../src/crypto/encryptor.js';
+import { FileFormat, FILE_MAGIC, PREAMBLE_LENGTH } from '../src/crypto/file-format.js';
+import { FormatReaders } from '../src/crypto/format-readers.js';
+import { Volumes } from '../src/file-handling/volumes.js';
+import { FileValidator } from '../src/utils/validation.js';
+
+async function encrypt() {
+  const { blob } = await Encryptor.encryptFile(new Blob(['hello']), { filename: 'hello.txt', mimeType: 'text/plain', password: null });
+  return blob;
+}
+
+/**
+ * A minimal version 1.0 file: salt, IV, payload, then plaintext metadata and its length
+ * @returns {Blob}
+ */
+function createLegacyFile() {
+  const metadata = new TextEncoder().encode(JSON.stringify({ version: '1.0', filename: 'old.txt', chunksCount: 1 }));
+  const length = new Uint8Array(4);
+  new DataView(length.buffer).setUint32(0, metadata.length, true);
+  return new Blob([new Uint8Array(28 + 32), metadata, length]);
+}
+
+test('identifies an encrypted file whatever it is called', async () => {
+  const blob = await encrypt();
+  const renamed = new File([blob], 'holiday-photo.jpg', { type: 'image/jpeg' });
+
+  const format = await FormatReaders.identify(renamed);
+  assert.equal(format.isEndecrypt, true);
+  assert.equal(format.version, 2);
+  assert.equal(format.supported, true);
+  assert.ok(format.headerEnd > PREAMBLE_LENGTH);
+  assert.equal(FileFormat.describe(format), 'This is an Endecrypt file (version 2)');
+});
+
+test('writes the magic and version at the start of every file', async () => {
+  const start = new Uint8Array(await (await encrypt()).slice(0, PREAMBLE_LENGTH).arrayBuffer());
+
+  assert.deepEqual(start.subarray(0, FILE_MAGIC.length), FILE_MAGIC);
+  assert.equal(start[FILE_MAGIC.length], 2);
+});
+
+test('recognises version 1.0 files by their trailing metadata', async () => {
+  const format = await FormatReaders.identify(createLegacyFile());
+
+  assert.equal(format.isEndecrypt, true);
+  assert.equal(format.version, 1);
+  assert.equal(format.supported, true);
+});
+
+test('reports truncated files and versions from the future', async () => {
+  const truncated = await FormatReaders.identify(new Blob([FILE_MAGIC]));
+  assert.equal(FileFormat.describe(truncated), 'This is a truncated Endecrypt file');
+
+  const future = await FormatReaders.identify(new Blob([FileFormat.createPreamble(9, 2), '{}']));
+  assert.equal(future.supported, false);
+  assert.equal(FileFormat.describe(future), 'This is an Endecrypt file (version 9), which this app cannot read');
+});
+
+test('names other known formats', async () => {
+  const cases = [
+    [new Uint8Array([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]), 'a PNG image'],
+    [new TextEncoder().encode('%PDF-1.7'), 'a PDF document'],
+    [new Uint8Array([0x50, 0x4b, 0x03, 0x04, 0x14]), 'a ZIP archive'],
+    [new TextEncoder().encode('age-encryption.org/v1\n'), 'an age encrypted file']
+  ];
+
+  for (const [bytes, name] of cases) {
+    const format = await FileFormat.identify(new Blob([bytes]));
+    assert.equal(format.isEndecrypt, false);
+    assert.equal(FileFormat.describe(format), `This isn't an Endecrypt file (it looks like ${name})`);
+  }
+});
+
+test('rejects unknown content', async () => {
+  const format = await FileFormat.identify(new Blob(['just some notes, nothing encrypted here']));
+
+  assert.equal(format.isEndecrypt, false);
+  assert.equal(FileFormat.describe(format), "This isn't an Endecrypt file");
+});
+
+test('asks for all parts when given one volume of a split file', async () => {
+  const volumes = Volumes.split(new Blob([new Uint8Array(3000)]), 'big.enc', 2048);
+  const format = await FormatReaders.identify(volumes[1].blob);
+
+  assert.equal(format.isEndecrypt, false);
+  assert.deepEqual(format.volume, { index: 2, count: 3 });
+  assert.equal(FileFormat.describe(format), 'This is Endecrypt volume 2 of 3; select all parts together');
+
+  const validation = await FileValidator.validateEncryptedFile(volumes[1].blob);
+  assert.equal(validation.valid, false);
+  assert.equal(validation.error, 'This is Endecrypt volume 2 of 3; select all parts together');
+});
+
+test('still recognises a volume with a damaged header', async () => {
+  const damaged = new Blob(['EDVOLUME', new Uint8Array([5, 0, 0, 0]), '{oops']);
+  const format = await FileFormat.identify(damaged);
+
+  assert.deepEqual(format.volume, { index: null, count: null });
+  assert.equal(FileFormat.describe(format), 'This is a damaged volume of a split Endecrypt file; select all parts together');
+});
@@ -0,0 +1,61 @@
+/**
+ * File Metadata - The filename and MIME type are encrypted and the header is authenticated
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { Encryptor } from '../src/crypto/encryptor.js';
+import { Decryptor } from '../src/crypto/decryptor.js';
+import { KeyManager } from '../src/crypto/key-manager.js';
+import { Encoding } from '../src/utils/encoding.js';
+
+const PASSWORD = 'correct horse battery staple';
+const OPTIONS = { filename: 'tax-return-2025.pdf', mimeType: 'application/pdf', password: PASSWORD };
+
+/**
+ * Replace the header of a file, keeping the rest of its bytes
+ * @param {Blob} file - Encrypted file
+ * @param {function(object): object} edit - Gets the parsed header, returns the new one
+ * @returns {Promise<Blob>}
+ */
+async function replaceHeader(file, edit) {
+  const { header, headerBytes } = await Decryptor.parseEncryptedFile(file);
+  return new Blob([Encryptor.serializeHeader(edit({ ...header })), file.slice(headerBytes.length)]);
+}
+
+test('round-trips the metadata', async () => {
+  const { blob: file } = await Encryptor.encryptFile(new Blob(['hello']), OPTIONS);
+
+  const { blob, metadata } = await Decryptor.decryptFile(file, { password: PASSWORD });
+  assert.equal(metadata.filename, OPTIONS.filename);
+  assert.equal(metadata.mimeType, OPTIONS.mimeType);
+  assert.equal(await blob.text(), 'hello');
+});
+
+test('keeps the filename and MIME type out of the plaintext', async () => {
+  const { blob: file } = await Encryptor.encryptFile(new Blob(['hello']), OPTIONS);
+  const contents = Buffer.from(await file.arrayBuffer()).toString('latin1');
+
+  assert.ok(!contents.includes('tax-return'));
+  assert.ok(!contents.includes('application/pdf'));
+
+  const { header, keySlots } = await Decryptor.parseEncryptedFile(file);
+  assert.equal(header.filename, undefined);
+  assert.equal(keySlots.passwords.length, 1);
+});
+
+test('rejects a file whose header was edited', async () => {
+  const { blob: original } = await Encryptor.encryptFile(new Blob(['hello']), OPTIONS);
+  const file = await replaceHeader(original, header => ({ ...header, chunkSize: header.chunkSize / 2 }));
+
+  await assert.rejects(Decryptor.decryptFile(file, { password: PASSWORD }), /Decryption failed/);
+});
+
+test('rejects a file whose header names another base IV', async () => {
+  const { blob: original, keyData } = await Encryptor.encryptFile(new Blob(['hello']), { ...OPTIONS, password: null });
+  // The key still matches, so only the header AAD catches the change
+  const file = await replaceHeader(original, header => ({ ...header, iv: Encoding.toBase64(KeyManager.generateIV()) }));
+
+  await assert.rejects(Decryptor.decryptFile(file, { key: KeyManager.encodeKeyString(keyData) }), /Decryption failed/);
+});
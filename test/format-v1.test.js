@@ -0,0 +1,125 @@
+/**
+ * Format V1 - Multi-chunk version 1.0 files decrypt and upgrade
+ *
+ * The fixture is written the way the 1.0 app wrote files: CHUNK_SIZE plaintext chunks, each
+ * its own AES-GCM message under the same key and IV, then the plaintext metadata and its length.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { Decryptor } from '../src/crypto/decryptor.js';
+import { FileUpgrader } from '../src/crypto/file-upgrader.js';
+import { KeyManager } from '../src/crypto/key-manager.js';
+import { CHUNK_SIZE } from '../src/file-handling/chunked-reader.js';
+
+const PASSWORD = 'correct horse battery staple';
+// Two full chunks and a short third one
+const PLAINTEXT_SIZE = 2 * CHUNK_SIZE + 12345;
+
+/**
+ * Encrypt like the 1.0 encryptor
+ * @param {Uint8Array} plaintext - File contents
+ * @param {string|null} password - Password, or null to embed the key in the metadata
+ * @returns {Promise<Blob>} [salt][IV][encrypted chunks...][metadata JSON][metadata length]
+ */
+async function encryptLegacy(plaintext, password) {
+  const salt = crypto.getRandomValues(new Uint8Array(16));
+  const iv = crypto.getRandomValues(new Uint8Array(12));
+
+  let key;
+  let keyData = null;
+  if (password) {
+    const material = await crypto.subtle.importKey('raw', new TextEncoder().encode(password), { name: 'PBKDF2' }, false, ['deriveKey']);
+    key = await crypto.subtle.deriveKey(
+      { name: 'PBKDF2', salt, iterations: 100000, hash: 'SHA-256' },
+      material,
+      { name: 'AES-GCM', length: 256 },
+      false,
+      ['encrypt', 'decrypt']
+    );
+  } else {
+    key = await crypto.subtle.generateKey({ name: 'AES-GCM', length: 256 }, true, ['encrypt', 'decrypt']);
+    keyData = new Uint8Array(await crypto.subtle.exportKey('raw', key));
+  }
+
+  const chunks = [];
+  for (let offset = 0; offset < plaintext.length; offset += CHUNK_SIZE) {
+    const chunk = plaintext.subarray(offset, Math.min(offset + CHUNK_SIZE, plaintext.length));
+    chunks.push(new Uint8Array(await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, chunk)));
+  }
+
+  const metadata = new TextEncoder().encode(JSON.stringify({
+    version: '1.0',
+    filename: 'archive.bin',
+    mimeType: 'application/octet-stream',
+    hasPassword: !!password,
+    chunksCount: chunks.length,
+    timestamp: Date.now(),
+    key: keyData ? Array.from(keyData) : null
+  }));
+  const length = new Uint8Array(4);
+  new DataView(length.buffer).setUint32(0, metadata.length, true);
+
+  return new Blob([salt, iv, ...chunks, metadata, length], { type: 'application/octet-stream' });
+}
+
+function createPlaintext() {
+  const plaintext = new Uint8Array(PLAINTEXT_SIZE);
+  for (let i = 0; i < plaintext.length; i++) {
+    plaintext[i] = (i * 31 + (i >>> 11)) & 0xff;
+  }
+  return plaintext;
+}
+
+async function assertContents(blob, plaintext) {
+  const bytes = new Uint8Array(await blob.arrayBuffer());
+  assert.equal(bytes.length, plaintext.length);
+  assert.ok(Buffer.from(bytes).equals(Buffer.from(plaintext)), 'decrypted bytes differ from the plaintext');
+}
+
+test('decrypts a multi-chunk 1.0 file with a password', async () => {
+  const plaintext = createPlaintext();
+  const file = await encryptLegacy(plaintext, PASSWORD);
+
+  const indexes = [];
+  const { blob, metadata } = await Decryptor.decryptFile(file, { password: PASSWORD }, (progress, index) => indexes.push(index));
+
+  assert.equal(metadata.chunksCount, 3);
+  assert.deepEqual(indexes, [0, 1, 2]);
+  await assertContents(blob, plaintext);
+});
+
+test('decrypts a multi-chunk 1.0 file with an embedded key', async () => {
+  const plaintext = createPlaintext();
+  const { blob } = await Decryptor.decryptFile(await encryptLegacy(plaintext, null), {});
+
+  await assertContents(blob, plaintext);
+});
+
+test('rejects a multi-chunk 1.0 file with a chunk missing', async () => {
+  const file = await encryptLegacy(createPlaintext(), null);
+  const truncated = new Blob([file.slice(0, 28 + CHUNK_SIZE + 16), file.slice(28 + 2 * (CHUNK_SIZE + 16))]);
+
+  await assert.rejects(Decryptor.decryptFile(truncated, {}), /chunk count mismatch/);
+});
+
+test('upgrades a multi-chunk 1.0 file to the current format', async () => {
+  const plaintext = createPlaintext();
+  const upgraded = await FileUpgrader.upgradeFile(await encryptLegacy(plaintext, PASSWORD), { password: PASSWORD });
+
+  assert.equal(upgraded.status, 'upgraded');
+  assert.equal(upgraded.fromVersion, 1);
+  const parsed = await Decryptor.parseEncryptedFile(upgraded.blob);
+  assert.equal(parsed.version, 2);
+  await assertContents((await Decryptor.decryptFile(upgraded.blob, { password: PASSWORD })).blob, plaintext);
+});
+
+test('upgrades a password-less multi-chunk 1.0 file under a new key', async () => {
+  const plaintext = createPlaintext();
+  const upgraded = await FileUpgrader.upgradeFile(await encryptLegacy(plaintext, null), {});
+
+  assert.ok(upgraded.keyData);
+  const { blob } = await Decryptor.decryptFile(upgraded.blob, { key: KeyManager.encodeKeyString(upgraded.keyData) });
+  await assertContents(blob, plaintext);
+});
@@ -0,0 +1,79 @@
+/**
+ * Key Derivation - Argon2id and PBKDF2 parameters are recorded with the password and checked
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { Encryptor } from '../src/crypto/encryptor.js';
+import { Decryptor } from '../src/crypto/decryptor.js';
+import { KeyManager, KDF_PRESETS, DEFAULT_KDF } from '../src/crypto/key-manager.js';
+
+const PASSWORD = 'correct horse battery staple';
+// Small enough to keep the tests fast; files use KDF_PRESETS.argon2id
+const FAST_ARGON2ID = { name: 'Argon2id', memory: 256, iterations: 1, parallelism: 1 };
+
+/**
+ * Whether two keys are the same, by decrypting with one what the other encrypted
+ * @param {CryptoKey} first - AES-GCM key
+ * @param {CryptoKey} second - AES-GCM key
+ * @returns {Promise<boolean>}
+ */
+async function sameKey(first, second) {
+  const iv = KeyManager.generateIV();
+  const ciphertext = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, first, new Uint8Array(16));
+  try {
+    await crypto.subtle.decrypt({ name: 'AES-GCM', iv }, second, ciphertext);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+test('uses the RFC 9106 parameters for the Argon2id preset', () => {
+  assert.deepEqual({ ...KDF_PRESETS.argon2id }, { name: 'Argon2id', memory: 65536, iterations: 3, parallelism: 4 });
+  assert.equal(KDF_PRESETS.pbkdf2, DEFAULT_KDF);
+});
+
+test('derives the same Argon2id key for the same password and salt only', async () => {
+  const salt = KeyManager.generateSalt();
+  const key = await KeyManager.deriveKey(PASSWORD, salt, FAST_ARGON2ID);
+
+  assert.ok(await sameKey(key, await KeyManager.deriveKey(PASSWORD, salt, FAST_ARGON2ID)));
+  assert.ok(!await sameKey(key, await KeyManager.deriveKey(`${PASSWORD}!`, salt, FAST_ARGON2ID)));
+  assert.ok(!await sameKey(key, await KeyManager.deriveKey(PASSWORD, KeyManager.generateSalt(), FAST_ARGON2ID)));
+  assert.ok(!await sameKey(key, await KeyManager.deriveKey(PASSWORD, salt, { ...FAST_ARGON2ID, iterations: 2 })));
+});
+
+test('records the KDF in the password slot and decrypts with it', async () => {
+  const { blob: file } = await Encryptor.encryptFile(new Blob(['hello']), {
+    filename: 'hello.txt', mimeType: 'text/plain', password: PASSWORD, kdf: FAST_ARGON2ID
+  });
+
+  const { keySlots } = await Decryptor.parseEncryptedFile(file);
+  assert.deepEqual(keySlots.passwords[0].kdf, FAST_ARGON2ID);
+  assert.equal(await (await Decryptor.decryptFile(file, { password: PASSWORD })).blob.text(), 'hello');
+  await assert.rejects(Decryptor.decryptFile(file, { password: 'wrong' }), /Decryption failed/);
+});
+
+test('defaults to PBKDF2 when no KDF is chosen', async () => {
+  const { blob: file } = await Encryptor.encryptFile(new Blob(['hello']), { filename: 'hello.txt', mimeType: 'text/plain', password: PASSWORD });
+
+  assert.deepEqual((await Decryptor.parseEncryptedFile(file)).keySlots.passwords[0].kdf, DEFAULT_KDF);
+});
+
+test('rejects unknown functions and out-of-range parameters', async () => {
+  const salt = KeyManager.generateSalt();
+
+  await assert.rejects(KeyManager.deriveKey(PASSWORD, salt, { name: 'scrypt' }), /Unsupported key derivation function/);
+  for (const kdf of [
+    { ...DEFAULT_KDF, iterations: 0 },
+    { ...DEFAULT_KDF, hash: 'SHA-1' },
+    { ...FAST_ARGON2ID, memory: 4 },
+    { ...FAST_ARGON2ID, memory: 2 * 1024 * 1024 },
+    { ...FAST_ARGON2ID, iterations: 1000 },
+    { ...FAST_ARGON2ID, parallelism: 0 }
+  ]) {
+    await assert.rejects(KeyManager.deriveKey(PASSWORD, salt, kdf), /Invalid key derivation parameters/, JSON.stringify(kdf));
+  }
+});
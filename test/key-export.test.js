@@ -0,0 +1,62 @@
+/**
+ * Key Export - Password-less files never carry their key; it is handed over as a key string
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { Encryptor } from '../src/crypto/encryptor.js';
+import { Decryptor } from '../src/crypto/decryptor.js';
+import { KeyManager } from '../src/crypto/key-manager.js';
+import { Encoding } from '../src/utils/encoding.js';
+
+const OPTIONS = { filename: 'notes.txt', mimeType: 'text/plain', password: null };
+
+test('keeps the key of a password-less file out of the container', async () => {
+  const { blob: file, keyData } = await Encryptor.encryptFile(new Blob(['secret notes']), OPTIONS);
+  const contents = Buffer.from(await file.arrayBuffer());
+
+  assert.equal(keyData.length, 32);
+  assert.equal(contents.indexOf(Buffer.from(keyData)), -1);
+  assert.ok(!contents.toString('latin1').includes(Encoding.toBase64(keyData)));
+
+  const parsed = await Decryptor.parseEncryptedFile(file);
+  assert.equal(parsed.header.key, undefined);
+  assert.equal(Decryptor.getRequiredCredential(parsed), 'key');
+});
+
+test('decrypts with the exported key string', async () => {
+  const { blob: file, keyData } = await Encryptor.encryptFile(new Blob(['secret notes']), OPTIONS);
+  const keyString = KeyManager.encodeKeyString(keyData);
+
+  assert.match(keyString, /^[A-Za-z0-9_-]{43}$/);
+  // Key files may end with a newline
+  const { blob } = await Decryptor.decryptFile(file, { key: `${keyString}\n` });
+  assert.equal(await blob.text(), 'secret notes');
+});
+
+test('refuses to decrypt without the key', async () => {
+  const { blob: file } = await Encryptor.encryptFile(new Blob(['secret notes']), OPTIONS);
+
+  await assert.rejects(Decryptor.decryptFile(file, {}), /Decryption key required/);
+});
+
+test('rejects the key of another file', async () => {
+  const { blob: file } = await Encryptor.encryptFile(new Blob(['secret notes']), OPTIONS);
+  const { keyData: otherKey } = await Encryptor.encryptFile(new Blob(['other']), OPTIONS);
+
+  await assert.rejects(Decryptor.decryptFile(file, { key: KeyManager.encodeKeyString(otherKey) }), /Decryption failed/);
+});
+
+test('rejects malformed key strings', () => {
+  assert.throws(() => KeyManager.decodeKeyString('not a key!'), /Invalid decryption key format/);
+  assert.throws(() => KeyManager.decodeKeyString(Encoding.toBase64Url(new Uint8Array(16))), /Invalid decryption key length/);
+});
+
+test('base64url round-trips every byte value without padding', () => {
+  const bytes = Uint8Array.from({ length: 256 }, (_, i) => i);
+  const encoded = Encoding.toBase64Url(bytes);
+
+  assert.match(encoded, /^[A-Za-z0-9_-]+$/);
+  assert.deepEqual(Encoding.fromBase64Url(encoded), bytes);
+});
@@ -0,0 +1,94 @@
+/**
+ * Key Shares - Shamir K-of-N splitting of a file's data key and the share token checksum
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { Shamir, MAX_SHARES } from '../src/crypto/shamir.js';
+import { KeyShares } from '../src/crypto/key-shares.js';
+import { Encryptor } from '../src/crypto/encryptor.js';
+import { Decryptor } from '../src/crypto/decryptor.js';
+import { Encoding } from '../src/utils/encoding.js';
+
+const SECRET = Uint8Array.from({ length: 32 }, (_, i) => i * 7 + 1);
+
+/**
+ * Every k-element subset of a list
+ * @param {Array} items - Items
+ * @param {number} k - Subset size
+ * @returns {Array[]}
+ */
+function subsets(items, k) {
+  if (k === 0) return [[]];
+  if (items.length < k) return [];
+  const [first, ...rest] = items;
+  return [...subsets(rest, k - 1).map(subset => [first, ...subset]), ...subsets(rest, k)];
+}
+
+async function encryptWithKey() {
+  const { blob, keyData } = await Encryptor.encryptFile(new Blob(['escrowed']), {
+    filename: 'escrow.txt', mimeType: 'text/plain', password: null
+  });
+  return { file: blob, keyData, parsed: await Decryptor.parseEncryptedFile(blob) };
+}
+
+test('recovers the secret from every K of N shares', () => {
+  const shares = Shamir.split(SECRET, 5, 3);
+
+  assert.deepEqual(shares.map(share => share.x), [1, 2, 3, 4, 5]);
+  for (const subset of [...subsets(shares, 3), ...subsets(shares, 4), shares]) {
+    assert.deepEqual(Shamir.combine(subset), SECRET);
+  }
+});
+
+test('does not recover the secret from fewer than K shares', () => {
+  const shares = Shamir.split(SECRET, 5, 3);
+
+  for (const subset of subsets(shares, 2)) {
+    assert.notDeepEqual(Shamir.combine(subset), SECRET);
+  }
+});
+
+test('rejects invalid share parameters', () => {
+  assert.throws(() => Shamir.split(SECRET, 3, 1), /Invalid share parameters/);
+  assert.throws(() => Shamir.split(SECRET, 2, 3), /Invalid share parameters/);
+  assert.throws(() => Shamir.split(SECRET, MAX_SHARES + 1, 2), /Invalid share parameters/);
+});
+
+test('decrypts a file with K share tokens instead of its key', async () => {
+  const { file, keyData, parsed } = await encryptWithKey();
+  const tokens = await KeyShares.createShares(keyData, parsed.headerBytes, 3, 2);
+
+  assert.ok(tokens.every(token => token.startsWith('edshare1.')));
+  const { blob } = await Decryptor.decryptFile(file, { shares: [tokens[2], tokens[0]] });
+  assert.equal(await blob.text(), 'escrowed');
+});
+
+test('catches a mistyped share through its checksum', async () => {
+  const { keyData, parsed } = await encryptWithKey();
+  const [token] = await KeyShares.createShares(keyData, parsed.headerBytes, 3, 2);
+  const bytes = Encoding.fromBase64Url(token.slice('edshare1.'.length));
+  bytes[20] ^= 0x10;
+
+  await assert.rejects(KeyShares.decodeShare(`edshare1.${Encoding.toBase64Url(bytes)}`), /checksum mismatch/);
+  await assert.rejects(KeyShares.decodeShare('edshare1.AAAA'), /Invalid key share format/);
+});
+
+test('rejects shares of another file or another split', async () => {
+  const first = await encryptWithKey();
+  const second = await encryptWithKey();
+  const tokens = await KeyShares.createShares(first.keyData, first.parsed.headerBytes, 3, 2);
+  const otherSplit = await KeyShares.createShares(first.keyData, first.parsed.headerBytes, 3, 2);
+
+  await assert.rejects(KeyShares.combineShares(tokens.slice(0, 2), second.parsed.headerBytes), /different file/);
+  await assert.rejects(KeyShares.combineShares([tokens[0], otherSplit[1]], first.parsed.headerBytes), /different splits/);
+});
+
+test('asks for more shares below the threshold', async () => {
+  const { keyData, parsed } = await encryptWithKey();
+  const tokens = await KeyShares.createShares(keyData, parsed.headerBytes, 5, 3);
+
+  // A share entered twice counts once
+  await assert.rejects(KeyShares.combineShares([tokens[0], tokens[1], tokens[1]], parsed.headerBytes), /2 of 3 required/);
+});
@@ -0,0 +1,90 @@
+/**
+ * Key Slots - Passwords are added, changed and removed without touching the encrypted data
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { Encryptor } from '../src/crypto/encryptor.js';
+import { Decryptor } from '../src/crypto/decryptor.js';
+import { KeySlots, MAX_PASSWORD_SLOTS } from '../src/crypto/key-slots.js';
+
+const FIRST = 'first password';
+const SECOND = 'second password';
+// Slots use the cheapest valid parameters to keep the tests fast
+const FAST_KDF = { name: 'PBKDF2', hash: 'SHA-256', iterations: 1000 };
+
+async function encrypt(passwords = [FIRST]) {
+  const { blob } = await Encryptor.encryptFile(new Blob(['ledger']), {
+    filename: 'ledger.csv', mimeType: 'text/csv', passwords, kdf: FAST_KDF
+  });
+  return blob;
+}
+
+async function decryptText(file, password) {
+  return await (await Decryptor.decryptFile(file, { password })).blob.text();
+}
+
+/**
+ * Everything after the key slots block, which slot edits must leave byte-for-byte intact
+ * @param {Blob} file - Encrypted file
+ * @returns {Promise<Buffer>}
+ */
+async function dataAfterSlots(file) {
+  const { keySlotsEnd } = await Decryptor.parseEncryptedFile(file);
+  return Buffer.from(await file.slice(keySlotsEnd).arrayBuffer());
+}
+
+test('opens a file with any of its passwords', async () => {
+  const file = await encrypt([FIRST, SECOND]);
+
+  assert.equal((await KeySlots.list(file)).length, 2);
+  assert.equal(await decryptText(file, FIRST), 'ledger');
+  assert.equal(await decryptText(file, SECOND), 'ledger');
+});
+
+test('adds a password and keeps the encrypted data as is', async () => {
+  const file = await encrypt();
+  const updated = await KeySlots.addPassword(file, { password: FIRST }, { password: SECOND }, FAST_KDF);
+
+  assert.deepEqual(await KeySlots.list(updated), [{ kdf: 'PBKDF2', keyfile: false }, { kdf: 'PBKDF2', keyfile: false }]);
+  assert.equal(await decryptText(updated, SECOND), 'ledger');
+  assert.equal(await decryptText(updated, FIRST), 'ledger');
+  assert.ok((await dataAfterSlots(updated)).equals(await dataAfterSlots(file)));
+});
+
+test('changes a password so that only the new one opens its slot', async () => {
+  const updated = await KeySlots.changePassword(await encrypt(), { password: FIRST }, { password: SECOND }, FAST_KDF);
+
+  assert.equal(await decryptText(updated, SECOND), 'ledger');
+  await assert.rejects(decryptText(updated, FIRST), /Decryption failed/);
+});
+
+test('removes a password', async () => {
+  const updated = await KeySlots.removePassword(await encrypt([FIRST, SECOND]), { password: FIRST });
+
+  assert.equal((await KeySlots.list(updated)).length, 1);
+  assert.equal(await decryptText(updated, SECOND), 'ledger');
+  await assert.rejects(decryptText(updated, FIRST), /Decryption failed/);
+});
+
+test('refuses to remove the only password', async () => {
+  await assert.rejects(KeySlots.removePassword(await encrypt(), { password: FIRST }), /only password/);
+});
+
+test('refuses edits with a wrong password', async () => {
+  await assert.rejects(KeySlots.addPassword(await encrypt(), { password: 'wrong' }, { password: SECOND }, FAST_KDF), /Decryption failed/);
+});
+
+test('caps the number of password slots', async () => {
+  const passwords = Array.from({ length: MAX_PASSWORD_SLOTS }, (_, i) => `password ${i}`);
+  const file = await encrypt(passwords);
+
+  await assert.rejects(KeySlots.addPassword(file, { password: passwords[0] }, { password: SECOND }, FAST_KDF), /at most/);
+});
+
+test('rejects password-less files', async () => {
+  const { blob } = await Encryptor.encryptFile(new Blob(['x']), { filename: 'x', mimeType: 'text/plain', password: null });
+
+  await assert.rejects(KeySlots.list(blob), /Only password-protected files/);
+});
@@ -0,0 +1,75 @@
+/**
+ * Keyfiles - A keyfile is mixed into key derivation as a second factor or on its own
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { Encryptor } from '../src/crypto/encryptor.js';
+import { Decryptor } from '../src/crypto/decryptor.js';
+import { KeyManager } from '../src/crypto/key-manager.js';
+import { KeySlots } from '../src/crypto/key-slots.js';
+
+const PASSWORD = 'correct horse battery staple';
+const FAST_KDF = { name: 'PBKDF2', hash: 'SHA-256', iterations: 1000 };
+
+function createKeyfile(seed, size = 3 * 1024 * 1024 + 17) {
+  const bytes = new Uint8Array(size);
+  for (let i = 0; i < size; i++) {
+    bytes[i] = (i * seed + (i >>> 7)) & 0xff;
+  }
+  return new Blob([bytes]);
+}
+
+async function encrypt(options) {
+  const { blob } = await Encryptor.encryptFile(new Blob(['vault']), {
+    filename: 'vault.txt', mimeType: 'text/plain', kdf: FAST_KDF, ...options
+  });
+  return blob;
+}
+
+async function decryptText(file, credentials) {
+  return await (await Decryptor.decryptFile(file, credentials)).blob.text();
+}
+
+test('hashes a keyfile in slices to its SHA-256 digest', async () => {
+  const keyfile = createKeyfile(13);
+  const expected = new Uint8Array(await crypto.subtle.digest('SHA-256', await keyfile.arrayBuffer()));
+
+  assert.deepEqual(await KeyManager.hashKeyfile(keyfile), expected);
+});
+
+test('needs both the password and the keyfile when both were used', async () => {
+  const keyfile = createKeyfile(13);
+  const file = await encrypt({ password: PASSWORD, keyfile });
+
+  assert.deepEqual(await KeySlots.list(file), [{ kdf: 'PBKDF2', keyfile: true }]);
+  assert.equal(await decryptText(file, { password: PASSWORD, keyfile }), 'vault');
+  await assert.rejects(decryptText(file, { password: PASSWORD }), /Keyfile required/);
+  await assert.rejects(decryptText(file, { password: PASSWORD, keyfile: createKeyfile(29) }), /Decryption failed/);
+  await assert.rejects(decryptText(file, { password: 'wrong', keyfile }), /Decryption failed/);
+});
+
+test('opens with the keyfile alone when no password was set', async () => {
+  const keyfile = createKeyfile(13);
+  const file = await encrypt({ password: null, keyfile });
+
+  assert.equal(await decryptText(file, { keyfile }), 'vault');
+  await assert.rejects(decryptText(file, { keyfile: createKeyfile(29) }), /Decryption failed/);
+});
+
+test('adds a keyfile slot next to a password slot', async () => {
+  const keyfile = createKeyfile(13);
+  const file = await encrypt({ password: PASSWORD });
+  const updated = await KeySlots.addPassword(file, { password: PASSWORD }, { password: 'second', keyfile }, FAST_KDF);
+
+  assert.deepEqual((await KeySlots.list(updated)).map(slot => slot.keyfile), [false, true]);
+  assert.equal(await decryptText(updated, { password: 'second', keyfile }), 'vault');
+  assert.equal(await decryptText(updated, { password: PASSWORD }), 'vault');
+});
+
+test('refuses a new slot without a password or keyfile', async () => {
+  const file = await encrypt({ password: PASSWORD });
+
+  await assert.rejects(KeySlots.addPassword(file, { password: PASSWORD }, {}, FAST_KDF), /needs a password, a keyfile or both/);
+});
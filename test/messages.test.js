@@ -0,0 +1,90 @@
+/**
+ * Messages - compact text messages round-trip and reject damaged or foreign text
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { Messages, MESSAGE_PREFIX } from '../src/crypto/messages.js';
+import { KeyManager } from '../src/crypto/key-manager.js';
+import { Encoding } from '../src/utils/encoding.js';
+
+const PASSWORD = 'correct horse battery staple';
+const FAST_KDF = { name: 'PBKDF2', hash: 'SHA-256', iterations: 1000 };
+const FAST_ARGON2ID = { name: 'Argon2id', memory: 256, iterations: 1, parallelism: 1 };
+
+function flipBodyByte(message, index) {
+  const bytes = Encoding.fromBase64Url(message.slice(MESSAGE_PREFIX.length));
+  bytes[index < 0 ? bytes.length + index : index] ^= 1;
+  return `${MESSAGE_PREFIX}${Encoding.toBase64Url(bytes)}`;
+}
+
+test('round-trips a message with a password', async () => {
+  const text = 'Meet at the usual place, 7 pm 🕖';
+  const { message, keyData } = await Messages.encrypt(text, { password: PASSWORD, kdf: FAST_KDF });
+
+  assert.equal(keyData, null);
+  assert.match(message, /^edmsg1:[A-Za-z0-9_-]+$/);
+  assert.equal(await Messages.getRequiredCredential(message), 'password');
+  assert.equal(await Messages.decrypt(message, { password: PASSWORD }), text);
+  await assert.rejects(Messages.decrypt(message, { password: 'wrong' }), /Invalid password/);
+});
+
+test('round-trips a message with Argon2id', async () => {
+  const { message } = await Messages.encrypt('argon', { password: PASSWORD, kdf: FAST_ARGON2ID });
+
+  assert.equal(await Messages.decrypt(message, { password: PASSWORD }), 'argon');
+});
+
+test('round-trips a password-less message with its key', async () => {
+  const { message, keyData } = await Messages.encrypt('no password');
+  const key = KeyManager.encodeKeyString(keyData);
+
+  assert.equal(await Messages.getRequiredCredential(message), 'key');
+  assert.equal(await Messages.decrypt(message, { key }), 'no password');
+
+  const otherKey = KeyManager.encodeKeyString(crypto.getRandomValues(new Uint8Array(32)));
+  await assert.rejects(Messages.decrypt(message, { key: otherKey }), /Invalid key/);
+  await assert.rejects(Messages.decrypt(message, {}), /Key required/);
+});
+
+test('keeps short messages short', async () => {
+  const { message: keyed } = await Messages.encrypt('hi');
+  const { message: protectedMessage } = await Messages.encrypt('hi', { password: PASSWORD, kdf: FAST_KDF });
+
+  // [2 bytes: version, KDF][12 bytes: IV][2 bytes + 16-byte tag]
+  assert.equal(Encoding.fromBase64Url(keyed.slice(MESSAGE_PREFIX.length)).length, 32);
+  // ... plus 4 bytes of iterations and the 76-byte password slot
+  assert.equal(Encoding.fromBase64Url(protectedMessage.slice(MESSAGE_PREFIX.length)).length, 112);
+});
+
+test('accepts messages wrapped by chat clients', async () => {
+  const { message } = await Messages.encrypt('wrapped', { password: PASSWORD, kdf: FAST_KDF });
+  const wrapped = `\n  ${message.replace(/(.{40})/g, '$1\n ')}  \n`;
+
+  assert.equal(Messages.isMessage(wrapped), true);
+  assert.equal(await Messages.decrypt(wrapped, { password: PASSWORD }), 'wrapped');
+});
+
+test('rejects a modified header, ciphertext or KDF', async () => {
+  const { message } = await Messages.encrypt('tamper', { password: PASSWORD, kdf: FAST_KDF });
+
+  // The iteration count is bound to the password slot
+  await assert.rejects(Messages.decrypt(flipBodyByte(message, 2), { password: PASSWORD }), /Invalid password or corrupted/);
+  // The salt is part of the chunk's associated data too, but first it changes the derived key
+  await assert.rejects(Messages.decrypt(flipBodyByte(message, 10), { password: PASSWORD }), /Decryption failed/);
+  await assert.rejects(Messages.decrypt(flipBodyByte(message, -1), { password: PASSWORD }), /corrupted message/);
+  // Dropping the KDF turns the message into a password-less one, which the password cannot open
+  await assert.rejects(Messages.decrypt(flipBodyByte(message, 1), { password: PASSWORD }), /Key required/);
+});
+
+test('rejects truncated, foreign and malformed text', async () => {
+  const { message } = await Messages.encrypt('truncated', { password: PASSWORD, kdf: FAST_KDF });
+
+  await assert.rejects(Messages.decrypt(message.slice(0, MESSAGE_PREFIX.length + 40), { password: PASSWORD }), /too short/);
+  await assert.rejects(Messages.decrypt(message.slice(0, MESSAGE_PREFIX.length + 41), { password: PASSWORD }), /truncated/);
+  await assert.rejects(Messages.decrypt(`${message.slice(0, -1)}!`, { password: PASSWORD }), /unexpected characters/);
+  await assert.rejects(Messages.decrypt('hello there', { password: PASSWORD }), /Not an encrypted message/);
+  await assert.rejects(Messages.decrypt(flipBodyByte(message, 0), { password: PASSWORD }), /unsupported version/);
+  await assert.rejects(Messages.encrypt(''), /Message is empty/);
+});
@@ -0,0 +1,98 @@
+/**
+ * Padding - PADMÉ and power-of-two sizes, and padded files that decrypt to the exact plaintext
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { Padding } from '../src/file-handling/padding.js';
+import { Encryptor } from '../src/crypto/encryptor.js';
+import { Decryptor } from '../src/crypto/decryptor.js';
+import { KeyManager } from '../src/crypto/key-manager.js';
+import { CHUNK_SIZE } from '../src/file-handling/chunked-reader.js';
+import { TAG_LENGTH } from '../src/crypto/stream-format.js';
+
+function createPlaintext(size) {
+  return Uint8Array.from({ length: size }, (_, i) => (i * 17 + (i >>> 12)) & 0xff);
+}
+
+async function encrypt(plaintext, padding, compression = null) {
+  const { blob, keyData } = await Encryptor.encryptFile(new Blob([plaintext]), {
+    filename: 'padded.bin', mimeType: 'application/octet-stream', password: null, padding, compression
+  });
+  return { blob, credentials: { key: KeyManager.encodeKeyString(keyData) } };
+}
+
+async function payloadSize(blob) {
+  const parsed = await Decryptor.parseEncryptedFile(blob);
+  return parsed.payloadEnd - parsed.payloadStart;
+}
+
+test('computes PADMÉ sizes', () => {
+  const expected = [[0, 0], [1, 1], [2, 2], [9, 10], [100, 104], [1000, 1024], [1024, 1024], [1_000_000, 1_015_808]];
+  for (const [length, padded] of expected) {
+    assert.equal(Padding.paddedLength(length, 'padme'), padded, `length ${length}`);
+  }
+});
+
+test('keeps PADMÉ overhead within 12% and the sizes monotonic', () => {
+  let previous = 0;
+  for (let length = 2; length < 70_000; length += 7) {
+    const padded = Padding.paddedLength(length, 'padme');
+    assert.ok(padded >= length && padded >= previous);
+    assert.ok(padded - length <= length * 0.12, `length ${length}`);
+    previous = padded;
+  }
+  for (const length of [2 ** 31 - 1, 2 ** 40 + 12345, 2 ** 50 + 3]) {
+    const padded = Padding.paddedLength(length, 'padme');
+    assert.ok(Number.isSafeInteger(padded) && padded >= length && padded - length <= length * 0.12);
+  }
+});
+
+test('computes power-of-two sizes', () => {
+  const expected = [[0, 0], [1, 1], [3, 4], [4, 4], [5, 8], [1000, 1024], [2 ** 30 + 1, 2 ** 31]];
+  for (const [length, padded] of expected) {
+    assert.equal(Padding.paddedLength(length, 'power-of-two'), padded, `length ${length}`);
+  }
+});
+
+test('rejects unknown schemes', () => {
+  assert.throws(() => Padding.paddedLength(10, 'random'), /Unsupported padding scheme: random/);
+});
+
+test('hides the exact size of similar files', async () => {
+  const a = await encrypt(createPlaintext(1000), 'padme');
+  const b = await encrypt(createPlaintext(1010), 'padme');
+
+  assert.equal(await payloadSize(a.blob), 1024 + TAG_LENGTH);
+  assert.equal(await payloadSize(b.blob), await payloadSize(a.blob));
+});
+
+for (const scheme of ['padme', 'power-of-two']) {
+  test(`round-trips a ${scheme} file whose padding crosses a chunk boundary`, async () => {
+    const plaintext = createPlaintext(CHUNK_SIZE - 10);
+    const { blob, credentials } = await encrypt(plaintext, scheme);
+    const padded = Padding.paddedLength(plaintext.length, scheme);
+
+    assert.equal(await payloadSize(blob), padded + Math.ceil(padded / CHUNK_SIZE) * TAG_LENGTH);
+    const { blob: decrypted, metadata } = await Decryptor.decryptFile(blob, credentials);
+    assert.deepEqual(metadata.padding, { scheme, length: padded - plaintext.length });
+    assert.ok(Buffer.from(await decrypted.arrayBuffer()).equals(Buffer.from(plaintext)));
+  });
+}
+
+test('pads compressed output and round-trips it', async () => {
+  const plaintext = new TextEncoder().encode('compressible '.repeat(5000));
+  const { blob, credentials } = await encrypt(plaintext, 'power-of-two', 'gzip');
+
+  const size = await payloadSize(blob) - TAG_LENGTH;
+  assert.equal(size & (size - 1), 0, 'padded compressed size is a power of two');
+  const { blob: decrypted } = await Decryptor.decryptFile(blob, credentials);
+  assert.equal(await decrypted.text(), 'compressible '.repeat(5000));
+});
+
+test('pads an empty file to nothing', async () => {
+  const { blob, credentials } = await encrypt(new Uint8Array(0), 'padme');
+
+  assert.equal((await Decryptor.decryptFile(blob, credentials)).blob.size, 0);
+});
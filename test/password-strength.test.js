@@ -0,0 +1,70 @@
+/**
+ * Password Strength - zxcvbn guesses turned into crack times for the file's KDF
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { PasswordStrength, STRENGTH_LEVELS } from '../src/crypto/password-strength.js';
+import { DEFAULT_KDF, KDF_PRESETS } from '../src/crypto/key-manager.js';
+
+const PBKDF2_100K = { name: 'PBKDF2', hash: 'SHA-256', iterations: 100000 };
+const PBKDF2_1M = { name: 'PBKDF2', hash: 'SHA-256', iterations: 1000000 };
+
+test('rates common passwords very weak', async () => {
+  for (const password of ['password', 'Password1', 'qwerty123', 'p@ssw0rd', '12345678']) {
+    const result = await PasswordStrength.estimate(password, PBKDF2_100K);
+    assert.equal(result.level, 0, password);
+    assert.equal(result.label, 'Very weak');
+    assert.equal(result.crackTime, 'less than a second');
+  }
+});
+
+test('rates long random passphrases very strong', async () => {
+  const result = await PasswordStrength.estimate('correct horse battery staple zebra quantum', DEFAULT_KDF);
+
+  assert.equal(result.level, STRENGTH_LEVELS.length - 1);
+  assert.equal(result.crackTime, 'centuries');
+  assert.ok(result.bits > 60);
+});
+
+test('sees through patterns that look random', async () => {
+  const keyboardWalk = await PasswordStrength.estimate('qazwsxedcrfv', PBKDF2_100K);
+  const random = await PasswordStrength.estimate('k7#Vq9!mZ2@x', PBKDF2_100K);
+
+  assert.ok(keyboardWalk.guesses < random.guesses / 1e6);
+  assert.ok(keyboardWalk.level < random.level);
+});
+
+test('penalises the words an attacker would try first', async () => {
+  const plain = await PasswordStrength.estimate('quarterly-ledger', PBKDF2_100K);
+  const informed = await PasswordStrength.estimate('quarterly-ledger', PBKDF2_100K, ['quarterly', 'ledger']);
+
+  assert.ok(informed.guesses < plain.guesses);
+});
+
+test('gives feedback for weak passwords', async () => {
+  const result = await PasswordStrength.estimate('aaaaaaaa', PBKDF2_100K);
+
+  assert.ok(result.warning);
+  assert.ok(result.suggestions.length > 0);
+});
+
+test('scales crack times with the KDF cost', async () => {
+  const password = 'Tr0ub4dour&3';
+  const fast = await PasswordStrength.estimate(password, PBKDF2_100K);
+  const slow = await PasswordStrength.estimate(password, PBKDF2_1M);
+
+  assert.equal(fast.guesses, slow.guesses);
+  assert.ok(Math.abs(slow.crackSeconds / fast.crackSeconds - 10) < 1e-9);
+  assert.ok(PasswordStrength.guessesPerSecond(KDF_PRESETS.argon2id) < PasswordStrength.guessesPerSecond(PBKDF2_1M));
+});
+
+test('formats durations in the largest fitting unit', () => {
+  assert.equal(PasswordStrength.formatDuration(0.5), 'less than a second');
+  assert.equal(PasswordStrength.formatDuration(1), '1 second');
+  assert.equal(PasswordStrength.formatDuration(90), '2 minutes');
+  assert.equal(PasswordStrength.formatDuration(3 * 86400), '3 days');
+  assert.equal(PasswordStrength.formatDuration(31557600), '1 year');
+  assert.equal(PasswordStrength.formatDuration(100 * 31557600), 'centuries');
+});
@@ -0,0 +1,96 @@
+/**
+ * Recipients - Files encrypted to ECDH public keys open with the matching private key only
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { Encryptor } from '../src/crypto/encryptor.js';
+import { Decryptor } from '../src/crypto/decryptor.js';
+import { KeyManager } from '../src/crypto/key-manager.js';
+
+const OPTIONS = { filename: 'report.txt', mimeType: 'text/plain', password: null };
+
+async function createIdentity() {
+  const { publicKey, privateKey } = await KeyManager.generateKeyPair();
+  return {
+    publicKey: await KeyManager.exportPublicKey(publicKey),
+    privateKey: await KeyManager.exportPrivateKey(privateKey)
+  };
+}
+
+async function encryptFor(...identities) {
+  const recipients = await Promise.all(identities.map(identity => KeyManager.importPublicKey(identity.publicKey)));
+  return await Encryptor.encryptFile(new Blob(['quarterly numbers']), { ...OPTIONS, recipients });
+}
+
+test('exports and re-imports key pairs as text and JWK', async () => {
+  const alice = await createIdentity();
+
+  assert.match(alice.publicKey, /^edpk1\.[A-Za-z0-9_-]+$/);
+  assert.match(alice.privateKey, /^edsk1\.[A-Za-z0-9_-]+$/);
+
+  const { publicKey } = await KeyManager.importPrivateKey(alice.privateKey);
+  assert.equal(await KeyManager.exportPublicKey(publicKey), alice.publicKey);
+
+  const jwk = await KeyManager.exportPublicKey(await KeyManager.importPublicKey(alice.publicKey), 'jwk');
+  assert.equal(await KeyManager.exportPublicKey(await KeyManager.importPublicKey(JSON.stringify(jwk))), alice.publicKey);
+});
+
+test('decrypts with the private key of every recipient', async () => {
+  const alice = await createIdentity();
+  const bob = await createIdentity();
+  const { blob: file, keyData } = await encryptFor(alice, bob);
+
+  // The recipients hold the key, so none is exported
+  assert.equal(keyData, null);
+  const parsed = await Decryptor.parseEncryptedFile(file);
+  assert.equal(parsed.keySlots.recipients.length, 2);
+  assert.equal(Decryptor.getRequiredCredential(parsed), 'privateKey');
+
+  for (const identity of [alice, bob]) {
+    const { blob } = await Decryptor.decryptFile(file, { privateKey: identity.privateKey });
+    assert.equal(await blob.text(), 'quarterly numbers');
+  }
+});
+
+test('rejects a private key that is not a recipient', async () => {
+  const { blob: file } = await encryptFor(await createIdentity());
+  const mallory = await createIdentity();
+
+  await assert.rejects(Decryptor.decryptFile(file, { privateKey: mallory.privateKey }), /not encrypted for your key/);
+  await assert.rejects(Decryptor.decryptFile(file, {}), /Private key required/);
+});
+
+test('rejects a recipient entry copied onto another key id', async () => {
+  const alice = await createIdentity();
+  const mallory = await createIdentity();
+  const { blob: file } = await encryptFor(alice);
+  const { keySlots, keySlotsStart, keySlotsEnd } = await Decryptor.parseEncryptedFile(file);
+
+  // Mallory relabels Alice's slot with her own key id; unwrapping is bound to the recipient key
+  const { publicKey } = await KeyManager.importPrivateKey(mallory.privateKey);
+  const recipients = [{ ...keySlots.recipients[0], kid: await KeyManager.getKeyId(publicKey) }];
+  const forged = new Blob([
+    file.slice(0, keySlotsStart),
+    Encryptor.serializeMetadata({ ...keySlots, recipients }),
+    file.slice(keySlotsEnd)
+  ]);
+
+  await assert.rejects(Decryptor.decryptFile(forged, { privateKey: mallory.privateKey }));
+});
+
+test('refuses a password together with recipients', async () => {
+  const alice = await createIdentity();
+  const recipients = [await KeyManager.importPublicKey(alice.publicKey)];
+
+  await assert.rejects(
+    Encryptor.encryptFile(new Blob(['x']), { ...OPTIONS, password: 'secret', recipients }),
+    /either a password or recipients/
+  );
+});
+
+test('rejects malformed public keys', async () => {
+  await assert.rejects(KeyManager.importPublicKey('edpk1.AAAA'), /Invalid public key/);
+  await assert.rejects(KeyManager.importPublicKey('not a key'), /Invalid public key/);
+});
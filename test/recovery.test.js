@@ -0,0 +1,182 @@
+/**
+ * Recovery - Reed-Solomon records repair damage up to their parity, on the worker too
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { Recovery } from '../src/file-handling/recovery.js';
+import { RecoveryRunner } from '../src/workers/recovery-runner.js';
+import { Encryptor } from '../src/crypto/encryptor.js';
+import { Decryptor } from '../src/crypto/decryptor.js';
+import { KeySlots } from '../src/crypto/key-slots.js';
+
+const PASSWORD = 'correct horse battery staple';
+const FAST_KDF = { name: 'PBKDF2', hash: 'SHA-256', iterations: 1000 };
+const FOOTER_LENGTH = 48;
+
+function createData(size) {
+  return Uint8Array.from({ length: size }, (_, i) => (i * 41 + (i >>> 7)) & 0xff);
+}
+
+async function bytesOf(blob) {
+  return new Uint8Array(await blob.arrayBuffer());
+}
+
+function damage(bytes, offsets) {
+  const copy = bytes.slice();
+  for (const offset of offsets) copy[offset] ^= 0xff;
+  return new Blob([copy]);
+}
+
+/**
+ * Parity blocks of the first record section, which covers everything but the key slots
+ * @param {Blob} file - File with a recovery record
+ * @returns {Promise<Uint8Array>}
+ */
+async function outerParity(file) {
+  const { start } = await Recovery.locate(file);
+  const bytes = await bytesOf(file.slice(start));
+  const jsonLength = new DataView(bytes.buffer).getUint32(0, true);
+  const [outer] = JSON.parse(new TextDecoder().decode(bytes.subarray(4, 4 + jsonLength))).sections;
+  return bytes.subarray(8 + jsonLength, 8 + jsonLength + outer.parityBlocks * outer.blockSize);
+}
+
+/**
+ * Stands in for a browser Worker by running recovery-worker.js in this thread
+ * The worker script installs its handler on the global `self` when first imported.
+ */
+class FakeWorker {
+  static scope = null;
+
+  static async load() {
+    if (!this.scope) {
+      this.scope = {};
+      globalThis.self = this.scope;
+      await import('../src/workers/recovery-worker.js');
+    }
+  }
+
+  constructor() {
+    this.terminated = false;
+    FakeWorker.scope.postMessage = (message) => {
+      if (!this.terminated) this.onmessage({ data: structuredClone(message) });
+    };
+  }
+
+  postMessage(message) {
+    FakeWorker.scope.onmessage({ data: structuredClone(message) });
+  }
+
+  terminate() {
+    this.terminated = true;
+  }
+}
+
+test('appends a record that leaves the data in place', async () => {
+  const data = createData(100_000);
+  const file = await Recovery.append(new Blob([data]), 10);
+
+  const location = await Recovery.locate(file);
+  assert.deepEqual(location, { start: data.length, damaged: false });
+  assert.deepEqual((await bytesOf(file)).subarray(0, data.length), data);
+  assert.equal(await Recovery.locate(new Blob([data])), null);
+});
+
+test('reports no damage on an intact file', async () => {
+  const file = await Recovery.append(new Blob([createData(50_000)]), 10);
+  const result = await Recovery.repair(file);
+
+  assert.equal(result.repairedBlocks, 0);
+  assert.equal(result.recordRebuilt, false);
+  assert.deepEqual(await bytesOf(result.blob), await bytesOf(file));
+});
+
+test('repairs as many damaged blocks as there are parity blocks', async () => {
+  // 25 blocks of 4 KiB at 10% redundancy give 3 parity blocks
+  const data = createData(25 * 4096);
+  const file = await bytesOf(await Recovery.append(new Blob([data]), 10));
+  const progress = [];
+
+  const result = await Recovery.repair(damage(file, [0, 4096 * 7 + 100, 4096 * 24 + 4095]), value => progress.push(value));
+  assert.equal(result.repairedBlocks, 3);
+  assert.equal(result.damagedBytes, 3 * 4096);
+  assert.deepEqual(await bytesOf(result.blob), file);
+  assert.equal(progress.at(-1), 100);
+});
+
+test('refuses damage beyond the parity', async () => {
+  const file = await bytesOf(await Recovery.append(new Blob([createData(25 * 4096)]), 10));
+
+  await assert.rejects(
+    Recovery.repair(damage(file, [0, 4096, 2 * 4096, 3 * 4096])),
+    /Too much damage to repair: 4 damaged block\(s\), but only 3 intact parity block\(s\)/
+  );
+});
+
+test('rebuilds a damaged record and footer', async () => {
+  const data = createData(30_000);
+  const file = await bytesOf(await Recovery.append(new Blob([data]), 20));
+
+  // One data block, the front index and one footer copy
+  const result = await Recovery.repair(damage(file, [10, data.length + 10, file.length - 1]));
+  assert.equal(result.repairedBlocks, 1);
+  assert.equal(result.recordRebuilt, true);
+  assert.deepEqual(await bytesOf(result.blob), file);
+});
+
+test('repairs a file whose key slots are their own section', async () => {
+  const { blob } = await Encryptor.encryptFile(new Blob([createData(200_000)]), {
+    filename: 'data.bin', mimeType: 'application/octet-stream', password: PASSWORD, kdf: FAST_KDF
+  });
+  const parsed = await Decryptor.parseEncryptedFile(blob);
+  const file = await bytesOf(await Recovery.append(blob, 10, null, KeySlots.range(parsed)));
+
+  const result = await Recovery.repair(damage(file, [parsed.keySlotsStart + 20, parsed.payloadStart + 100]));
+  assert.equal(result.repairedBlocks, 2);
+  const { blob: decrypted } = await Decryptor.decryptFile(result.blob, { password: PASSWORD });
+  assert.deepEqual(await bytesOf(decrypted), createData(200_000));
+});
+
+test('re-encodes only the key slots when a password is added', async () => {
+  const { blob } = await Encryptor.encryptFile(new Blob([createData(200_000)]), {
+    filename: 'data.bin', mimeType: 'application/octet-stream', password: PASSWORD, kdf: FAST_KDF
+  });
+  const original = await Recovery.append(blob, 10, null, KeySlots.range(await Decryptor.parseEncryptedFile(blob)));
+  const updated = await KeySlots.addPassword(original, { password: PASSWORD }, { password: 'second password' }, FAST_KDF);
+
+  // The parity of the bytes around the key slots is carried over unchanged
+  const [before, after] = await Promise.all([original, updated].map(outerParity));
+  assert.ok(before.length > 0);
+  assert.deepEqual(after, before);
+
+  const location = await Recovery.locate(updated);
+  const parsed = await Decryptor.parseEncryptedFile(updated.slice(0, location.start));
+  const result = await Recovery.repair(damage(await bytesOf(updated), [parsed.keySlotsStart + 30, parsed.payloadStart + 30]));
+  assert.equal(result.repairedBlocks, 2);
+  const { blob: decrypted } = await Decryptor.decryptFile(result.blob, { password: 'second password' });
+  assert.deepEqual(await bytesOf(decrypted), createData(200_000));
+});
+
+test('rejects invalid redundancy and files without a record', async () => {
+  await assert.rejects(Recovery.append(new Blob([createData(10)]), 0), /whole percentage/);
+  await assert.rejects(Recovery.append(new Blob([createData(10)]), 101), /whole percentage/);
+  await assert.rejects(Recovery.repair(new Blob([createData(FOOTER_LENGTH * 2)])), /no recovery record/);
+});
+
+test('runs append and repair on the recovery worker', async () => {
+  await FakeWorker.load();
+  const runner = new RecoveryRunner(() => new FakeWorker());
+  const data = createData(25 * 4096);
+  const progress = [];
+
+  const file = await bytesOf(await runner.append(new Blob([data]), 10, value => progress.push(value)));
+  assert.ok(progress.length > 0);
+  assert.deepEqual(file, await bytesOf(await Recovery.append(new Blob([data]), 10)));
+
+  const result = await runner.repair(damage(file, [5000]));
+  assert.equal(result.repairedBlocks, 1);
+  assert.deepEqual(await bytesOf(result.blob), file);
+
+  await assert.rejects(runner.repair(new Blob([data])), /no recovery record/);
+});
@@ -0,0 +1,100 @@
+/**
+ * Signatures - Signed files verify against trusted signers, matched on the full public key
+ */
+
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { Encryptor } from '../src/crypto/encryptor.js';
+import { Decryptor } from '../src/crypto/decryptor.js';
+import { KeyManager } from '../src/crypto/key-manager.js';
+import { KeySlots } from '../src/crypto/key-slots.js';
+import { Signer } from '../src/crypto/signer.js';
+import { TrustStore } from '../src/crypto/trust-store.js';
+
+const PASSWORD = 'correct horse battery staple';
+const FAST_KDF = { name: 'PBKDF2', hash: 'SHA-256', iterations: 1000 };
+
+// The trust store lives in localStorage, which Node does not have
+const storage = new Map();
+globalThis.localStorage = {
+  getItem: key => (storage.has(key) ? storage.get(key) : null),
+  setItem: (key, value) => storage.set(key, String(value)),
+  removeItem: key => storage.delete(key)
+};
+
+beforeEach(() => storage.clear());
+
+async function encrypt(signer) {
+  const { blob } = await Encryptor.encryptFile(new Blob(['signed contract']), {
+    filename: 'contract.txt', mimeType: 'text/plain', password: PASSWORD, kdf: FAST_KDF, signer
+  });
+  return blob;
+}
+
+async function verify(file, trustedKeys = TrustStore.getVerificationKeys()) {
+  return await Signer.verify(file, await Decryptor.parseEncryptedFile(file), trustedKeys);
+}
+
+test('verifies a file signed by a trusted signer', async () => {
+  const alice = await KeyManager.generateSigningKeyPair();
+  await TrustStore.addTrustedSigner('Alice', await KeyManager.exportSigningPublicKey(alice.publicKey));
+
+  const result = await verify(await encrypt(alice));
+  assert.equal(result.status, 'trusted');
+  assert.equal(result.name, 'Alice');
+  assert.equal(result.kid, await KeyManager.getKeyId(alice.publicKey));
+});
+
+test('reports unsigned files and unknown signers', async () => {
+  assert.equal((await verify(await encrypt(null))).status, 'unsigned');
+  assert.equal((await verify(await encrypt(await KeyManager.generateSigningKeyPair()))).status, 'unknown');
+});
+
+test('does not trust another key that claims a trusted key id', async () => {
+  const alice = await KeyManager.generateSigningKeyPair();
+  const mallory = await KeyManager.generateSigningKeyPair();
+  const trustedKeys = [{
+    name: 'Alice',
+    kid: await KeyManager.getKeyId(mallory.publicKey),
+    publicKey: await KeyManager.exportSigningPublicKey(alice.publicKey)
+  }];
+
+  assert.equal((await verify(await encrypt(mallory), trustedKeys)).status, 'unknown');
+});
+
+test('flags a signed file whose ciphertext was changed', async () => {
+  const alice = await KeyManager.generateSigningKeyPair();
+  await TrustStore.addTrustedSigner('Alice', await KeyManager.exportSigningPublicKey(alice.publicKey));
+  const bytes = new Uint8Array(await (await encrypt(alice)).arrayBuffer());
+  bytes[bytes.length - 1] ^= 1;
+
+  assert.equal((await verify(new Blob([bytes]))).status, 'bad');
+});
+
+test('keeps the signature valid when passwords change', async () => {
+  const identity = await TrustStore.createIdentity('Me');
+  const file = await encrypt(await TrustStore.loadIdentity(identity.kid));
+  const updated = await KeySlots.addPassword(file, { password: PASSWORD }, { password: 'another password' }, FAST_KDF);
+
+  const result = await verify(updated);
+  assert.equal(result.status, 'trusted');
+  assert.equal(result.name, 'Me (you)');
+});
+
+test('refuses to trust the same public key twice', async () => {
+  const alice = await KeyManager.generateSigningKeyPair();
+  const publicKey = await KeyManager.exportSigningPublicKey(alice.publicKey);
+  await TrustStore.addTrustedSigner('Alice', publicKey);
+
+  await assert.rejects(TrustStore.addTrustedSigner('Alice again', publicKey), /already trusted/);
+  assert.deepEqual(TrustStore.getVerificationKeys().map(entry => entry.publicKey), [publicKey]);
+});
+
+test('round-trips signing keys through their text form', async () => {
+  const identity = await TrustStore.createIdentity('Me');
+  const { publicKey } = await KeyManager.importSigningPrivateKey(identity.privateKey);
+
+  assert.match(identity.publicKey, /^edvk1\./);
+  assert.equal(await KeyManager.exportSigningPublicKey(publicKey), identity.publicKey);
+});
@@ -0,0 +1,140 @@
+/**
+ * Stream Format - v2 chunks round-trip and reject tampering
+ *
+ * Every chunk is encrypted under its own nonce with the file header, its index and the
+ * final-chunk flag as additional data, so reordered, truncated or re-labelled chunks fail.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { Encryptor } from '../src/crypto/encryptor.js';
+import { Decryptor } from '../src/crypto/decryptor.js';
+import { KeyManager } from '../src/crypto/key-manager.js';
+import { FormatV2 } from '../src/crypto/formats/format-v2.js';
+import { StreamFormat, TAG_LENGTH } from '../src/crypto/stream-format.js';
+import { DEFAULT_CIPHER_SUITE } from '../src/crypto/cipher-suites.js';
+import { CHUNK_SIZE } from '../src/file-handling/chunked-reader.js';
+
+const ENCRYPTED_CHUNK_SIZE = CHUNK_SIZE + TAG_LENGTH;
+// Two full chunks and a short third one
+const PLAINTEXT_SIZE = 2 * CHUNK_SIZE + 4321;
+const HEADER = new TextEncoder().encode('{"version":"2.0"}');
+
+/**
+ * Encrypt a password-less file
+ * @param {Uint8Array} plaintext - File contents
+ * @returns {Promise<{file: Blob, credentials: {key: string}}>}
+ */
+async function encrypt(plaintext) {
+  const { blob, keyData } = await Encryptor.encryptFile(new Blob([plaintext]), { filename: 'data.bin', mimeType: 'application/octet-stream', password: null });
+  return { file: blob, credentials: { key: KeyManager.encodeKeyString(keyData) } };
+}
+
+async function createStream(aad = HEADER) {
+  return { cipher: DEFAULT_CIPHER_SUITE, key: await KeyManager.generateRandomKey(), iv: KeyManager.generateIV(), aad };
+}
+
+/**
+ * Rebuild a file with its encrypted chunks rearranged
+ * @param {Blob} file - Encrypted file
+ * @param {function(Blob[]): Blob[]} rearrange - Gets the chunks in order, returns the new chunk list
+ * @returns {Promise<Blob>}
+ */
+async function rearrangeChunks(file, rearrange) {
+  const { payloadStart, payloadEnd } = await Decryptor.parseEncryptedFile(file);
+  const chunks = StreamFormat.chunkRanges(payloadEnd - payloadStart, CHUNK_SIZE)
+    .map(range => file.slice(payloadStart + range.start, payloadStart + range.end));
+  return new Blob([file.slice(0, payloadStart), ...rearrange(chunks), file.slice(payloadEnd)]);
+}
+
+function createPlaintext(size = PLAINTEXT_SIZE) {
+  const plaintext = new Uint8Array(size);
+  for (let i = 0; i < plaintext.length; i++) {
+    plaintext[i] = (i * 7 + (i >>> 13)) & 0xff;
+  }
+  return plaintext;
+}
+
+test('derives a distinct nonce for every chunk from the base IV', () => {
+  const iv = KeyManager.generateIV();
+
+  assert.deepEqual(StreamFormat.chunkIV(iv, 0), iv);
+  const nonces = [0, 1, 2, 255, 256, 0xffffffff].map(index => Buffer.from(StreamFormat.chunkIV(iv, index)).toString('hex'));
+  assert.equal(new Set(nonces).size, nonces.length);
+  // Only the counter bytes change
+  assert.deepEqual(StreamFormat.chunkIV(iv, 0x01020304).subarray(0, 8), iv.subarray(0, 8));
+});
+
+test('binds the header, chunk index and final-chunk flag into the AAD', () => {
+  const aad = StreamFormat.chunkAAD(HEADER, 0x01020304, true);
+
+  assert.deepEqual(aad.subarray(0, HEADER.length), HEADER);
+  assert.deepEqual(Array.from(aad.subarray(HEADER.length)), [1, 2, 3, 4, 1]);
+  assert.equal(StreamFormat.chunkAAD(HEADER, 7, false).at(-1), 0);
+});
+
+test('splits a payload into chunk ranges and marks the last one final', () => {
+  const ranges = StreamFormat.chunkRanges(2 * ENCRYPTED_CHUNK_SIZE + 20, CHUNK_SIZE);
+
+  assert.deepEqual(ranges.map(range => range.end - range.start), [ENCRYPTED_CHUNK_SIZE, ENCRYPTED_CHUNK_SIZE, 20]);
+  assert.deepEqual(ranges.map(range => range.isFinal), [false, false, true]);
+  assert.throws(() => StreamFormat.chunkRanges(ENCRYPTED_CHUNK_SIZE + TAG_LENGTH - 1, CHUNK_SIZE), /truncated chunk/);
+});
+
+test('rejects a chunk decrypted at another index', async () => {
+  const stream = await createStream();
+  const encrypted = await Encryptor.encryptChunk(new Uint8Array(64), stream, 1, false);
+
+  assert.equal((await FormatV2.decryptChunk(encrypted, stream, 1, false)).byteLength, 64);
+  await assert.rejects(FormatV2.decryptChunk(encrypted, stream, 0, false), /Decryption failed/);
+});
+
+test('rejects a chunk whose final-chunk flag differs', async () => {
+  const stream = await createStream();
+  const middle = await Encryptor.encryptChunk(new Uint8Array(64), stream, 1, false);
+  const last = await Encryptor.encryptChunk(new Uint8Array(64), stream, 2, true);
+
+  // A stream cut after a middle chunk, or extended after the last one, does not verify
+  await assert.rejects(FormatV2.decryptChunk(middle, stream, 1, true), /Decryption failed/);
+  await assert.rejects(FormatV2.decryptChunk(last, stream, 2, false), /Decryption failed/);
+});
+
+test('rejects a chunk moved to a file with another header', async () => {
+  const stream = await createStream();
+  const encrypted = await Encryptor.encryptChunk(new Uint8Array(64), stream, 0, true);
+  const otherHeader = { ...stream, aad: new TextEncoder().encode('{"version":"2.0","x":1}') };
+
+  await assert.rejects(FormatV2.decryptChunk(encrypted, otherHeader, 0, true), /Decryption failed/);
+});
+
+test('round-trips a multi-chunk file', async () => {
+  const plaintext = createPlaintext();
+  const { file, credentials } = await encrypt(plaintext);
+
+  const { blob, metadata } = await Decryptor.decryptFile(file, credentials);
+  assert.equal(metadata.chunksCount, 3);
+  assert.ok(Buffer.from(await blob.arrayBuffer()).equals(Buffer.from(plaintext)));
+});
+
+test('round-trips an empty file as one final chunk', async () => {
+  const { file, credentials } = await encrypt(new Uint8Array(0));
+
+  const { blob, metadata } = await Decryptor.decryptFile(file, credentials);
+  assert.equal(metadata.chunksCount, 1);
+  assert.equal(blob.size, 0);
+});
+
+test('rejects swapped chunks', async () => {
+  const { file: original, credentials } = await encrypt(createPlaintext());
+  const file = await rearrangeChunks(original, ([first, second, last]) => [second, first, last]);
+
+  await assert.rejects(Decryptor.decryptFile(file, credentials), /Decryption failed/);
+});
+
+test('rejects a stream with its last chunk cut off', async () => {
+  const { file: original, credentials } = await encrypt(createPlaintext());
+  const file = await rearrangeChunks(original, ([first, second]) => [first, second]);
+
+  await assert.rejects(Decryptor.decryptFile(file, credentials), /chunk count mismatch/);
+});
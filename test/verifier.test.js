@@ -0,0 +1,114 @@
+/**
+ * Verifier - per-chunk integrity reports for intact, damaged, truncated and extended files
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { Verifier } from '../src/crypto/verifier.js';
+import { Encryptor } from '../src/crypto/encryptor.js';
+import { Decryptor } from '../src/crypto/decryptor.js';
+import { KeyManager } from '../src/crypto/key-manager.js';
+import { CHUNK_SIZE } from '../src/file-handling/chunked-reader.js';
+import { TAG_LENGTH } from '../src/crypto/stream-format.js';
+
+const PASSWORD = 'correct horse battery staple';
+const FAST_KDF = { name: 'PBKDF2', hash: 'SHA-256', iterations: 1000 };
+const ENCRYPTED_CHUNK_SIZE = CHUNK_SIZE + TAG_LENGTH;
+
+async function encrypt(size, options = { password: PASSWORD, kdf: FAST_KDF }) {
+  const { blob, keyData } = await Encryptor.encryptFile(new Blob([new Uint8Array(size)]), {
+    filename: 'data.bin', mimeType: 'application/octet-stream', ...options
+  });
+  return { blob, keyData, parsed: await Decryptor.parseEncryptedFile(blob) };
+}
+
+async function flipBytes(blob, offsets) {
+  const bytes = new Uint8Array(await blob.arrayBuffer());
+  for (const offset of offsets) bytes[offset] ^= 1;
+  return new Blob([bytes]);
+}
+
+test('reports an intact file', async () => {
+  const { blob } = await encrypt(2 * CHUNK_SIZE + 100);
+  const progress = [];
+
+  const report = await Verifier.verifyFile(blob, { password: PASSWORD }, value => progress.push(value));
+  assert.equal(report.status, 'ok');
+  assert.equal(report.chunksTotal, 3);
+  assert.equal(report.chunksFailed, 0);
+  assert.equal(report.metadataOk, true);
+  assert.equal(progress.at(-1), 100);
+});
+
+test('reports wrong credentials instead of damage', async () => {
+  const { blob } = await encrypt(100);
+
+  const report = await Verifier.verifyFile(blob, { password: 'wrong' });
+  assert.equal(report.status, 'credentials-rejected');
+  assert.match(report.message, /Wrong password or key/);
+});
+
+test('reports a wrong key string for a password-less file', async () => {
+  const { blob } = await encrypt(100, { password: null });
+  const key = KeyManager.encodeKeyString(crypto.getRandomValues(new Uint8Array(32)));
+
+  const report = await Verifier.verifyFile(blob, { key });
+  assert.equal(report.status, 'credentials-rejected');
+  assert.match(report.message, /does not match/);
+});
+
+test('locates damaged chunks and merges neighbours', async () => {
+  const { blob, parsed } = await encrypt(3 * CHUNK_SIZE + 100);
+  const chunkStart = (index) => parsed.payloadStart + index * ENCRYPTED_CHUNK_SIZE;
+  const damaged = await flipBytes(blob, [chunkStart(0) + 5, chunkStart(1) + 5, chunkStart(3) + 5]);
+
+  const report = await Verifier.verifyFile(damaged, { password: PASSWORD });
+  assert.equal(report.status, 'damaged');
+  assert.equal(report.metadataOk, true);
+  assert.equal(report.chunksTotal, 4);
+  assert.equal(report.chunksFailed, 3);
+  assert.deepEqual(report.failedRanges, [
+    { firstChunk: 0, lastChunk: 1, start: chunkStart(0), end: chunkStart(2) },
+    { firstChunk: 3, lastChunk: 3, start: chunkStart(3), end: blob.size }
+  ]);
+  assert.match(report.message, /credentials are correct, but 3 of 4 chunk\(s\) failed/);
+});
+
+test('still checks every chunk when the metadata is damaged', async () => {
+  const { blob, parsed } = await encrypt(CHUNK_SIZE + 100);
+  const damaged = await flipBytes(blob, [parsed.payloadStart - 1, parsed.payloadStart + ENCRYPTED_CHUNK_SIZE + 5]);
+
+  const report = await Verifier.verifyFile(damaged, { password: PASSWORD });
+  assert.equal(report.status, 'damaged');
+  assert.equal(report.metadataOk, false);
+  assert.equal(report.chunksTotal, 2);
+  assert.equal(report.chunksFailed, 1);
+  assert.equal(report.failedRanges[0].firstChunk, 1);
+  assert.match(report.message, /metadata block is damaged/);
+});
+
+test('reports a file cut after a whole chunk as truncated', async () => {
+  const { blob, parsed } = await encrypt(2 * CHUNK_SIZE + 100);
+  const truncated = blob.slice(0, parsed.payloadStart + 2 * ENCRYPTED_CHUNK_SIZE);
+
+  const report = await Verifier.verifyFile(truncated, { password: PASSWORD });
+  assert.equal(report.status, 'damaged');
+  assert.equal(report.chunksFailed, 0);
+  assert.deepEqual(report.truncated, {
+    expectedSize: parsed.payloadStart + 2 * ENCRYPTED_CHUNK_SIZE + TAG_LENGTH,
+    actualSize: truncated.size
+  });
+  assert.match(report.message, /truncated/);
+});
+
+test('reports bytes appended after the last chunk', async () => {
+  const { blob } = await encrypt(CHUNK_SIZE);
+  const extended = new Blob([blob, new Uint8Array(10)]);
+
+  const report = await Verifier.verifyFile(extended, { password: PASSWORD });
+  assert.equal(report.status, 'damaged');
+  assert.equal(report.chunksFailed, 0);
+  assert.equal(report.trailingBytes, 10);
+  assert.match(report.message, /at least 10 unexpected byte/);
+});
@@ -0,0 +1,90 @@
+/**
+ * Volumes - split files join back in any order, and incomplete or mixed sets are refused
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { Volumes } from '../src/file-handling/volumes.js';
+import { Encryptor } from '../src/crypto/encryptor.js';
+import { Decryptor } from '../src/crypto/decryptor.js';
+
+const PASSWORD = 'correct horse battery staple';
+const FAST_KDF = { name: 'PBKDF2', hash: 'SHA-256', iterations: 1000 };
+
+function createData(size) {
+  return Uint8Array.from({ length: size }, (_, i) => (i * 53 + (i >>> 6)) & 0xff);
+}
+
+function toFiles(volumes) {
+  return volumes.map(({ blob, filename }) => new File([blob], filename));
+}
+
+async function bytesOf(blob) {
+  return Buffer.from(await blob.arrayBuffer());
+}
+
+test('splits into numbered volumes no larger than the requested size', async () => {
+  const volumes = Volumes.split(new Blob([createData(10_000)]), 'report.pdf.enc', 4096);
+
+  assert.deepEqual(volumes.map(volume => volume.filename), ['report.pdf.enc.001', 'report.pdf.enc.002', 'report.pdf.enc.003', 'report.pdf.enc.004']);
+  assert.ok(volumes.every(volume => volume.blob.size <= 4096));
+  for (const volume of volumes) {
+    assert.equal(await Volumes.isVolume(volume.blob), true);
+  }
+  assert.equal(await Volumes.isVolume(new Blob([createData(100)])), false);
+});
+
+test('joins volumes given in any order, ignoring duplicates', async () => {
+  const data = createData(10_000);
+  const files = toFiles(Volumes.split(new Blob([data]), 'report.pdf.enc', 4096));
+
+  const joined = await Volumes.join([files[2], files[0], files[3], files[1], files[0]]);
+  assert.equal(joined.name, 'report.pdf.enc');
+  assert.ok((await bytesOf(joined)).equals(Buffer.from(data)));
+});
+
+test('keeps a file smaller than one volume in a single volume', async () => {
+  const data = createData(100);
+  const files = toFiles(Volumes.split(new Blob([data]), 'small.enc', 4096));
+
+  assert.equal(files.length, 1);
+  assert.ok((await bytesOf(await Volumes.join(files))).equals(Buffer.from(data)));
+});
+
+test('decrypts a file joined from its volumes', async () => {
+  const data = createData(50_000);
+  const { blob } = await Encryptor.encryptFile(new Blob([data]), {
+    filename: 'data.bin', mimeType: 'application/octet-stream', password: PASSWORD, kdf: FAST_KDF
+  });
+  const joined = await Volumes.join(toFiles(Volumes.split(blob, 'data.bin.enc', 8192)).reverse());
+
+  const { blob: decrypted } = await Decryptor.decryptFile(joined, { password: PASSWORD });
+  assert.ok((await bytesOf(decrypted)).equals(Buffer.from(data)));
+});
+
+test('names missing volumes', async () => {
+  const files = toFiles(Volumes.split(new Blob([createData(10_000)]), 'report.pdf.enc', 4096));
+
+  await assert.rejects(Volumes.join([files[0], files[2]]), /Missing volume\(s\) 2, 4 of 4/);
+});
+
+test('refuses volumes of different split files', async () => {
+  const first = toFiles(Volumes.split(new Blob([createData(10_000)]), 'a.enc', 4096));
+  const second = toFiles(Volumes.split(new Blob([createData(10_000)]), 'a.enc', 4096));
+
+  await assert.rejects(Volumes.join([first[0], second[1], first[2], first[3]]), /different split files/);
+});
+
+test('refuses truncated volumes and files that are not volumes', async () => {
+  const files = toFiles(Volumes.split(new Blob([createData(10_000)]), 'report.pdf.enc', 4096));
+  const truncated = new File([files[1].slice(0, files[1].size - 1)], files[1].name);
+
+  await assert.rejects(Volumes.join([files[0], truncated, files[2], files[3]]), /Volume 2 of 4 is truncated or damaged \(report\.pdf\.enc\.002\)/);
+  await assert.rejects(Volumes.join([files[0], new File(['plain text'], 'notes.txt')]), /notes\.txt is not a volume/);
+});
+
+test('refuses volume sizes too small for the header', () => {
+  assert.throws(() => Volumes.split(new Blob([createData(10)]), 'x.enc', 2047), /at least 2048 bytes/);
+  assert.throws(() => Volumes.split(new Blob([createData(10)]), 'x'.repeat(2000), 4096), /Filename too long/);
+});